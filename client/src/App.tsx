@@ -1,6 +1,11 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { GameModeSelector } from './components/GameModeSelector';
 import TitleScreen from './components/TitleScreen';
+import { SaveLoadMenu } from './components/SaveLoadMenu';
+import { ReplayControls } from './components/ReplayControls';
+import { ConnectionNotices } from './components/ConnectionNotices';
+import type { SaveGameData } from './lib/saveGameStorage';
+import type { ReplayData } from './lib/replayFiles';
 
 type GameMode = 'single' | 'multiplayer' | null;
 
@@ -10,6 +15,9 @@ interface GameData {
   mapSize?: number;
   gameSpeed?: number;
   layout?: string;
+  seed?: number;
+  saveGame?: SaveGameData;
+  replay?: ReplayData;
   room?: any;
 }
 
@@ -130,6 +138,9 @@ function App() {
           Room: {gameData.room.id} | Players: {gameData.room.playerCount}/{gameData.room.maxPlayers}
         </div>
       )}
+      {gameMode === 'multiplayer' && gameData?.room && <ConnectionNotices players={gameData.room.players || []} />}
+      {gameMode === 'single' && !gameData?.replay && <SaveLoadMenu getGame={() => gameRef.current} />}
+      {gameMode === 'single' && gameData?.replay && <ReplayControls getGame={() => gameRef.current} />}
     </div>
   );
 }
@@ -0,0 +1,65 @@
+import { useEffect, useRef, useState } from 'react';
+import { socketClient } from '../lib/socketClient';
+
+interface Notice {
+  id: number;
+  text: string;
+}
+
+interface ConnectionNoticesProps {
+  players: { id: string; name: string }[];
+}
+
+const NOTICE_DURATION_MS = 6000;
+
+// Toasts for players dropping out of, returning to and leaving a multiplayer match
+export function ConnectionNotices({ players }: ConnectionNoticesProps) {
+  const [notices, setNotices] = useState<Notice[]>([]);
+  // Read at notice time so the subscriptions below live as long as the component
+  const playersRef = useRef(players);
+  playersRef.current = players;
+
+  useEffect(() => {
+    let nextId = 0;
+    const timers = new Set<ReturnType<typeof setTimeout>>();
+    const nameOf = (playerId: string) => playersRef.current.find((p) => p.id === playerId)?.name || 'A player';
+
+    const push = (text: string) => {
+      const id = nextId++;
+      setNotices((current) => [...current, { id, text }]);
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        setNotices((current) => current.filter((n) => n.id !== id));
+      }, NOTICE_DURATION_MS);
+      timers.add(timer);
+    };
+
+    const unsubscribers = [
+      socketClient.onPlayerDisconnected(({ playerId, gracePeriodMs, aiCaretaker }) => {
+        const minutes = Math.round(gracePeriodMs / 60000);
+        const holder = aiCaretaker ? 'the AI is minding their empire' : 'their empire is idle';
+        push(`${nameOf(playerId)} disconnected - ${holder} for up to ${minutes} min`);
+      }),
+      socketClient.onPlayerReconnected((playerId) => push(`${nameOf(playerId)} reconnected`)),
+      socketClient.onPlayerLeft((playerId) => push(`${nameOf(playerId)} left the game`)),
+      socketClient.onSessionResumed(() => push('Connection restored'))
+    ];
+
+    return () => {
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+      timers.forEach((timer) => clearTimeout(timer));
+    };
+  }, []);
+
+  if (notices.length === 0) return null;
+
+  return (
+    <div className="fixed top-14 left-4 z-50 space-y-2">
+      {notices.map((notice) => (
+        <div key={notice.id} className="bg-black/80 border border-gray-700 text-white text-sm rounded px-3 py-2">
+          {notice.text}
+        </div>
+      ))}
+    </div>
+  );
+}
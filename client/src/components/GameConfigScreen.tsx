@@ -5,6 +5,10 @@ import { Label } from './ui/label';
 import { Slider } from './ui/slider';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger, DialogFooter, DialogClose } from './ui/dialog';
+import { generateSeed, parseSeed } from '../../../common/random';
+import { BUILTIN_DISCOVERY_PACKS, DiscoveryPack, parseDiscoveryPackFile } from '../lib/discoveryCatalog';
+import { DEFAULT_THRONE_RULES, THRONE_RULE_SETS, ThroneRuleSet } from '../lib/throneRules';
+import { DEFAULT_VICTORY_MODE, VICTORY_MODES, VICTORY_SETTING_LIMITS, VictoryMode, isVictoryMode } from '../lib/victoryModes';
 
 interface GameConfigScreenProps {
   onStartGame: (config: GameConfig) => void;
@@ -24,6 +28,15 @@ export interface GameConfig {
   nebulaSlowdown: boolean;
   supplyRoutes: boolean;
   probeColonization: boolean;
+  fogOfWar: boolean;
+  throneRules: ThroneRuleSet; // What losing a throne star costs (see game/ThroneSystem.js)
+  victoryMode: VictoryMode; // How the match is won (see game/VictorySystem.js)
+  matchMinutes: number; // Match timer length
+  dominationPercent: number; // Domination: share of all stars to hold
+  dominationHoldSeconds: number; // Domination: how long to hold it
+  hillTargetPoints: number; // King of the Hill: points needed to win
+  discoveryPacks: DiscoveryPack[]; // Extra discoveries merged onto the base catalog, in order
+  seed?: number; // Galaxy seed - omitted for a random galaxy
 }
 
 export function GameConfigScreen({ onStartGame, onBack }: GameConfigScreenProps) {
@@ -43,6 +56,41 @@ export function GameConfigScreen({ onStartGame, onBack }: GameConfigScreenProps)
   const [nebulaSlowdown, setNebulaSlowdown] = useState(true);
   const [supplyRoutes, setSupplyRoutes] = useState(true);
   const [probeColonization, setProbeColonization] = useState(true);
+  const [fogOfWar, setFogOfWar] = useState(true);
+  const [throneRules, setThroneRules] = useState<ThroneRuleSet>(DEFAULT_THRONE_RULES);
+  
+  // Victory mode and its settings
+  const [victoryMode, setVictoryMode] = useState<VictoryMode>(DEFAULT_VICTORY_MODE);
+  const [matchMinutes, setMatchMinutes] = useState(VICTORY_SETTING_LIMITS.matchMinutes.default);
+  const [dominationPercent, setDominationPercent] = useState(VICTORY_SETTING_LIMITS.dominationPercent.default);
+  const [dominationHoldSeconds, setDominationHoldSeconds] = useState(VICTORY_SETTING_LIMITS.dominationHoldSeconds.default);
+  const [hillTargetPoints, setHillTargetPoints] = useState(VICTORY_SETTING_LIMITS.hillTargetPoints.default);
+  
+  // Galaxy seed (blank = random). Numbers are used directly, any other text is hashed.
+  const [seedInput, setSeedInput] = useState('');
+
+  // Discovery packs: built-in ones toggled by id, custom ones loaded from JSON files
+  const [enabledPackIds, setEnabledPackIds] = useState<string[]>([]);
+  const [customPacks, setCustomPacks] = useState<DiscoveryPack[]>([]);
+  const [packError, setPackError] = useState('');
+
+  const toggleBuiltinPack = (packId: string, enabled: boolean) => {
+    setEnabledPackIds((ids) => enabled ? [...ids, packId] : ids.filter((id) => id !== packId));
+  };
+
+  const handleLoadPack = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const pack = await parseDiscoveryPackFile(file);
+      // Loading a pack with the same id again replaces the earlier copy
+      setCustomPacks((packs) => [...packs.filter((p) => p.id !== pack.id), pack]);
+      setPackError('');
+    } catch (err) {
+      setPackError(`${file.name}: ${err instanceof Error ? err.message : 'could not be read'}`);
+    }
+  };
 
 
 
@@ -59,7 +107,19 @@ export function GameConfigScreen({ onStartGame, onBack }: GameConfigScreenProps)
       probeSpeed: probeSpeed,
       nebulaSlowdown: nebulaSlowdown,
       supplyRoutes: supplyRoutes,
-      probeColonization: probeColonization
+      probeColonization: probeColonization,
+      fogOfWar: fogOfWar,
+      throneRules: throneRules,
+      victoryMode: victoryMode,
+      matchMinutes: matchMinutes,
+      dominationPercent: dominationPercent,
+      dominationHoldSeconds: dominationHoldSeconds,
+      hillTargetPoints: hillTargetPoints,
+      discoveryPacks: [
+        ...BUILTIN_DISCOVERY_PACKS.filter((pack) => enabledPackIds.includes(pack.id)),
+        ...customPacks
+      ],
+      seed: parseSeed(seedInput) ?? undefined
     });
   };
 
@@ -224,17 +284,96 @@ export function GameConfigScreen({ onStartGame, onBack }: GameConfigScreenProps)
             {/* Victory Conditions */}
             <div className="space-y-2">
               <Label className="text-white">Victory Condition</Label>
-              <Select defaultValue="throne">
+              <Select value={victoryMode} onValueChange={(value) => isVictoryMode(value) && setVictoryMode(value)}>
                 <SelectTrigger className="bg-gray-700 border-gray-600">
                   <SelectValue />
                 </SelectTrigger>
                 <SelectContent className="bg-gray-700 border-gray-600">
-                  <SelectItem value="throne">Throne Star Conquest</SelectItem>
-                  <SelectItem value="territory">Territory Control (75%)</SelectItem>
-                  <SelectItem value="elimination">Total Elimination</SelectItem>
-                  <SelectItem value="economic">Economic Domination</SelectItem>
+                  {VICTORY_MODES.map((mode) => (
+                    <SelectItem key={mode.id} value={mode.id}>{mode.name}</SelectItem>
+                  ))}
                 </SelectContent>
               </Select>
+              <p className="text-sm text-gray-400">
+                {VICTORY_MODES.find((mode) => mode.id === victoryMode)?.description}
+              </p>
+            </div>
+
+            <div className="space-y-2">
+              <Label className="text-white">Match Timer: {matchMinutes} minutes</Label>
+              <Slider
+                min={VICTORY_SETTING_LIMITS.matchMinutes.min}
+                max={VICTORY_SETTING_LIMITS.matchMinutes.max}
+                step={VICTORY_SETTING_LIMITS.matchMinutes.step}
+                value={[matchMinutes]}
+                onValueChange={(value) => setMatchMinutes(value[0])}
+                className="w-full"
+              />
+            </div>
+
+            {victoryMode === 'domination' && (
+              <>
+                <div className="space-y-2">
+                  <Label className="text-white">Stars to Hold: {dominationPercent}%</Label>
+                  <Slider
+                    min={VICTORY_SETTING_LIMITS.dominationPercent.min}
+                    max={VICTORY_SETTING_LIMITS.dominationPercent.max}
+                    step={VICTORY_SETTING_LIMITS.dominationPercent.step}
+                    value={[dominationPercent]}
+                    onValueChange={(value) => setDominationPercent(value[0])}
+                    className="w-full"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label className="text-white">Hold For: {dominationHoldSeconds} seconds</Label>
+                  <Slider
+                    min={VICTORY_SETTING_LIMITS.dominationHoldSeconds.min}
+                    max={VICTORY_SETTING_LIMITS.dominationHoldSeconds.max}
+                    step={VICTORY_SETTING_LIMITS.dominationHoldSeconds.step}
+                    value={[dominationHoldSeconds]}
+                    onValueChange={(value) => setDominationHoldSeconds(value[0])}
+                    className="w-full"
+                  />
+                </div>
+              </>
+            )}
+
+            {victoryMode === 'king_of_the_hill' && (
+              <div className="space-y-2">
+                <Label className="text-white">Hill Points to Win: {hillTargetPoints}</Label>
+                <Slider
+                  min={VICTORY_SETTING_LIMITS.hillTargetPoints.min}
+                  max={VICTORY_SETTING_LIMITS.hillTargetPoints.max}
+                  step={VICTORY_SETTING_LIMITS.hillTargetPoints.step}
+                  value={[hillTargetPoints]}
+                  onValueChange={(value) => setHillTargetPoints(value[0])}
+                  className="w-full"
+                />
+              </div>
+            )}
+
+            {/* Throne Rules */}
+            <div className="space-y-2">
+              <Label className="text-white">Throne Rules</Label>
+              <div className="grid grid-cols-3 gap-2">
+                {THRONE_RULE_SETS.map((rules) => (
+                  <button
+                    key={rules.id}
+                    onClick={() => setThroneRules(rules.id)}
+                    className={`p-2 rounded border text-left transition-colors ${
+                      throneRules === rules.id
+                        ? 'bg-blue-600 border-blue-500 text-white'
+                        : 'bg-gray-700 border-gray-600 text-gray-300 hover:bg-gray-600'
+                    }`}
+                  >
+                    <div className="font-medium text-sm">{rules.name}</div>
+                  </button>
+                ))}
+              </div>
+              <p className="text-sm text-gray-400">
+                {THRONE_RULE_SETS.find((rules) => rules.id === throneRules)?.description}
+                {throneRules !== 'classic' && ' (press T on a selected star)'}
+              </p>
             </div>
 
             {/* Warp Lane Density */}
@@ -313,6 +452,35 @@ export function GameConfigScreen({ onStartGame, onBack }: GameConfigScreenProps)
               />
             </div>
 
+            {/* Galaxy Seed */}
+            <div className="space-y-2">
+              <Label htmlFor="galaxySeed" className="text-white">
+                Galaxy Seed
+                <span className="text-gray-400 ml-2">
+                  ({seedInput.trim() ? 'Reproducible galaxy' : 'Random'})
+                </span>
+              </Label>
+              <div className="flex gap-2">
+                <input
+                  id="galaxySeed"
+                  type="text"
+                  value={seedInput}
+                  onChange={(e) => setSeedInput(e.target.value)}
+                  className="flex-1 px-3 py-2 bg-gray-700 border border-gray-600 rounded-md text-white font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Leave blank for random"
+                  maxLength={32}
+                />
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={() => setSeedInput(String(generateSeed()))}
+                  className="border-gray-600 text-gray-300 hover:bg-gray-700"
+                >
+                  Roll
+                </Button>
+              </div>
+            </div>
+
             {/* Special Features */}
             <div className="space-y-2">
               <Label className="text-white">Special Features</Label>
@@ -344,8 +512,58 @@ export function GameConfigScreen({ onStartGame, onBack }: GameConfigScreenProps)
                   />
                   <span className="text-sm text-gray-300">Probe Colonization</span>
                 </label>
+                <label className="flex items-center space-x-2">
+                  <input 
+                    type="checkbox" 
+                    checked={fogOfWar}
+                    onChange={(e) => setFogOfWar(e.target.checked)}
+                    className="rounded" 
+                  />
+                  <span className="text-sm text-gray-300">Fog of War</span>
+                </label>
               </div>
             </div>
+
+            {/* Discovery Packs */}
+            <div className="space-y-2">
+              <Label className="text-white">Discovery Packs</Label>
+              <div className="space-y-1">
+                {BUILTIN_DISCOVERY_PACKS.map((pack) => (
+                  <label key={pack.id} className="flex items-start space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={enabledPackIds.includes(pack.id)}
+                      onChange={(e) => toggleBuiltinPack(pack.id, e.target.checked)}
+                      className="rounded mt-1"
+                    />
+                    <span className="text-sm text-gray-300">
+                      {pack.name}
+                      <span className="block text-xs text-gray-500">{pack.description}</span>
+                    </span>
+                  </label>
+                ))}
+                {customPacks.map((pack) => (
+                  <div key={pack.id} className="flex items-center justify-between text-sm text-gray-300">
+                    <span>
+                      {pack.name}
+                      <span className="text-xs text-gray-500 ml-2">({pack.discoveries.length} discoveries)</span>
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => setCustomPacks((packs) => packs.filter((p) => p.id !== pack.id))}
+                      className="text-xs text-red-400 hover:text-red-300"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <Label htmlFor="discoveryPackFile" className="block text-sm text-gray-400 hover:text-white cursor-pointer py-1">
+                Load pack file…
+              </Label>
+              <input id="discoveryPackFile" type="file" accept="application/json,.json" className="hidden" onChange={handleLoadPack} />
+              {packError && <p className="text-xs text-red-400">{packError}</p>}
+            </div>
           </div>
 
         </CardContent>
@@ -1,11 +1,15 @@
-import { useState } from 'react';
+import { ChangeEvent, useEffect, useRef, useState } from 'react';
 import { Button } from './ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
 import { Input } from './ui/input';
 import { Label } from './ui/label';
 import { Badge } from './ui/badge';
-import { socketClient } from '../lib/socketClient';
+import { socketClient, RoomInfo, Unsubscribe } from '../lib/socketClient';
 import { GameConfigScreen, GameConfig } from './GameConfigScreen';
+import { RoomBrowser } from './RoomBrowser';
+import { RoomLobby } from './RoomLobby';
+import { SaveGameData, SaveSlotInfo, listSaveSlots, parseSaveFile, readSaveSlot } from '../lib/saveGameStorage';
+import { parseReplayFile } from '../lib/replayFiles';
 
 interface GameModeSelectorProps {
   onModeSelected: (mode: 'single' | 'multiplayer', data?: any) => void;
@@ -20,7 +24,13 @@ export function GameModeSelector({ onModeSelected }: GameModeSelectorProps) {
   const [maxPlayers, setMaxPlayers] = useState(10);
   const [aiCount, setAiCount] = useState(90);
   const [isConnecting, setIsConnecting] = useState(false);
+  const [lobbyRoom, setLobbyRoom] = useState<RoomInfo | null>(null);
   const [error, setError] = useState('');
+  const [saveSlots] = useState<SaveSlotInfo[]>(() => listSaveSlots());
+  const stopSessionResumedRef = useRef<Unsubscribe | null>(null);
+
+  // Once the match is running a resumed session must not start it over
+  useEffect(() => () => stopSessionResumedRef.current?.(), []);
 
   const handleSinglePlayer = () => {
     // Use default name if none set
@@ -38,10 +48,67 @@ export function GameModeSelector({ onModeSelected }: GameModeSelectorProps) {
       aiCount: config.aiPlayerCount,
       mapSize: config.mapSize,
       gameSpeed: config.gameSpeed,
-      layout: config.layout
+      layout: config.layout,
+      fogOfWar: config.fogOfWar,
+      throneRules: config.throneRules,
+      victoryMode: config.victoryMode,
+      matchMinutes: config.matchMinutes,
+      dominationPercent: config.dominationPercent,
+      dominationHoldSeconds: config.dominationHoldSeconds,
+      hillTargetPoints: config.hillTargetPoints,
+      discoveryPacks: config.discoveryPacks,
+      seed: config.seed
+    });
+  };
+
+  // Resume a saved single-player game; the game restores it right after startup
+  const startFromSave = (save: SaveGameData) => {
+    onModeSelected('single', {
+      ...save.config,
+      seed: save.seed,
+      saveGame: save
     });
   };
 
+  const handleLoadSlot = (name: string) => {
+    try {
+      const save = readSaveSlot(name);
+      if (save) startFromSave(save);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load save');
+    }
+  };
+
+  const handleImportSave = async (e: ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      startFromSave(await parseSaveFile(file));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Invalid save file');
+    }
+  };
+
+  // Replays regenerate the galaxy from the recorded seed and config
+  const handleImportReplay = async (e: ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const replay = await parseReplayFile(file);
+      onModeSelected('single', {
+        ...replay.config,
+        seed: replay.seed,
+        replay
+      });
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Invalid replay file');
+    }
+  };
+
   const handleConfigBack = () => {
     setShowConfigScreen(false);
     setSelectedMode(null);
@@ -66,6 +133,7 @@ export function GameModeSelector({ onModeSelected }: GameModeSelectorProps) {
     // Set up socket event handlers
     socketClient.onConnected(() => {
       console.log('Connected to multiplayer server');
+      setIsConnecting(false);
     });
 
     socketClient.onError((error: any) => {
@@ -73,12 +141,41 @@ export function GameModeSelector({ onModeSelected }: GameModeSelectorProps) {
       setIsConnecting(false);
     });
 
-    socketClient.onRoomCreated((room: any) => {
-      onModeSelected('multiplayer', { room, playerName: playerName.trim() });
+    // Creating or joining a room puts us in its pre-game lobby until the host starts
+    socketClient.onRoomCreated((room) => {
+      setError('');
+      setLobbyRoom(room);
+    });
+
+    socketClient.onRoomJoined((room) => {
+      setError('');
+      setLobbyRoom(room);
+    });
+
+    socketClient.onLobbyUpdated((room) => {
+      setLobbyRoom(room);
+    });
+
+    socketClient.onKicked(() => {
+      setLobbyRoom(null);
+      setError('You were removed from the room by the host');
+    });
+
+    socketClient.onGameStarted((data: any) => {
+      onModeSelected('multiplayer', {
+        ...data.settings,
+        room: data.room,
+        playerName: name,
+        aiCount: data.room?.aiPlayerCount,
+        seed: data.gameState?.seed,
+        gameState: data.gameState
+      });
     });
 
-    socketClient.onRoomJoined((room: any) => {
-      onModeSelected('multiplayer', { room, playerName: playerName.trim() });
+    // A stored reconnect token from a dropped connection puts us straight back in the match
+    stopSessionResumedRef.current?.();
+    stopSessionResumedRef.current = socketClient.onSessionResumed(({ room, gameState }) => {
+      onModeSelected('multiplayer', { room, playerName: playerName.trim(), gameState });
     });
 
     // Connect to server
@@ -103,6 +200,24 @@ export function GameModeSelector({ onModeSelected }: GameModeSelectorProps) {
     socketClient.joinRoom(roomId.trim().toUpperCase(), playerName.trim());
   };
 
+  const handleBrowseJoin = (id: string) => {
+    setError('');
+    socketClient.joinRoom(id, playerName.trim());
+  };
+
+  if (lobbyRoom) {
+    return (
+      <RoomLobby
+        room={lobbyRoom}
+        error={error}
+        onLeave={() => {
+          socketClient.leaveRoom();
+          setLobbyRoom(null);
+        }}
+      />
+    );
+  }
+
   if (selectedMode === 'multiplayer' && !isConnecting) {
     return (
       <div className="min-h-screen bg-gray-900 p-4 overflow-y-auto">
@@ -191,6 +306,11 @@ export function GameModeSelector({ onModeSelected }: GameModeSelectorProps) {
             </Card>
           </div>
 
+          {/* Room browser */}
+          <RoomBrowser onJoin={handleBrowseJoin} />
+
+          {error && <p className="text-center text-sm text-red-400">{error}</p>}
+
           <div className="text-center">
             <Button 
               onClick={() => setSelectedMode(null)} 
@@ -252,6 +372,38 @@ export function GameModeSelector({ onModeSelected }: GameModeSelectorProps) {
             </CardContent>
           </Card>
 
+          {/* Saved Games */}
+          <Card className="bg-gray-800 border-gray-700">
+            <CardHeader className="pb-3">
+              <CardTitle className="text-white text-lg">Load Saved Game</CardTitle>
+              <CardDescription className="text-gray-400 text-sm">
+                Continue a saved single player game or watch a replay
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="pt-0 space-y-2">
+              {saveSlots.slice(0, 5).map((slot) => (
+                <Button
+                  key={slot.name}
+                  onClick={() => handleLoadSlot(slot.name)}
+                  variant="outline"
+                  className="w-full justify-between border-gray-600 text-white"
+                  disabled={isConnecting}
+                >
+                  <span className="truncate">{slot.name}</span>
+                  <span className="text-xs text-gray-400">{new Date(slot.savedAt).toLocaleDateString()}</span>
+                </Button>
+              ))}
+              <Label htmlFor="importSave" className="block text-center text-sm text-gray-400 hover:text-white cursor-pointer py-1">
+                Import save file…
+              </Label>
+              <input id="importSave" type="file" accept="application/json,.json" className="hidden" onChange={handleImportSave} />
+              <Label htmlFor="importReplay" className="block text-center text-sm text-gray-400 hover:text-white cursor-pointer py-1">
+                Watch replay…
+              </Label>
+              <input id="importReplay" type="file" accept="application/json,.json" className="hidden" onChange={handleImportReplay} />
+            </CardContent>
+          </Card>
+
           {/* Multiplayer */}
           <Card className="bg-gray-800 border-gray-700 hover:border-gray-600 transition-colors cursor-pointer">
             <CardHeader className="pb-3">
@@ -0,0 +1,71 @@
+import { useEffect, useState } from 'react';
+import { Button } from './ui/button';
+import { Slider } from './ui/slider';
+
+interface ReplayStatus {
+  tick: number;
+  totalTicks: number;
+  speed: number;
+  paused: boolean;
+  seeking: boolean;
+  finished: boolean;
+}
+
+interface ReplayControlsProps {
+  getGame: () => any;
+}
+
+const SPEEDS = [1, 4, 16];
+
+export function ReplayControls({ getGame }: ReplayControlsProps) {
+  const [status, setStatus] = useState<ReplayStatus | null>(null);
+  const [scrubTick, setScrubTick] = useState<number | null>(null);
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const player = getGame()?.replayPlayer;
+      if (player) setStatus(player.getStatus());
+    }, 250);
+    return () => clearInterval(interval);
+  }, [getGame]);
+
+  if (!status) return null;
+
+  const replayPlayer = () => getGame()?.replayPlayer;
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 w-[min(640px,90vw)] bg-black/80 border border-gray-700 rounded-lg p-3 text-white space-y-2">
+      <div className="flex items-center gap-2">
+        <Button size="sm" onClick={() => setStatus({ ...status, paused: replayPlayer()?.togglePause() })}>
+          {status.paused ? 'Play' : 'Pause'}
+        </Button>
+        {SPEEDS.map((speed) => (
+          <Button
+            key={speed}
+            size="sm"
+            variant={status.speed === speed ? 'default' : 'outline'}
+            className="border-gray-600"
+            onClick={() => replayPlayer()?.setSpeed(speed)}
+          >
+            {speed}x
+          </Button>
+        ))}
+        <span className="ml-auto text-xs text-gray-400 font-mono">
+          {status.seeking ? 'Re-simulating… ' : ''}
+          Tick {scrubTick ?? status.tick} / {status.totalTicks}
+        </span>
+      </div>
+      <Slider
+        min={0}
+        max={Math.max(1, status.totalTicks)}
+        step={1}
+        value={[scrubTick ?? status.tick]}
+        onValueChange={([tick]) => setScrubTick(tick)}
+        onValueCommit={([tick]) => {
+          replayPlayer()?.seek(tick);
+          setScrubTick(null);
+        }}
+      />
+    </div>
+  );
+}
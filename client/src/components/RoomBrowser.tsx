@@ -0,0 +1,110 @@
+import { useEffect, useState } from 'react';
+import { Button } from './ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Input } from './ui/input';
+import { Badge } from './ui/badge';
+import { apiRequest } from '../lib/queryClient';
+import { socketClient, RoomInfo } from '../lib/socketClient';
+
+interface RoomBrowserProps {
+  onJoin: (roomId: string) => void;
+}
+
+// Live list of multiplayer rooms: fetched once over REST, then kept current by rooms-updated
+export function RoomBrowser({ onJoin }: RoomBrowserProps) {
+  const [rooms, setRooms] = useState<RoomInfo[]>([]);
+  const [filter, setFilter] = useState('');
+  const [openOnly, setOpenOnly] = useState(true);
+  const [loadError, setLoadError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    apiRequest('GET', '/api/rooms')
+      .then((res) => res.json())
+      .then((data: { rooms: RoomInfo[] }) => {
+        if (!cancelled) setRooms(data.rooms);
+      })
+      .catch((err) => {
+        if (!cancelled) setLoadError(err instanceof Error ? err.message : 'Failed to load rooms');
+      });
+
+    socketClient.onRoomsUpdated((updated) => {
+      setRooms(updated);
+      setLoadError('');
+    });
+    socketClient.watchRooms();
+
+    return () => {
+      cancelled = true;
+      socketClient.unwatchRooms();
+    };
+  }, []);
+
+  const query = filter.trim().toLowerCase();
+  const visibleRooms = rooms.filter((room) => {
+    if (openOnly && (room.isStarted || room.playerCount >= room.maxPlayers)) return false;
+    return !query || room.name.toLowerCase().includes(query) || room.id.toLowerCase().includes(query);
+  });
+
+  return (
+    <Card className="bg-gray-800 border-gray-700">
+      <CardHeader>
+        <CardTitle className="text-white">Open Games</CardTitle>
+        <CardDescription className="text-gray-400">
+          Pick a room to join - the list updates live
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex items-center gap-3">
+          <Input
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Filter by name or ID"
+            className="bg-gray-700 border-gray-600 text-white"
+          />
+          <label className="flex items-center space-x-2 shrink-0">
+            <input
+              type="checkbox"
+              checked={openOnly}
+              onChange={(e) => setOpenOnly(e.target.checked)}
+              className="rounded"
+            />
+            <span className="text-sm text-gray-300">Joinable only</span>
+          </label>
+        </div>
+
+        {loadError && <p className="text-sm text-red-400">{loadError}</p>}
+
+        {visibleRooms.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">No rooms match - create one above</p>
+        ) : (
+          <div className="space-y-2 max-h-72 overflow-y-auto">
+            {visibleRooms.map((room) => {
+              const isFull = room.playerCount >= room.maxPlayers;
+              return (
+                <div key={room.id} className="flex items-center gap-3 bg-gray-700/50 rounded px-3 py-2">
+                  <div className="flex-1 min-w-0">
+                    <div className="text-white text-sm truncate">{room.name}</div>
+                    <div className="text-xs text-gray-400 font-mono">
+                      {room.id} · {room.playerCount}/{room.maxPlayers} players · {room.aiPlayerCount} AI
+                    </div>
+                  </div>
+                  {room.isStarted && <Badge variant="outline" className="text-xs">In progress</Badge>}
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    disabled={room.isStarted || isFull}
+                    onClick={() => onJoin(room.id)}
+                  >
+                    {isFull ? 'Full' : 'Join'}
+                  </Button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
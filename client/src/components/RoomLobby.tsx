@@ -0,0 +1,210 @@
+import { useEffect, useState } from 'react';
+import { Button } from './ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Label } from './ui/label';
+import { Slider } from './ui/slider';
+import { Badge } from './ui/badge';
+import { socketClient, RoomInfo } from '../lib/socketClient';
+import { GALAXY_LAYOUTS, LOBBY_SETTING_LIMITS, AI_SEAT_LIMITS } from '../../../common/lobbySettings';
+import type { LobbySettings } from '../../../common/types/index';
+
+interface RoomLobbyProps {
+  room: RoomInfo;
+  error?: string;
+  onLeave: () => void;
+}
+
+const NUMERIC_SETTINGS: { key: keyof typeof LOBBY_SETTING_LIMITS; label: string; format: (value: number) => string }[] = [
+  { key: 'mapSize', label: 'Map Size', format: (v) => `${v} territories` },
+  { key: 'gameSpeed', label: 'Game Speed', format: (v) => `${v.toFixed(2)}x` },
+  { key: 'warpLaneDensity', label: 'Warp Lane Density', format: (v) => `${v}%` },
+  { key: 'connectionRange', label: 'Connection Range', format: (v) => `${v}px` },
+  { key: 'nebulaCount', label: 'Nebula Fields', format: (v) => `${v}` },
+  { key: 'probeSpeed', label: 'Probe Speed', format: (v) => `${v}%` }
+];
+
+const FEATURE_SETTINGS: { key: 'nebulaSlowdown' | 'supplyRoutes' | 'probeColonization' | 'fogOfWar' | 'aiCaretaker'; label: string }[] = [
+  { key: 'nebulaSlowdown', label: 'Nebula Slowdown' },
+  { key: 'supplyRoutes', label: 'Supply Routes' },
+  { key: 'probeColonization', label: 'Probe Colonization' },
+  { key: 'fogOfWar', label: 'Fog of War' },
+  { key: 'aiCaretaker', label: 'AI Minds Disconnected Players' }
+];
+
+// Pre-game room: everyone sees the settings and ready states live; only the host can change them
+export function RoomLobby({ room, error, onLeave }: RoomLobbyProps) {
+  const playerId = socketClient.getPlayerId();
+  const isHost = playerId !== null && room.hostId === playerId;
+  const me = room.players.find((p) => p.id === playerId);
+  const everyoneReady = room.players.every((p) => p.type !== 'human' || p.ready);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return;
+    const timeout = setTimeout(() => setCopied(false), 1500);
+    return () => clearTimeout(timeout);
+  }, [copied]);
+
+  const update = (change: Partial<LobbySettings>) => socketClient.updateRoomSettings(change);
+
+  return (
+    <div className="min-h-screen bg-gray-900 p-4 overflow-y-auto">
+      <div className="w-full max-w-3xl mx-auto py-8 space-y-6">
+        <div className="text-center">
+          <h1 className="text-3xl font-bold text-white mb-2">{room.name}</h1>
+          <button
+            className="text-gray-400 font-mono text-sm hover:text-white"
+            onClick={() => navigator.clipboard?.writeText(room.id).then(() => setCopied(true))}
+          >
+            Room {room.id} {copied ? '(copied)' : '(click to copy)'}
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {/* Players */}
+          <Card className="bg-gray-800 border-gray-700">
+            <CardHeader>
+              <CardTitle className="text-white">Players ({room.playerCount}/{room.maxPlayers})</CardTitle>
+              <CardDescription className="text-gray-400">
+                {everyoneReady ? 'Everyone is ready' : 'Waiting for players to ready up'}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-2">
+              {room.players.map((player) => (
+                <div key={player.id} className="flex items-center gap-2 bg-gray-700/50 rounded px-3 py-2">
+                  <span className="w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: player.color }} />
+                  <span className="text-white text-sm flex-1 truncate">
+                    {player.name}{player.id === playerId ? ' (you)' : ''}
+                  </span>
+                  {player.id === room.hostId && <Badge variant="outline" className="text-xs">Host</Badge>}
+                  <Badge className={`text-xs ${player.ready ? 'bg-green-600' : 'bg-gray-600'}`}>
+                    {player.ready ? 'Ready' : 'Not ready'}
+                  </Badge>
+                  {isHost && player.id !== playerId && (
+                    <Button size="sm" variant="ghost" className="text-red-400 h-7 px-2" onClick={() => socketClient.kickPlayer(player.id)}>
+                      Kick
+                    </Button>
+                  )}
+                </div>
+              ))}
+
+              <div className="flex items-center justify-between pt-2">
+                <span className="text-sm text-gray-300">AI empires: {room.aiPlayerCount}</span>
+                {isHost && (
+                  <div className="flex gap-1">
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      disabled={room.aiPlayerCount <= AI_SEAT_LIMITS.min}
+                      onClick={() => socketClient.setAiCount(room.aiPlayerCount - 1)}
+                    >
+                      −
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      disabled={room.aiPlayerCount >= AI_SEAT_LIMITS.max}
+                      onClick={() => socketClient.setAiCount(room.aiPlayerCount + 1)}
+                    >
+                      +
+                    </Button>
+                  </div>
+                )}
+              </div>
+            </CardContent>
+          </Card>
+
+          {/* Settings */}
+          <Card className="bg-gray-800 border-gray-700">
+            <CardHeader>
+              <CardTitle className="text-white">Game Settings</CardTitle>
+              <CardDescription className="text-gray-400">
+                {isHost ? 'Changes are sent to every player' : 'Only the host can change these'}
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="space-y-2">
+                <Label className="text-white">Galaxy Layout</Label>
+                <div className="grid grid-cols-3 gap-1">
+                  {GALAXY_LAYOUTS.map((layout) => (
+                    <button
+                      key={layout}
+                      disabled={!isHost}
+                      onClick={() => update({ layout })}
+                      className={`px-2 py-1 rounded border text-xs capitalize transition-colors ${
+                        room.settings.layout === layout
+                          ? 'bg-blue-600 border-blue-500 text-white'
+                          : 'bg-gray-700 border-gray-600 text-gray-300 enabled:hover:bg-gray-600'
+                      }`}
+                    >
+                      {layout}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {NUMERIC_SETTINGS.map(({ key, label, format }) => {
+                const limits = LOBBY_SETTING_LIMITS[key];
+                const value = room.settings[key];
+                return (
+                  <div key={key} className="space-y-2">
+                    <Label className="text-white">{label}: {format(value)}</Label>
+                    {/* Keyed on the synced value so the slider snaps to whatever the server settled on */}
+                    <Slider
+                      key={`${key}-${value}`}
+                      min={limits.min}
+                      max={limits.max}
+                      step={limits.step}
+                      defaultValue={[value]}
+                      disabled={!isHost}
+                      onValueCommit={([next]) => update({ [key]: next })}
+                    />
+                  </div>
+                );
+              })}
+
+              <div className="flex flex-wrap gap-3">
+                {FEATURE_SETTINGS.map(({ key, label }) => (
+                  <label key={key} className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={room.settings[key]}
+                      disabled={!isHost}
+                      onChange={(e) => update({ [key]: e.target.checked })}
+                      className="rounded"
+                    />
+                    <span className="text-sm text-gray-300">{label}</span>
+                  </label>
+                ))}
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+
+        <div className="flex gap-3">
+          <Button variant="outline" className="flex-1 border-gray-600 text-gray-300 hover:bg-gray-700" onClick={onLeave}>
+            Leave Room
+          </Button>
+          <Button
+            variant={me?.ready ? 'outline' : 'default'}
+            className="flex-1"
+            onClick={() => socketClient.setPlayerReady(!me?.ready)}
+          >
+            {me?.ready ? 'Not Ready' : 'Ready'}
+          </Button>
+          {isHost && (
+            <Button
+              className="flex-1 bg-green-600 hover:bg-green-700"
+              disabled={!everyoneReady}
+              onClick={() => socketClient.startGame()}
+            >
+              Start Game
+            </Button>
+          )}
+        </div>
+
+        {error && <p className="text-center text-sm text-red-400">{error}</p>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import { ChangeEvent, useRef, useState } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+import {
+  SaveGameData,
+  SaveSlotInfo,
+  deleteSaveSlot,
+  exportSaveToFile,
+  listSaveSlots,
+  parseSaveFile,
+  readSaveSlot,
+  writeSaveSlot
+} from '../lib/saveGameStorage';
+import { exportReplayToFile } from '../lib/replayFiles';
+
+interface SaveLoadMenuProps {
+  getGame: () => any;
+}
+
+export function SaveLoadMenu({ getGame }: SaveLoadMenuProps) {
+  const [open, setOpen] = useState(false);
+  const [slots, setSlots] = useState<SaveSlotInfo[]>([]);
+  const [saveName, setSaveName] = useState('');
+  const [error, setError] = useState('');
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const refreshSlots = () => setSlots(listSaveSlots());
+
+  const handleOpenChange = (nextOpen: boolean) => {
+    const game = getGame();
+    // Pause while the menu is open so the snapshot doesn't drift
+    if (game && game.paused !== nextOpen) {
+      game.togglePause();
+    }
+    if (nextOpen) {
+      refreshSlots();
+      setError('');
+    }
+    setOpen(nextOpen);
+  };
+
+  const loadIntoGame = (save: SaveGameData) => {
+    getGame()?.loadSaveGame(save);
+    handleOpenChange(false);
+  };
+
+  const handleSave = () => {
+    const game = getGame();
+    const name = saveName.trim() || `Save ${new Date().toLocaleString()}`;
+    if (!game) return;
+
+    try {
+      writeSaveSlot(name, game.createSaveGame(name));
+      setSaveName('');
+      refreshSlots();
+    } catch (err) {
+      // localStorage quota is the usual culprit for large galaxies
+      setError(err instanceof Error ? err.message : 'Failed to save game');
+    }
+  };
+
+  const handleLoad = (name: string) => {
+    try {
+      const save = readSaveSlot(name);
+      if (save) loadIntoGame(save);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load save');
+    }
+  };
+
+  const handleDelete = (name: string) => {
+    deleteSaveSlot(name);
+    refreshSlots();
+  };
+
+  const handleExport = (name: string) => {
+    try {
+      const save = readSaveSlot(name);
+      if (save) exportSaveToFile(save);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to export save');
+    }
+  };
+
+  const handleExportReplay = () => {
+    const replay = getGame()?.getReplay();
+    if (replay) {
+      exportReplayToFile(replay);
+    } else {
+      setError('No replay available - loaded games cannot be replayed from their seed');
+    }
+  };
+
+  const handleImport = async (e: ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      loadIntoGame(await parseSaveFile(file));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Invalid save file');
+    }
+  };
+
+  return (
+    <>
+      <Button
+        onClick={() => handleOpenChange(true)}
+        variant="outline"
+        size="sm"
+        className="fixed bottom-4 right-4 z-40 bg-black/70 border-gray-600 text-white hover:bg-gray-800"
+      >
+        Save / Load
+      </Button>
+
+      <Dialog open={open} onOpenChange={handleOpenChange}>
+        <DialogContent className="bg-gray-900 border-gray-700 text-white max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Save / Load Game</DialogTitle>
+            <DialogDescription className="text-gray-400">
+              Saves are kept in this browser. Export a save to move it elsewhere. F5 quick saves, F9 quick loads.
+            </DialogDescription>
+          </DialogHeader>
+
+          {error && (
+            <div className="text-red-400 text-sm bg-red-900/20 p-2 rounded">{error}</div>
+          )}
+
+          <div className="flex gap-2">
+            <Input
+              value={saveName}
+              onChange={(e) => setSaveName(e.target.value)}
+              placeholder="Save name"
+              className="bg-gray-800 border-gray-600 text-white"
+            />
+            <Button onClick={handleSave}>Save</Button>
+          </div>
+
+          <div className="max-h-64 overflow-y-auto space-y-2">
+            {slots.length === 0 && (
+              <p className="text-sm text-gray-500 text-center py-4">No saved games yet</p>
+            )}
+            {slots.map((slot) => (
+              <div key={slot.name} className="flex items-center justify-between bg-gray-800 rounded p-2">
+                <div className="min-w-0">
+                  <div className="text-sm font-medium truncate">{slot.name}</div>
+                  <div className="text-xs text-gray-400">
+                    {new Date(slot.savedAt).toLocaleString()} · Seed {slot.seed}
+                  </div>
+                </div>
+                <div className="flex gap-1 shrink-0">
+                  <Button size="sm" onClick={() => handleLoad(slot.name)}>Load</Button>
+                  <Button size="sm" variant="outline" className="border-gray-600" onClick={() => handleExport(slot.name)}>
+                    Export
+                  </Button>
+                  <Button size="sm" variant="destructive" onClick={() => handleDelete(slot.name)}>Delete</Button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-between">
+            <Button variant="ghost" className="text-gray-400 hover:text-white" onClick={() => fileInputRef.current?.click()}>
+              Import save file…
+            </Button>
+            <Button variant="ghost" className="text-gray-400 hover:text-white" onClick={handleExportReplay}>
+              Export replay
+            </Button>
+          </div>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
@@ -47,7 +47,7 @@ export class AIManager {
         if (player.type === 'human' || player.isEliminated) return;
         
         // Use the player's own update method
-        player.update(deltaTime, this.game.gameMap, this.game.config.gameSpeed, this.game);
+        player.update(deltaTime, this.game.gameMap, this.game);
     }
 
     // Mark player list as dirty when players are eliminated or added
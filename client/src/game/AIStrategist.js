@@ -3,6 +3,10 @@
  * Implements sophisticated AI decision-making with multiple strategies and personality types
  */
 
+import { REPLAY_COMMANDS } from './ReplaySystem';
+import { TREATY_TYPES } from './DiplomacySystem';
+import { GAME_CONSTANTS } from '../../../common/gameConstants';
+
 // AI Strategy Types
 export const AI_STRATEGIES = {
     ECONOMIC: 'economic',
@@ -31,21 +35,26 @@ export const DECISION_STATES = {
 };
 
 export class AIStrategist {
-    constructor(player, gameMap) {
+    /**
+     * @param {Player} player - AI empire this strategist plays for
+     * @param {GameMap} gameMap - Map the empire plays on
+     * @param {Object} saved - State from serialize() when loading a game; restored without drawing from the AI stream
+     */
+    constructor(player, gameMap, saved = null) {
         this.player = player;
         this.gameMap = gameMap;
         
         // Assign random strategy and personality
-        this.strategy = this.selectRandomStrategy();
-        this.personality = this.selectRandomPersonality();
+        this.strategy = saved ? saved.strategy : this.selectRandomStrategy();
+        this.personality = saved ? saved.personality : this.selectRandomPersonality();
         
         // Decision weights (0-1) - personality influences these
         this.weights = this.calculatePersonalityWeights();
         
         // Strategic state tracking
         this.currentState = DECISION_STATES.EXPAND;
-        this.lastDecision = Date.now();
-        this.decisionCooldown = 2000 + Math.random() * 3000; // 2-5 seconds
+        this.lastDecision = this.now();
+        this.decisionCooldown = saved ? saved.decisionCooldown : 2000 + this.random() * 3000; // 2-5 seconds
         
         // Performance tracking
         this.territoryGrowthRate = 0;
@@ -58,17 +67,59 @@ export class AIStrategist {
         this.priorityTargets = [];
         this.lastProbeAttempt = 0;
         
-        console.log(`AI ${this.player.name}: Strategy=${this.strategy}, Personality=${this.personality}`);
+        if (saved) {
+            this.currentState = saved.currentState;
+            this.lastDecision = saved.lastDecision;
+            this.territoryGrowthRate = saved.territoryGrowthRate;
+            this.combatSuccessRate = saved.combatSuccessRate;
+            this.lastTerritoryCount = saved.lastTerritoryCount;
+            this.lastProbeAttempt = saved.lastProbeAttempt;
+        } else {
+            console.log(`AI ${this.player.name}: Strategy=${this.strategy}, Personality=${this.personality}`);
+        }
+    }
+    
+    /**
+     * State that carries between decisions, for save games (threats and targets are rebuilt every decision)
+     */
+    serialize() {
+        return {
+            strategy: this.strategy,
+            personality: this.personality,
+            currentState: this.currentState,
+            lastDecision: this.lastDecision,
+            decisionCooldown: this.decisionCooldown,
+            territoryGrowthRate: this.territoryGrowthRate,
+            combatSuccessRate: this.combatSuccessRate,
+            lastTerritoryCount: this.lastTerritoryCount,
+            lastProbeAttempt: this.lastProbeAttempt
+        };
+    }
+    
+    /**
+     * Draw from the game's seeded AI stream so AI choices replay with the match seed
+     */
+    random() {
+        const rng = this.gameMap?.game?.aiRng;
+        return rng ? rng.next() : Math.random();
+    }
+    
+    /**
+     * Current simulation time, so decision cooldowns follow game time rather than the wall clock
+     */
+    now() {
+        const clock = this.gameMap?.game?.clock;
+        return clock ? clock.now() : Date.now();
     }
     
     selectRandomStrategy() {
         const strategies = Object.values(AI_STRATEGIES);
-        return strategies[Math.floor(Math.random() * strategies.length)];
+        return strategies[Math.floor(this.random() * strategies.length)];
     }
     
     selectRandomPersonality() {
         const personalities = Object.values(AI_PERSONALITIES);
-        return personalities[Math.floor(Math.random() * personalities.length)];
+        return personalities[Math.floor(this.random() * personalities.length)];
     }
     
     calculatePersonalityWeights() {
@@ -110,7 +161,7 @@ export class AIStrategist {
      * Main strategic decision making method
      */
     makeStrategicDecision() {
-        const now = Date.now();
+        const now = this.now();
         
         // Check decision cooldown
         if (now - this.lastDecision < this.decisionCooldown) {
@@ -126,7 +177,7 @@ export class AIStrategist {
         if (decision && decision.action) {
             this.executeDecision(decision);
             this.lastDecision = now;
-            this.decisionCooldown = 1500 + Math.random() * 2500; // Vary timing
+            this.decisionCooldown = 1500 + this.random() * 2500; // Vary timing
             return true;
         }
         
@@ -160,6 +211,14 @@ export class AIStrategist {
         }
     }
     
+    /**
+     * Whether a star belongs to an empire we are free to fight (not ours, not neutral, no treaty)
+     */
+    isHostileOwner(ownerId) {
+        if (ownerId === null || ownerId === this.player.id) return false;
+        return !this.gameMap.game?.diplomacySystem?.isAtPeace(this.player.id, ownerId);
+    }
+    
     identifyThreats() {
         this.threatenedTerritories.clear();
         
@@ -171,8 +230,7 @@ export class AIStrategist {
             const isThreaded = territory.neighbors.some(neighborId => {
                 const neighbor = this.gameMap.territories[neighborId];
                 return neighbor && 
-                       neighbor.ownerId !== this.player.id && 
-                       neighbor.ownerId !== null &&
+                       this.isHostileOwner(neighbor.ownerId) &&
                        neighbor.armySize > territory.armySize * 0.8;
             });
             
@@ -185,6 +243,12 @@ export class AIStrategist {
     identifyOpportunities() {
         this.priorityTargets = [];
         
+        // Unexplored stars may hold precursor tech - worth chasing harder while we trail the tech leader
+        const discoverySystem = this.gameMap.game?.discoverySystem;
+        const precursorValue = discoverySystem
+            ? discoverySystem.getPrecursorOdds() * (1 + discoverySystem.getTechDeficit(this.player.id))
+            : 0;
+        
         this.player.territories.forEach(territoryId => {
             const territory = this.gameMap.territories[territoryId];
             if (!territory || territory.armySize <= 1) return;
@@ -193,6 +257,7 @@ export class AIStrategist {
             territory.neighbors.forEach(neighborId => {
                 const neighbor = this.gameMap.territories[neighborId];
                 if (!neighbor || neighbor.ownerId === this.player.id) return;
+                if (neighbor.ownerId !== null && !this.isHostileOwner(neighbor.ownerId)) return; // Treaty partner
                 
                 let priority = 0;
                 
@@ -210,7 +275,7 @@ export class AIStrategist {
                 }
                 // Colonizable territory  
                 else if (neighbor.isColonizable && territory.armySize >= 11) {
-                    priority = 0.8; // Medium priority for expansion
+                    priority = 0.8 + precursorValue; // Medium priority for expansion
                 }
                 
                 if (priority > 0) {
@@ -240,7 +305,7 @@ export class AIStrategist {
             this.currentState = DECISION_STATES.ATTACK;
         } else if (this.player.territories.length < 3) {
             this.currentState = DECISION_STATES.EXPAND;
-        } else if (Date.now() - this.lastProbeAttempt > 30000) { // 30 seconds
+        } else if (this.now() - this.lastProbeAttempt > 30000) { // 30 seconds
             this.currentState = DECISION_STATES.PROBE;
         } else {
             this.currentState = DECISION_STATES.CONSOLIDATE;
@@ -287,7 +352,7 @@ export class AIStrategist {
             
             const weakestThreat = territory.neighbors
                 .map(id => this.gameMap.territories[id])
-                .filter(t => t && t.ownerId !== this.player.id && t.ownerId !== null)
+                .filter(t => t && this.isHostileOwner(t.ownerId))
                 .sort((a, b) => a.armySize - b.armySize)[0];
             
             if (weakestThreat && territory.armySize > weakestThreat.armySize * 1.1) {
@@ -375,6 +440,10 @@ export class AIStrategist {
     }
     
     executeAttack(fromTerritory, toTerritory) {
+        if (!this.gameMap.game.recordCommand(REPLAY_COMMANDS.STRATEGIST_ATTACK, {
+            playerId: this.player.id, from: fromTerritory.id, to: toTerritory.id
+        })) return;
+        
         // Use the combat system for attacks
         const attackingArmies = Math.floor(fromTerritory.armySize * 0.7);
         const result = this.gameMap.game.combatSystem?.attackTerritory(fromTerritory, toTerritory, attackingArmies);
@@ -382,7 +451,7 @@ export class AIStrategist {
         // Track battle outcome
         if (result) {
             this.recentBattles.push({
-                timestamp: Date.now(),
+                timestamp: this.now(),
                 success: result.success,
                 from: fromTerritory.id,
                 to: toTerritory.id
@@ -398,10 +467,105 @@ export class AIStrategist {
     executeProbe(fromTerritory, toTerritory) {
         if (this.gameMap.game.launchAIProbe) {
             this.gameMap.game.launchAIProbe(fromTerritory, toTerritory, this.player);
-            this.lastProbeAttempt = Date.now();
+            this.lastProbeAttempt = this.now();
         }
     }
     
+    /**
+     * Empires whose stars touch ours
+     * @returns {Set<number>} Player IDs
+     */
+    getBorderingEmpireIds() {
+        const ids = new Set();
+        this.player.territories.forEach(territoryId => {
+            const territory = this.gameMap.territories[territoryId];
+            if (!territory) return;
+            territory.neighbors.forEach(neighborId => {
+                const neighbor = this.gameMap.territories[neighborId];
+                if (neighbor && neighbor.ownerId !== null && neighbor.ownerId !== this.player.id) {
+                    ids.add(neighbor.ownerId);
+                }
+            });
+        });
+        return ids;
+    }
+    
+    /**
+     * Decide on a treaty offer - cautious personalities sign readily, aggressive ones rarely,
+     * and a stronger proposer is a better friend than an enemy
+     * @param {Object} proposer - Player making the offer
+     * @param {string} treaty - TREATY_TYPES value
+     * @returns {boolean} Whether to accept
+     */
+    evaluateTreatyOffer(proposer, treaty) {
+        const diplomacy = this.gameMap.game?.diplomacySystem;
+        if (!diplomacy || !proposer || diplomacy.isOathbreaker(proposer.id)) return false;
+        if (diplomacy.getTreatiesOf(this.player.id).length >= GAME_CONSTANTS.MAX_AI_TREATIES &&
+            !diplomacy.isAtPeace(this.player.id, proposer.id)) return false;
+        
+        const w = this.weights;
+        let score = w.defense * 0.6 + w.consolidation * 0.3 + w.exploration * 0.2 - w.aggression * 0.6;
+        
+        const strengthRatio = proposer.territories.length / Math.max(1, this.player.territories.length);
+        score += Math.max(-0.2, Math.min(0.4, (strengthRatio - 1) * 0.2));
+        
+        if (this.getBorderingEmpireIds().has(proposer.id)) score += 0.1; // Peace on the border matters most
+        if (treaty === TREATY_TYPES.ALLIANCE) score -= 0.15; // Alliances need more trust
+        
+        return score + (this.random() - 0.5) * 0.2 > 0.3;
+    }
+    
+    /**
+     * Periodic diplomacy turn (DiplomacySystem.update): aggressive empires may betray a pact partner
+     * with a weak border, cautious ones court their strongest neighbour or upgrade a pact to an alliance
+     */
+    considerDiplomacy() {
+        const diplomacy = this.gameMap.game?.diplomacySystem;
+        if (!diplomacy) return;
+        
+        const players = this.gameMap.game.players;
+        const w = this.weights;
+        const treaties = diplomacy.getTreatiesOf(this.player.id);
+        
+        if (w.aggression >= 0.8) {
+            for (const treaty of treaties) {
+                if (treaty.type !== TREATY_TYPES.PACT) continue;
+                const partner = players[treaty.playerIds.find(id => id !== this.player.id)];
+                if (partner && this.hasCrushingBorderAdvantage(partner) && this.random() < w.aggression * 0.25) {
+                    diplomacy.breakTreaty(this.player, partner);
+                    return;
+                }
+            }
+        }
+        
+        if (treaties.length >= GAME_CONSTANTS.MAX_AI_TREATIES) return;
+        
+        const threatBonus = this.threatenedTerritories.size > 0 ? 0.2 : 0;
+        const peaceDrive = w.defense * 0.6 + w.consolidation * 0.3 - w.aggression * 0.6 + threatBonus;
+        if (this.random() > peaceDrive) return;
+        
+        const candidate = [...this.getBorderingEmpireIds()]
+            .map(id => players[id])
+            .filter(p => p && !p.isEliminated && !diplomacy.areAllied(this.player.id, p.id) && !diplomacy.isOathbreaker(p.id))
+            .sort((a, b) => b.territories.length - a.territories.length || a.id - b.id)[0];
+        if (!candidate) return;
+        
+        const treaty = diplomacy.isAtPeace(this.player.id, candidate.id) ? TREATY_TYPES.ALLIANCE : TREATY_TYPES.PACT;
+        diplomacy.propose(this.player, candidate, treaty);
+    }
+    
+    // One of our border stars could overwhelm the partner star next to it
+    hasCrushingBorderAdvantage(partner) {
+        return this.player.territories.some(territoryId => {
+            const territory = this.gameMap.territories[territoryId];
+            if (!territory || territory.armySize < 20) return false;
+            return territory.neighbors.some(neighborId => {
+                const neighbor = this.gameMap.territories[neighborId];
+                return neighbor && neighbor.ownerId === partner.id && territory.armySize > neighbor.armySize * 3;
+            });
+        });
+    }
+    
     /**
      * Get strategic status for debugging
      */
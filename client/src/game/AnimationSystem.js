@@ -186,7 +186,7 @@ export class AnimationSystem {
         animation.to = { x: toTerritory.x, y: toTerritory.y };
         animation.progress = 0;
         animation.duration = 1000;
-        animation.startTime = Date.now(); // Initialize startTime for timestamp-based timing
+        animation.startTime = this.game.clock.now(); // Initialize startTime for timestamp-based timing
         animation.color = color;
         animation.isAttack = isAttack;
         animation.segments = null;
@@ -225,7 +225,7 @@ export class AnimationSystem {
             animation.to = segments[0].to;
             animation.progress = 0;
             animation.duration = segments[0].duration;
-            animation.startTime = Date.now();
+            animation.startTime = this.game.clock.now();
             animation.color = color;
             animation.isSupplyShip = true;
             animation.isPaused = false;
@@ -267,7 +267,7 @@ export class AnimationSystem {
             animation.to = segments[0].to;
             animation.progress = 0;
             animation.duration = segments[0].duration;
-            animation.startTime = Date.now(); // Initialize startTime for timestamp-based timing
+            animation.startTime = this.game.clock.now(); // Initialize startTime for timestamp-based timing
             animation.color = color;
             animation.isAttack = false;
             
@@ -313,7 +313,8 @@ export class AnimationSystem {
 
     // Update all ship animations
     updateShipAnimations(deltaTime) {
-        const currentTime = Date.now();
+        // Ship movement runs on simulation time so fleets stay in step with the battles they start
+        const currentTime = this.game.clock.now();
         
         for (let i = this.shipAnimations.length - 1; i >= 0; i--) {
             const animation = this.shipAnimations[i];
@@ -329,9 +330,7 @@ export class AnimationSystem {
                 }
             } else {
                 // Fallback to deltaTime accumulation for animations without startTime
-                const gameSpeed = this.game.config.gameSpeed || 1.0;
-                const adjustedDeltaTime = deltaTime * gameSpeed;
-                animation.progress += adjustedDeltaTime;
+                animation.progress += deltaTime;
             }
             
             // Handle supply ship hop-by-hop movement with pauses
@@ -2,16 +2,42 @@
  * Centralized Combat System for Star Throne
  * Handles all battle resolution, army transfers, and throne star mechanics
  * Features delayed combat with coin-flip battles and visual feedback
+ * Fleets launch with a stance that decides when a losing fight is broken off; reinforcements join battles under way
+ * Each round one ship per side engages; their classes (see ShipyardSystem) shift the odds and decide how many hits it takes to kill
  */
 
 import { GameUtils } from './utils';
 import { gameEvents, GAME_EVENTS, EVENT_PRIORITY, EventHelpers } from './EventSystem';
+import { GAME_CONSTANTS } from '../../../common/gameConstants';
+import { REPLAY_COMMANDS } from './ReplaySystem';
+import {
+    DEFAULT_SHIP_CLASS, shareOfRoster, settleRoster, mergeRoster, getShipRoster, getRosterSize, takeShips, addShips,
+    formatRoster, pickShipClass, getMatchupWinChance, hitShip
+} from './ShipyardSystem';
+import { STARBASE_UPGRADES, getShieldBonus } from './StarbaseSystem';
+
+// Fleet stances: set before launch, they decide when a losing fleet breaks off and retreats.
+// retreatAt is the share of the fleet still alive at which it pulls back (0 fights to the last ship)
+export const FLEET_STANCES = {
+    cautious: { name: 'Cautious', icon: '🛡️', retreatAt: 0.5 },
+    normal: { name: 'Normal', icon: '⚔️', retreatAt: 0.25 },
+    all_in: { name: 'All-in', icon: '💀', retreatAt: 0 }
+};
+
+export const STANCE_ORDER = ['cautious', 'normal', 'all_in'];
+
+export const DEFAULT_FLEET_STANCE = 'normal';
 
 export class CombatSystem {
     constructor(game) {
         this.game = game;
         this.pendingBattles = []; // Array of battles waiting for ships to arrive
         this.activeBattles = []; // Array of battles currently in progress
+        this.retreatingFleets = []; // Survivors of retreats flying back to their source star
+        this.battleReports = []; // Finished engagements, oldest first (see recordBattleReport)
+        this.reportSequence = 0;
+        this.battleSequence = 0; // Battle ids come from this counter so replays and saves stay in step
+        this.battleOutcomes = { captured: 0, defended: 0, retreated: 0 }; // Every engagement, uncapped
     }
 
     /**
@@ -57,9 +83,9 @@ export class CombatSystem {
         
         // For neutral territories, defender is null - that's okay
 
-        // Deduct armies from attacking territory immediately with safety bounds
+        // Deduct armies from attacking territory immediately with safety bounds; the fleet takes its share of each class
         const originalArmySize = attackingTerritory.armySize;
-        attackingTerritory.armySize = Math.max(1, attackingTerritory.armySize - actualAttackers);
+        const attackerRoster = settleRoster(takeShips(attackingTerritory, Math.min(actualAttackers, originalArmySize - 1)), actualAttackers);
         
         // Verify we didn't go negative and log for debugging
         if (attackingTerritory.armySize <= 0) {
@@ -72,14 +98,16 @@ export class CombatSystem {
 
         // Create pending battle for when ships arrive
         const battle = {
-            id: Date.now() + Math.random(), // Unique battle ID
+            id: ++this.battleSequence, // Unique battle ID
             attackingTerritory: attackingTerritory,
             defendingTerritory: defendingTerritory,
             attackingArmies: actualAttackers,
             attacker: attacker,
             defender: defender,
-            arrivalTime: Date.now() + 1000, // Ships arrive in 1 second
-            status: 'pending'
+            attackerRoster: attackerRoster,
+            arrivalTime: this.game.clock.now() + 1000 * this.getNebulaTravelMultiplier(attackingTerritory, defendingTerritory), // Ships arrive in 1 second, slower through nebulas
+            status: 'pending',
+            stance: FLEET_STANCES[attacker.fleetStance] ? attacker.fleetStance : DEFAULT_FLEET_STANCE // Fixed at launch
         };
         
         // Store the attacking player ID for particle system
@@ -101,7 +129,7 @@ export class CombatSystem {
      * @param {number} deltaTime - Time elapsed since last update
      */
     update(deltaTime) {
-        const currentTime = Date.now();
+        const currentTime = this.game.clock.now();
         
         // Check for pending battles that should start
         for (let i = this.pendingBattles.length - 1; i >= 0; i--) {
@@ -123,6 +151,14 @@ export class CombatSystem {
                 this.activeBattles.splice(i, 1);
             }
         }
+        
+        // Land retreating fleets back home
+        for (let i = this.retreatingFleets.length - 1; i >= 0; i--) {
+            if (currentTime >= this.retreatingFleets[i].arrivalTime) {
+                this.landRetreatingFleet(this.retreatingFleets[i]);
+                this.retreatingFleets.splice(i, 1);
+            }
+        }
     }
 
     /**
@@ -130,9 +166,62 @@ export class CombatSystem {
      * @param {Object} battle - Battle object
      */
     startBattle(battle) {
+        // Mines around the target hit the fleet before it can engage
+        const launched = battle.attackingArmies;
+        battle.attackingArmies = this.triggerMinefield(battle.defendingTerritory, battle.attackingArmies, battle.attacker);
+        battle.attackerRoster = settleRoster(battle.attackerRoster, battle.attackingArmies);
+        
+        // Hostile supply convoys passing the star are caught first (see SupplySystem.ambushConvoys)
+        if (!battle.natives && this.game.supplySystem) {
+            this.game.supplySystem.ambushConvoys(battle.defendingTerritory, battle.attacker, battle.attackerRoster);
+            battle.attackingArmies = getRosterSize(battle.attackerRoster);
+            if (battle.attackingArmies === 0) {
+                console.log(`📦 AMBUSH: ${battle.attacker.name} fleet wiped out fighting a convoy at star ${battle.defendingTerritory.id}`);
+                return;
+            }
+        }
+        
+        // The star fell to the empire while this fleet was in flight - it lands as garrison
+        if (!battle.natives && battle.defendingTerritory.ownerId === battle.attacker.id) {
+            addShips(battle.defendingTerritory, battle.attackerRoster);
+            this.game.fleetOrderSystem?.onFleetArrived(battle.defendingTerritory, battle.attacker.id, battle.attackingArmies);
+            console.log(`🛰️ REINFORCEMENTS: ${battle.attackingArmies} ships land on star ${battle.defendingTerritory.id}, already taken`);
+            return;
+        }
+        
+        // A treaty was signed while the fleet was in flight - it turns back home instead of attacking
+        if (!battle.natives && this.game.diplomacySystem?.isAtPeace(battle.attacker.id, battle.defendingTerritory.ownerId)) {
+            this.retreatingFleets.push({
+                playerId: battle.attacker.id,
+                fromId: battle.defendingTerritory.id,
+                toId: battle.attackingTerritory.id,
+                ships: battle.attackingArmies,
+                roster: battle.attackerRoster,
+                arrivalTime: this.game.clock.now() + GAME_CONSTANTS.RETREAT_TRAVEL_MS * this.getNebulaTravelMultiplier(battle.defendingTerritory, battle.attackingTerritory)
+            });
+            console.log(`🕊️ TREATY: ${battle.attacker.name} fleet turns back from star ${battle.defendingTerritory.id}`);
+            return;
+        }
+        
+        // Reinforcements join the empire's battle already raging at the star instead of opening a second one
+        const ongoing = !battle.natives && this.activeBattles.find(active =>
+            active.defendingTerritory === battle.defendingTerritory && active.attacker === battle.attacker && !active.natives);
+        if (ongoing) {
+            mergeRoster(settleRoster(ongoing.attackerRoster, ongoing.attackersRemaining), battle.attackerRoster);
+            ongoing.attackingArmies += battle.attackingArmies;
+            ongoing.attackersRemaining += battle.attackingArmies;
+            ongoing.stats.reinforcements += battle.attackingArmies;
+            ongoing.stats.minesLost += launched - battle.attackingArmies;
+            console.log(`🛰️ REINFORCEMENTS: ${battle.attackingArmies} ships join the battle at star ${battle.defendingTerritory.id} (${ongoing.attackersRemaining} vs ${ongoing.defendersRemaining})`);
+            return;
+        }
+        
         // Calculate combat odds based on discoveries
-        const attackerBonus = this.calculateWeaponBonus(battle.attacker);
-        const defenderBonus = battle.defender ? this.calculateDefenseBonus(battle.defender) : 0; // Neutral territories have no defense bonus
+        const weaponBonus = this.calculateWeaponBonus(battle.attacker);
+        const betrayalBonus = this.calculateGrievanceBonus(battle.attacker, battle.defender);
+        const attackerBonus = weaponBonus + betrayalBonus;
+        const defenderBonus = (battle.defender ? this.calculateDefenseBonus(battle.defender) : 0) + // Neutral territories have no defense bonus
+            this.calculateSiteBonus(battle.defendingTerritory);
         
         // Base 50/50 odds adjusted by bonuses
         const attackerWinChance = Math.max(0.1, Math.min(0.9, 0.5 + attackerBonus - defenderBonus));
@@ -142,8 +231,28 @@ export class CombatSystem {
         battle.attackerWinChance = attackerWinChance;
         battle.attackersRemaining = battle.attackingArmies;
         battle.defendersRemaining = battle.defendingTerritory.armySize;
-        battle.lastBattleTime = Date.now();
+        battle.lastBattleTime = this.game.clock.now();
         battle.status = 'active';
+        battle.stance = battle.stance || DEFAULT_FLEET_STANCE;
+        battle.attackerRoster = settleRoster(battle.attackerRoster, battle.attackingArmies);
+        battle.attackerWounds = {}; // Hits taken per class by ships not yet destroyed
+        battle.defenderWounds = {};
+        
+        // Running tallies for the battle report
+        battle.stats = {
+            startTick: this.game.tick,
+            shipsCommitted: battle.attackingArmies,
+            reinforcements: 0,
+            minesLost: launched - battle.attackingArmies,
+            defenders: battle.defendersRemaining,
+            attackerRoster: { ...battle.attackerRoster },
+            defenderRoster: { ...getShipRoster(battle.defendingTerritory) },
+            defenderReinforcements: 0,
+            rounds: 0,
+            weaponBonus,
+            betrayalBonus,
+            shieldBonus: defenderBonus
+        };
         
         this.activeBattles.push(battle);
     }
@@ -151,7 +260,7 @@ export class CombatSystem {
     /**
      * Updates an active battle, processing coin-flip rounds
      * @param {Object} battle - Battle object
-     * @param {number} currentTime - Current timestamp
+     * @param {number} currentTime - Current simulation time (game.clock.now())
      * @returns {boolean} True if battle is complete
      */
     updateBattle(battle, currentTime) {
@@ -166,35 +275,49 @@ export class CombatSystem {
             return true;
         }
         
+        // Ships produced on or transferred to the defending star join its defence
+        if (battle.defendingTerritory.armySize > battle.defendersRemaining) {
+            battle.stats.defenderReinforcements += battle.defendingTerritory.armySize - battle.defendersRemaining;
+            battle.defendersRemaining = battle.defendingTerritory.armySize;
+        }
+        
         // Fight one round
-        const attackerWins = Math.random() < battle.attackerWinChance;
+        const round = this.fightRound(
+            battle.attackerWinChance,
+            { roster: settleRoster(battle.attackerRoster, battle.attackersRemaining), wounds: battle.attackerWounds },
+            { roster: getShipRoster(battle.defendingTerritory), wounds: battle.defenderWounds },
+            () => this.game.rng.next()
+        );
+        battle.stats.rounds++;
         
-        if (attackerWins) {
-            // Attacker wins this round - defender loses one ship
-            battle.defendersRemaining = Math.max(0, battle.defendersRemaining - 1);
-            
-            // Update the actual territory army count immediately
-            battle.defendingTerritory.armySize = Math.max(0, battle.defendersRemaining);
-            
-            // Flash the defending planet with attacker's color (defender dies)
+        if (round.attackerWins) {
+            // Attacker wins this round - the engaged defender takes a hit
             this.flashPlanet(battle.defendingTerritory, battle.attacker.color);
             
-            // Create particle explosion when defender ship dies
-            const defenderColor = battle.defender ? battle.defender.color : '#999999'; // Gray for neutral
-            this.createCombatParticleEffect(battle.defendingTerritory, defenderColor, 'defender_dies', battle);
+            if (round.destroyed) {
+                battle.defendersRemaining = Math.max(0, battle.defendersRemaining - 1);
+                
+                // Update the actual territory army count immediately
+                battle.defendingTerritory.armySize = Math.max(0, battle.defendersRemaining);
+                
+                // Create particle explosion when defender ship dies
+                const defenderColor = battle.defender ? battle.defender.color : '#999999'; // Gray for neutral
+                this.createCombatParticleEffect(battle.defendingTerritory, defenderColor, 'defender_dies', battle);
+            }
             
             console.log(`💥 RED FLASH: Territory ${battle.defendingTerritory.id} flashing with attacker color ${battle.attacker.color}`);
             
 
         } else {
-            // Defender wins this round - attacker loses one ship
-            battle.attackersRemaining = Math.max(0, battle.attackersRemaining - 1);
-            
-            // Flash the defending planet with red (attacker dies)
+            // Defender wins this round - the engaged attacker takes a hit
             this.flashPlanet(battle.defendingTerritory, '#ff0000');
             
-            // Create particle explosion when attacker ship dies
-            this.createCombatParticleEffect(battle.defendingTerritory, battle.attacker.color, 'attacker_dies', battle);
+            if (round.destroyed) {
+                battle.attackersRemaining = Math.max(0, battle.attackersRemaining - 1);
+                
+                // Create particle explosion when attacker ship dies
+                this.createCombatParticleEffect(battle.defendingTerritory, battle.attacker.color, 'attacker_dies', battle);
+            }
             
             console.log(`💥 RED FLASH: Territory ${battle.defendingTerritory.id} flashing RED (attacker dies)`);
             
@@ -209,9 +332,233 @@ export class CombatSystem {
             return true;
         }
         
+        // The fleet's stance decides when a losing fight is broken off
+        if (this.shouldRetreat(battle)) {
+            this.retreat(battle);
+            return true;
+        }
+        
         return false;
     }
 
+    /**
+     * One exchange of fire: a ship from each side engages, their classes shift the odds and the loser takes a hit
+     * @param {number} winChance - Attacker's base round win chance (tech, discoveries, grievances)
+     * @param {Object} attackers - { roster, wounds } of the attacking fleet
+     * @param {Object} defenders - { roster, wounds } of the defending garrison
+     * @param {Function} random - Returns a number in [0, 1)
+     * @returns {{ attackerWins: boolean, destroyed: boolean, shipClass: string }} Outcome and the class that was hit
+     */
+    fightRound(winChance, attackers, defenders, random) {
+        const attackerClass = pickShipClass(attackers.roster, random);
+        const defenderClass = pickShipClass(defenders.roster, random);
+        const attackerWins = random() < getMatchupWinChance(winChance, attackerClass, defenderClass);
+        const shipClass = attackerWins ? defenderClass : attackerClass;
+        const destroyed = hitShip(attackerWins ? defenders : attackers, shipClass);
+        return { attackerWins, destroyed, shipClass };
+    }
+
+    /**
+     * Whether a battle's attackers have fallen below their stance's retreat threshold while still outnumbered
+     * @param {Object} battle - Active battle
+     * @returns {boolean}
+     */
+    shouldRetreat(battle) {
+        const retreatAt = (FLEET_STANCES[battle.stance] || FLEET_STANCES[DEFAULT_FLEET_STANCE]).retreatAt;
+        if (retreatAt <= 0 || !this.canRetreat(battle)) return false;
+        
+        return battle.attackersRemaining <= battle.attackingArmies * retreatAt &&
+               battle.attackersRemaining < battle.defendersRemaining;
+    }
+
+    // Native uprisings are fought from orbit of the star itself - there is nowhere to fall back to
+    canRetreat(battle) {
+        return !battle.natives && battle.attackingTerritory.id !== battle.defendingTerritory.id;
+    }
+
+    /**
+     * Break off a battle: the defenders keep the star and the surviving attackers fly back
+     * to the source star along the incoming lane, losing RETREAT_LOSS_FRACTION of their number
+     * @param {Object} battle - Active battle (already removed from or about to leave activeBattles)
+     */
+    retreat(battle) {
+        const survivors = battle.attackersRemaining;
+        const lost = Math.min(survivors, Math.ceil(survivors * GAME_CONSTANTS.RETREAT_LOSS_FRACTION));
+        const returning = survivors - lost;
+        const source = this.game.gameMap.territories[battle.attackingTerritory.id];
+        
+        battle.status = 'retreated';
+        this.recordBattleReport(battle, 'retreated', returning, lost);
+        battle.defendingTerritory.armySize = Math.max(1, battle.defendersRemaining);
+        battle.defendingTerritory.floatingText = {
+            text: 'Retreat!',
+            startTime: Date.now(),
+            duration: 2000,
+            startY: battle.defendingTerritory.y
+        };
+        
+        if (returning > 0 && source) {
+            this.retreatingFleets.push({
+                playerId: battle.attacker.id,
+                fromId: battle.defendingTerritory.id,
+                toId: source.id,
+                ships: returning,
+                roster: shareOfRoster(settleRoster(battle.attackerRoster, survivors), returning),
+                arrivalTime: this.game.clock.now() + GAME_CONSTANTS.RETREAT_TRAVEL_MS * this.getNebulaTravelMultiplier(battle.defendingTerritory, source)
+            });
+            
+            if (!this.game.headless && this.game.createShipAnimation) {
+                // Fly the survivors in the attacker's colour, not the defending star owner's
+                const origin = { x: battle.defendingTerritory.x, y: battle.defendingTerritory.y, ownerId: battle.attacker.id };
+                this.game.createShipAnimation(origin, source, false, returning);
+            }
+        }
+        
+        console.log(`🏳️ RETREAT: ${battle.attacker.name} breaks off at star ${battle.defendingTerritory.id} (${FLEET_STANCES[battle.stance]?.name || battle.stance}) - ${returning} ships return, ${lost} lost`);
+        
+        const humanId = this.game.humanPlayer?.id;
+        if (battle.attacker.id === humanId) {
+            this.game.addNotification?.(`🏳️ Your fleet retreats from star ${battle.defendingTerritory.id}: ${returning} ships return, ${lost} lost`, '#ffaa00', 4000);
+        } else if (battle.defender && battle.defender.id === humanId) {
+            this.game.addNotification?.(`🛡️ ${battle.attacker.name} retreats from star ${battle.defendingTerritory.id}`, '#44ff44', 3000);
+        }
+    }
+
+    /**
+     * Retreat order: break off every battle an empire fights at or from the given star
+     * @param {Object} player - Empire ordering the retreat
+     * @param {Object} territory - Star under attack, or the star the attack was launched from
+     * @returns {number} Battles broken off
+     */
+    orderRetreat(player, territory) {
+        const battles = this.activeBattles.filter(battle =>
+            battle.attacker === player && this.canRetreat(battle) &&
+            (battle.defendingTerritory.id === territory.id || battle.attackingTerritory.id === territory.id));
+        if (battles.length === 0) return 0;
+        if (!this.game.recordCommand(REPLAY_COMMANDS.RETREAT, { playerId: player.id, territoryId: territory.id })) return 0;
+        
+        battles.forEach(battle => {
+            this.retreat(battle);
+            this.activeBattles.splice(this.activeBattles.indexOf(battle), 1);
+        });
+        return battles.length;
+    }
+
+    /**
+     * Change the stance an empire's next fleets launch with (battles already under way keep theirs)
+     * @param {Object} player - Empire
+     * @param {string} stance - FLEET_STANCES key
+     * @returns {boolean} Whether the stance was set
+     */
+    setFleetStance(player, stance) {
+        if (!player || !FLEET_STANCES[stance] || player.fleetStance === stance) return false;
+        if (!this.game.recordCommand(REPLAY_COMMANDS.FLEET_STANCE, { playerId: player.id, stance })) return false;
+        
+        player.fleetStance = stance;
+        return true;
+    }
+
+    // Survivors of a retreat reach their source star; if it fell meanwhile they are lost
+    landRetreatingFleet(fleet) {
+        const territory = this.game.gameMap.territories[fleet.toId];
+        const player = this.game.players[fleet.playerId];
+        if (!territory || !player) return;
+        
+        if (territory.ownerId === player.id) {
+            addShips(territory, settleRoster(fleet.roster ? { ...fleet.roster } : null, fleet.ships));
+            territory.floatingText = {
+                text: `+${fleet.ships}`,
+                startTime: Date.now(),
+                duration: 2000,
+                startY: territory.y
+            };
+        } else if (player === this.game.humanPlayer) {
+            this.game.addNotification?.(`💀 ${fleet.ships} retreating ships found star ${territory.id} lost and were destroyed`, '#ff4444', 4000);
+        }
+    }
+
+    /**
+     * Live ship counts of the battles an empire is fighting, as attacker or defender (battle HUD)
+     * @param {number} playerId - Empire
+     * @returns {Array<Object>} Active battles, largest first
+     */
+    getBattlesInvolving(playerId) {
+        return this.activeBattles
+            .filter(battle => battle.attacker.id === playerId || battle.defender?.id === playerId)
+            .sort((a, b) => (b.attackersRemaining + b.defendersRemaining) - (a.attackersRemaining + a.defendersRemaining));
+    }
+
+    /**
+     * File the report of a finished engagement (see lib/battleReports.ts for the fields)
+     * @param {Object} battle - Battle that just ended
+     * @param {string} outcome - 'captured', 'defended' or 'retreated'
+     * @param {number} attackerSurvivors - Attacking ships left (after retreat losses)
+     * @param {number} retreatLosses - Ships lost breaking off a retreat
+     */
+    recordBattleReport(battle, outcome, attackerSurvivors, retreatLosses = 0) {
+        this.battleOutcomes[outcome]++;
+        
+        const stats = battle.stats;
+        if (!stats) return;
+        
+        this.battleReports.push({
+            id: ++this.reportSequence,
+            tick: this.game.tick,
+            startTick: stats.startTick,
+            starId: battle.defendingTerritory.id,
+            attackerId: battle.attacker.id,
+            attackerName: battle.attacker.name,
+            defenderId: battle.defender ? battle.defender.id : null,
+            defenderName: battle.natives ? 'Natives' : battle.defender ? battle.defender.name : 'Neutral',
+            stance: battle.stance,
+            shipsCommitted: stats.shipsCommitted,
+            reinforcements: stats.reinforcements,
+            minesLost: stats.minesLost,
+            defenders: stats.defenders,
+            attackerShips: formatRoster(stats.attackerRoster, 'short'),
+            defenderShips: formatRoster(stats.defenderRoster, 'short'),
+            defenderReinforcements: stats.defenderReinforcements,
+            rounds: stats.rounds,
+            winChance: battle.attackerWinChance,
+            weaponBonus: stats.weaponBonus,
+            betrayalBonus: stats.betrayalBonus,
+            shieldBonus: stats.shieldBonus,
+            outcome,
+            attackerSurvivors,
+            retreatLosses,
+            defenderSurvivors: outcome === 'captured' ? 0 : Math.max(1, battle.defendersRemaining),
+            natives: !!battle.natives
+        });
+        
+        if (this.battleReports.length > GAME_CONSTANTS.MAX_BATTLE_REPORTS) {
+            this.battleReports.shift();
+        }
+    }
+
+    /**
+     * Battle reports, newest first
+     * @param {string} filter - 'all', or 'mine' / 'won' / 'lost' from the given empire's point of view
+     * @param {number|null} playerId - Empire the filter is relative to
+     * @returns {Array<Object>}
+     */
+    getBattleReports(filter = 'all', playerId = null) {
+        const involved = (report) => report.attackerId === playerId || report.defenderId === playerId;
+        const won = (report) => report.attackerId === playerId ? report.outcome === 'captured' : report.outcome !== 'captured';
+        
+        return this.battleReports.filter(report => {
+            if (filter === 'all') return true;
+            if (!involved(report)) return false;
+            if (filter === 'won') return won(report);
+            if (filter === 'lost') return !won(report);
+            return true;
+        }).reverse();
+    }
+
+    // Active battle at a star, if any (combat preview)
+    getBattleAt(territoryId) {
+        return this.activeBattles.find(battle => battle.defendingTerritory.id === territoryId) || null;
+    }
+
     /**
      * Completes a battle and applies the results
      * @param {Object} battle - Battle object
@@ -219,6 +566,7 @@ export class CombatSystem {
     completeBattle(battle) {
         const attackerWins = battle.attackersRemaining > 0 && battle.defendersRemaining <= 0;
         
+        this.recordBattleReport(battle, attackerWins ? 'captured' : 'defended', Math.max(0, battle.attackersRemaining));
         
         if (attackerWins) {
             // Territory captured
@@ -233,6 +581,14 @@ export class CombatSystem {
             // Transfer territory
             battle.defendingTerritory.ownerId = battle.attackingTerritory.ownerId;
             battle.defendingTerritory.armySize = survivingAttackers;
+            battle.defendingTerritory.roster = settleRoster(battle.attackerRoster, survivingAttackers);
+            battle.defendingTerritory.productionFocus = DEFAULT_SHIP_CLASS; // The new owner's shipyards start over
+            
+            // Shields and sensors are wrecked in the assault; shipyards and beacons change hands
+            const wrecked = this.game.starbaseSystem?.onConquest(battle.defendingTerritory) || [];
+            if (wrecked.length > 0 && (battle.attacker === this.game.humanPlayer || oldOwner === this.game.humanPlayer)) {
+                this.game.addNotification?.(`💥 ${wrecked.map(upgrade => STARBASE_UPGRADES[upgrade].name).join(' and ')} destroyed at star ${battle.defendingTerritory.id}`, '#ffaa00', 3000);
+            }
             
             // Update player territories arrays
             if (oldOwner) {
@@ -256,51 +612,41 @@ export class CombatSystem {
             // Handle throne star capture
             if (isThroneCapture && oldOwner) {
                 console.log(`🏆 THRONE STAR CAPTURED! ${battle.attacker.name} captures throne from ${oldOwner.name}`);
+                battle.attacker.thronesCaptured++;
                 this.handleThroneStarCapture(battle.attacker, oldOwner, battle.defendingTerritory);
             }
             // Removed logically impossible condition: throne stars cannot be neutral (always have owners)
             
-            // DISCOVERY: Trigger discovery when conquering neutral territory
-            if (wasNeutral && this.game.discoverySystem) {
+            // Add floating combat text (a discovery hazard may replace it)
+            battle.defendingTerritory.floatingText = {
+                text: `+${survivingAttackers}`,
+                startTime: Date.now(),
+                duration: 2000,
+                startY: battle.defendingTerritory.y
+            };
+            
+            // DISCOVERY: Trigger discovery when conquering neutral territory (natives already were the discovery)
+            if (wasNeutral && !battle.natives && this.game.discoverySystem) {
                 console.log(`🔬 Processing discovery for ${battle.attacker.name} conquering neutral planet ${battle.defendingTerritory.id}`);
                 const discovery = this.game.discoverySystem.processDiscovery(battle.defendingTerritory, battle.attacker);
                 if (discovery) {
                     console.log(`🔍 Discovery on conquered planet ${battle.defendingTerritory.id}: ${discovery.name}`);
                     
-                    // Increment tech level based on discovery type (cap at 5)
+                    // Tech levels were raised by the discovery's catalog effects
                     if (battle.attacker && battle.attacker.tech) {
-                        switch (discovery.id) {
-                            case 'precursor_weapons':
-                                battle.attacker.tech.attack = Math.min(5, battle.attacker.tech.attack + 1);
-                                break;
-                            case 'precursor_shield':
-                                battle.attacker.tech.defense = Math.min(5, battle.attacker.tech.defense + 1);
-                                break;
-                            case 'precursor_drive':
-                                battle.attacker.tech.engines = Math.min(5, battle.attacker.tech.engines + 1);
-                                break;
-                            case 'precursor_nanotech':
-                                battle.attacker.tech.production = Math.min(5, battle.attacker.tech.production + 1);
-                                break;
-                            case 'factory_complex':
-                                battle.attacker.tech.production = Math.min(5, battle.attacker.tech.production + 1);
-                                break;
-                        }
-                        console.log(`🔬 Tech Level Up: Player ${battle.attacker.name} - ${discovery.name} → Tech levels: A${battle.attacker.tech.attack} D${battle.attacker.tech.defense} E${battle.attacker.tech.engines} P${battle.attacker.tech.production}`);
+                        console.log(`🔬 Tech levels: Player ${battle.attacker.name} - A${battle.attacker.tech.attack} D${battle.attacker.tech.defense} E${battle.attacker.tech.engines} P${battle.attacker.tech.production}`);
                     }
                 } else {
                     console.log(`🔍 No discovery on conquered planet ${battle.defendingTerritory.id}: Standard planet`);
                 }
             }
             
-            // Add floating combat text
-            battle.defendingTerritory.floatingText = {
-                text: `+${survivingAttackers}`,
-                startTime: Date.now(),
-                duration: 2000,
-                startY: battle.defendingTerritory.y
-            };
+            // A discovery hazard (plague, natives) may have cost the attacker the star already
+            if (battle.defendingTerritory.ownerId !== battle.attacker.id) return;
 
+            // Orders queued on the star move on with the survivors
+            this.game.fleetOrderSystem?.onFleetArrived(battle.defendingTerritory, battle.attacker.id, survivingAttackers);
+            
             // Trigger territory capture feedback
             if (this.game.feedbackSystem) {
                 const isHumanCapture = battle.attacker.id === this.game.humanPlayer?.id;
@@ -312,6 +658,7 @@ export class CombatSystem {
         } else {
             // Attack failed - ensure defenders have at least 1 army
             battle.defendingTerritory.armySize = Math.max(1, battle.defendersRemaining);
+            this.game.fleetOrderSystem?.onAttackFailed(battle);
             
             // Add floating combat text
             battle.defendingTerritory.floatingText = {
@@ -325,6 +672,98 @@ export class CombatSystem {
         }
     }
 
+    /**
+     * Returns a star to neutral control, e.g. when a discovery hazard wipes out a fresh colony
+     * @param {Object} territory - Star to release
+     * @param {Object} player - Empire losing the star
+     * @param {number} garrison - Neutral garrison left on the star
+     */
+    releaseTerritory(territory, player, garrison) {
+        territory.ownerId = null;
+        territory.armySize = Math.max(1, garrison);
+        territory.roster = null; // Neutral garrisons are of the default class
+        territory.productionFocus = DEFAULT_SHIP_CLASS;
+        territory.upgrades = []; // Nobody left to run the starbase
+        territory.lastArmyGeneration = 0;
+        
+        const index = player.territories.indexOf(territory.id);
+        if (index > -1) {
+            player.territories.splice(index, 1);
+        }
+        
+        if (this.game.floodController) {
+            this.game.floodController.onTerritoryCaptured(player.id, null, territory.id);
+        }
+    }
+
+    /**
+     * Natives rise up on a freshly taken star: they take it back and the landing force has to beat them
+     * @param {Object} territory - Star the natives rise on
+     * @param {Object} player - Empire that just took the star
+     * @param {number} natives - Native garrison size
+     * @returns {number} Ships in the landing force now fighting the natives
+     */
+    startNativeUprising(territory, player, natives) {
+        const landingForce = territory.armySize;
+        const landingRoster = { ...getShipRoster(territory) };
+        this.releaseTerritory(territory, player, natives);
+        
+        // The landing force fights from orbit, like a long-range fleet
+        this.startBattle({
+            id: ++this.battleSequence,
+            attackingTerritory: {
+                id: territory.id,
+                ownerId: player.id,
+                armySize: landingForce,
+                x: territory.x,
+                y: territory.y,
+                neighbors: [territory.id]
+            },
+            defendingTerritory: territory,
+            attackingArmies: landingForce,
+            attackerRoster: landingRoster,
+            attacker: player,
+            defender: null,
+            arrivalTime: this.game.clock.now(),
+            status: 'pending',
+            natives: true
+        });
+        
+        console.log(`🗡️ NATIVES: ${natives} natives rise up on star ${territory.id} against ${landingForce} ${player.name} ships`);
+        return landingForce;
+    }
+
+    /**
+     * Detonates a star's minefield under an arriving fleet; the minefield is spent
+     * @param {Object} territory - Star the fleet is entering
+     * @param {number} ships - Arriving fleet size
+     * @param {Object|null} owner - Empire the fleet belongs to
+     * @returns {number} Ships that make it through
+     */
+    triggerMinefield(territory, ships, owner = null) {
+        if (!territory.minefield || ships <= 0) {
+            return ships;
+        }
+        
+        const lost = Math.min(ships, Math.ceil(ships * territory.minefield.damage));
+        territory.minefield = null;
+        
+        this.flashPlanet(territory, '#ff8800');
+        territory.floatingText = {
+            text: `💥 ${lost} lost`,
+            startTime: Date.now(),
+            duration: 2500,
+            startY: territory.y
+        };
+        
+        if (owner && owner === this.game.humanPlayer) {
+            this.game.addNotification?.(`💣 Mines at star ${territory.id} destroyed ${lost} of your ships`, '#ff4444', 4000);
+        }
+        
+        console.log(`💣 MINEFIELD: Star ${territory.id} destroyed ${lost}/${ships} ships${owner ? ` of ${owner.name}` : ''}`);
+        return ships - lost;
+    }
+
     /**
      * Flash a planet with the attacker's color
      * @param {Object} territory - Territory to flash
@@ -407,18 +846,13 @@ export class CombatSystem {
     }
 
     /**
-     * Calculate weapon bonus from discoveries
+     * Calculate weapon bonus from discoveries (precursor weapons raise the attack tech level)
      * @param {Object} player - Player object
-     * @returns {number} Weapon bonus (0.0 to 0.4)
+     * @returns {number} Weapon bonus (0.0 to 0.25)
      */
     calculateWeaponBonus(player) {
         let bonus = 0;
         
-        // Legacy discovery system bonus
-        if (player.discoveries && player.discoveries.weaponTech) {
-            bonus += Math.min(0.4, player.discoveries.weaponTech * 0.05);
-        }
-        
         // New tech level bonus: +5% per attack tech level
         if (player.tech && player.tech.attack > 0) {
             bonus += player.tech.attack * 0.05;
@@ -428,18 +862,13 @@ export class CombatSystem {
     }
 
     /**
-     * Calculate defense bonus from discoveries
+     * Calculate defense bonus from discoveries (precursor shields raise the defense tech level)
      * @param {Object} player - Player object
-     * @returns {number} Defense bonus (0.0 to 0.4)
+     * @returns {number} Defense bonus (0.0 to 0.25)
      */
     calculateDefenseBonus(player) {
         let bonus = 0;
         
-        // Legacy discovery system bonus
-        if (player.discoveries && player.discoveries.shieldTech) {
-            bonus += Math.min(0.4, player.discoveries.shieldTech * 0.05);
-        }
-        
         // New tech level bonus: +5% per defense tech level
         if (player.tech && player.tech.defense > 0) {
             bonus += player.tech.defense * 0.05;
@@ -448,15 +877,53 @@ export class CombatSystem {
         return bonus;
     }
 
+    /**
+     * Defender bonuses that come with the star itself rather than its owner: shield generators and nebula cover
+     * @param {Object|null} territory - Defending star
+     * @returns {Array<Object>} { label, bonus } for each that applies (shown in the combat preview)
+     */
+    getSiteModifiers(territory) {
+        const modifiers = [];
+        if (!territory) return modifiers;
+        
+        const shieldBonus = getShieldBonus(territory);
+        if (shieldBonus > 0) {
+            modifiers.push({ label: `${STARBASE_UPGRADES.shield.icon} Shield`, bonus: shieldBonus });
+        }
+        if (this.game.gameMap?.isTerritoryInNebula(territory)) {
+            modifiers.push({ label: '🌫️ Nebula cover', bonus: GAME_CONSTANTS.NEBULA_COVER_BONUS });
+        }
+        return modifiers;
+    }
+    
+    calculateSiteBonus(territory) {
+        return this.getSiteModifiers(territory).reduce((total, modifier) => total + modifier.bonus, 0);
+    }
+    
+    // Flight time factor between two points for nebulas on the way (see GameMap.getNebulaTravelMultiplier)
+    getNebulaTravelMultiplier(from, to) {
+        return this.game.gameMap && from && to ? this.game.gameMap.getNebulaTravelMultiplier(from, to) : 1;
+    }
+
+    /**
+     * Round win chance bonus of an empire fighting whoever betrayed it (see DiplomacySystem.breakTreaty)
+     * @returns {number} Grievance bonus (0 without one)
+     */
+    calculateGrievanceBonus(attacker, defender) {
+        if (!attacker || !defender || !this.game.diplomacySystem) return 0;
+        return this.game.diplomacySystem.getAttackBonus(attacker.id, defender.id);
+    }
+
     /**
      * Calculate battle odds for tooltip display
      * @param {Object} attacker - Attacking player
      * @param {Object} defender - Defending player
+     * @param {Object|null} territory - Defending star, for its shield and nebula cover
      * @returns {number} Win chance percentage (0-100)
      */
-    calculateBattleOdds(attacker, defender) {
-        const attackerBonus = this.calculateWeaponBonus(attacker);
-        const defenderBonus = defender ? this.calculateDefenseBonus(defender) : 0; // Handle neutral territories
+    calculateBattleOdds(attacker, defender, territory = null) {
+        const attackerBonus = this.calculateWeaponBonus(attacker) + this.calculateGrievanceBonus(attacker, defender);
+        const defenderBonus = (defender ? this.calculateDefenseBonus(defender) : 0) + this.calculateSiteBonus(territory); // Handle neutral territories
         
         // Base 50/50 odds adjusted by bonuses
         const attackerWinChance = Math.max(0.1, Math.min(0.9, 0.5 + attackerBonus - defenderBonus));
@@ -485,8 +952,19 @@ export class CombatSystem {
         }
 
         // Calculate win chance
-        const winChance = this.calculateBattleOdds(attacker, defender);
+        const winChance = this.calculateBattleOdds(attacker, defender, defendingTerritory);
         const attackerWinChance = winChance / 100;
+        
+        // A fleet sent to a star we are already fighting over joins that battle
+        const battle = this.getBattleAt(defendingTerritory.id);
+        const joining = battle && battle.attacker === attacker ? battle : null;
+        const startingAttackers = attackingArmies + (joining ? joining.attackersRemaining : 0);
+        const startingDefenders = joining ? joining.defendersRemaining : defendingTerritory.armySize;
+        
+        // Fleet and garrison by class, as they would meet
+        const attackerRoster = settleRoster(shareOfRoster(getShipRoster(attackingTerritory), attackingArmies), attackingArmies);
+        if (joining) mergeRoster(attackerRoster, settleRoster(joining.attackerRoster, joining.attackersRemaining));
+        const defenderRoster = settleRoster({ ...getShipRoster(defendingTerritory) }, startingDefenders);
 
         // Simulate battle outcome multiple times to get average casualties
         const simulations = 100;
@@ -495,19 +973,25 @@ export class CombatSystem {
         let victories = 0;
 
         for (let i = 0; i < simulations; i++) {
-            let attackersRemaining = attackingArmies;
-            let defendersRemaining = defendingTerritory.armySize;
+            let attackersRemaining = startingAttackers;
+            let defendersRemaining = startingDefenders;
             let attackerLosses = 0;
             let defenderLosses = 0;
 
+            const attackers = { roster: { ...attackerRoster }, wounds: {} };
+            const defenders = { roster: { ...defenderRoster }, wounds: {} };
+
             // Simulate battle rounds
             while (attackersRemaining > 0 && defendersRemaining > 0) {
-                if (Math.random() < attackerWinChance) {
-                    // Attacker wins round
+                const round = this.fightRound(attackerWinChance, attackers, defenders, Math.random);
+                if (!round.destroyed) continue;
+                
+                if (round.attackerWins) {
+                    // Attacker destroys a defender
                     defendersRemaining--;
                     defenderLosses++;
                 } else {
-                    // Defender wins round
+                    // Defender destroys an attacker
                     attackersRemaining--;
                     attackerLosses++;
                 }
@@ -542,7 +1026,13 @@ export class CombatSystem {
             attackerLosses: avgAttackerLosses,
             defenderLosses: avgDefenderLosses,
             attackingArmies: attackingArmies,
-            defendingArmies: defendingTerritory.armySize
+            defendingArmies: startingDefenders,
+            modifiers: this.getSiteModifiers(defendingTerritory), // Shield and nebula cover at the target
+            battle: battle ? {
+                attackerId: battle.attacker.id,
+                attackersRemaining: battle.attackersRemaining,
+                defendersRemaining: battle.defendersRemaining
+            } : null // Live counts of a battle already under way at the target
         };
     }
 
@@ -554,6 +1044,8 @@ export class CombatSystem {
         // Must have an attacker and not target own territory
         if (attackingTerritory.ownerId === null) return false;
         if (attackingTerritory.ownerId === defendingTerritory.ownerId) return false;
+        // Pacts and alliances forbid attacks until they run out or are broken
+        if (this.game.diplomacySystem?.isAtPeace(attackingTerritory.ownerId, defendingTerritory.ownerId)) return false;
         // (Removed adjacency requirement to allow long-range attacks)
         return true;
     }
@@ -572,7 +1064,7 @@ export class CombatSystem {
             attackBonus += attackerDiscoveries.precursorWeapons * 0.1; // +10% per level
         }
         
-        let attackPower = attackingArmies * (0.8 + Math.random() * 0.4) * attackBonus;
+        let attackPower = attackingArmies * (0.8 + this.game.rng.next() * 0.4) * attackBonus;
         
         // Calculate defense power with bonuses
         let defenseBonus = 1.0;
@@ -580,11 +1072,11 @@ export class CombatSystem {
             defenseBonus += defenderDiscoveries.precursorShield * 0.1; // +10% per level
         }
         
-        let defensePower = defendingArmies * (1.0 + Math.random() * 0.2) * defenseBonus;
+        let defensePower = defendingArmies * (1.0 + this.game.rng.next() * 0.2) * defenseBonus;
         
         // Calculate casualties
-        const attackerLosses = Math.floor(attackingArmies * (0.2 + Math.random() * 0.3));
-        const defenderLosses = Math.floor(defendingArmies * (0.3 + Math.random() * 0.4));
+        const attackerLosses = Math.floor(attackingArmies * (0.2 + this.game.rng.next() * 0.3));
+        const defenderLosses = Math.floor(defendingArmies * (0.3 + this.game.rng.next() * 0.4));
         
         return {
             attackPower,
@@ -595,7 +1087,7 @@ export class CombatSystem {
     }
 
     /**
-     * Handles throne star capture mechanics
+     * Handles throne star capture mechanics (Classic rules, or the last capital falling - see ThroneSystem)
      * @param {Object} attacker - Player who captured the throne
      * @param {Object} oldOwner - Player who lost the throne
      * @param {Object} throneTerritory - The throne star territory
@@ -604,6 +1096,11 @@ export class CombatSystem {
     handleThroneStarCapture(attacker, oldOwner, throneTerritory) {
         console.log(`🏆 THRONE STAR CAPTURED! ${attacker.name} captures throne from ${oldOwner.name}`);
         
+        // Exile and Capitals rules let the empire survive while it still has somewhere to rule from
+        if (this.game.throneSystem && this.game.throneSystem.handleThroneLoss(attacker, oldOwner, throneTerritory)) {
+            return false;
+        }
+        
         // Transfer all territories from old owner to attacker
         const transferredTerritories = [];
         
@@ -651,7 +1148,7 @@ export class CombatSystem {
         if (oldOwner.type === 'human') {
             console.log(`Human player ${oldOwner.name} eliminated! Game ending...`);
             // Set the attacker as winner when human player's throne is captured
-            this.game.endGame(attacker);
+            this.game.endGame(attacker, `Captured ${oldOwner.name}'s throne`);
             return true; // Game should end
         }
         
@@ -697,19 +1194,122 @@ export class CombatSystem {
         const maxAvailable = fromTerritory.armySize - 1;
         actualTransfer = Math.min(actualTransfer, maxAvailable);
         
-        // Execute transfer
-        fromTerritory.armySize -= actualTransfer;
-        toTerritory.armySize += actualTransfer;
+        // Execute transfer - the ships keep their classes
+        const roster = takeShips(fromTerritory, actualTransfer);
+        const arriving = this.triggerMinefield(toTerritory, actualTransfer, this.game.players[fromTerritory.ownerId]);
+        addShips(toTerritory, shareOfRoster(roster, arriving));
         
-        // Add visual feedback using territory floating text system
-        toTerritory.floatingText = {
-            text: `+${actualTransfer}`,
-            startTime: Date.now(),
-            duration: 2000,
-            startY: toTerritory.y
-        };
+        // Add visual feedback using territory floating text system (mine damage shows its own)
+        if (arriving === actualTransfer) {
+            toTerritory.floatingText = {
+                text: `+${actualTransfer}`,
+                startTime: Date.now(),
+                duration: 2000,
+                startY: toTerritory.y
+            };
+        }
         
         console.log(`Transferred ${actualTransfer} armies from territory ${fromTerritory.id} to ${toTerritory.id}`);
         return true;
     }
+    
+    /**
+     * Snapshot in-flight battles for save games
+     * Territory and player references are stored as IDs, timestamps as offsets from now
+     * @returns {Object} Serializable battle state
+     */
+    serialize() {
+        const now = this.game.clock.now();
+        const serializeBattle = (battle) => {
+            const source = battle.attackingTerritory;
+            // Long-range attacks fight from a temporary source object that is not on the map
+            const isMapTerritory = this.game.gameMap.territories[source.id] === source;
+            
+            return {
+                id: battle.id,
+                attackingTerritoryId: source.id,
+                tempAttackingTerritory: isMapTerritory ? null : {
+                    id: source.id,
+                    ownerId: source.ownerId,
+                    armySize: source.armySize,
+                    x: source.x,
+                    y: source.y,
+                    neighbors: [...(source.neighbors || [])]
+                },
+                defendingTerritoryId: battle.defendingTerritory.id,
+                attackingArmies: battle.attackingArmies,
+                attackerRoster: battle.attackerRoster ? { ...battle.attackerRoster } : null,
+                attackerWounds: battle.attackerWounds ? { ...battle.attackerWounds } : null,
+                defenderWounds: battle.defenderWounds ? { ...battle.defenderWounds } : null,
+                attackerId: battle.attacker.id,
+                defenderId: battle.defender ? battle.defender.id : null,
+                arrivalIn: battle.arrivalTime - now,
+                status: battle.status,
+                attackerWinChance: battle.attackerWinChance,
+                attackersRemaining: battle.attackersRemaining,
+                defendersRemaining: battle.defendersRemaining,
+                lastBattleAge: battle.lastBattleTime !== undefined ? now - battle.lastBattleTime : null,
+                natives: !!battle.natives,
+                stance: battle.stance,
+                stats: battle.stats ? { ...battle.stats } : null
+            };
+        };
+        
+        return {
+            pendingBattles: this.pendingBattles.map(serializeBattle),
+            activeBattles: this.activeBattles.map(serializeBattle),
+            retreatingFleets: this.retreatingFleets.map(({ arrivalTime, ...fleet }) => ({ ...fleet, arrivalIn: arrivalTime - now }))
+        };
+    }
+    
+    /**
+     * Rebuild battles from a save game snapshot (see serialize); the battle report log starts over
+     * @param {Object} data - Serialized battle state
+     */
+    restore(data) {
+        const now = this.game.clock.now();
+        const territories = this.game.gameMap.territories;
+        const restoreBattle = (saved) => {
+            const attackingTerritory = saved.tempAttackingTerritory
+                ? { ...saved.tempAttackingTerritory }
+                : territories[saved.attackingTerritoryId];
+            const defendingTerritory = territories[saved.defendingTerritoryId];
+            const attacker = this.game.players[saved.attackerId];
+            if (!attackingTerritory || !defendingTerritory || !attacker) return null;
+            
+            const battle = {
+                id: saved.id,
+                attackingTerritory,
+                defendingTerritory,
+                attackingArmies: saved.attackingArmies,
+                attackerRoster: settleRoster(saved.attackerRoster ? { ...saved.attackerRoster } : null, saved.attackersRemaining ?? saved.attackingArmies),
+                attacker,
+                defender: saved.defenderId !== null ? this.game.players[saved.defenderId] || null : null,
+                arrivalTime: now + saved.arrivalIn,
+                status: saved.status,
+                natives: !!saved.natives,
+                stance: FLEET_STANCES[saved.stance] ? saved.stance : DEFAULT_FLEET_STANCE
+            };
+            if (saved.status === 'active') {
+                battle.attackerWinChance = saved.attackerWinChance;
+                battle.attackersRemaining = saved.attackersRemaining;
+                battle.defendersRemaining = saved.defendersRemaining;
+                battle.lastBattleTime = now - (saved.lastBattleAge || 0);
+                battle.attackerWounds = { ...saved.attackerWounds };
+                battle.defenderWounds = { ...saved.defenderWounds };
+                battle.stats = { ...saved.stats };
+            }
+            return battle;
+        };
+        
+        this.pendingBattles = (data?.pendingBattles || []).map(restoreBattle).filter(Boolean);
+        this.activeBattles = (data?.activeBattles || []).map(restoreBattle).filter(Boolean);
+        // New battles are numbered after the restored ones (older saves hold timestamp ids)
+        this.battleSequence = [...this.pendingBattles, ...this.activeBattles]
+            .reduce((highest, battle) => Math.max(highest, Math.floor(battle.id) || 0), 0);
+        this.retreatingFleets = (data?.retreatingFleets || []).map(({ arrivalIn, ...fleet }) => ({ ...fleet, arrivalTime: now + arrivalIn }));
+        this.battleReports = [];
+        this.reportSequence = 0;
+        this.battleOutcomes = { captured: 0, defended: 0, retreated: 0 };
+    }
 }
\ No newline at end of file
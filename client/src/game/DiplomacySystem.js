@@ -0,0 +1,303 @@
+import { GAME_CONSTANTS } from '../../../common/gameConstants';
+import { REPLAY_COMMANDS } from './ReplaySystem';
+
+// Treaty types: a pact only forbids attacks, an alliance also opens each other's lanes and shares victory
+export const TREATY_TYPES = {
+    PACT: 'pact',
+    ALLIANCE: 'alliance'
+};
+
+const TREATY_LABELS = {
+    [TREATY_TYPES.PACT]: 'non-aggression pact',
+    [TREATY_TYPES.ALLIANCE]: 'alliance'
+};
+
+export const TREATY_NAMES = {
+    [TREATY_TYPES.PACT]: 'Non-aggression pact',
+    [TREATY_TYPES.ALLIANCE]: 'Alliance'
+};
+
+export const TREATY_ICONS = {
+    [TREATY_TYPES.PACT]: '🕊️',
+    [TREATY_TYPES.ALLIANCE]: '🤝'
+};
+
+/**
+ * DiplomacySystem - Non-aggression pacts and alliances between empires, human and AI alike
+ * Treaties are proposed, accepted or declined, and run out after a fixed simulated time.
+ * Breaking one early marks the breaker as an oathbreaker: AI empires shun them and the
+ * betrayed empire fights them with an attack bonus until the penalty runs out.
+ * CombatSystem.validateAttack refuses attacks between treaty partners, PathfindingService
+ * routes through allied stars, and allies share the win (StarThrone.checkWinConditions).
+ */
+export class DiplomacySystem {
+    constructor(game) {
+        this.game = game;
+        this.reset();
+    }
+
+    reset() {
+        this.treaties = new Map(); // "lowId-highId" -> { type, playerIds, signedAt, expiresAt }
+        this.proposals = []; // { fromId, toId, type, expiresAt }
+        this.oathbreakers = new Map(); // playerId -> simulation time the betrayal penalty ends
+        this.grievances = new Map(); // "victimId-betrayerId" -> simulation time the attack bonus ends
+        this.stats = { signed: 0, broken: 0 };
+    }
+
+    pairKey(aId, bId) {
+        return aId < bId ? `${aId}-${bId}` : `${bId}-${aId}`;
+    }
+
+    getTreaty(aId, bId) {
+        if (aId === null || bId === null || aId === undefined || bId === undefined || aId === bId) return null;
+        return this.treaties.get(this.pairKey(aId, bId)) || null;
+    }
+
+    // Any treaty forbids attacks between the two empires
+    isAtPeace(aId, bId) {
+        return this.getTreaty(aId, bId) !== null;
+    }
+
+    areAllied(aId, bId) {
+        return this.getTreaty(aId, bId)?.type === TREATY_TYPES.ALLIANCE;
+    }
+
+    // Fleets may travel through their own and allied stars
+    canPass(playerId, ownerId) {
+        return ownerId === playerId || this.areAllied(playerId, ownerId);
+    }
+
+    getTreatiesOf(playerId) {
+        return [...this.treaties.values()].filter(treaty => treaty.playerIds.includes(playerId));
+    }
+
+    getAllies(playerId) {
+        return this.getTreatiesOf(playerId)
+            .filter(treaty => treaty.type === TREATY_TYPES.ALLIANCE)
+            .map(treaty => treaty.playerIds.find(id => id !== playerId));
+    }
+
+    isOathbreaker(playerId) {
+        return (this.oathbreakers.get(playerId) || 0) > this.game.clock.now();
+    }
+
+    // Attack bonus of a betrayed empire against the empire that betrayed it
+    getAttackBonus(attackerId, defenderId) {
+        const until = this.grievances.get(`${attackerId}-${defenderId}`) || 0;
+        return until > this.game.clock.now() ? GAME_CONSTANTS.BETRAYAL_ATTACK_BONUS : 0;
+    }
+
+    getPendingProposalsFor(playerId) {
+        return this.proposals.filter(proposal => proposal.toId === playerId);
+    }
+
+    canPropose(from, to, type) {
+        if (!from || !to || from === to || from.isEliminated || to.isEliminated) return false;
+        if (this.isOathbreaker(from.id) && to.type === 'ai') return false;
+
+        const treaty = this.getTreaty(from.id, to.id);
+        if (treaty && (treaty.type === type || treaty.type === TREATY_TYPES.ALLIANCE)) return false;
+
+        return !this.proposals.some(p => p.fromId === from.id && p.toId === to.id);
+    }
+
+    /**
+     * Offer a treaty; AI empires answer on the next diplomacy update, humans with the accept / decline keys
+     * @returns {boolean} Whether the proposal was sent
+     */
+    propose(from, to, type) {
+        if (!this.canPropose(from, to, type)) return false;
+        if (!this.game.recordCommand(REPLAY_COMMANDS.DIPLOMACY_PROPOSE, { playerId: from.id, targetId: to.id, treaty: type })) return false;
+
+        this.proposals.push({
+            fromId: from.id,
+            toId: to.id,
+            type,
+            expiresAt: this.game.clock.now() + GAME_CONSTANTS.DIPLOMACY_PROPOSAL_TIMEOUT_MS
+        });
+
+        console.log(`📜 DIPLOMACY: ${from.name} proposes a ${TREATY_LABELS[type]} to ${to.name}`);
+        this.notify(to, `${TREATY_ICONS[type]} ${from.name} proposes a ${TREATY_LABELS[type]} - Y to accept, X to decline`, '#ffd700');
+        this.notify(from, `${TREATY_ICONS[type]} ${TREATY_NAMES[type]} proposed to ${to.name}`, '#aaaaaa');
+        return true;
+    }
+
+    /**
+     * Answer a pending proposal
+     * @param {Object} responder - Player the proposal was made to
+     * @param {Object} proposer - Player who made it
+     * @param {string} type - Treaty type of the proposal
+     * @param {boolean} accept - Sign the treaty or turn it down
+     * @returns {boolean} Whether a matching proposal was answered
+     */
+    respond(responder, proposer, type, accept) {
+        const index = this.proposals.findIndex(p => p.fromId === proposer.id && p.toId === responder.id && p.type === type);
+        if (index === -1) return false;
+        if (!this.game.recordCommand(REPLAY_COMMANDS.DIPLOMACY_RESPOND, {
+            playerId: responder.id, targetId: proposer.id, treaty: type, accept
+        })) return false;
+
+        this.proposals.splice(index, 1);
+
+        if (accept && !proposer.isEliminated && !responder.isEliminated) {
+            this.sign(proposer, responder, type);
+        } else {
+            console.log(`📜 DIPLOMACY: ${responder.name} declines ${proposer.name}'s ${TREATY_LABELS[type]}`);
+            this.notify(proposer, `❌ ${responder.name} declined your ${TREATY_LABELS[type]}`, '#ff8844');
+        }
+        return true;
+    }
+
+    sign(a, b, type) {
+        const now = this.game.clock.now();
+        const duration = type === TREATY_TYPES.ALLIANCE ? GAME_CONSTANTS.ALLIANCE_DURATION_MS : GAME_CONSTANTS.PACT_DURATION_MS;
+
+        this.treaties.set(this.pairKey(a.id, b.id), {
+            type,
+            playerIds: [a.id, b.id],
+            signedAt: now,
+            expiresAt: now + duration
+        });
+        this.stats.signed++;
+
+        // Signing settles whatever the two had pending with each other
+        this.proposals = this.proposals.filter(p => !(p.fromId === a.id && p.toId === b.id) && !(p.fromId === b.id && p.toId === a.id));
+
+        console.log(`📜 DIPLOMACY: ${a.name} and ${b.name} sign a ${TREATY_LABELS[type]}`);
+        const message = `${TREATY_ICONS[type]} ${TREATY_NAMES[type]} signed`;
+        this.notify(a, `${message} with ${b.name} (${Math.round(duration / 1000)}s)`, '#44ff44');
+        this.notify(b, `${message} with ${a.name} (${Math.round(duration / 1000)}s)`, '#44ff44');
+    }
+
+    /**
+     * Tear up a treaty before it runs out - the breaker pays the betrayal penalty
+     * @returns {boolean} Whether a treaty was broken
+     */
+    breakTreaty(player, other) {
+        const treaty = this.getTreaty(player.id, other.id);
+        if (!treaty) return false;
+        if (!this.game.recordCommand(REPLAY_COMMANDS.DIPLOMACY_BREAK, { playerId: player.id, targetId: other.id })) return false;
+
+        const until = this.game.clock.now() + GAME_CONSTANTS.BETRAYAL_PENALTY_MS;
+        this.treaties.delete(this.pairKey(player.id, other.id));
+        this.oathbreakers.set(player.id, until);
+        this.grievances.set(`${other.id}-${player.id}`, until);
+        this.stats.broken++;
+
+        console.log(`🗡️ BETRAYAL: ${player.name} breaks their ${TREATY_LABELS[treaty.type]} with ${other.name}`);
+        this.notify(player, `🗡️ You broke your ${TREATY_LABELS[treaty.type]} with ${other.name} - other empires will not trust you for a while`, '#ff8844');
+        this.notify(other, `🗡️ ${player.name} betrayed your ${TREATY_LABELS[treaty.type]}! +${Math.round(GAME_CONSTANTS.BETRAYAL_ATTACK_BONUS * 100)}% battle odds against them`, '#ff4444');
+        return true;
+    }
+
+    /**
+     * Diplomacy keys for the human: propose to, or break with, the owner of the selected star,
+     * or answer the oldest proposal
+     * @param {string} action - 'pact', 'alliance', 'break', 'accept' or 'decline'
+     * @param {Object|null} territory - Selected star
+     */
+    handleHumanAction(action, territory) {
+        const human = this.game.humanPlayer;
+        if (!human || human.isEliminated) return;
+
+        if (action === 'accept' || action === 'decline') {
+            const proposal = this.getPendingProposalsFor(human.id)[0];
+            if (!proposal) {
+                this.game.showMessage('No treaty proposals waiting', 2000);
+            } else {
+                this.respond(human, this.game.players[proposal.fromId], proposal.type, action === 'accept');
+            }
+            return;
+        }
+
+        const other = territory && territory.ownerId !== null ? this.game.players[territory.ownerId] : null;
+        if (!other || other === human) {
+            this.game.showMessage('Select a star of another empire first', 2000);
+        } else if (action === 'break') {
+            if (!this.breakTreaty(human, other)) {
+                this.game.showMessage(`You have no treaty with ${other.name}`, 2000);
+            }
+        } else if (this.getTreaty(human.id, other.id)?.type === TREATY_TYPES.ALLIANCE) {
+            this.game.showMessage(`You are already allied with ${other.name}`, 2000);
+        } else if (!this.propose(human, other, action)) {
+            this.game.showMessage(this.isOathbreaker(human.id)
+                ? 'No one trusts an oathbreaker - wait for the betrayal to be forgotten'
+                : `A ${TREATY_LABELS[action]} with ${other.name} is already in place or pending`, 2000);
+        }
+    }
+
+    // Lapse old proposals and treaties, then let AI empires answer and make their own moves
+    update() {
+        if (this.game.tick % 60 !== 0) return;
+
+        const now = this.game.clock.now();
+        const players = this.game.players;
+
+        this.proposals = this.proposals.filter(proposal => {
+            if (proposal.expiresAt > now && !players[proposal.fromId]?.isEliminated && !players[proposal.toId]?.isEliminated) return true;
+            this.notify(players[proposal.fromId], `⌛ ${players[proposal.toId]?.name} never answered your ${TREATY_LABELS[proposal.type]}`, '#aaaaaa');
+            return false;
+        });
+
+        for (const [key, treaty] of this.treaties) {
+            const [a, b] = treaty.playerIds.map(id => players[id]);
+            if (!a || !b || a.isEliminated || b.isEliminated) {
+                this.treaties.delete(key);
+            } else if (treaty.expiresAt <= now) {
+                this.treaties.delete(key);
+                console.log(`📜 DIPLOMACY: ${TREATY_LABELS[treaty.type]} between ${a.name} and ${b.name} has run out`);
+                this.notify(a, `⌛ Your ${TREATY_LABELS[treaty.type]} with ${b.name} has run out`, '#ffaa00');
+                this.notify(b, `⌛ Your ${TREATY_LABELS[treaty.type]} with ${a.name} has run out`, '#ffaa00');
+            }
+        }
+
+        // Replays feed AI diplomacy from the command log
+        if (this.game.replayPlayer) return;
+
+        for (const proposal of [...this.proposals]) {
+            const responder = players[proposal.toId];
+            if (!responder || responder.type !== 'ai') continue;
+            responder.initializeAIStrategist(this.game.gameMap);
+            const accept = responder.strategist.evaluateTreatyOffer(players[proposal.fromId], proposal.type);
+            this.respond(responder, players[proposal.fromId], proposal.type, accept);
+        }
+
+        if (this.game.tick % 300 === 0) {
+            players.forEach(player => {
+                if (player.type !== 'ai' || player.isEliminated) return;
+                player.initializeAIStrategist(this.game.gameMap);
+                player.strategist.considerDiplomacy();
+            });
+        }
+    }
+
+    serialize() {
+        return {
+            treaties: [...this.treaties.values()].map(treaty => ({ ...treaty, playerIds: [...treaty.playerIds] })),
+            proposals: this.proposals.map(proposal => ({ ...proposal })),
+            oathbreakers: [...this.oathbreakers],
+            grievances: [...this.grievances],
+            stats: { ...this.stats }
+        };
+    }
+
+    // Null (a replay restart) starts with every empire at war
+    restore(data) {
+        this.reset();
+        if (!data) return;
+
+        data.treaties.forEach(treaty => {
+            this.treaties.set(this.pairKey(treaty.playerIds[0], treaty.playerIds[1]), { ...treaty, playerIds: [...treaty.playerIds] });
+        });
+        this.proposals = data.proposals.map(proposal => ({ ...proposal }));
+        this.oathbreakers = new Map(data.oathbreakers);
+        this.grievances = new Map(data.grievances);
+        this.stats = { ...this.stats, ...data.stats };
+    }
+
+    notify(player, message, color) {
+        if (player && player === this.game.humanPlayer && this.game.addNotification) {
+            this.game.addNotification(message, color, 5000);
+        }
+    }
+}
@@ -1,21 +1,17 @@
-import { GameUtils } from './utils';
 import { GAME_CONSTANTS } from '../../../common/gameConstants';
+import { buildDiscoveryCatalog, validateDiscoveryPack } from '../lib/discoveryCatalog';
+import { formatIntelAge } from './FogOfWarSystem';
 
+/**
+ * DiscoverySystem - Rolls and applies discoveries when a neutral star is conquered
+ * The discovery table is data (lib/discoveryCatalog.ts) plus any packs listed in
+ * game.config.discoveryPacks; each entry's effect primitives are applied here.
+ */
 export class DiscoverySystem {
     constructor(game) {
         this.game = game;
-        this.discoveries = {
-            precursorWeapons: 0,
-            precursorDrive: 0,
-            precursorShield: 0,
-            precursorNanotechnology: 0,
-            factoryPlanets: [],
-            richMinerals: 0,
-            voidStorms: 0,
-            ancientRuins: 0,
-            hostileAliens: 0,
-            friendlyAliens: 0
-        };
+        this.catalog = [];
+        this.loadCatalog(game.config.discoveryPacks);
         
         // Floating discovery announcements
         this.floatingDiscoveries = [];
@@ -27,89 +23,34 @@ export class DiscoverySystem {
         this.topDiscoveryAnnouncements = [];
     }
 
-    // Define discovery types and their probabilities
-    getDiscoveryTypes() {
-        return [
-
-            {
-                id: 'standard_planet',
-                name: 'Standard Planet',
-                description: 'A typical world with no special features.',
-                probability: 0.25,
-                type: 'neutral',
-                color: '#888888',
-                icon: '🌍'
-            },
-            {
-                id: 'rich_minerals',
-                name: 'Rich Mineral Deposits',
-                description: 'Valuable resources boost this planet\'s output!',
-                probability: 0.15,
-                type: 'positive',
-                color: '#ffaa00',
-                icon: '💎'
-            },
-            {
-                id: 'precursor_weapons',
-                name: 'Precursor Weapons',
-                description: 'Ancient weapon systems enhance your combat effectiveness!',
-                probability: 0.10,
-                type: 'empire_bonus',
-                color: '#ff6666',
-                icon: '⚔️'
-            },
-            {
-                id: 'precursor_drive',
-                name: 'Precursor Drive System',
-                description: 'Advanced propulsion technology found!',
-                probability: 0.10,
-                type: 'empire_bonus',
-                color: '#66ccff',
-                icon: '🚀'
-            },
-            {
-                id: 'precursor_shield',
-                name: 'Precursor Shield Matrix',
-                description: 'Defensive technology strengthens your empire!',
-                probability: 0.10,
-                type: 'empire_bonus',
-                color: '#66ff66',
-                icon: '🛡️'
-            },
-            {
-                id: 'precursor_nanotech',
-                name: 'Precursor Nanotechnology',
-                description: 'Self-replicating technology spreads across your empire!',
-                probability: 0.08,
-                type: 'empire_bonus',
-                color: '#cc66ff',
-                icon: '🔬'
-            },
-            {
-                id: 'factory_complex',
-                name: 'Precursor Factory Complex',
-                description: 'Ancient manufacturing facilities boost production!',
-                probability: 0.05,
-                type: 'planet_bonus',
-                color: '#ffcc00',
-                icon: '🏭'
-            },
-            {
-                id: 'friendly_aliens',
-                name: 'Friendly Aliens',
-                description: 'Friendly aliens join your empire!',
-                probability: 0.02,
-                type: 'positive',
-                color: '#00ff88',
-                icon: '👾'
+    /**
+     * Rebuild the discovery table from the base catalog plus extra packs
+     * Packs arrive through saves and replays too, so they are re-validated; a bad pack is skipped
+     * @param {Array} packs - Discovery packs in load order
+     */
+    loadCatalog(packs = []) {
+        const validPacks = [];
+        (packs || []).forEach(pack => {
+            try {
+                validPacks.push(validateDiscoveryPack(pack));
+            } catch (error) {
+                console.warn(`⚠️ Skipping discovery pack ${pack?.name || pack?.id}: ${error.message}`);
             }
-        ];
+        });
+        this.catalog = buildDiscoveryCatalog(validPacks);
+    }
+
+    // Discovery types and their probabilities
+    getDiscoveryTypes() {
+        return this.catalog;
     }
 
     // Process discovery when conquering neutral territory
     processDiscovery(territory, player) {
         const discoveryTypes = this.getDiscoveryTypes();
-        const random = Math.random();
+        // Packs can push the total past 1, in which case every chance is scaled down evenly
+        const totalProbability = discoveryTypes.reduce((sum, discovery) => sum + discovery.probability, 0);
+        const random = this.game.rng.next() * Math.max(1, totalProbability);
         let cumulativeProbability = 0;
         
         for (const discovery of discoveryTypes) {
@@ -124,100 +65,125 @@ export class DiscoverySystem {
         return this.applyDiscovery(standardPlanet, territory, player);
     }
 
-    // Apply discovery effects and track for player
+    // Apply discovery effects and record them in the finder's discovery ledger
     applyDiscovery(discovery, territory, player) {
-        // Only track discoveries for human player in UI
-        const isHumanPlayer = player.type === 'human';
+        const ledger = this.getPlayerDiscoveries(player.id);
+        if (ledger) {
+            ledger.finds[discovery.id] = (ledger.finds[discovery.id] || 0) + 1;
+        }
         
-        // Apply discovery effects
-        switch (discovery.id) {
-            case 'precursor_weapons':
-                // Apply effect to all players
-                if (isHumanPlayer) {
-                    this.discoveries.precursorWeapons++;
-                    this.addFloatingDiscovery(territory, discovery);
-                    this.addRecentDiscovery(discovery);
-                    this.addTopDiscoveryAnnouncement(discovery);
+        const outcomes = discovery.effects
+            .map(effect => this.applyEffect(effect, territory, player, ledger))
+            .filter(Boolean);
+        
+        // Every empire banks its finds; only the human's are announced
+        if (player.type === 'human') {
+            this.addFloatingDiscovery(territory, discovery);
+            this.addRecentDiscovery(discovery, outcomes.join(' '));
+            // Hazards get the fuller probe announcement panel instead of the top bar
+            if (discovery.category !== 'negative') {
+                this.addTopDiscoveryAnnouncement(discovery);
+            }
+        }
+        return discovery; // Return the discovery object
+    }
+
+    /**
+     * Apply one effect primitive from the catalog
+     * @param {Object} effect - Effect primitive ({ type, ...params })
+     * @param {Object} territory - Star the discovery was made on
+     * @param {Object} player - Empire that made the discovery
+     * @param {Object|null} ledger - That empire's discovery ledger
+     * @returns {string|undefined} What happened, for hazard announcements
+     */
+    applyEffect(effect, territory, player, ledger) {
+        switch (effect.type) {
+            case 'generation_multiplier':
+                if (effect.durationMs) {
+                    territory.timedGeneration = {
+                        multiplier: effect.multiplier,
+                        expiresAt: this.game.clock.now() + effect.durationMs
+                    };
+                    return `Output x${effect.multiplier} for ${formatIntelAge(effect.durationMs)}.`;
+                }
+                // From the base rate, so a star found again after falling neutral doesn't compound
+                territory.armyGenerationRate = GAME_CONSTANTS.STAR_GENERATION_INTERVAL / effect.multiplier;
+                if (effect.marker === 'factory') {
+                    territory.hasFactory = true;
+                    ledger?.factoryPlanets.add(territory.id);
                 }
                 break;
                 
-            case 'precursor_drive':
-                if (isHumanPlayer) {
-                    this.discoveries.precursorDrive++;
-                    this.addFloatingDiscovery(territory, discovery);
-                    this.addRecentDiscovery(discovery);
-                    this.addTopDiscoveryAnnouncement(discovery);
-                }
+            case 'instant_ships':
+                territory.armySize = Math.max(1, territory.armySize + effect.amount);
                 break;
                 
-            case 'precursor_shield':
-                if (isHumanPlayer) {
-                    this.discoveries.precursorShield++;
-                    this.addFloatingDiscovery(territory, discovery);
-                    this.addRecentDiscovery(discovery);
-                    this.addTopDiscoveryAnnouncement(discovery);
+            case 'native_uprising': {
+                const landingForce = this.game.combatSystem.startNativeUprising(territory, player, effect.ships);
+                return `${effect.ships} natives retook the star - ${landingForce} ships are fighting to win it back.`;
+            }
+                
+            case 'colony_lost': {
+                const lost = territory.armySize;
+                this.game.combatSystem.releaseTerritory(territory, player, 1);
+                territory.floatingText = {
+                    text: `☀️ ${lost} lost`,
+                    startTime: Date.now(),
+                    duration: 2500,
+                    startY: territory.y
+                };
+                return `${lost} ships lost - the star is neutral again.`;
+            }
+                
+            case 'minefield':
+                territory.minefield = { damage: effect.damage };
+                return `The next fleet to arrive loses ${Math.round(effect.damage * 100)}% of its ships.`;
+                
+            case 'combat_modifier':
+                if (ledger) {
+                    ledger.precursorWeapons += effect.attack || 0;
+                    ledger.precursorShield += effect.defense || 0;
                 }
+                this.raiseTech(player, 'attack', effect.attack || 0);
+                this.raiseTech(player, 'defense', effect.defense || 0);
                 break;
                 
-            case 'precursor_nanotech':
-                if (isHumanPlayer) {
-                    this.discoveries.precursorNanotechnology++;
-                    this.addFloatingDiscovery(territory, discovery);
-                    this.addRecentDiscovery(discovery);
-                    this.addTopDiscoveryAnnouncement(discovery);
-                }
+            case 'speed_modifier':
+                if (ledger) ledger.precursorDrive += effect.levels;
+                this.raiseTech(player, 'engines', effect.levels);
                 break;
                 
-            case 'factory_complex':
-                territory.armyGenerationRate = GAME_CONSTANTS.ARMY_GENERATION_INTERVAL * 0.5; // 200% generation rate
-                territory.hasFactory = true;
-                if (isHumanPlayer) {
-                    this.discoveries.factoryPlanets.push(territory.id);
-                    this.addFloatingDiscovery(territory, discovery);
-                    this.addRecentDiscovery(discovery);
-                    this.addTopDiscoveryAnnouncement(discovery);
-                }
+            case 'production_modifier':
+                if (ledger) ledger.precursorNanotech += effect.levels;
+                this.raiseTech(player, 'production', effect.levels);
                 break;
                 
-            case 'rich_minerals':
-                territory.armyGenerationRate = GAME_CONSTANTS.ARMY_GENERATION_INTERVAL * 0.67; // 150% generation rate
-                if (isHumanPlayer) {
-                    this.discoveries.richMinerals++;
-                    this.addFloatingDiscovery(territory, discovery);
-                    this.addRecentDiscovery(discovery);
-                    this.addTopDiscoveryAnnouncement(discovery);
-                }
+            case 'tech_level':
+                this.raiseTech(player, effect.track, effect.levels);
                 break;
                 
-            case 'friendly_aliens':
-                territory.armySize += 50; // Instant fleet bonus
-                if (isHumanPlayer) {
-                    this.discoveries.friendlyAliens++;
-                    this.addFloatingDiscovery(territory, discovery);
-                    this.addRecentDiscovery(discovery);
-                    this.addTopDiscoveryAnnouncement(discovery);
+            case 'reveal_radius':
+                // Only the human player is limited by fog; AI empires already see the whole map
+                if (player === this.game.humanPlayer) {
+                    this.game.fogOfWar?.revealArea(territory.x, territory.y, effect.radius);
                 }
                 break;
                 
-            case 'standard_planet':
-                if (isHumanPlayer) {
-                    this.addFloatingDiscovery(territory, discovery);
-                    this.addRecentDiscovery(discovery);
-                    this.addTopDiscoveryAnnouncement(discovery);
+            case 'event':
+                if (player === this.game.humanPlayer) {
+                    this.game.addNotification?.(effect.message, '#44ffff', 5000);
                 }
                 break;
+                
+            default:
+                console.warn(`⚠️ Unknown discovery effect: ${effect.type}`);
         }
-        
-        // For human player, also update the global discovery stats for UI display
-        if (isHumanPlayer) {
-            // Map internal discovery ID to the key used in playerDiscoveries map
-            let discoveryType = discovery.id;
-            if (discoveryType === 'factory_complex') discoveryType = 'precursor_factory'; 
-            if (discoveryType === 'rich_minerals')   discoveryType = 'mineral_deposits';
-            // Increment the corresponding value in the player's discovery record
-            GameUtils.processDiscovery(discoveryType, player.id, territory.id, this.game.playerDiscoveries, this.game);
-        }
-        return discovery; // Return the discovery object
+    }
+
+    // Tech tracks cap at level 5
+    raiseTech(player, track, levels) {
+        if (!levels || !player.tech) return;
+        player.tech[track] = Math.min(5, (player.tech[track] || 0) + levels);
     }
 
     // Add floating discovery announcement above territory
@@ -225,7 +191,7 @@ export class DiscoverySystem {
         this.floatingDiscoveries.push({
             x: territory.x,
             y: territory.y - 40,
-            text: discovery.name,
+            text: discovery.floatingText || discovery.name,
             icon: discovery.icon,
             color: discovery.color,
             opacity: 1.0,
@@ -234,10 +200,12 @@ export class DiscoverySystem {
         });
     }
 
-    // Add to recent discoveries log
-    addRecentDiscovery(discovery) {
+    // Add to recent discoveries log; details spell out what a hazard did
+    addRecentDiscovery(discovery, details = '') {
         this.recentDiscoveries.unshift({
             ...discovery,
+            hazard: discovery.category === 'negative',
+            details: details,
             timestamp: Date.now()
         });
         
@@ -314,34 +282,67 @@ export class DiscoverySystem {
         }
     }
 
-    // Get discovery bonuses for combat calculations
-    getCombatBonuses() {
+    /**
+     * Discovery ledger for one empire (see StarThrone.initializePlayerDiscoveries)
+     * @param {number} playerId - Player to look up
+     * @returns {Object|null} Ledger, or null for neutral stars and unknown players
+     */
+    getPlayerDiscoveries(playerId) {
+        if (playerId === null || playerId === undefined) return null;
+        return this.game.playerDiscoveries?.get(playerId) || null;
+    }
+
+    // Get an empire's discovery bonuses for combat calculations
+    getCombatBonuses(playerId) {
+        const discoveries = this.getPlayerDiscoveries(playerId);
         return {
-            attackBonus: this.discoveries.precursorWeapons * 0.1, // +10% per weapon discovery
-            defenseBonus: this.discoveries.precursorShield * 0.1, // +10% per shield discovery
-            speedBonus: this.discoveries.precursorDrive * 0.2 // +20% per drive discovery
+            attackBonus: (discoveries?.precursorWeapons || 0) * 0.1, // +10% per weapon discovery
+            defenseBonus: (discoveries?.precursorShield || 0) * 0.1, // +10% per shield discovery
+            speedBonus: (discoveries?.precursorDrive || 0) * 0.2 // +20% per drive discovery
         };
     }
 
-    // Get army generation bonus
-    getArmyGenerationBonus() {
-        return this.discoveries.precursorNanotechnology * 0.1; // +10% per nanotech discovery
+    // Get an empire's army generation bonus
+    getArmyGenerationBonus(playerId) {
+        return (this.getPlayerDiscoveries(playerId)?.precursorNanotech || 0) * 0.1; // +10% per nanotech discovery
     }
 
-    // Reset discoveries (for new games)
-    reset() {
-        this.discoveries = {
-            precursorWeapons: 0,
-            precursorDrive: 0,
-            precursorShield: 0,
-            precursorNanotechnology: 0,
-            factoryPlanets: [],
-            richMinerals: 0,
-            voidStorms: 0,
-            ancientRuins: 0,
-            hostileAliens: 0,
-            friendlyAliens: 0
+    /**
+     * Precursor tech an empire has recovered: the per-line levels plus their total
+     * @param {number} playerId - Player to look up
+     * @returns {{weapons: number, drive: number, shield: number, nanotech: number, total: number}}
+     */
+    getTechLevels(playerId) {
+        const discoveries = this.getPlayerDiscoveries(playerId);
+        const levels = {
+            weapons: discoveries?.precursorWeapons || 0,
+            drive: discoveries?.precursorDrive || 0,
+            shield: discoveries?.precursorShield || 0,
+            nanotech: discoveries?.precursorNanotech || 0
         };
+        levels.total = levels.weapons + levels.drive + levels.shield + levels.nanotech;
+        return levels;
+    }
+
+    // How many precursor levels an empire trails the best-equipped surviving rival by (0 when leading)
+    getTechDeficit(playerId) {
+        const ownTotal = this.getTechLevels(playerId).total;
+        const bestRival = (this.game.players || [])
+            .filter(player => player.id !== playerId && !player.isEliminated)
+            .reduce((best, player) => Math.max(best, this.getTechLevels(player.id).total), 0);
+        return Math.max(0, bestRival - ownTotal);
+    }
+
+    // Chance that conquering an unexplored neutral star turns up a precursor technology
+    getPrecursorOdds() {
+        const totalProbability = this.catalog.reduce((sum, discovery) => sum + discovery.probability, 0);
+        return this.catalog
+            .filter(discovery => discovery.category === 'empire_bonus')
+            .reduce((sum, discovery) => sum + discovery.probability, 0) / Math.max(1, totalProbability);
+    }
+
+    // Clear announcements (for new games); the ledgers live on game.playerDiscoveries
+    reset() {
         this.floatingDiscoveries = [];
         this.recentDiscoveries = [];
     }
@@ -403,11 +404,12 @@ export class DiscoverySystem {
         ctx.restore();
     }
 
-    // Get discoveries for UI display
+    // Get the human player's discoveries for UI display
     getDiscoveriesForUI() {
         return {
-            ...this.discoveries,
+            ledger: this.getPlayerDiscoveries(this.game.humanPlayer?.id),
+            catalog: this.catalog,
             recentDiscoveries: this.recentDiscoveries
         };
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,401 @@
+import { GAME_CONSTANTS } from '../../../common/gameConstants';
+import { REPLAY_COMMANDS } from './ReplaySystem';
+
+const FLEET_ORDERS = GAME_CONSTANTS.FLEET_ORDERS;
+
+/**
+ * FleetOrderSystem - The human's queued fleet orders and waypoint paths
+ * A queued order waits on its source star until its trigger fires:
+ *   arrival - one of our fleets reaches the star (captures it or lands on it); the order moves on with the survivors
+ *   ships   - the star's garrison reaches the order's threshold; the order sends SEND_SHARE of it, as a drag does
+ * Each star works through its orders one at a time, so shift-dragging X -> Y after sending a fleet at X reads
+ * "capture X, then move on to Y with the survivors". Orders may follow a custom path built from shift-clicked
+ * waypoints; a fleet that has to take a hostile star on the way queues the rest of its path there
+ * (StarThrone.processSegmentedAttack), and a failed attack drops the follow-ups waiting on that star.
+ */
+export class FleetOrderSystem {
+    constructor(game) {
+        this.game = game;
+        this.orders = []; // Oldest first; the first order of each star is the armed one
+        this.nextOrderId = 1;
+        this.draft = null; // Waypoint path being built: { sourceId, waypoints, legs }
+        this.threshold = null; // Ship count new queued orders wait for, null for arrival orders
+    }
+
+    /**
+     * Queue an order on its source star
+     * @param {string} trigger - 'arrival' or 'ships'
+     * @param {number|null} threshold - Garrison a 'ships' order waits for
+     * @param {Array|null} path - Custom path starting at the source, or null to route when the order fires
+     * @returns {boolean} Whether the order was queued
+     */
+    queueOrder(fromTerritory, toTerritory, trigger = 'arrival', threshold = null, path = null) {
+        const player = this.game.humanPlayer;
+        if (!player || !fromTerritory || !toTerritory || fromTerritory.id === toTerritory.id) return false;
+        if (trigger !== 'arrival' && (trigger !== 'ships' || !(threshold > 0))) return false;
+        if (this.orders.filter(order => !order.continuation).length >= FLEET_ORDERS.MAX_ORDERS) {
+            this.game.showMessage(`Order queue is full (${FLEET_ORDERS.MAX_ORDERS} orders)`, 2000);
+            return false;
+        }
+        if (!this.game.recordCommand(REPLAY_COMMANDS.FLEET_ORDER, {
+            from: fromTerritory.id,
+            to: toTerritory.id,
+            trigger,
+            threshold: trigger === 'ships' ? threshold : null,
+            path
+        })) return false;
+
+        this.orders.push({
+            id: this.nextOrderId++,
+            fromId: fromTerritory.id,
+            toId: toTerritory.id,
+            trigger,
+            threshold: trigger === 'ships' ? threshold : null,
+            path: path ? [...path] : null,
+            ready: null, // Survivors of the fleet that reached the star, once an arrival order is due
+            continuation: false
+        });
+        console.log(`🔗 ORDERS: Queued ${trigger} order ${fromTerritory.id} -> ${toTerritory.id}${trigger === 'ships' ? ` at ${threshold} ships` : ''}`);
+        return true;
+    }
+
+    /**
+     * A fleet on a path has to take a hostile star first: the rest of its path waits there, ahead of the star's other orders
+     * @param {Object} territory - Star the fleet is attacking
+     * @param {Array} path - Remaining path, starting at the star
+     */
+    queueContinuation(territory, path) {
+        const order = {
+            id: this.nextOrderId++,
+            fromId: territory.id,
+            toId: path[path.length - 1],
+            trigger: 'arrival',
+            threshold: null,
+            path: [...path],
+            ready: null,
+            continuation: true
+        };
+        const index = this.orders.findIndex(other => other.fromId === territory.id);
+        this.orders.splice(index === -1 ? this.orders.length : index, 0, order);
+    }
+
+    /**
+     * Cancel every order queued on a star
+     * @returns {number} Orders cancelled
+     */
+    cancelOrders(territory) {
+        const count = this.getOrdersFrom(territory.id).length;
+        if (count === 0) return 0;
+        if (!this.game.recordCommand(REPLAY_COMMANDS.FLEET_ORDER_CANCEL, { territoryId: territory.id })) return 0;
+
+        this.orders = this.orders.filter(order => order.fromId !== territory.id);
+        return count;
+    }
+
+    getOrdersFrom(territoryId) {
+        return this.orders.filter(order => order.fromId === territoryId);
+    }
+
+    /**
+     * One of a player's fleets reached a star: captured it (CombatSystem.completeBattle) or landed on it
+     * @param {number} ships - Ships that made it
+     */
+    onFleetArrived(territory, playerId, ships) {
+        if (!this.game.humanPlayer || playerId !== this.game.humanPlayer.id || ships <= 0) return;
+
+        const order = this.orders.find(other => other.fromId === territory.id);
+        if (order && order.trigger === 'arrival') {
+            order.ready = (order.ready || 0) + ships;
+        }
+    }
+
+    // The human lost an attack: follow-ups waiting for the star are dropped unless another fleet is still on its way
+    onAttackFailed(battle) {
+        const player = this.game.humanPlayer;
+        if (!player || battle.attacker !== player) return;
+
+        const territoryId = battle.defendingTerritory.id;
+        const combat = this.game.combatSystem;
+        const stillComing = [...combat.pendingBattles, ...combat.activeBattles].some(other =>
+            other !== battle && other.attacker === player && other.defendingTerritory.id === territoryId);
+        if (stillComing) return;
+
+        const dropped = this.orders.filter(order => order.fromId === territoryId && order.trigger === 'arrival');
+        if (dropped.length === 0) return;
+        this.orders = this.orders.filter(order => !dropped.includes(order));
+        this.notify(`❌ Attack on star ${territoryId} failed - ${dropped.length} follow-up order${dropped.length > 1 ? 's' : ''} dropped`, '#ff6666');
+    }
+
+    // Fire the armed order of each star whose trigger is met
+    update() {
+        const player = this.game.humanPlayer;
+        if (!player || player.isEliminated || this.orders.length === 0) return;
+
+        const territories = this.game.gameMap.territories;
+        const armed = new Set();
+        for (const order of [...this.orders]) {
+            if (armed.has(order.fromId)) continue;
+            armed.add(order.fromId);
+
+            const source = territories[order.fromId];
+            if (!source) {
+                this.orders = this.orders.filter(other => other !== order);
+            } else if (order.trigger === 'ships') {
+                if (source.ownerId !== player.id) {
+                    // The star fell - nothing is left to wait for
+                    this.orders = this.orders.filter(other => other !== order);
+                    this.notify(`⏳ Star ${source.id} was lost - its order for ${order.threshold} ships is dropped`, '#ffaa00');
+                } else if (source.armySize >= order.threshold) {
+                    this.fireOrder(order, source);
+                }
+            } else if (order.ready !== null) {
+                // Natives can take a star straight back; the order waits for the next fleet
+                if (source.ownerId === player.id) {
+                    this.fireOrder(order, source);
+                } else {
+                    order.ready = null;
+                }
+            }
+        }
+    }
+
+    fireOrder(order, fromTerritory) {
+        this.orders = this.orders.filter(other => other !== order);
+
+        const game = this.game;
+        const player = game.humanPlayer;
+        const toTerritory = game.gameMap.territories[order.toId];
+        const available = fromTerritory.armySize - 1;
+        const ships = order.trigger === 'arrival'
+            ? Math.min(order.ready, available)
+            : Math.max(1, Math.floor(available * FLEET_ORDERS.SEND_SHARE));
+
+        if (!toTerritory || available < 1 || ships < 1) {
+            this.notify(`Order from star ${fromTerritory.id} dropped - no ships to send`, '#ffaa00');
+            return;
+        }
+
+        const isAttack = toTerritory.ownerId !== player.id;
+        if (isAttack && game.diplomacySystem.isAtPeace(player.id, toTerritory.ownerId)) {
+            this.notify(`Order to star ${toTerritory.id} dropped - you have a treaty with ${game.players[toTerritory.ownerId].name}`, '#ffaa00');
+            return;
+        }
+
+        const plan = order.path ? { mode: 'multi-hop-attack', path: order.path } : game.planFleetCommand(fromTerritory, toTerritory, isAttack);
+        if (!plan) {
+            this.notify(`Order from star ${fromTerritory.id} dropped - no route to star ${toTerritory.id}`, '#ffaa00');
+            return;
+        }
+
+        console.log(`🔗 ORDERS: Star ${fromTerritory.id} sends ${ships} ships to ${toTerritory.id} (${order.trigger})`);
+        game.showFleetCommandFeedback(fromTerritory, ships, ships / available);
+        game.dispatchFleet(fromTerritory, toTerritory, ships, plan.mode, plan.path);
+    }
+
+    /**
+     * Shift-click: the first click on one of the human's stars starts a waypoint path,
+     * later clicks add waypoints and clicking the last waypoint again takes it back
+     */
+    handleWaypointClick(territory) {
+        const player = this.game.humanPlayer;
+        if (!player || player.isEliminated || !territory) return;
+
+        if (!this.draft) {
+            if (territory.ownerId !== player.id) {
+                this.game.showMessage('Shift-click one of your stars to start a waypoint path', 2000);
+                return;
+            }
+            this.draft = { sourceId: territory.id, waypoints: [], legs: [] };
+            this.game.showMessage(`📍 Path from star ${territory.id}: Shift-click waypoints, Enter to send, Esc to discard`, 3000);
+            return;
+        }
+
+        const draft = this.draft;
+        const last = draft.waypoints.length > 0 ? draft.waypoints[draft.waypoints.length - 1] : draft.sourceId;
+        if (territory.id === last) {
+            if (draft.waypoints.length === 0) {
+                this.draft = null;
+            } else {
+                draft.waypoints.pop();
+                draft.legs.pop();
+            }
+            return;
+        }
+
+        const lastTerritory = this.game.gameMap.territories[last];
+        const leg = lastTerritory.neighbors.includes(territory.id)
+            ? [last, territory.id]
+            : this.game.pathfindingService.search(last, territory.id, this.game.gameMap, player.id, 'avoidNoGo');
+        if (!leg) {
+            this.game.showMessage(`No warp lane route from star ${last} to star ${territory.id}`, 2000);
+            return;
+        }
+        draft.waypoints.push(territory.id);
+        draft.legs.push(leg.slice(1));
+    }
+
+    getDraftPath() {
+        return this.draft ? [this.draft.sourceId, ...this.draft.legs.flat()] : null;
+    }
+
+    // Enter: send the waypoint path now, or queue it behind the armed ship threshold
+    sendDraft() {
+        const draft = this.draft;
+        const player = this.game.humanPlayer;
+        if (!draft || !player) return;
+        if (draft.waypoints.length === 0) {
+            this.game.showMessage('Shift-click stars to add waypoints first', 2000);
+            return;
+        }
+
+        const territories = this.game.gameMap.territories;
+        const source = territories[draft.sourceId];
+        const target = territories[draft.waypoints[draft.waypoints.length - 1]];
+        if (target.ownerId !== player.id && this.game.diplomacySystem.canPass(player.id, target.ownerId)) {
+            this.game.showMessage("A path can't end on an ally's star", 2000);
+            return;
+        }
+
+        const path = this.getDraftPath();
+        this.draft = null;
+        if (this.threshold !== null) {
+            if (this.queueOrder(source, target, 'ships', this.threshold, path)) {
+                this.game.showMessage(`⏳ Star ${source.id} follows the path once it has ${this.threshold} ships`, 2000);
+            }
+        } else {
+            this.game.executeFleetCommand(source, target, FLEET_ORDERS.SEND_SHARE, 'multi-hop-attack', path);
+        }
+    }
+
+    discardDraft() {
+        this.draft = null;
+    }
+
+    /**
+     * Shift-drag: queue an order from the drag's source, waiting for the armed ship threshold
+     * or, without one, for the next of our fleets to reach the source
+     */
+    handleQueueDrag(fromTerritory, toTerritory) {
+        const player = this.game.humanPlayer;
+        if (!player || player.isEliminated || !fromTerritory || !toTerritory) return;
+
+        const trigger = this.threshold !== null ? 'ships' : 'arrival';
+        if (trigger === 'ships' && fromTerritory.ownerId !== player.id) {
+            this.game.showMessage('Orders waiting for ships must start from one of your stars', 2000);
+            return;
+        }
+        if (!this.queueOrder(fromTerritory, toTerritory, trigger, this.threshold)) return;
+
+        this.game.showMessage(trigger === 'ships'
+            ? `⏳ Star ${fromTerritory.id} → star ${toTerritory.id} once it has ${this.threshold} ships`
+            : `🔗 Star ${fromTerritory.id} → star ${toTerritory.id} after our next fleet reaches star ${fromTerritory.id}`, 2000);
+    }
+
+    // W: cycle the ship threshold queued orders wait for (off -> THRESHOLDS -> off)
+    cycleThreshold() {
+        const thresholds = FLEET_ORDERS.THRESHOLDS;
+        const index = thresholds.indexOf(this.threshold);
+        this.threshold = index + 1 < thresholds.length ? thresholds[index + 1] : null;
+        return this.threshold;
+    }
+
+    // Delete: cancel the orders queued on the selected star
+    handleCancelAction(territory) {
+        if (!territory) {
+            this.game.showMessage('Select a star first', 2000);
+            return;
+        }
+        const count = this.cancelOrders(territory);
+        this.game.showMessage(count > 0
+            ? `🗑️ ${count} order${count > 1 ? 's' : ''} from star ${territory.id} cancelled`
+            : `No orders queued on star ${territory.id}`, 2000);
+    }
+
+    // Queued orders as dashed paths with their place in the queue, and the waypoint path being built
+    render(ctx, territories) {
+        if (this.orders.length === 0 && !this.draft) return;
+
+        ctx.save();
+        ctx.lineWidth = 2;
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        const perStar = new Map();
+        this.orders.forEach((order, index) => {
+            const points = (order.path || [order.fromId, order.toId]).map(id => territories[id]).filter(Boolean);
+            if (points.length < 2) return;
+
+            const color = order.continuation ? '#ff8844' : order.trigger === 'ships' ? '#66ccff' : '#ffdd44';
+            this.strokePath(ctx, points, color, [6, 6]);
+
+            // Orders of one star are spread along their first lane so their badges don't stack
+            const place = perStar.get(order.fromId) || 0;
+            perStar.set(order.fromId, place + 1);
+            const along = Math.min(0.8, 0.35 + place * 0.15);
+            const label = order.trigger === 'ships' ? `${index + 1} ≥${order.threshold}` : `${index + 1}`;
+            this.drawBadge(ctx,
+                points[0].x + (points[1].x - points[0].x) * along,
+                points[0].y + (points[1].y - points[0].y) * along,
+                label, color);
+        });
+
+        if (this.draft) {
+            const points = this.getDraftPath().map(id => territories[id]).filter(Boolean);
+            if (points.length >= 2) this.strokePath(ctx, points, '#ffffff', [3, 5]);
+            this.draft.waypoints.forEach((id, index) => {
+                if (territories[id]) this.drawBadge(ctx, territories[id].x, territories[id].y - 28, `${index + 1}`, '#ffffff');
+            });
+        }
+
+        ctx.restore();
+    }
+
+    strokePath(ctx, points, color, dash) {
+        ctx.strokeStyle = color;
+        ctx.globalAlpha = 0.8;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 1;
+    }
+
+    drawBadge(ctx, x, y, label, color) {
+        const width = Math.max(16, ctx.measureText(label).width + 8);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(x - width / 2, y - 8, width, 16);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x - width / 2, y - 8, width, 16);
+        ctx.lineWidth = 2;
+        ctx.fillStyle = color;
+        ctx.fillText(label, x, y);
+    }
+
+    serialize() {
+        return {
+            orders: this.orders.map(order => ({ ...order, path: order.path ? [...order.path] : null })),
+            nextOrderId: this.nextOrderId
+        };
+    }
+
+    // Null (a replay restart) starts with no orders
+    restore(data) {
+        this.orders = [];
+        this.nextOrderId = 1;
+        this.draft = null;
+        if (!data) return;
+
+        this.orders = data.orders.map(order => ({ ...order, path: order.path ? [...order.path] : null }));
+        this.nextOrderId = data.nextOrderId;
+    }
+
+    notify(message, color) {
+        if (this.game.addNotification) {
+            this.game.addNotification(message, color, 4000);
+        }
+    }
+}
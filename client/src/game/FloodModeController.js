@@ -1,3 +1,5 @@
+import { REPLAY_COMMANDS } from './ReplaySystem';
+
 export default class FloodModeController {
     constructor(game) {
         this.game = game;
@@ -17,6 +19,7 @@ export default class FloodModeController {
         if (!player) return;
         const id = player.id;
         if (enable === undefined) enable = !this.activePlayers.has(id);
+        if (!this.game.recordCommand(REPLAY_COMMANDS.FLOOD_TOGGLE, { playerId: id, enable })) return;
         if (enable) {
             this.activePlayers.add(id);
             if (!this.aggression[id]) this.aggression[id] = 5;
@@ -193,6 +196,7 @@ export default class FloodModeController {
     }
 
     update(deltaTime) {
+        if (this.game.replayPlayer) return; // Flood waves come from the replay log
         this.timer += deltaTime;
         if (this.timer < this.checkInterval) return;
         this.timer = 0;
@@ -208,8 +212,9 @@ export default class FloodModeController {
                     const n = this.game.gameMap.territories[nid];
                     if (!n || n.ownerId === id) continue;
                     
-                    // Skip territories marked as no-go zones
+                    // Skip territories marked as no-go zones and treaty partners
                     if (this.isNoGoZone(player, nid)) continue;
+                    if (this.game.diplomacySystem.isAtPeace(id, n.ownerId)) continue;
                     
                     // Use current army size (which may have been reduced by previous attacks)
                     const currentArmies = t.armySize;
@@ -222,25 +227,63 @@ export default class FloodModeController {
                         
                         // Double-check bounds to prevent negative armies
                         if (send > 0 && send < currentArmies && (currentArmies - send) >= 1) {
-                            const originalArmies = t.armySize;
-                            t.armySize = Math.max(1, t.armySize - send); // Ensure minimum 1 army remains
-                            
-                            // Verify we didn't go negative
-                            if (t.armySize <= 0) {
-                                console.error(`❌ FLOOD MODE ERROR: Territory ${t.id} would have ${t.armySize} armies after sending ${send}. Resetting to 1.`);
-                                t.armySize = 1;
-                                continue; // Skip this attack
-                            }
-                            
-                            if (this.game.createShipAnimation)
-                                this.game.createShipAnimation(t, n, true, send);
-                            this.game.combatSystem.attackTerritory(t, n, send);
-                            
-                            console.log(`🤖 FLOOD: Territory ${t.id} sent ${send} armies (${originalArmies} → ${t.armySize})`);
+                            this.launchAttack(t, n, send);
                         }
                     }
                 }
             }
         }
     }
+
+    launchAttack(t, n, send) {
+        if (!this.game.recordCommand(REPLAY_COMMANDS.FLOOD_ATTACK, { from: t.id, to: n.id, armies: send })) return;
+        
+        const originalArmies = t.armySize;
+        t.armySize = Math.max(1, t.armySize - send); // Ensure minimum 1 army remains
+        
+        // Verify we didn't go negative
+        if (t.armySize <= 0) {
+            console.error(`❌ FLOOD MODE ERROR: Territory ${t.id} would have ${t.armySize} armies after sending ${send}. Resetting to 1.`);
+            t.armySize = 1;
+            return; // Skip this attack
+        }
+        
+        if (this.game.createShipAnimation)
+            this.game.createShipAnimation(t, n, true, send);
+        this.game.combatSystem.attackTerritory(t, n, send);
+        
+        console.log(`🤖 FLOOD: Territory ${t.id} sent ${send} armies (${originalArmies} → ${t.armySize})`);
+    }
+
+    // Snapshot flood settings for save games (Sets become arrays)
+    serialize() {
+        const noGoZones = {};
+        Object.keys(this.noGoZones).forEach(id => {
+            noGoZones[id] = [...this.noGoZones[id]];
+        });
+        
+        return {
+            activePlayers: [...this.activePlayers],
+            aggression: { ...this.aggression },
+            noGoZones,
+            aiFloodModeEnabled: this.aiFloodModeEnabled
+        };
+    }
+
+    restore(data) {
+        this.hideSlider();
+        this.activePlayers = new Set(data?.activePlayers || []);
+        this.aggression = { ...(data?.aggression || {}) };
+        this.noGoZones = {};
+        Object.keys(data?.noGoZones || {}).forEach(id => {
+            this.noGoZones[id] = new Set(data.noGoZones[id]);
+        });
+        this._aiFloodModeEnabled = !!data?.aiFloodModeEnabled;
+        this.timer = 0;
+        
+        const human = this.game.humanPlayer;
+        if (human && this.activePlayers.has(human.id)) {
+            this.showSlider(human);
+        }
+    }
 }
\ No newline at end of file
@@ -0,0 +1,196 @@
+/**
+ * FogOfWarSystem.js - Sensor range and last-known intel for the human player
+ *
+ * Stars within FOG_SENSOR_RANGE_HOPS star lanes of an owned star (or close to an in-flight
+ * probe) show their live owner and fleet count; a sensor array on a star adds sensorHops lanes.
+ * Stars inside nebulas are hidden from sensors unless the player owns them. Every other star
+ * shows the snapshot taken the last time it was in sensor range, or nothing at all if it has
+ * never been seen.
+ */
+
+import { GAME_CONSTANTS } from '../../../common/gameConstants';
+import { STARBASE_UPGRADES, hasUpgrade } from './StarbaseSystem';
+
+/**
+ * Short age label for last-known intel, e.g. "45s" or "3m"
+ * @param {number} ageMs - Simulation milliseconds since the star was last seen
+ */
+export function formatIntelAge(ageMs) {
+    const seconds = Math.floor(ageMs / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m`;
+}
+
+export class FogOfWarSystem {
+    constructor(game) {
+        this.game = game;
+        this.enabled = game.config.fogOfWar !== false;
+        this.visibleTerritories = new Set();
+        this.snapshots = new Map(); // territoryId -> { ownerId, armySize, isThronestar, seenAt }
+        this.lastSweepTick = -Infinity;
+    }
+
+    // Called every simulation step; sweeps are throttled to FOG_UPDATE_INTERVAL_TICKS
+    update() {
+        if (!this.enabled) return;
+        if (this.game.clock.tick - this.lastSweepTick < GAME_CONSTANTS.FOG_UPDATE_INTERVAL_TICKS) return;
+        this.sweep();
+    }
+
+    // Recompute sensor coverage and refresh snapshots of every star in range
+    sweep() {
+        const game = this.game;
+        this.lastSweepTick = game.clock.tick;
+        this.visibleTerritories.clear();
+
+        const player = game.humanPlayer;
+        const territories = game.gameMap?.territories;
+        if (!player || !territories) return;
+
+        // Every owned star sees FOG_SENSOR_RANGE_HOPS lanes out; sensor arrays see further
+        const owned = player.territories.filter(id => territories[id]);
+        this.revealLanes(owned, GAME_CONSTANTS.FOG_SENSOR_RANGE_HOPS);
+        const sensorStars = owned.filter(id => hasUpgrade(territories[id], 'sensors'));
+        if (sensorStars.length > 0) {
+            this.revealLanes(sensorStars, GAME_CONSTANTS.FOG_SENSOR_RANGE_HOPS + STARBASE_UPGRADES.sensors.sensorHops);
+        }
+
+        // Probes in flight see everything around them (less when launched from inside a nebula)
+        (game.probes || []).forEach(probe => {
+            if (probe.playerId !== player.id) return;
+            const probeRadius = probe.sensorRadius ?? GAME_CONSTANTS.FOG_PROBE_SENSOR_RADIUS;
+            Object.values(territories).forEach(territory => {
+                const dx = territory.x - probe.x;
+                const dy = territory.y - probe.y;
+                if (dx * dx + dy * dy <= probeRadius * probeRadius) {
+                    this.visibleTerritories.add(territory.id);
+                }
+            });
+        });
+
+        // Nebulas hide the stars inside them from sensors - only their owner knows what is there
+        this.visibleTerritories.forEach(id => {
+            if (territories[id].ownerId !== player.id && game.gameMap.isTerritoryInNebula(territories[id])) {
+                this.visibleTerritories.delete(id);
+            }
+        });
+
+        const now = game.clock.now();
+        this.visibleTerritories.forEach(id => {
+            const territory = territories[id];
+            this.snapshots.set(id, {
+                ownerId: territory.ownerId,
+                armySize: territory.armySize,
+                isThronestar: territory.isThronestar,
+                seenAt: now
+            });
+        });
+    }
+
+    /**
+     * Breadth-first search along star lanes, marking every star within hops of the start stars visible
+     * @param {Array<number>} startIds - Stars the search starts from (visible themselves)
+     * @param {number} hops - Star lanes the sensors reach
+     */
+    revealLanes(startIds, hops) {
+        const territories = this.game.gameMap.territories;
+        const reached = new Set(startIds);
+        startIds.forEach(id => this.visibleTerritories.add(id));
+        let frontier = startIds;
+        for (let hop = 0; hop < hops && frontier.length > 0; hop++) {
+            const next = [];
+            frontier.forEach(id => {
+                territories[id].neighbors.forEach(neighborId => {
+                    if (territories[neighborId] && !reached.has(neighborId)) {
+                        reached.add(neighborId);
+                        this.visibleTerritories.add(neighborId);
+                        next.push(neighborId);
+                    }
+                });
+            });
+            frontier = next;
+        }
+    }
+
+    /**
+     * One-off intel: snapshot every star within radius of a point (e.g. a discovered beacon), except those hidden in nebulas
+     * Stars are not kept in sensor range, so the intel ages like any other snapshot
+     */
+    revealArea(x, y, radius) {
+        const territories = this.game.gameMap?.territories;
+        if (!this.enabled || !territories) return;
+
+        const now = this.game.clock.now();
+        Object.values(territories).forEach(territory => {
+            const dx = territory.x - x;
+            const dy = territory.y - y;
+            if (dx * dx + dy * dy <= radius * radius && !this.game.gameMap.isTerritoryInNebula(territory)) {
+                this.snapshots.set(territory.id, {
+                    ownerId: territory.ownerId,
+                    armySize: territory.armySize,
+                    isThronestar: territory.isThronestar,
+                    seenAt: now
+                });
+            }
+        });
+    }
+
+    // Fog lifts entirely when disabled or once the human player is out of the game
+    get revealAll() {
+        const player = this.game.humanPlayer;
+        return !this.enabled || !player || player.isEliminated;
+    }
+
+    isVisible(territoryId) {
+        return this.revealAll || this.visibleTerritories.has(territoryId);
+    }
+
+    /**
+     * What the human player currently knows about a star
+     * @param {Object} territory - Territory to look up
+     * @returns {Object} { visible, known, ownerId, armySize, isThronestar, age } -
+     *     age is simulation ms since the snapshot was taken (0 while visible); an unknown
+     *     star reports no owner and a null army size
+     */
+    getIntel(territory) {
+        if (this.isVisible(territory.id)) {
+            return {
+                visible: true,
+                known: true,
+                ownerId: territory.ownerId,
+                armySize: territory.armySize,
+                isThronestar: territory.isThronestar,
+                age: 0
+            };
+        }
+
+        const snapshot = this.snapshots.get(territory.id);
+        if (!snapshot) {
+            return { visible: false, known: false, ownerId: null, armySize: null, isThronestar: false, age: 0 };
+        }
+        return {
+            visible: false,
+            known: true,
+            ownerId: snapshot.ownerId,
+            armySize: snapshot.armySize,
+            isThronestar: snapshot.isThronestar,
+            age: this.game.clock.now() - snapshot.seenAt
+        };
+    }
+
+    reset() {
+        this.visibleTerritories.clear();
+        this.snapshots.clear();
+        this.lastSweepTick = -Infinity;
+    }
+
+    serialize() {
+        return [...this.snapshots.entries()].map(([id, snapshot]) => [id, { ...snapshot }]);
+    }
+
+    restore(snapshots) {
+        this.reset();
+        snapshots.forEach(([id, snapshot]) => this.snapshots.set(id, { ...snapshot }));
+        this.sweep();
+    }
+}
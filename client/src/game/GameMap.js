@@ -1,6 +1,7 @@
 import { Territory } from './Territory';
 import MapGenerator from './MapGenerator';
 import Delaunator from 'delaunator';
+import { GAME_CONSTANTS } from '../../../common/gameConstants';
 
 export class GameMap {
     constructor(width, height, config = {}) {
@@ -24,6 +25,16 @@ export class GameMap {
         this.nebulaSlowdown = config.nebulaSlowdown !== undefined ? config.nebulaSlowdown : true;
         this.supplyRoutes = config.supplyRoutes !== undefined ? config.supplyRoutes : true;
         this.probeColonization = config.probeColonization !== undefined ? config.probeColonization : true;
+        
+        // Seeded RNG shared with the owning game (set by StarThrone) for reproducible galaxies
+        this.rng = null;
+    }
+    
+    /**
+     * Draw from the seeded RNG, falling back to Math.random() when none is set
+     */
+    random() {
+        return this.rng ? this.rng.next() : Math.random();
     }
     
     // Helper function to check if a point is within organic galaxy boundaries
@@ -90,6 +101,7 @@ export class GameMap {
         // Set target dimensions for MapGenerator to use our expanded size
         MapGenerator.targetWidth = this.width;
         MapGenerator.targetHeight = this.height;
+        MapGenerator.rng = this.rng;
         
         // Use the advanced MapGenerator for sophisticated galaxy layouts
         const generatedTerritories = MapGenerator.generateMap(count, this.layout, 20); // Assume 20 players for cluster generation
@@ -101,7 +113,7 @@ export class GameMap {
         generatedTerritories.forEach((territory, index) => {
             // Set up neutral garrison (1-30 armies visible)
             territory.isColonizable = false;
-            territory.armySize = Math.floor(Math.random() * 30) + 1; // Visible garrison size
+            territory.armySize = Math.floor(this.random() * 30) + 1; // Visible garrison size
             territory.ownerId = null; // Neutral until captured
             
             // All connections are visible from the start (no hidden neighbors)
@@ -136,8 +148,8 @@ export class GameMap {
         const maxAttempts = count * 10; // Limit attempts to prevent infinite loops
         
         while (territories.length < count && attempts < maxAttempts) {
-            const x = Math.random() * this.width;
-            const y = Math.random() * this.height;
+            const x = this.random() * this.width;
+            const y = this.random() * this.height;
             
             // Check if position is valid (within bounds and min distance from others)
             if (this.isValidPosition(x, y, points, this.gridSize * 0.8)) {
@@ -145,7 +157,7 @@ export class GameMap {
                     id: territories.length,
                     x: x,
                     y: y,
-                    armySize: Math.floor(Math.random() * 30) + 1, // Neutral garrison
+                    armySize: Math.floor(this.random() * 30) + 1, // Neutral garrison
                     ownerId: null,
                     neighbors: [],
                     hiddenNeighbors: []
@@ -202,8 +214,8 @@ export class GameMap {
             
             // Find positions within organic galaxy boundaries
             do {
-                x = Math.random() * this.width;
-                y = Math.random() * this.height;
+                x = this.random() * this.width;
+                y = this.random() * this.height;
                 attempts++;
             } while (!this.isWithinGalaxyBounds(x, y) && attempts < 50);
             
@@ -213,9 +225,9 @@ export class GameMap {
             const nebula = {
                 x: x,
                 y: y,
-                radius: 80 + Math.random() * 120, // Size varies from 80 to 200
-                opacity: 0.3 + Math.random() * 0.4, // Opacity varies from 0.3 to 0.7
-                color: `rgba(147, 51, 234, ${0.3 + Math.random() * 0.4})` // Purple with varying opacity
+                radius: 80 + this.random() * 120, // Size varies from 80 to 200
+                opacity: 0.3 + this.random() * 0.4, // Opacity varies from 0.3 to 0.7
+                color: `rgba(147, 51, 234, ${0.3 + this.random() * 0.4})` // Purple with varying opacity
             };
             this.nebulas.push(nebula);
         }
@@ -250,7 +262,7 @@ export class GameMap {
         const points = [];
         const centerX = this.width / 2;
         const centerY = this.height / 2;
-        const rings = 4 + Math.floor(Math.random() * 3); // 4-6 rings
+        const rings = 4 + Math.floor(this.random() * 3); // 4-6 rings
         const planetsPerRing = Math.floor(count / rings);
         
         for (let ring = 0; ring < rings; ring++) {
@@ -263,8 +275,8 @@ export class GameMap {
                 let validPoint = false;
                 
                 while (!validPoint && attempts < 100) {
-                    const angle = (i / ringPlanets) * 2 * Math.PI + (Math.random() - 0.5) * 0.3;
-                    const ringRadius = radius + (Math.random() - 0.5) * 30; // Slight radius variation
+                    const angle = (i / ringPlanets) * 2 * Math.PI + (this.random() - 0.5) * 0.3;
+                    const ringRadius = radius + (this.random() - 0.5) * 30; // Slight radius variation
                     
                     const x = centerX + Math.cos(angle) * ringRadius;
                     const y = centerY + Math.sin(angle) * ringRadius;
@@ -279,8 +291,8 @@ export class GameMap {
                 // Fallback: random placement if ring placement fails
                 if (!validPoint) {
                     for (let j = 0; j < 50; j++) {
-                        const x = Math.random() * (this.width - 60) + 30;
-                        const y = Math.random() * (this.height - 60) + 30;
+                        const x = this.random() * (this.width - 60) + 30;
+                        const y = this.random() * (this.height - 60) + 30;
                         
                         if (this.isValidPosition(x, y, points)) {
                             points.push({ x, y });
@@ -311,8 +323,8 @@ export class GameMap {
             let validPoint = false;
             
             while (!validPoint && attempts < 100) {
-                const angle = Math.random() * 2 * Math.PI;
-                const radius = Math.random() * systemRadius;
+                const angle = this.random() * 2 * Math.PI;
+                const radius = this.random() * systemRadius;
                 const x = leftCenterX + Math.cos(angle) * radius;
                 const y = centerY + Math.sin(angle) * radius;
                 
@@ -326,8 +338,8 @@ export class GameMap {
             // Fallback: random placement if system placement fails
             if (!validPoint) {
                 for (let j = 0; j < 50; j++) {
-                    const x = Math.random() * (this.width - 60) + 30;
-                    const y = Math.random() * (this.height - 60) + 30;
+                    const x = this.random() * (this.width - 60) + 30;
+                    const y = this.random() * (this.height - 60) + 30;
                     
                     if (this.isValidPosition(x, y, points)) {
                         points.push({ x, y });
@@ -343,8 +355,8 @@ export class GameMap {
             let validPoint = false;
             
             while (!validPoint && attempts < 100) {
-                const angle = Math.random() * 2 * Math.PI;
-                const radius = Math.random() * systemRadius;
+                const angle = this.random() * 2 * Math.PI;
+                const radius = this.random() * systemRadius;
                 const x = rightCenterX + Math.cos(angle) * radius;
                 const y = centerY + Math.sin(angle) * radius;
                 
@@ -358,8 +370,8 @@ export class GameMap {
             // Fallback: random placement if system placement fails
             if (!validPoint) {
                 for (let j = 0; j < 50; j++) {
-                    const x = Math.random() * (this.width - 60) + 30;
-                    const y = Math.random() * (this.height - 60) + 30;
+                    const x = this.random() * (this.width - 60) + 30;
+                    const y = this.random() * (this.height - 60) + 30;
                     
                     if (this.isValidPosition(x, y, points)) {
                         points.push({ x, y });
@@ -604,8 +616,8 @@ export class GameMap {
         // Add bridge connections between systems
         const bridgeConnections = Math.min(3, Math.min(leftSystem.length, rightSystem.length));
         for (let i = 0; i < bridgeConnections; i++) {
-            const leftTerr = leftSystem[Math.floor(Math.random() * leftSystem.length)];
-            const rightTerr = rightSystem[Math.floor(Math.random() * rightSystem.length)];
+            const leftTerr = leftSystem[Math.floor(this.random() * leftSystem.length)];
+            const rightTerr = rightSystem[Math.floor(this.random() * rightSystem.length)];
             
             leftTerr.addNeighbor(rightTerr.id);
             rightTerr.addNeighbor(leftTerr.id);
@@ -740,13 +752,13 @@ export class GameMap {
             const baseDensity = this.warpLaneDensity / 100; // Convert percentage to decimal
             const maxConnections = Math.min(6, Math.max(2, nearbyTerritories.length));
             const adjustedConnections = Math.max(1, Math.floor(maxConnections * baseDensity));
-            const numConnections = Math.min(adjustedConnections, 2 + Math.floor(Math.random() * 3));
+            const numConnections = Math.min(adjustedConnections, 2 + Math.floor(this.random() * 3));
             
             for (let k = 0; k < numConnections && k < nearbyTerritories.length; k++) {
                 const neighbor = nearbyTerritories[k].territory;
                 
                 // Additional density check - some connections may be skipped based on density
-                if (Math.random() * 100 > this.warpLaneDensity) continue;
+                if (this.random() * 100 > this.warpLaneDensity) continue;
                 
                 // Track this connection to prevent future intersections
                 existingConnections.push({
@@ -891,7 +903,7 @@ export class GameMap {
         };
     }
     
-    // Serialize map data for network transmission (future multiplayer)
+    // Serialize map data for network transmission and save games
     serialize() {
         const serializedTerritories = {};
         
@@ -902,17 +914,20 @@ export class GameMap {
         return {
             width: this.width,
             height: this.height,
-            territories: serializedTerritories
+            territories: serializedTerritories,
+            nebulas: this.nebulas.map(nebula => ({ ...nebula }))
         };
     }
     
-    // Deserialize map data from network (future multiplayer)
-    static deserialize(data) {
-        const map = new GameMap(data.width, data.height);
+    // Deserialize map data from network or a save game
+    static deserialize(data, config = {}) {
+        const map = new GameMap(data.width, data.height, config);
         
         Object.keys(data.territories).forEach(id => {
             map.territories[id] = Territory.deserialize(data.territories[id]);
         });
+        map.nebulas = (data.nebulas || []).map(nebula => ({ ...nebula }));
+        map.buildSpatialIndex();
         
         return map;
     }
@@ -930,6 +945,36 @@ export class GameMap {
         return false;
     }
     
+    // Stars count as inside a nebula when their whole disc is (same test as the nebula fog in the renderer)
+    isTerritoryInNebula(territory) {
+        return this.isInNebula(territory.x, territory.y, 15);
+    }
+    
+    /**
+     * Share (0-1) of the straight flight from one point to another that runs through nebulas,
+     * sampled at NEBULA_PATH_SAMPLES points along the way
+     */
+    getNebulaShare(from, to) {
+        if (this.nebulas.length === 0) return 0;
+        
+        const samples = GAME_CONSTANTS.NEBULA_PATH_SAMPLES;
+        let inside = 0;
+        for (let i = 0; i < samples; i++) {
+            const t = (i + 0.5) / samples;
+            if (this.isInNebula(from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t, 0)) inside++;
+        }
+        return inside / samples;
+    }
+    
+    /**
+     * Factor on a fleet's flight time between two points: fleets slow to a third of their speed
+     * for the part of the trip inside nebulas (1 when the nebulaSlowdown setting is off)
+     */
+    getNebulaTravelMultiplier(from, to) {
+        if (!this.nebulaSlowdown) return 1;
+        return 1 + this.getNebulaShare(from, to) * (GAME_CONSTANTS.NEBULA_TRAVEL_TIME_MULTIPLIER - 1);
+    }
+    
     /**
      * Add territory to spatial index for O(1) lookups
      */
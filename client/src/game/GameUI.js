@@ -1,3 +1,25 @@
+import { GAME_CONSTANTS } from '../../../common/gameConstants';
+import { formatIntelAge } from './FogOfWarSystem';
+import { TREATY_ICONS, TREATY_NAMES } from './DiplomacySystem';
+import { DEFAULT_FLEET_STANCE, FLEET_STANCES } from './CombatSystem';
+import { SHIP_CLASSES, DEFAULT_SHIP_CLASS, getShipRoster, getRosterSize, formatRoster } from './ShipyardSystem';
+import { STARBASE_UPGRADES } from './StarbaseSystem';
+import { exportBattleReportsToFile } from '../lib/battleReports';
+
+// Combat log filters, relative to the human player (see CombatSystem.getBattleReports)
+const COMBAT_LOG_FILTERS = [
+    { id: 'all', label: 'All' },
+    { id: 'mine', label: 'Mine' },
+    { id: 'won', label: 'Won' },
+    { id: 'lost', label: 'Lost' }
+];
+
+const BATTLE_OUTCOME_COLORS = {
+    captured: '#44ff44',
+    defended: '#ff8844',
+    retreated: '#ffdd44'
+};
+
 export class GameUI {
     constructor(canvas, camera) {
         this.canvas = canvas;
@@ -27,6 +49,18 @@ export class GameUI {
         // FSM preview system
         this.previewArrow = null; // { source, target, type }
         this.supplyModeActive = false;
+        
+        // Combat log panel (L key)
+        this.showCombatLog = false;
+        this.combatLogFilter = 'all';
+        this.combatLogScroll = 0; // Rows scrolled past, newest report at the top
+        this.combatLogPanel = null; // Screen rect of the open panel
+        this.combatLogHitAreas = []; // Clickable filters, export button and rows
+        
+        // Supply network panel (O key), shares the combat log's spot on screen
+        this.showSupplyNetwork = false;
+        this.supplyNetworkPanel = null;
+        this.supplyNetworkHitAreas = []; // Share buttons, cancel buttons and rows
     }
 
     // Helper function to render text with shadow for better readability
@@ -194,12 +228,7 @@ export class GameUI {
     renderGameUI(ctx, gameData) {
         // Render preview arrow if active
         if (this.previewArrow) {
-            // Call async renderPreviewArrow but don't wait for it
-            this.renderPreviewArrow(ctx, gameData).catch(error => {
-                console.error('Error rendering preview arrow:', error);
-                // Fallback to straight arrow on error
-                this.drawStraightArrow(ctx, this.previewArrow.source, this.previewArrow.target, '#ff4444', this.previewArrow.type);
-            });
+            this.renderPreviewArrow(ctx, gameData);
         }
         
         // Supply mode indicator
@@ -247,6 +276,22 @@ export class GameUI {
             this.renderTechTooltip(ctx, gameData.mousePos.x, gameData.mousePos.y);
         }
         
+        // Treaty offers waiting for the human player's answer
+        this.renderDiplomacyProposals(ctx, gameData);
+        
+        // Fleet stance and live counts of the human player's battles
+        this.renderBattleHUD(ctx, gameData);
+        
+        // Battle reports (togglable with L key)
+        if (this.showCombatLog) {
+            this.renderCombatLog(ctx, gameData);
+        }
+        
+        // Supply routes and their live throughput (togglable with O key)
+        if (this.showSupplyNetwork) {
+            this.renderSupplyNetwork(ctx, gameData);
+        }
+        
         // Render notifications
         this.renderNotifications(ctx, gameData);
         
@@ -277,6 +322,17 @@ export class GameUI {
         ctx.fillStyle = '#ffffff';
         ctx.fillText('Game Over!', this.canvas.width / 2, this.canvas.height / 2 - 150);
         
+        // Galaxy seed so the match can be replayed or attached to bug reports
+        this.renderSeedLabel(ctx, gameData, this.canvas.height / 2 - 100);
+        
+        // How the match was decided
+        const victory = gameData.game?.victorySystem;
+        if (victory?.result?.reason) {
+            ctx.font = '18px Arial';
+            ctx.textAlign = 'center';
+            this.renderTextWithShadow(ctx, `${victory.modeName}: ${victory.result.reason}`, this.canvas.width / 2, this.canvas.height / 2 - 70, this.accentColor);
+        }
+        
         // Final leaderboard
         this.renderFinalLeaderboard(ctx, gameData);
         
@@ -432,6 +488,14 @@ export class GameUI {
         ctx.textAlign = 'center';
         ctx.fillText(timeString, this.canvas.width / 2, 35);
         
+        // Victory mode progress under the timer (Conquest only has the timer)
+        const progress = gameData.game?.victorySystem?.getProgressText();
+        if (progress) {
+            ctx.fillStyle = this.accentColor;
+            ctx.font = '12px Arial';
+            ctx.fillText(progress, this.canvas.width / 2, 53);
+        }
+        
         // Player count
         ctx.fillStyle = this.textColor;
         ctx.font = '16px Arial';
@@ -551,11 +615,44 @@ export class GameUI {
             ctx.fillStyle = player.color;
             ctx.fillRect(startX + 35, y - 8, 12, 12);
             
-            // Player name
+            // Throne state: extra capitals, or exile with the time until a new throne can be raised
+            const throneStatus = gameData.game?.throneSystem?.getStatus(player);
+            let crownText = '';
+            if (throneStatus?.exiled) {
+                crownText = throneStatus.cooldown > 0 ? `⛺${Math.ceil(throneStatus.cooldown / 1000)}s` : '⛺';
+            } else if (throneStatus && throneStatus.capitals > 1) {
+                crownText = `👑${throneStatus.capitals}`;
+            }
+            
+            // Our treaty with this empire, or the mark of a recent betrayal
+            const diplomacy = gameData.game?.diplomacySystem;
+            const treaty = diplomacy && gameData.humanPlayer && !isHuman ? diplomacy.getTreaty(gameData.humanPlayer.id, player.id) : null;
+            const treatyText = treaty ? TREATY_ICONS[treaty.type] : (diplomacy?.isOathbreaker(player.id) ? '🗡️' : '');
+            
+            // Player name (shortened when a throne or treaty marker needs the room)
             ctx.fillStyle = isHuman ? this.accentColor : this.textColor;
             ctx.textAlign = 'left';
-            const name = player.name.length > 10 ? player.name.substring(0, 10) + '...' : player.name;
-            ctx.fillText(name, startX + 55, y);
+            const maxNameLength = (crownText ? 7 : 10) - (treatyText ? 2 : 0);
+            const name = player.name.length > maxNameLength ? player.name.substring(0, maxNameLength) + '...' : player.name;
+            ctx.fillText(treatyText ? `${treatyText} ${name}` : name, startX + 55, y);
+            
+            if (crownText) {
+                ctx.fillStyle = throneStatus.exiled ? '#ff8866' : '#FFD700';
+                ctx.font = '12px Arial';
+                ctx.textAlign = 'right';
+                ctx.fillText(crownText, startX + width - 80, y);
+                ctx.font = isHuman ? 'bold 14px Arial' : '14px Arial';
+            }
+            
+            // Precursor tech recovered so far (sum of all four lines)
+            const techLevels = gameData.game?.discoverySystem?.getTechLevels(player.id);
+            if (techLevels && techLevels.total > 0) {
+                ctx.fillStyle = '#cc99ff';
+                ctx.font = '12px Arial';
+                ctx.textAlign = 'right';
+                ctx.fillText(`🔬${techLevels.total}`, startX + width - 45, y);
+                ctx.font = isHuman ? 'bold 14px Arial' : '14px Arial';
+            }
             
             // Territory count with safety check
             ctx.fillStyle = this.textColor;
@@ -574,6 +671,336 @@ export class GameUI {
         }
     }
     
+    // Bottom-left battle HUD: stance new fleets launch with, then each battle the human player is in
+    renderBattleHUD(ctx, gameData) {
+        const game = gameData.game;
+        const human = gameData.humanPlayer;
+        if (!game?.combatSystem || !human || human.isEliminated) return;
+        
+        const battles = game.combatSystem.getBattlesInvolving(human.id).slice(0, 5);
+        const stance = FLEET_STANCES[human.fleetStance] || FLEET_STANCES[DEFAULT_FLEET_STANCE];
+        
+        const width = 240;
+        const lineHeight = 18;
+        const height = 30 + battles.length * lineHeight + (battles.length > 0 ? 16 : 0);
+        const x = 20;
+        const y = this.canvas.height - height - 20;
+        
+        ctx.fillStyle = this.bgColor;
+        ctx.fillRect(x, y, width, height);
+        
+        ctx.font = 'bold 13px Arial';
+        ctx.textAlign = 'left';
+        const threshold = game.fleetOrderSystem?.threshold;
+        const waiting = threshold != null ? `  ⏳${threshold}` : '';
+        this.renderTextWithShadow(ctx, `${stance.icon} Stance: ${stance.name} (C to change)${waiting}`, x + 10, y + 19, this.accentColor);
+        
+        ctx.font = '12px Arial';
+        battles.forEach((battle, index) => {
+            const attacking = battle.attacker.id === human.id;
+            const enemy = attacking ? battle.defender : battle.attacker;
+            const ours = attacking ? battle.attackersRemaining : battle.defendersRemaining;
+            const theirs = attacking ? battle.defendersRemaining : battle.attackersRemaining;
+            const label = attacking ? `⚔️ Star ${battle.defendingTerritory.id}` : `🛡️ Star ${battle.defendingTerritory.id}`;
+            const color = ours > theirs ? '#44ff44' : ours < theirs ? '#ff6644' : '#ffff44';
+            const stanceIcon = attacking ? ` ${FLEET_STANCES[battle.stance]?.icon || ''}` : '';
+            this.renderTextWithShadow(ctx, `${label}: ${ours} vs ${theirs} ${enemy ? enemy.name : 'Neutral'}${stanceIcon}`, x + 10, y + 38 + index * lineHeight, color);
+        });
+        
+        if (battles.length > 0) {
+            ctx.font = '11px Arial';
+            this.renderTextWithShadow(ctx, 'Select a star and press Q to retreat', x + 10, y + height - 8, '#aaaaaa');
+        }
+    }
+    
+    toggleCombatLog() {
+        this.showCombatLog = !this.showCombatLog;
+        this.combatLogScroll = 0;
+        if (!this.showCombatLog) {
+            this.combatLogPanel = null;
+            this.combatLogHitAreas = [];
+        } else if (this.showSupplyNetwork) {
+            this.toggleSupplyNetwork();
+        }
+    }
+    
+    toggleSupplyNetwork() {
+        this.showSupplyNetwork = !this.showSupplyNetwork;
+        if (!this.showSupplyNetwork) {
+            this.supplyNetworkPanel = null;
+            this.supplyNetworkHitAreas = [];
+        } else if (this.showCombatLog) {
+            this.toggleCombatLog();
+        }
+    }
+    
+    // The human's supply routes with their shares and live throughput; -/+ change a share, ✖ cancels, a row flies the camera to the source
+    renderSupplyNetwork(ctx, gameData) {
+        const supplySystem = gameData.game?.supplySystem;
+        if (!supplySystem) return;
+        
+        const routes = supplySystem.supplyRoutes;
+        const territories = gameData.territories;
+        const supply = GAME_CONSTANTS.SUPPLY_ROUTE;
+        const inTransit = supplySystem.shipments.reduce((total, shipment) => total + getRosterSize(shipment.roster), 0);
+        const totalThroughput = routes.reduce((total, route) => total + route.throughput, 0);
+        
+        const x = 20;
+        const y = 150;
+        const width = 500;
+        const rowHeight = 18;
+        const listTop = y + 52;
+        const visibleRows = Math.max(1, Math.floor((Math.min(340, this.canvas.height - 320) - 58) / rowHeight));
+        const height = Math.max(110, 58 + Math.min(routes.length, visibleRows) * rowHeight + (routes.length > visibleRows ? rowHeight : 0));
+        
+        this.supplyNetworkPanel = { x, y, width, height };
+        this.supplyNetworkHitAreas = [];
+        
+        ctx.fillStyle = this.bgColor;
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = this.accentColor;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, width, height);
+        
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'left';
+        this.renderTextWithShadow(ctx, `🔗 Supply Network (${routes.length})`, x + 10, y + 20, this.accentColor);
+        ctx.font = '11px Arial';
+        this.renderTextWithShadow(ctx, `${totalThroughput.toFixed(1)} ships/s, ${inTransit} in transit`, x + 200, y + 20, this.textColor);
+        this.renderTextWithShadow(ctx, `Lanes carry ${supply.THROUGHPUT_PER_HOP} ships per send - S: add route, G: set sink`, x + 10, y + 38, '#aaaaaa');
+        
+        if (routes.length === 0) {
+            this.renderTextWithShadow(ctx, 'No supply routes yet', x + 10, listTop + 12, '#aaaaaa');
+            return;
+        }
+        
+        const button = (label, area) => {
+            ctx.fillStyle = 'rgba(0, 221, 255, 0.2)';
+            ctx.fillRect(area.x, area.y, area.width, area.height);
+            ctx.textAlign = 'center';
+            this.renderTextWithShadow(ctx, label, area.x + area.width / 2, area.y + 11, this.textColor, 1);
+            ctx.textAlign = 'left';
+            this.supplyNetworkHitAreas.push(area);
+        };
+        
+        routes.slice(0, visibleRows).forEach((route, index) => {
+            const rowY = listTop + index * rowHeight;
+            const sinkTarget = supplySystem.getSinkTarget(route.to);
+            
+            ctx.fillStyle = route.throughput > 0 ? '#00ffff' : '#006666';
+            ctx.fillRect(x + 10, rowY + 4, 8, 8);
+            this.renderTextWithShadow(ctx, `${route.from} → ${route.to} (${route.path.length - 1} hops)`, x + 24, rowY + 12, route.active ? this.textColor : '#888888');
+            
+            button('-', { x: x + 170, y: rowY + 1, width: 16, height: 15, action: 'share', from: route.from, to: route.to, share: route.share - supply.SHARE_STEP });
+            ctx.textAlign = 'center';
+            this.renderTextWithShadow(ctx, `${route.share}%`, x + 207, rowY + 12, this.textColor);
+            ctx.textAlign = 'left';
+            button('+', { x: x + 228, y: rowY + 1, width: 16, height: 15, action: 'share', from: route.from, to: route.to, share: route.share + supply.SHARE_STEP });
+            
+            this.renderTextWithShadow(ctx, `${route.throughput.toFixed(1)}/s`, x + 254, rowY + 12, route.throughput > 0 ? this.successColor : '#aaaaaa');
+            
+            const notes = [];
+            if (route.cut) notes.push('✂️ cut');
+            if (!route.cut && route.risk > 0) notes.push(`⚠️ ${route.risk >= GAME_CONSTANTS.PATH_HAZARD_BATTLE ? 'under attack' : 'contested'} @${route.riskStar}`);
+            if (sinkTarget !== null) notes.push(`🎯 ${territories[route.to]?.armySize ?? 0}/${sinkTarget}`);
+            if (route.limitedBy === 'lanes') notes.push('lane cap');
+            const noteColor = route.cut || route.risk >= GAME_CONSTANTS.PATH_HAZARD_BATTLE ? this.warningColor :
+                route.risk > 0 || route.limitedBy === 'sink' ? '#ffdd44' : '#aaaaaa';
+            this.renderTextWithShadow(ctx, notes.join(' '), x + 300, rowY + 12, noteColor);
+            
+            button('✖', { x: x + width - 26, y: rowY + 1, width: 16, height: 15, action: 'cancel', from: route.from, to: route.to });
+            this.supplyNetworkHitAreas.push({ x, y: rowY, width: width - 30, height: rowHeight, action: 'focus', starId: route.from });
+        });
+        
+        if (routes.length > visibleRows) {
+            this.renderTextWithShadow(ctx, `+${routes.length - visibleRows} more`, x + 24, listTop + visibleRows * rowHeight + 12, '#aaaaaa');
+        }
+    }
+    
+    /**
+     * Pointer press on the supply network panel: change a share, cancel a route or focus the camera on its source
+     * @returns {boolean} True if the panel took the click
+     */
+    handleSupplyNetworkClick(screenX, screenY, game) {
+        const panel = this.supplyNetworkPanel;
+        if (!this.showSupplyNetwork || !panel) return false;
+        if (screenX < panel.x || screenX > panel.x + panel.width || screenY < panel.y || screenY > panel.y + panel.height) return false;
+        
+        // Buttons are listed before the row they sit on
+        const area = this.supplyNetworkHitAreas.find(a =>
+            screenX >= a.x && screenX <= a.x + a.width && screenY >= a.y && screenY <= a.y + a.height);
+        const territories = game.gameMap.territories;
+        if (area?.action === 'share' && !game.replayPlayer) {
+            game.supplySystem.setRouteShare(territories[area.from], territories[area.to], area.share);
+        } else if (area?.action === 'cancel' && !game.replayPlayer) {
+            game.supplySystem.cancelSupplyRoute(territories[area.from], territories[area.to]);
+        } else if (area?.action === 'focus') {
+            const territory = territories[area.starId];
+            if (territory) game.camera.focusOnTerritory(territory);
+        }
+        return true;
+    }
+    
+    // Scrollable, filterable list of battle reports; click a row to fly the camera to the star
+    renderCombatLog(ctx, gameData) {
+        const game = gameData.game;
+        if (!game?.combatSystem) return;
+        
+        const humanId = gameData.humanPlayer ? gameData.humanPlayer.id : null;
+        const reports = game.combatSystem.getBattleReports(humanId === null ? 'all' : this.combatLogFilter, humanId);
+        
+        const x = 20;
+        const y = 150;
+        const width = 460;
+        const height = Math.max(150, Math.min(340, this.canvas.height - 320));
+        const rowHeight = 16;
+        const listTop = y + 58;
+        const visibleRows = Math.floor((y + height - listTop - 6) / rowHeight);
+        this.combatLogScroll = Math.max(0, Math.min(this.combatLogScroll, reports.length - visibleRows));
+        
+        this.combatLogPanel = { x, y, width, height };
+        this.combatLogHitAreas = [];
+        
+        ctx.fillStyle = this.bgColor;
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = this.accentColor;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, width, height);
+        
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'left';
+        this.renderTextWithShadow(ctx, `📜 Combat Log (${reports.length})`, x + 10, y + 20, this.accentColor);
+        
+        // Export button
+        const exportArea = { x: x + width - 70, y: y + 6, width: 60, height: 20, action: 'export', reports };
+        ctx.fillStyle = 'rgba(0, 221, 255, 0.2)';
+        ctx.fillRect(exportArea.x, exportArea.y, exportArea.width, exportArea.height);
+        ctx.font = 'bold 11px Arial';
+        ctx.textAlign = 'center';
+        this.renderTextWithShadow(ctx, '⬇ CSV', exportArea.x + exportArea.width / 2, exportArea.y + 14, this.textColor);
+        this.combatLogHitAreas.push(exportArea);
+        
+        // Filter tabs (only the human player has a point of view to filter by)
+        if (humanId !== null) {
+            COMBAT_LOG_FILTERS.forEach((filter, index) => {
+                const area = { x: x + 10 + index * 62, y: y + 28, width: 56, height: 20, action: 'filter', filter: filter.id };
+                const active = this.combatLogFilter === filter.id;
+                ctx.fillStyle = active ? 'rgba(0, 221, 255, 0.35)' : 'rgba(255, 255, 255, 0.08)';
+                ctx.fillRect(area.x, area.y, area.width, area.height);
+                ctx.font = active ? 'bold 11px Arial' : '11px Arial';
+                this.renderTextWithShadow(ctx, filter.label, area.x + area.width / 2, area.y + 14, active ? this.textColor : '#aaaaaa');
+                this.combatLogHitAreas.push(area);
+            });
+        }
+        
+        ctx.textAlign = 'left';
+        ctx.font = '11px Arial';
+        if (reports.length === 0) {
+            this.renderTextWithShadow(ctx, 'No battles yet', x + 10, listTop + 12, '#aaaaaa');
+            return;
+        }
+        
+        const shorten = (name) => name.length > 9 ? name.substring(0, 8) + '…' : name;
+        reports.slice(this.combatLogScroll, this.combatLogScroll + visibleRows).forEach((report, index) => {
+            const rowY = listTop + index * rowHeight;
+            const attacker = gameData.players[report.attackerId];
+            
+            ctx.fillStyle = attacker ? attacker.color : '#ffffff';
+            ctx.fillRect(x + 10, rowY + 3, 8, 8);
+            
+            const attackers = report.shipsCommitted + report.reinforcements;
+            const defenders = report.defenders + report.defenderReinforcements;
+            const text = `#${report.id} ${shorten(report.attackerName)} → ${shorten(report.defenderName)} @${report.starId}: ` +
+                `${attackers} vs ${defenders}, ${report.rounds} rds, ${Math.round(report.winChance * 100)}% - ` +
+                `${report.outcome} (${report.outcome === 'captured' ? report.attackerSurvivors : report.defenderSurvivors} left)`;
+            this.renderTextWithShadow(ctx, text, x + 24, rowY + 11, BATTLE_OUTCOME_COLORS[report.outcome] || this.textColor);
+            
+            this.combatLogHitAreas.push({ x, y: rowY, width: width - 12, height: rowHeight, action: 'focus', starId: report.starId });
+        });
+        
+        // Scrollbar
+        if (reports.length > visibleRows) {
+            const trackHeight = visibleRows * rowHeight;
+            const thumbHeight = Math.max(12, trackHeight * visibleRows / reports.length);
+            const thumbY = listTop + (trackHeight - thumbHeight) * this.combatLogScroll / (reports.length - visibleRows);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+            ctx.fillRect(x + width - 8, listTop, 4, trackHeight);
+            ctx.fillStyle = this.accentColor;
+            ctx.fillRect(x + width - 8, thumbY, 4, thumbHeight);
+        }
+    }
+    
+    /**
+     * Pointer press on the combat log panel: switch filter, export CSV or focus the camera on a battle
+     * @returns {boolean} True if the panel took the click
+     */
+    handleCombatLogClick(screenX, screenY, game) {
+        const panel = this.combatLogPanel;
+        if (!this.showCombatLog || !panel) return false;
+        if (screenX < panel.x || screenX > panel.x + panel.width || screenY < panel.y || screenY > panel.y + panel.height) return false;
+        
+        const area = this.combatLogHitAreas.find(a =>
+            screenX >= a.x && screenX <= a.x + a.width && screenY >= a.y && screenY <= a.y + a.height);
+        if (area?.action === 'filter') {
+            this.combatLogFilter = area.filter;
+            this.combatLogScroll = 0;
+        } else if (area?.action === 'export') {
+            exportBattleReportsToFile(area.reports, game.config.seed);
+        } else if (area?.action === 'focus') {
+            const territory = game.gameMap.territories[area.starId];
+            if (territory) game.camera.focusOnTerritory(territory);
+        }
+        return true;
+    }
+    
+    /**
+     * Mouse wheel over the combat log scrolls it instead of zooming the map
+     * @returns {boolean} True if the panel took the wheel event
+     */
+    handleCombatLogScroll(screenX, screenY, deltaY) {
+        const panel = this.combatLogPanel;
+        if (!this.showCombatLog || !panel) return false;
+        if (screenX < panel.x || screenX > panel.x + panel.width || screenY < panel.y || screenY > panel.y + panel.height) return false;
+        
+        this.combatLogScroll = Math.max(0, this.combatLogScroll + (deltaY > 0 ? 3 : -3)); // Clamped on the next render
+        return true;
+    }
+    
+    // Pending treaty offers to the human player, oldest first (Y accepts, X declines the oldest)
+    renderDiplomacyProposals(ctx, gameData) {
+        const game = gameData.game;
+        const human = gameData.humanPlayer;
+        if (!game?.diplomacySystem || !human || game.replayPlayer) return;
+        
+        const proposals = game.diplomacySystem.getPendingProposalsFor(human.id).slice(0, 3);
+        if (proposals.length === 0) return;
+        
+        const width = 300;
+        const lineHeight = 20;
+        const x = (this.canvas.width - width) / 2;
+        const y = 75;
+        const height = 30 + proposals.length * lineHeight;
+        
+        ctx.fillStyle = this.bgColor;
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = '#ffd700';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, width, height);
+        
+        ctx.font = 'bold 13px Arial';
+        ctx.textAlign = 'center';
+        this.renderTextWithShadow(ctx, '📜 Treaty offers - Y accept / X decline', x + width / 2, y + 18, '#ffd700');
+        
+        ctx.font = '12px Arial';
+        proposals.forEach((proposal, index) => {
+            const proposer = game.players[proposal.fromId];
+            if (!proposer) return;
+            const secondsLeft = Math.max(0, Math.ceil((proposal.expiresAt - game.clock.now()) / 1000));
+            const text = `${TREATY_ICONS[proposal.type]} ${proposer.name}: ${TREATY_NAMES[proposal.type]} (${secondsLeft}s)`;
+            this.renderTextWithShadow(ctx, text, x + width / 2, y + 38 + index * lineHeight, index === 0 ? this.textColor : '#aaaaaa');
+        });
+    }
+    
     renderTerritoryInfo(ctx, gameData) {
         const territory = gameData.selectedTerritory;
         const startX = 20;
@@ -676,7 +1103,7 @@ export class GameUI {
         const startX = 20;
         const startY = 80;
         const width = 200;
-        const height = 140;
+        const height = 305;
         
         // Background
         ctx.fillStyle = this.bgColor;
@@ -697,6 +1124,17 @@ export class GameUI {
             'Pinch: Zoom in/out',
             'Two finger: Pan & zoom',
             'ESC: Deselect',
+            'N / A: Offer pact / alliance',
+            'B: Break treaty',
+            'Y / X: Accept / decline offer',
+            'C: Fleet stance, Q: Retreat',
+            'L: Combat log, O: Supply network',
+            'S: Supply route, G: Supply sink',
+            'Shift-click: Waypoints, Enter: Send',
+            'Shift-drag: Queue order, W: Wait for ships',
+            'Del: Cancel queued orders',
+            'V: Ship class the star builds',
+            '1-4: Shield, shipyard, sensors, beacon',
             'R: Restart (when ended)'
         ];
         
@@ -783,9 +1221,7 @@ export class GameUI {
         if (discoveries && discoveries.precursorDrive > 0) discoveryCount++;
         if (discoveries && discoveries.precursorShield > 0) discoveryCount++;
         if (discoveries && discoveries.precursorNanotech > 0) discoveryCount++;
-        if (discoveries && discoveries.ancientRuins > 0) discoveryCount++;
-        if (discoveries && discoveries.friendlyAliens > 0) discoveryCount++;
-        if (discoveries && discoveries.richMinerals > 0) discoveryCount++;
+        if (discoveries && discoveries.finds) discoveryCount += Object.keys(discoveries.finds).length;
         
         // Always show panel if player has any discoveries
         if (discoveryCount === 0) {
@@ -1036,27 +1472,26 @@ export class GameUI {
         const scaleX = size / mapWidth;
         const scaleY = size / mapHeight;
         
-        // Draw territories on minimap
-        Object.values(gameData.players).forEach(player => {
-            if (player.isEliminated) return;
+        // Draw owned territories on minimap, as far as the human player knows who owns them
+        const fogOfWar = gameData.fogOfWar?.enabled ? gameData.fogOfWar : null;
+        Object.values(gameData.gameMap?.territories || {}).forEach(territory => {
+            const intel = fogOfWar ? fogOfWar.getIntel(territory) : null;
+            const ownerId = intel ? intel.ownerId : territory.ownerId;
+            const owner = ownerId !== null ? gameData.players[ownerId] : null;
+            if (!owner) return;
             
-            ctx.fillStyle = player.color;
-            player.territories.forEach(territoryId => {
-                const territory = gameData.selectedTerritory ? 
-                    (gameData.selectedTerritory.id === territoryId ? gameData.selectedTerritory : null) : null;
-                // This is a simplified version - in real implementation we'd access territories from gameMap
-                
-                if (territory) {
-                    const x = startX + territory.x * scaleX;
-                    const y = startY + territory.y * scaleY;
-                    const radius = Math.max(1, territory.radius * scaleX * 0.5);
-                    
-                    ctx.beginPath();
-                    ctx.arc(x, y, radius, 0, Math.PI * 2);
-                    ctx.fill();
-                }
-            });
+            const x = startX + territory.x * scaleX;
+            const y = startY + territory.y * scaleY;
+            const radius = Math.max(1, territory.radius * scaleX * 0.5);
+            
+            // Stale intel is drawn dimmed
+            ctx.globalAlpha = intel && !intel.visible ? 0.4 : 1.0;
+            ctx.fillStyle = owner.color;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
         });
+        ctx.globalAlpha = 1.0;
         
         // Draw camera viewport
         if (this.camera) {
@@ -1098,12 +1533,17 @@ export class GameUI {
         const mouseX = gameData.mousePos.x;
         const mouseY = gameData.mousePos.y;
         
+        // Outside sensor range the tooltip reports last-known intel, not live state
+        const intel = gameData.fogOfWar?.enabled ? gameData.fogOfWar.getIntel(territory) : null;
+        const isFogged = intel !== null && !intel.visible;
+        const ownerId = intel ? intel.ownerId : territory.ownerId;
+        
         // Get territory information
         let ownerName = 'Neutral';
         let territoryColor = '#666666';
         
-        if (territory.ownerId !== null && gameData.players[territory.ownerId]) {
-            const owner = gameData.players[territory.ownerId];
+        if (ownerId !== null && gameData.players[ownerId]) {
+            const owner = gameData.players[ownerId];
             ownerName = owner.name;
             territoryColor = owner.color;
         }
@@ -1127,13 +1567,14 @@ export class GameUI {
             }
         } else {
             // FOG OF WAR: Check if this is a mysterious territory
+            // (with sensor-range fog on, stars in range are never mysterious and fogged ones are handled below)
             const humanPlayerId = gameData.humanPlayer?.id;
-            const isNeutralMystery = territory.ownerId === null && !territory.neighbors.some(neighborId => {
+            const isNeutralMystery = !intel && territory.ownerId === null && !territory.neighbors.some(neighborId => {
                 const neighbor = gameData.territories?.[neighborId];
                 return neighbor && neighbor.ownerId === humanPlayerId;
             });
             
-            const isEnemyMystery = territory.ownerId !== null && territory.ownerId !== humanPlayerId && !territory.neighbors.some(neighborId => {
+            const isEnemyMystery = !intel && territory.ownerId !== null && territory.ownerId !== humanPlayerId && !territory.neighbors.some(neighborId => {
                 const neighbor = gameData.territories?.[neighborId];
                 return neighbor && neighbor.ownerId === humanPlayerId;
             });
@@ -1147,7 +1588,18 @@ export class GameUI {
             
             // Removed debug nebula logging (dead code cleanup)
             
-            if (isMysteriousTerritory && territory.ownerId !== null) {
+            if (isFogged && !intel.known) {
+                // Never been in sensor range
+                tooltipLines.push(`Star ${territory.id} - Unexplored System`);
+                tooltipLines.push(`Unknown garrison`);
+            } else if (isFogged) {
+                // Out of sensor range - show the snapshot from the last sweep that covered it
+                tooltipLines.push(`Star ${territory.id} - ${ownerName}`);
+                tooltipLines.push(`${intel.armySize} Fleets (last seen ${formatIntelAge(intel.age)} ago)`);
+                if (intel.isThronestar) {
+                    tooltipLines.push(`👑 Throne Star`);
+                }
+            } else if (isMysteriousTerritory && territory.ownerId !== null) {
                 // Mysterious enemy territory - only show player name
                 tooltipLines.push(`Star ${territory.id} - ${ownerName}`);
                 // Apply nebula fog even to mysterious territories
@@ -1186,39 +1638,32 @@ export class GameUI {
                     let fleetDisplay = `${territory.armySize} Fleets`;
                     
                     if (territory.ownerId !== null) {
-                        // Check if this territory is a supply route source (redirects armies elsewhere)
-                        const isSupplySource = gameData.supplySystem && gameData.supplySystem.supplyRoutes && 
-                            gameData.supplySystem.supplyRoutes.some(route => route.from === territory.id);
+                        // Calculate effective generation rate including tech bonuses
+                        let effectiveGenerationRate = territory.armyGenerationRate || GAME_CONSTANTS.STAR_GENERATION_INTERVAL;
                         
-                        if (isSupplySource) {
-                            // Supply source territories redirect all armies, so they show +0/s generation
-                            generationRate = 0;
-                        } else {
-                            // Calculate effective generation rate including tech bonuses
-                            let effectiveGenerationRate = territory.armyGenerationRate || 3000;
-                            
-                            // Apply production tech bonus: +10% per production tech level
-                            const territoryOwner = gameData.players.find(p => p.id === territory.ownerId);
-                            if (territoryOwner && territoryOwner.tech && territoryOwner.tech.production > 0) {
-                                effectiveGenerationRate /= (1 + territoryOwner.tech.production * 0.1);
-                            }
-                            
-                            // Apply planet-specific bonuses
-                            if (territory.discoveryBonus === 'factory') {
-                                effectiveGenerationRate *= 0.5; // 200% speed (half the time)
-                            } else if (territory.discoveryBonus === 'minerals') {
-                                effectiveGenerationRate *= 0.67; // 150% speed
-                            } else if (territory.discoveryBonus === 'void_storm') {
-                                effectiveGenerationRate *= 1.33; // 75% speed
-                            }
-                            
-                            generationRate = 1000 / effectiveGenerationRate;
-                            
-                            // Add supply route bonuses for destinations
-                            if (gameData.supplySystem && gameData.supplySystem.supplyRoutes) {
-                                const incomingRoutes = gameData.supplySystem.supplyRoutes.filter(route => route.to === territory.id);
-                                generationRate += incomingRoutes.length * (1000 / 3000); // Each supply route adds base rate
-                            }
+                        // Apply production tech bonus: +10% per production tech level
+                        const territoryOwner = gameData.players.find(p => p.id === territory.ownerId);
+                        if (territoryOwner && territoryOwner.tech && territoryOwner.tech.production > 0) {
+                            effectiveGenerationRate /= (1 + territoryOwner.tech.production * 0.1);
+                        }
+                        
+                        // Apply the owner's Precursor Nanotech bonus
+                        const nanotechBonus = gameData.game?.discoverySystem?.getArmyGenerationBonus(territory.ownerId) || 0;
+                        effectiveGenerationRate /= (1 + nanotechBonus);
+                        
+                        // Apply timed discovery effects (e.g. plague)
+                        if (gameData.game) {
+                            effectiveGenerationRate /= territory.getTimedGenerationMultiplier(gameData.game.clock.now());
+                        }
+                        
+                        // Dearer ship classes take longer to build
+                        effectiveGenerationRate *= (SHIP_CLASSES[territory.productionFocus] || SHIP_CLASSES[DEFAULT_SHIP_CLASS]).buildCost;
+                        
+                        generationRate = 1000 / effectiveGenerationRate;
+                        
+                        // Add what the supply network delivers to destinations
+                        if (gameData.supplySystem) {
+                            generationRate += gameData.supplySystem.getIncomingThroughput(territory.id);
                         }
                         
                         // Format generation rate with proper precision
@@ -1231,10 +1676,39 @@ export class GameUI {
                     }
                     
                     tooltipLines.push(fleetDisplay);
+                    
+                    // Ships by class, and what the star builds
+                    tooltipLines.push(`Roster: ${formatRoster(getShipRoster(territory))}`);
+                    if (territory.ownerId !== null) {
+                        const focus = SHIP_CLASSES[territory.productionFocus] || SHIP_CLASSES[DEFAULT_SHIP_CLASS];
+                        tooltipLines.push(`🏭 Building ${focus.name}s${isPlayerOwned ? ' (V to change)' : ''}`);
+                    }
+                    
+                    // Starbase upgrades
+                    if (territory.upgrades && territory.upgrades.length > 0) {
+                        tooltipLines.push(territory.upgrades.map(upgrade => `${STARBASE_UPGRADES[upgrade].icon} ${STARBASE_UPGRADES[upgrade].name}`).join(', '));
+                    }
+                    if (isPlayerOwned && territory.upgrades.length < Object.keys(STARBASE_UPGRADES).length) {
+                        tooltipLines.push('🏗️ 1-4: Build starbase upgrades');
+                    }
                 }
                 
                 if (territory.isThronestar) {
-                    tooltipLines.push(`👑 Throne Star`);
+                    // Capitals rules: every capital is a throne star, the owner rules from one of them
+                    const isMainThrone = gameData.players[territory.ownerId]?.throneStarId === territory.id;
+                    tooltipLines.push(isMainThrone ? `👑 Throne Star` : `👑 Capital`);
+                }
+                
+                // Discovery hazards on the star
+                if (territory.timedGeneration && gameData.game) {
+                    const remaining = territory.timedGeneration.expiresAt - gameData.game.clock.now();
+                    if (remaining > 0) {
+                        const { multiplier } = territory.timedGeneration;
+                        tooltipLines.push(`${multiplier < 1 ? '☣️' : '⏳'} Output x${multiplier} (${formatIntelAge(remaining)} left)`);
+                    }
+                }
+                if (territory.minefield) {
+                    tooltipLines.push(`💣 Minefield: next fleet loses ${Math.round(territory.minefield.damage * 100)}%`);
                 }
                 
                 // Show supply route information if this territory is supplying another
@@ -1244,12 +1718,51 @@ export class GameUI {
                         outgoingRoutes.forEach(route => {
                             const targetTerritory = gameData.territories[route.to];
                             if (targetTerritory) {
-                                tooltipLines.push(`Reinforcing star ${route.to}`);
+                                const status = route.cut ? ', ✂️ cut' : route.risk > 0 ? ', ⚠️ at risk' : '';
+                                tooltipLines.push(`Reinforcing star ${route.to} (${route.share}%, ${route.throughput.toFixed(1)}/s${status})`);
                             }
                         });
                     }
+                    const sinkTarget = gameData.supplySystem.getSinkTarget(territory.id);
+                    if (sinkTarget !== null && isPlayerOwned) {
+                        tooltipLines.push(`🎯 Supply sink: takes ships up to ${sinkTarget} (G to change)`);
+                    }
+                }
+            }
+
+            // Nebulas are plain to see, even through fog
+            if (isInNebula) {
+                tooltipLines.push(`🌫️ Nebula: hidden from sensors, +${Math.round(GAME_CONSTANTS.NEBULA_COVER_BONUS * 100)}% defense`);
+                if (gameData.gameMap.nebulaSlowdown) {
+                    tooltipLines.push(`🌫️ Fleets cross nebulas at 1/${GAME_CONSTANTS.NEBULA_TRAVEL_TIME_MULTIPLIER} speed`);
                 }
             }
+
+            // King of the Hill star is public knowledge, even through fog
+            if (gameData.game?.victorySystem?.isHillStar(territory)) {
+                tooltipLines.push(`⛰️ King of the Hill: 1 point/s to the holder`);
+            }
+
+            // Treaty standing with the owner, for any star whose owner we know
+            const diplomacy = gameData.game?.diplomacySystem;
+            const isKnownOwner = ownerId !== null && ownerId !== humanPlayerId && humanPlayerId !== undefined && !(isFogged && !intel.known);
+            if (diplomacy && isKnownOwner) {
+                const treaty = diplomacy.getTreaty(humanPlayerId, ownerId);
+                if (treaty) {
+                    const secondsLeft = Math.max(0, Math.ceil((treaty.expiresAt - gameData.game.clock.now()) / 1000));
+                    tooltipLines.push(`${TREATY_ICONS[treaty.type]} ${TREATY_NAMES[treaty.type]} (${secondsLeft}s left)`);
+                }
+                if (diplomacy.isOathbreaker(ownerId)) {
+                    tooltipLines.push(`🗡️ Oathbreaker`);
+                }
+            }
+
+            // Rival precursor tech, for any star whose owner we know
+            const isKnownRival = ownerId !== null && ownerId !== humanPlayerId && !(isFogged && !intel.known);
+            const techLevels = isKnownRival ? gameData.game?.discoverySystem?.getTechLevels(ownerId) : null;
+            if (techLevels && techLevels.total > 0) {
+                tooltipLines.push(`Tech: ⚔️${techLevels.weapons} 🛡️${techLevels.shield} 🚀${techLevels.drive} 🔬${techLevels.nanotech}`);
+            }
             
             // Show battle odds if player has selected territory and this is an enemy
             if (gameData.selectedTerritory && 
@@ -1272,7 +1785,7 @@ export class GameUI {
 
                     
                     if (attacker && defender) {
-                        const winChance = gameData.combatSystem.calculateBattleOdds(attacker, defender);
+                        const winChance = gameData.combatSystem.calculateBattleOdds(attacker, defender, territory);
 
                         tooltipLines.push(`Battle Odds: ${winChance}% win`);
                     }
@@ -1384,6 +1897,10 @@ export class GameUI {
         ctx.font = '18px Arial';
         this.renderTextWithShadow(ctx, 'You can continue watching the game...', this.canvas.width / 2, this.canvas.height / 2, this.textColor);
         
+        this.renderSeedLabel(ctx, gameData, this.canvas.height / 2 + 30);
+        
+        this.renderVictoryBreakdown(ctx, gameData, this.canvas.height / 2 + 140);
+        
         // Play Again button
         const buttonWidth = 200;
         const buttonHeight = 60;
@@ -1405,16 +1922,69 @@ export class GameUI {
         this.renderTextWithShadow(ctx, 'PLAY AGAIN', buttonX + buttonWidth / 2, buttonY + buttonHeight / 2 + 7, '#ffffff');
     }
     
+    // Live standings under the victory mode's measure, with what each result is made of
+    renderVictoryBreakdown(ctx, gameData, startY) {
+        const victory = gameData.game?.victorySystem;
+        if (!victory) return;
+        
+        const standings = victory.getStandings().slice(0, 5);
+        const width = 520;
+        const lineHeight = 22;
+        const startX = this.canvas.width / 2 - width / 2;
+        const height = 40 + standings.length * lineHeight;
+        
+        ctx.fillStyle = 'rgba(0, 20, 40, 0.9)';
+        ctx.fillRect(startX, startY, width, height);
+        ctx.strokeStyle = this.accentColor;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(startX, startY, width, height);
+        
+        ctx.font = 'bold 16px Arial';
+        ctx.textAlign = 'center';
+        this.renderTextWithShadow(ctx, `Standings - ${victory.modeName}`, this.canvas.width / 2, startY + 24, this.accentColor);
+        
+        standings.forEach((entry, index) => {
+            const y = startY + 48 + index * lineHeight;
+            const isHuman = entry.player === gameData.humanPlayer;
+            const color = entry.player.isEliminated ? '#888888' : (isHuman ? this.accentColor : this.textColor);
+            
+            ctx.fillStyle = entry.player.color;
+            ctx.fillRect(startX + 15, y - 10, 12, 12);
+            
+            ctx.font = isHuman ? 'bold 14px Arial' : '14px Arial';
+            ctx.textAlign = 'left';
+            this.renderTextWithShadow(ctx, `${index + 1}. ${entry.player.name}`, startX + 35, y, color);
+            this.renderTextWithShadow(ctx, entry.label, startX + 190, y, color);
+            
+            ctx.font = '12px Arial';
+            ctx.textAlign = 'right';
+            this.renderTextWithShadow(ctx, entry.breakdown, startX + width - 15, y, '#aaaaaa');
+        });
+    }
+    
+    renderSeedLabel(ctx, gameData, y) {
+        if (gameData.seed === undefined || gameData.seed === null) return;
+        
+        ctx.font = '16px monospace';
+        ctx.textAlign = 'center';
+        this.renderTextWithShadow(ctx, `Galaxy Seed: ${gameData.seed}`, this.canvas.width / 2, y, '#aaaaaa');
+    }
+    
     renderFinalLeaderboard(ctx, gameData) {
         const startX = this.canvas.width / 2 - 250;
         const startY = this.canvas.height / 2 - 50;
         const width = 500;
         const itemHeight = 35;
         
-        // Sort all players by territories controlled and show only top 10 for better readability
-        const sortedPlayers = [...gameData.players]
-            .sort((a, b) => b.territories.length - a.territories.length)
-            .slice(0, 10);
+        // Rank players by the victory mode's measure and show only top 10 for better readability
+        const victory = gameData.game?.victorySystem;
+        const standings = victory
+            ? victory.getStandings().slice(0, 10)
+            : [...gameData.players]
+                .sort((a, b) => b.territories.length - a.territories.length)
+                .slice(0, 10)
+                .map(player => ({ player, label: `${player.territories.length} territories` }));
+        const sortedPlayers = standings.map(entry => entry.player);
         const height = 80 + sortedPlayers.length * itemHeight;
         
         // Background with shadow
@@ -1446,7 +2016,10 @@ export class GameUI {
         sortedPlayers.forEach((player, index) => {
             const y = startY + 80 + index * itemHeight;
             const isHuman = player === gameData.humanPlayer;
-            const isWinner = index === 0 && !player.isEliminated;
+            const isWinner = victory?.result
+                ? victory.isWinner(player)
+                : index === 0 && !player.isEliminated;
+            const stats = standings[index].label;
             
             // Background for winner or human player
             if (isWinner) {
@@ -1490,11 +2063,11 @@ export class GameUI {
             
             // Stats shadow
             ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
-            ctx.fillText(`${player.territories.length} territories`, startX + width - 102, y + 2);
+            ctx.fillText(stats, startX + width - 102, y + 2);
             
             // Main stats
             ctx.fillStyle = '#ffffff';
-            ctx.fillText(`${player.territories.length} territories`, startX + width - 100, y);
+            ctx.fillText(stats, startX + width - 100, y);
             
             // Status
             if (player.isEliminated) {
@@ -1546,7 +2119,7 @@ export class GameUI {
     }
 
     // Render preview arrow for FSM confirmation mode
-    async renderPreviewArrow(ctx, gameData) {
+    renderPreviewArrow(ctx, gameData) {
         if (!this.previewArrow || !this.camera) return;
         
         const { source, target, type } = this.previewArrow;
@@ -1574,26 +2147,20 @@ export class GameUI {
                 this.cachedAttackPath.sourceId !== source.id || 
                 this.cachedAttackPath.targetId !== target.id) {
                 
-                // Find attack path through warp lanes
-                console.log(`🎯 Finding attack path from ${source.id} to ${target.id}`);
+                // Find attack path through warp lanes, around the player's no-go zones
+                const path = gameData.game.pathfindingService.findAttackPath(
+                    source.id, 
+                    target.id, 
+                    gameData.gameMap, 
+                    gameData.humanPlayer?.id,
+                    'avoidNoGo'
+                );
                 
-                try {
-                    const path = await gameData.game.pathfindingService.findAttackPath(
-                        source.id, 
-                        target.id, 
-                        gameData.gameMap, 
-                        gameData.humanPlayer?.id
-                    );
-                    
-                    this.cachedAttackPath = {
-                        sourceId: source.id,
-                        targetId: target.id,
-                        path: path
-                    };
-                } catch (error) {
-                    console.error('Error finding attack path:', error);
-                    this.cachedAttackPath = { sourceId: source.id, targetId: target.id, path: null };
-                }
+                this.cachedAttackPath = {
+                    sourceId: source.id,
+                    targetId: target.id,
+                    path: path
+                };
             }
             
             // Draw the attack path
@@ -1656,14 +2223,14 @@ export class GameUI {
         const targetPlayer = gameData.players[target.ownerId];
         
         let techAdvantage = 0;
-        if (humanPlayer && humanPlayer.discoveries && targetPlayer && targetPlayer.discoveries) {
-            const attackBonus = (humanPlayer.discoveries.precursorWeapons || 0) * 5;
-            const defenseBonus = (targetPlayer.discoveries.precursorShield || 0) * 5;
-            techAdvantage = Math.round((attackBonus - defenseBonus) / 5); // Convert back to levels
+        const discoverySystem = gameData.game?.discoverySystem;
+        if (humanPlayer && targetPlayer && discoverySystem) {
+            techAdvantage = discoverySystem.getTechLevels(humanPlayer.id).weapons - discoverySystem.getTechLevels(targetPlayer.id).shield;
         }
         
-        // Create cache key for stable win percentage
-        const cacheKey = `${source.id}-${target.id}-${attackingArmies}-${preview.defendingArmies}`;
+        // Create cache key for stable win percentage (a battle under way changes the odds as it goes)
+        const liveBattle = preview.battle;
+        const cacheKey = `${source.id}-${target.id}-${attackingArmies}-${preview.defendingArmies}-${liveBattle ? liveBattle.attackersRemaining : ''}`;
         if (!this.winPercentageCache) this.winPercentageCache = {};
         
         // Use cached percentage if available, otherwise calculate and cache
@@ -1709,6 +2276,25 @@ export class GameUI {
         ctx.strokeText(shipText, targetScreen.x, targetScreen.y + 35);
         ctx.fillText(shipText, targetScreen.x, targetScreen.y + 35);
         
+        // Defender bonuses of the star itself (shield generator, nebula cover)
+        let nextLineY = targetScreen.y + 50;
+        if (preview.modifiers && preview.modifiers.length > 0) {
+            const modifierText = preview.modifiers.map(modifier => `${modifier.label} -${Math.round(modifier.bonus * 100)}%`).join('  ');
+            ctx.fillStyle = '#ff9966';
+            ctx.strokeText(modifierText, targetScreen.x, nextLineY);
+            ctx.fillText(modifierText, targetScreen.x, nextLineY);
+            nextLineY += 15;
+        }
+        
+        // Live ship counts of a battle already raging at the target
+        if (liveBattle) {
+            const attackerPlayer = gameData.players[liveBattle.attackerId];
+            const battleText = `⚔️ ${liveBattle.attackersRemaining} vs ${liveBattle.defendersRemaining}`;
+            ctx.fillStyle = attackerPlayer ? attackerPlayer.color : '#ffffff';
+            ctx.strokeText(battleText, targetScreen.x, nextLineY);
+            ctx.fillText(battleText, targetScreen.x, nextLineY);
+        }
+        
         ctx.restore();
     }
     
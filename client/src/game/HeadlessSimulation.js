@@ -0,0 +1,169 @@
+/**
+ * HeadlessSimulation - Runs AI-vs-AI matches without a canvas or requestAnimationFrame
+ * Drives the real game systems (Player AI, AIStrategist, CombatSystem, SupplySystem,
+ * DiscoverySystem) on the game's fixed-step SimulationClock, as fast as the CPU allows,
+ * so balance changes can be batch-tested from Node.
+ */
+
+import StarThrone from './StarThrone';
+
+export class HeadlessSimulation {
+    /**
+     * @param {Object} options
+     * @param {number} options.mapSize - Territory count
+     * @param {string} options.layout - Map layout name
+     * @param {string} options.throneRules - Throne rule set (classic, exile, capitals)
+     * @param {string} options.victoryMode - Victory mode (conquest, domination, timed_score, king_of_the_hill)
+     * @param {number} options.matchMinutes - Match timer in simulated minutes
+     * @param {number} options.dominationPercent - Domination: share of stars to hold
+     * @param {number} options.dominationHoldSeconds - Domination: seconds to hold it
+     * @param {number} options.hillTargetPoints - King of the Hill: points to win
+     * @param {number} options.aiCount - Number of AI empires
+     * @param {number} options.seed - Match seed
+     * @param {number} options.tickLimit - Maximum simulation ticks
+     * @param {number} options.sampleEvery - Ticks between territory samples
+     */
+    constructor(options = {}) {
+        this.options = {
+            mapSize: 80,
+            layout: 'organic',
+            throneRules: 'classic',
+            victoryMode: 'conquest',
+            matchMinutes: 10,
+            dominationPercent: 60,
+            dominationHoldSeconds: 60,
+            hillTargetPoints: 180,
+            aiCount: 8,
+            seed: undefined,
+            tickLimit: 36000,
+            sampleEvery: 300,
+            ...options
+        };
+
+        this.eliminationOrder = [];
+        this.timeline = [];
+        this.game = null;
+    }
+
+    /**
+     * Run the match to completion (a victory or the match timer) or the tick limit
+     * @returns {Object} JSON-safe match summary
+     */
+    run() {
+        this.setup();
+        while (this.game.tick < this.options.tickLimit && this.game.gameState === 'playing') {
+            this.step();
+        }
+        this.sampleTerritories();
+        return this.buildSummary();
+    }
+
+    setup() {
+        const { mapSize, layout, throneRules, victoryMode, matchMinutes, dominationPercent, dominationHoldSeconds, hillTargetPoints, aiCount, seed } = this.options;
+        this.game = new StarThrone({
+            mapSize,
+            layout,
+            throneRules,
+            victoryMode,
+            matchMinutes,
+            dominationPercent,
+            dominationHoldSeconds,
+            hillTargetPoints,
+            aiCount,
+            seed,
+            gameSpeed: 1.0,
+            mode: 'headless'
+        });
+        this.game.initHeadless();
+        this.sampleTerritories();
+    }
+
+    // One fixed timestep of the same game rules the browser runs (StarThrone.simulateStep)
+    step() {
+        const game = this.game;
+        game.simulateStep(game.clock.step());
+        this.recordEliminations();
+
+        if (game.tick % this.options.sampleEvery === 0) {
+            this.sampleTerritories();
+        }
+    }
+
+    recordEliminations() {
+        this.game.players.forEach(player => {
+            if (player.isEliminated && !this.eliminationOrder.some(entry => entry.id === player.id)) {
+                this.eliminationOrder.push({ id: player.id, name: player.name, tick: this.game.tick });
+            }
+        });
+    }
+
+    sampleTerritories() {
+        const last = this.timeline[this.timeline.length - 1];
+        if (last && last.tick === this.game.tick) return;
+
+        this.timeline.push({
+            tick: this.game.tick,
+            territories: this.game.players.map(player => player.territories.length)
+        });
+    }
+
+    // Battle outcome counts for the whole match (game.combatSystem.battleReports keeps only the latest)
+    summarizeBattles() {
+        const { captured, defended, retreated } = this.game.combatSystem.battleOutcomes;
+        return { total: captured + defended + retreated, captured, defended, retreated };
+    }
+
+    buildSummary() {
+        const game = this.game;
+        const alive = game.players.filter(p => !p.isEliminated);
+        const result = game.victorySystem.result;
+        const winner = result ? game.players[result.winnerId] || null : (alive.length === 1 ? alive[0] : null);
+
+        const discoveries = {};
+        game.playerDiscoveries.forEach((found, playerId) => {
+            discoveries[playerId] = { ...found, factoryPlanets: found.factoryPlanets.size };
+        });
+
+        return {
+            seed: game.config.seed,
+            options: {
+                mapSize: this.options.mapSize,
+                layout: this.options.layout,
+                throneRules: this.options.throneRules,
+                victoryMode: this.options.victoryMode,
+                matchMinutes: this.options.matchMinutes,
+                aiCount: this.options.aiCount,
+                tickLimit: this.options.tickLimit,
+                tickMs: game.clock.stepMs
+            },
+            ticks: game.tick,
+            simulatedSeconds: Math.round(game.clock.now()) / 1000,
+            finished: game.gameState === 'ended',
+            winner: winner ? { id: winner.id, name: winner.name } : null,
+            victory: {
+                mode: game.victorySystem.mode,
+                reason: game.victorySystem.result ? game.victorySystem.result.reason : null,
+                allies: game.victorySystem.result ? game.victorySystem.result.allyIds : [],
+                standings: game.victorySystem.getStandings().map(entry => ({ id: entry.player.id, name: entry.player.name, result: entry.label }))
+            },
+            eliminationOrder: this.eliminationOrder,
+            players: game.players.map(player => ({
+                id: player.id,
+                name: player.name,
+                strategy: player.strategist ? player.strategist.strategy : player.aiStrategy,
+                territories: player.territories.length,
+                isEliminated: player.isEliminated,
+                territoriesConquered: player.territoriesConquered,
+                battlesWon: player.battlesWon,
+                battlesLost: player.battlesLost
+            })),
+            territoriesOverTime: {
+                sampleEvery: this.options.sampleEvery,
+                samples: this.timeline
+            },
+            discoveries,
+            diplomacy: game.diplomacySystem.stats,
+            battles: this.summarizeBattles()
+        };
+    }
+}
@@ -93,6 +93,12 @@ export class InputHandler {
         this.lastMousePos = { ...this.mousePos };
         this.game.mousePos = { ...this.mousePos };
 
+        // Open combat log / supply network panels take clicks on them before the map does
+        if (this.game.ui?.handleCombatLogClick(this.mousePos.x, this.mousePos.y, this.game) ||
+            this.game.ui?.handleSupplyNetworkClick(this.mousePos.x, this.mousePos.y, this.game)) {
+            return;
+        }
+
         const worldPos = this.game.camera.screenToWorld(this.mousePos.x, this.mousePos.y);
         const territory = this.game.findTerritoryAt(worldPos.x, worldPos.y);
         
@@ -104,7 +110,8 @@ export class InputHandler {
             territoryOwner: territory?.ownerId
         });
 
-        if (territory && territory.ownerId === this.game.humanPlayer?.id) {
+        // With Shift held any star can be grabbed, for waypoints and for orders queued on stars our fleets have yet to take
+        if (territory && (territory.ownerId === this.game.humanPlayer?.id || (e.shiftKey && this.game.humanPlayer))) {
             // Begin fleet drag from owned territory
             console.log('🎯 Starting fleet drag from territory', territory.id, 'with', territory.armySize, 'armies');
             this.isFleetDragging = true;
@@ -147,20 +154,21 @@ export class InputHandler {
                 if (target.id !== this.lastTargetId) {
                     this.lastTargetId = target.id;
                     const isFriendly = target.ownerId === this.game.humanPlayer?.id;
-                    const promise = isFriendly
+                    this.dragPath = isFriendly
                         ? this.game.pathfindingService.findShortestPath(
                             this.fleetSource.id,
                             target.id,
                             this.game.gameMap,
-                            this.game.humanPlayer.id
+                            this.game.humanPlayer.id,
+                            'avoidNoGo'
                         )
                         : this.game.pathfindingService.findAttackPath(
                             this.fleetSource.id,
                             target.id,
                             this.game.gameMap,
-                            this.game.humanPlayer.id
+                            this.game.humanPlayer.id,
+                            'avoidNoGo'
                         );
-                    promise.then(path => { this.dragPath = path; }).catch(() => { this.dragPath = null; });
 
                     // Light haptic feedback when hovering over a valid target
                     if (this.game.feedbackSystem) {
@@ -212,7 +220,14 @@ export class InputHandler {
                 target: target ? target.id : 'none',
                 sourceArmies: this.fleetSource.armySize
             });
-            if (target && target.id !== this.fleetSource.id) {
+            if (e.shiftKey && target && this.game.fleetOrderSystem) {
+                // Shift-click adds a waypoint, shift-drag queues an order behind the ones already running
+                if (target.id === this.fleetSource.id) {
+                    this.game.fleetOrderSystem.handleWaypointClick(target);
+                } else {
+                    this.game.fleetOrderSystem.handleQueueDrag(this.fleetSource, target);
+                }
+            } else if (target && target.id !== this.fleetSource.id) {
                 // Determine if this is an attack or transfer
                 const isAttack = target.ownerId !== this.game.humanPlayer?.id;
                 console.log('🚀 Issuing fleet command from', this.fleetSource.id, 'to', target.id, 'isAttack:', isAttack);
@@ -226,11 +241,8 @@ export class InputHandler {
                 }
 
                 try {
-                    // Call async method properly
                     if (this.game.issueFleetCommand) {
-                        this.game.issueFleetCommand(this.fleetSource, target, 0.5, isAttack).catch(err => {
-                            console.error('❌ Fleet command failed:', err);
-                        });
+                        this.game.issueFleetCommand(this.fleetSource, target, 0.5, isAttack);
                     } else {
                         console.error('❌ issueFleetCommand method not found on game object!');
                         // Fallback to direct executeFleetCommand
@@ -259,6 +271,9 @@ export class InputHandler {
         const rect = this.canvas.getBoundingClientRect();
         const mouseX = e.clientX - rect.left;
         const mouseY = e.clientY - rect.top;
+        if (this.game.ui?.handleCombatLogScroll(mouseX, mouseY, e.deltaY)) {
+            return;
+        }
         const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
         const newZoom = Math.max(0.02, Math.min(8.0, this.game.camera.targetZoom * zoomFactor));
         this.game.mousePos = { x: mouseX, y: mouseY };
@@ -80,6 +80,15 @@ export default class MapGenerator {
     // Target dimensions (set by GameMap before generation)
     static targetWidth = 0;
     static targetHeight = 0;
+    // Seeded RNG (set by GameMap before generation) so a galaxy can be reproduced from its seed
+    static rng = null;
+    
+    /**
+     * Draw from the seeded RNG, falling back to Math.random() when none is set
+     */
+    static random() {
+        return this.rng ? this.rng.next() : Math.random();
+    }
     
     /**
      * Generate a map with specified parameters
@@ -180,8 +189,8 @@ export default class MapGenerator {
             
             do {
                 center = {
-                    x: Math.random() * width * 0.7 + width * 0.15,
-                    y: Math.random() * height * 0.7 + height * 0.15
+                    x: this.random() * width * 0.7 + width * 0.15,
+                    y: this.random() * height * 0.7 + height * 0.15
                 };
                 attempts++;
             } while (attempts < 20 && centers.some(c => 
@@ -194,8 +203,8 @@ export default class MapGenerator {
         // Distribute territories among clusters
         for (let i = 0; i < mapSize; i++) {
             const cluster = centers[i % centers.length];
-            const angle = Math.random() * 2 * Math.PI;
-            const distance = Math.sqrt(Math.random()) * 250 + 50;
+            const angle = this.random() * 2 * Math.PI;
+            const distance = Math.sqrt(this.random()) * 250 + 50;
             
             points.push({
                 x: cluster.x + distance * Math.cos(angle),
@@ -222,8 +231,8 @@ export default class MapGenerator {
             const radius = 80 + progress * maxRadius;
             
             // Add spiral noise
-            const noiseRadius = Math.random() * 60 - 30;
-            const noiseAngle = Math.random() * 0.5 - 0.25;
+            const noiseRadius = this.random() * 60 - 30;
+            const noiseAngle = this.random() * 0.5 - 0.25;
             
             points.push({
                 x: centerX + (radius + noiseRadius) * Math.cos(angle + noiseAngle),
@@ -244,9 +253,9 @@ export default class MapGenerator {
         
         for (let i = 0; i < mapSize; i++) {
             // Bias toward center using power distribution
-            const radiusProgress = Math.pow(Math.random(), 0.6); // Stronger center bias
+            const radiusProgress = Math.pow(this.random(), 0.6); // Stronger center bias
             const radius = radiusProgress * maxRadius;
-            const angle = Math.random() * 2 * Math.PI;
+            const angle = this.random() * 2 * Math.PI;
             
             points.push({
                 x: centerX + radius * Math.cos(angle),
@@ -269,9 +278,9 @@ export default class MapGenerator {
         for (let i = 0; i < mapSize; i++) {
             const ring = i % rings;
             const baseRadius = (ring + 1) * (maxRadius / rings);
-            const radiusVariation = Math.random() * 40 - 20;
+            const radiusVariation = this.random() * 40 - 20;
             const radius = baseRadius + radiusVariation;
-            const angle = Math.random() * 2 * Math.PI;
+            const angle = this.random() * 2 * Math.PI;
             
             points.push({
                 x: centerX + radius * Math.cos(angle),
@@ -294,8 +303,8 @@ export default class MapGenerator {
         
         for (let i = 0; i < mapSize; i++) {
             const system = centers[i % 2];
-            const angle = Math.random() * 2 * Math.PI;
-            const radius = Math.sqrt(Math.random()) * 300 + 80;
+            const angle = this.random() * 2 * Math.PI;
+            const radius = Math.sqrt(this.random()) * 300 + 80;
             
             points.push({
                 x: system.x + radius * Math.cos(angle),
@@ -335,7 +344,7 @@ export default class MapGenerator {
             const maxDistance = boundaryFunction(angle);
             
             // Add some fuzziness to the boundary for more natural edges
-            const fuzziness = Math.random() * 0.1 - 0.05;
+            const fuzziness = this.random() * 0.1 - 0.05;
             return distance <= maxDistance * (1 + fuzziness);
         };
         
@@ -344,8 +353,8 @@ export default class MapGenerator {
         const densityClusters = [];
         
         for (let i = 0; i < numClusters; i++) {
-            const angle = Math.random() * 2 * Math.PI;
-            const distance = Math.random() * Math.min(width, height) * 0.3;
+            const angle = this.random() * 2 * Math.PI;
+            const distance = this.random() * Math.min(width, height) * 0.3;
             const clusterX = centerX + distance * Math.cos(angle);
             const clusterY = centerY + distance * Math.sin(angle);
             
@@ -353,28 +362,28 @@ export default class MapGenerator {
                 densityClusters.push({
                     x: clusterX,
                     y: clusterY,
-                    strength: 0.3 + Math.random() * 0.4,
-                    radius: 100 + Math.random() * 150
+                    strength: 0.3 + this.random() * 0.4,
+                    radius: 100 + this.random() * 150
                 });
             }
         }
         
         // Start with central point
         points.push({
-            x: centerX + (Math.random() - 0.5) * 100,
-            y: centerY + (Math.random() - 0.5) * 100
+            x: centerX + (this.random() - 0.5) * 100,
+            y: centerY + (this.random() - 0.5) * 100
         });
         
         const activeList = [0];
         
         while (activeList.length > 0 && points.length < mapSize) {
-            const randomIndex = Math.floor(Math.random() * activeList.length);
+            const randomIndex = Math.floor(this.random() * activeList.length);
             const activePoint = points[activeList[randomIndex]];
             
             let found = false;
             for (let attempts = 0; attempts < maxAttempts; attempts++) {
-                const angle = Math.random() * 2 * Math.PI;
-                const radius = minDistance * (0.8 + Math.random() * 0.4); // Variable spacing
+                const angle = this.random() * 2 * Math.PI;
+                const radius = minDistance * (0.8 + this.random() * 0.4); // Variable spacing
                 const candidate = {
                     x: activePoint.x + radius * Math.cos(angle),
                     y: activePoint.y + radius * Math.sin(angle)
@@ -409,8 +418,8 @@ export default class MapGenerator {
         let attempts = 0;
         while (points.length < mapSize && attempts < mapSize * 10) {
             const candidate = {
-                x: centerX + (Math.random() - 0.5) * width * 0.8,
-                y: centerY + (Math.random() - 0.5) * height * 0.8
+                x: centerX + (this.random() - 0.5) * width * 0.8,
+                y: centerY + (this.random() - 0.5) * height * 0.8
             };
             
             attempts++;
@@ -434,7 +443,7 @@ export default class MapGenerator {
             densityProbability += centerDensity * 0.4;
             
             // Roll for placement
-            if (Math.random() > densityProbability) continue;
+            if (this.random() > densityProbability) continue;
             
             // Check minimum distance
             let valid = true;
@@ -660,7 +669,7 @@ export default class MapGenerator {
             territory.neighbors = connections[i].slice(); // Copy array
             
             // Set initial properties
-            territory.armySize = Math.floor(Math.random() * 10) + 1; // 1-10 armies for neutrals
+            territory.armySize = Math.floor(this.random() * 10) + 1; // 1-10 armies for neutrals
             territory.isThronestar = false;
             
             // Additional properties for compatibility
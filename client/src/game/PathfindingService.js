@@ -1,228 +1,192 @@
 /**
  * PathfindingService.js - Reusable pathfinding module for Star Throne
  * Extracted from SupplySystem.js to provide generic pathfinding capabilities
- * Uses Dijkstra's algorithm to find shortest paths through friendly territory
+ * Uses A* over the warp-lane graph to find the cheapest path through friendly territory
+ * (the player's own stars plus those of their allies, see DiplomacySystem).
+ *
+ * A lane costs its length, stretched by the time fleets lose crossing nebulas on it
+ * (GameMap.getNebulaTravelMultiplier). Cost profiles (PATH_COST_PROFILES) add a surcharge
+ * for entering contested stars and can rule out the player's flood mode no-go zones:
+ *   fastest   - travel time only (default)
+ *   safest    - steers clear of battles and hostile borders (supply routes, AI reinforcements)
+ *   avoidNoGo - never crosses no-go zones (the human's drag routing)
  */
 
+import { GAME_CONSTANTS } from '../../../common/gameConstants';
+
+export const PATH_COST_PROFILES = GAME_CONSTANTS.PATH_COST_PROFILES;
+
 export class PathfindingService {
     constructor(game) {
         this.game = game;
+        this.nebulaCache = new Map(); // 'lowId-highId' -> nebula travel time multiplier of the lane
+        this.nebulaCacheGraph = null; // Map the cache was measured on
     }
 
     /**
      * Find attack path from player territory to enemy/neutral territory via warp lanes
      * @param {number} startNodeId - Starting territory ID (must be player-owned)
      * @param {number} endNodeId - Target territory ID (enemy/neutral)
-     * @param {Object} graph - Game graph containing territories and ownership
+     * @param {Object} graph - Game map containing territories and nebulas
      * @param {string} playerId - Player ID for territory ownership validation
-     * @returns {Promise<Array|null>} Array of territory IDs representing path, or null if no path exists
+     * @param {string} profile - PATH_COST_PROFILES key
+     * @returns {Array|null} Array of territory IDs ending at the target, or null for a direct attack or no path
      */
-    async findAttackPath(startNodeId, endNodeId, graph, playerId) {
-        return new Promise((resolve) => {
-            const timeout = setTimeout(() => {
-                console.log('PathfindingService: findAttackPath timeout');
-                resolve(null);
-            }, 5000);
-            
-            if (!graph || !graph.territories || startNodeId === endNodeId) {
-                clearTimeout(timeout);
-                resolve(null);
-                return;
-            }
+    findAttackPath(startNodeId, endNodeId, graph, playerId, profile = 'fastest') {
+        if (!graph || !graph.territories || startNodeId === endNodeId) return null;
 
-            // Handle gameMap.territories which is an object, not array
-            const territoriesObject = graph.territories;
-            const territoriesArray = Object.values(territoriesObject);
-            const startTerritory = territoriesObject[startNodeId];
-            const endTerritory = territoriesObject[endNodeId];
-
-            console.log(`🛣️ ATTACK PATH: Finding path from ${startNodeId} (player ${playerId}) to ${endNodeId}`);
-            console.log(`🛣️ DEBUG: Start territory:`, startTerritory?.id, 'owner:', startTerritory?.ownerId);
-            console.log(`🛣️ DEBUG: End territory:`, endTerritory?.id, 'owner:', endTerritory?.ownerId);
-            console.log(`🛣️ DEBUG: Total territories:`, territoriesArray.length);
-
-            // Validate start territory is player-owned, end territory exists
-            if (!startTerritory || !endTerritory || startTerritory.ownerId !== playerId) {
-                clearTimeout(timeout);
-                console.log(`🛣️ VALIDATION FAILED: start=${!!startTerritory}, end=${!!endTerritory}, startOwner=${startTerritory?.ownerId}, expectedPlayer=${playerId}`);
-                resolve(null);
-                return;
-            }
+        const startTerritory = graph.territories[startNodeId];
+        const endTerritory = graph.territories[endNodeId];
+        if (!startTerritory || !endTerritory || startTerritory.ownerId !== playerId) return null;
 
-            // Check if target is adjacent to any player territory
-            console.log(`🛣️ DEBUG: Checking adjacency to target ${endNodeId}`);
-            const playerTerritories = territoriesArray.filter(t => t && t.ownerId === playerId);
-            console.log(`🛣️ DEBUG: Player owns ${playerTerritories.length} territories:`, playerTerritories.map(t => t.id));
-            
-            for (let territory of territoriesArray) {
-                if (territory && territory.ownerId === playerId) {
-                    const isAdjacent = territory.neighbors && territory.neighbors.includes(endNodeId);
-                    console.log(`🛣️ DEBUG: Territory ${territory.id} neighbors:`, territory.neighbors, 'adjacent to target:', isAdjacent);
-                    if (isAdjacent) {
-                        // Found a player territory adjacent to target
-                        if (territory.id === startNodeId) {
-                            // Direct attack - no path needed
-                            clearTimeout(timeout);
-                            console.log(`🛣️ DIRECT: Target ${endNodeId} is adjacent to source ${startNodeId}`);
-                            resolve(null);
-                            return;
-                        } else {
-                            // Multi-hop attack: find path from start to adjacent territory
-                            console.log(`🛣️ MULTI-HOP: Target ${endNodeId} is adjacent to player territory ${territory.id}`);
-                            this.findShortestPath(startNodeId, territory.id, graph, playerId).then(pathToAdjacent => {
-                                if (pathToAdjacent && pathToAdjacent.length > 1) {
-                                    // Add target to the end of path
-                                    const fullPath = [...pathToAdjacent, endNodeId];
-                                    clearTimeout(timeout);
-                                    console.log(`🛣️ ATTACK PATH FOUND: ${fullPath.join(' -> ')}`);
-                                    resolve(fullPath);
-                                    return;
-                                } else {
-                                    // No path found from start to adjacent territory
-                                    clearTimeout(timeout);
-                                    console.log(`🛣️ NO PATH: Could not find path from ${startNodeId} to adjacent territory ${territory.id}`);
-                                    resolve(null);
-                                }
-                            }).catch(error => {
-                                console.error('PathfindingService: Error finding path to adjacent territory:', error);
-                                clearTimeout(timeout);
-                                resolve(null);
-                            });
-                            return; // Exit the loop once we found an adjacent territory
-                        }
-                    }
-                }
-            }
+        // Direct attack - no path needed
+        if (this.areTerritoriesAdjacent(startTerritory, endTerritory)) return null;
 
-            clearTimeout(timeout);
-            console.log(`🛣️ NO ATTACK PATH: No route found to ${endNodeId}`);
-            resolve(null);
-        });
+        const path = this.search(startNodeId, endNodeId, graph, playerId, profile);
+        return path && path.length > 2 ? path : null;
     }
 
     /**
-     * Find the shortest path between two nodes through friendly territory
+     * Find the cheapest path between two of the player's nodes through their own and allied territory
      * @param {number} startNodeId - Starting territory ID
      * @param {number} endNodeId - Destination territory ID
-     * @param {Object} graph - Game graph containing territories and ownership
+     * @param {Object} graph - Game map containing territories and nebulas
      * @param {string} playerId - Player ID for territory ownership validation
-     * @returns {Promise<Array|null>} Array of territory IDs representing path, or null if no path exists
+     * @param {string} profile - PATH_COST_PROFILES key
+     * @returns {Array|null} Array of territory IDs representing path, or null if no path exists
      */
-    async findShortestPath(startNodeId, endNodeId, graph, playerId) {
-        return new Promise((resolve) => {
-            // Add timeout to prevent hanging
-            const timeout = setTimeout(() => {
-                console.log('PathfindingService: timeout after 5 seconds');
-                resolve(null);
-            }, 5000);
-            
-            // Validate inputs
-            if (!graph || !graph.territories || startNodeId === endNodeId) {
-                clearTimeout(timeout);
-                console.log('PathfindingService: invalid inputs');
-                resolve(null);
-                return;
-            }
+    findShortestPath(startNodeId, endNodeId, graph, playerId, profile = 'fastest') {
+        if (!graph || !graph.territories || startNodeId === endNodeId) return null;
 
-            // Handle gameMap.territories which is an object, not array
-            const territoriesObject = graph.territories;
-            const territoriesArray = Object.values(territoriesObject);
-            const startTerritory = territoriesObject[startNodeId];
-            const endTerritory = territoriesObject[endNodeId];
-
-            console.log('PathfindingService: territories array length:', territoriesArray.length);
-            console.log('PathfindingService: startTerritory:', startTerritory);
-            console.log('PathfindingService: endTerritory:', endTerritory);
-            console.log('PathfindingService: playerId:', playerId);
-
-            // Validate start and end territories exist and are owned by player
-            if (!startTerritory || !endTerritory || 
-                startTerritory.ownerId !== playerId || 
-                endTerritory.ownerId !== playerId) {
-                clearTimeout(timeout);
-                console.log('PathfindingService: territory validation failed');
-                resolve(null);
-                return;
-            }
+        const startTerritory = graph.territories[startNodeId];
+        const endTerritory = graph.territories[endNodeId];
+        if (!startTerritory || !endTerritory ||
+            startTerritory.ownerId !== playerId ||
+            endTerritory.ownerId !== playerId) {
+            return null;
+        }
 
-            // Initialize Dijkstra's algorithm data structures
-            const distances = new Map();
-            const previous = new Map();
-            const unvisited = new Set();
-
-            // Initialize all player-owned territories
-            for (let territory of territoriesArray) {
-                if (territory && territory.ownerId === playerId) {
-                    distances.set(territory.id, territory.id === startNodeId ? 0 : Infinity);
-                    previous.set(territory.id, null);
-                    unvisited.add(territory.id);
+        return this.search(startNodeId, endNodeId, graph, playerId, profile);
+    }
+
+    /**
+     * A* from start to end. Intermediate stars must be passable (and outside no-go zones when the
+     * profile says so); the end star is always enterable, so attack paths may finish on a hostile star.
+     * Straight-line distance never overestimates a lane's cost, so the first path to reach the end is the cheapest.
+     * @returns {Array|null} Array of territory IDs from start to end
+     */
+    search(startNodeId, endNodeId, graph, playerId, profile) {
+        const territories = graph.territories;
+        const settings = PATH_COST_PROFILES[profile] || PATH_COST_PROFILES.fastest;
+        const endTerritory = territories[endNodeId];
+        const heuristic = (territory) => Math.hypot(territory.x - endTerritory.x, territory.y - endTerritory.y);
+        const hazards = settings.hazardWeight > 0 ? this.getHazardLookup(graph, playerId) : null;
+
+        const costs = new Map([[startNodeId, 0]]);
+        const previous = new Map([[startNodeId, null]]);
+        const open = new Map([[startNodeId, heuristic(territories[startNodeId])]]); // nodeId -> estimated total cost
+        const closed = new Set();
+
+        while (open.size > 0) {
+            // Open node with the lowest estimate (ties keep insertion order, so results are deterministic)
+            let currentNode = null;
+            let lowest = Infinity;
+            for (const [nodeId, estimate] of open) {
+                if (estimate < lowest) {
+                    lowest = estimate;
+                    currentNode = nodeId;
                 }
             }
 
-            // If end territory is not in unvisited set, no path exists
-            if (!unvisited.has(endNodeId)) {
-                resolve(null);
-                return;
+            if (currentNode === endNodeId) {
+                return this.reconstructPath(previous, startNodeId, endNodeId);
             }
 
-            // Dijkstra's algorithm main loop
-            while (unvisited.size > 0) {
-                // Find unvisited node with minimum distance
-                let currentNode = null;
-                let minDistance = Infinity;
-                
-                for (let nodeId of unvisited) {
-                    const distance = distances.get(nodeId);
-                    if (distance < minDistance) {
-                        minDistance = distance;
-                        currentNode = nodeId;
-                    }
-                }
+            open.delete(currentNode);
+            closed.add(currentNode);
 
-                // If no reachable unvisited nodes remain
-                if (currentNode === null || minDistance === Infinity) {
-                    break;
-                }
+            const currentTerritory = territories[currentNode];
+            for (const neighborId of currentTerritory.neighbors || []) {
+                const neighborTerritory = territories[neighborId];
+                if (!neighborTerritory || closed.has(neighborId)) continue;
 
-                // Remove current node from unvisited
-                unvisited.delete(currentNode);
+                if (neighborId !== endNodeId) {
+                    if (!this.isPassable(neighborTerritory, playerId)) continue;
+                    if (settings.avoidNoGo && this.isNoGoZone(playerId, neighborId)) continue;
+                }
 
-                // If we reached the destination, reconstruct path
-                if (currentNode === endNodeId) {
-                    clearTimeout(timeout);
-                    const path = this.reconstructPath(previous, startNodeId, endNodeId);
-                    console.log('PathfindingService: path found:', path);
-                    resolve(path);
-                    return;
+                let laneCost = this.getLaneCost(currentTerritory, neighborTerritory, graph);
+                if (hazards && neighborId !== endNodeId) {
+                    laneCost *= 1 + settings.hazardWeight * hazards(neighborTerritory);
                 }
 
-                // Examine neighbors of current node
-                const currentTerritory = territoriesObject[currentNode];
-                if (currentTerritory && currentTerritory.neighbors) {
-                    for (let neighborId of currentTerritory.neighbors) {
-                        const neighborTerritory = territoriesObject[neighborId];
-                        
-                        // Only consider neighbors owned by the same player
-                        if (neighborTerritory && 
-                            neighborTerritory.ownerId === playerId && 
-                            unvisited.has(neighborId)) {
-                            
-                            const altDistance = distances.get(currentNode) + 1;
-                            
-                            if (altDistance < distances.get(neighborId)) {
-                                distances.set(neighborId, altDistance);
-                                previous.set(neighborId, currentNode);
-                            }
-                        }
-                    }
+                const cost = costs.get(currentNode) + laneCost;
+                if (cost < (costs.get(neighborId) ?? Infinity)) {
+                    costs.set(neighborId, cost);
+                    previous.set(neighborId, currentNode);
+                    open.set(neighborId, cost + heuristic(neighborTerritory));
                 }
             }
+        }
 
-            // No path found
-            clearTimeout(timeout);
-            console.log('PathfindingService: no path found');
-            resolve(null);
-        });
+        return null;
+    }
+
+    /**
+     * Cost of travelling one lane: its length, stretched by the nebula slowdown along it
+     * @param {Object} fromTerritory - Lane start
+     * @param {Object} toTerritory - Lane end
+     * @param {Object} graph - Game map
+     * @returns {number} Lane cost in map units
+     */
+    getLaneCost(fromTerritory, toTerritory, graph = this.game?.gameMap) {
+        const length = Math.hypot(toTerritory.x - fromTerritory.x, toTerritory.y - fromTerritory.y);
+        return length * this.getLaneNebulaMultiplier(fromTerritory, toTerritory, graph);
+    }
+
+    /**
+     * Nebula travel time multiplier of a lane. Nebulas never move, so lanes are measured once per map.
+     */
+    getLaneNebulaMultiplier(fromTerritory, toTerritory, graph = this.game?.gameMap) {
+        if (!graph || typeof graph.getNebulaTravelMultiplier !== 'function') return 1;
+
+        if (this.nebulaCacheGraph !== graph) {
+            this.nebulaCache.clear();
+            this.nebulaCacheGraph = graph;
+        }
+
+        const key = fromTerritory.id < toTerritory.id
+            ? `${fromTerritory.id}-${toTerritory.id}`
+            : `${toTerritory.id}-${fromTerritory.id}`;
+        if (!this.nebulaCache.has(key)) {
+            this.nebulaCache.set(key, graph.getNebulaTravelMultiplier(fromTerritory, toTerritory));
+        }
+        return this.nebulaCache.get(key);
+    }
+
+    /**
+     * Hazard (0-1) of entering each star for a player's fleets: a battle in progress at the star,
+     * or a hostile empire's star next door
+     * @returns {Function} territory -> hazard
+     */
+    getHazardLookup(graph, playerId) {
+        const battleStars = new Set((this.game?.combatSystem?.activeBattles || []).map(battle => battle.defendingTerritory?.id));
+        const diplomacy = this.game?.diplomacySystem;
+        const isHostile = (ownerId) => ownerId !== null && ownerId !== playerId && !diplomacy?.isAtPeace(playerId, ownerId);
+
+        return (territory) => {
+            if (battleStars.has(territory.id)) return GAME_CONSTANTS.PATH_HAZARD_BATTLE;
+            const onBorder = territory.neighbors.some(id => graph.territories[id] && isHostile(graph.territories[id].ownerId));
+            return onBorder ? GAME_CONSTANTS.PATH_HAZARD_BORDER : 0;
+        };
+    }
+
+    /**
+     * Whether the player marked a star as a flood mode no-go zone
+     */
+    isNoGoZone(playerId, territoryId) {
+        const floodController = this.game?.floodController;
+        return !!floodController && floodController.isNoGoZone({ id: playerId }, territoryId);
     }
 
     /**
@@ -237,7 +201,7 @@ export class PathfindingService {
         let currentNode = endNodeId;
 
         // Work backwards from end to start
-        while (currentNode !== null) {
+        while (currentNode !== null && currentNode !== undefined) {
             path.unshift(currentNode);
             currentNode = previous.get(currentNode);
         }
@@ -260,7 +224,7 @@ export class PathfindingService {
         if (!territory1 || !territory2 || !territory1.neighbors) {
             return false;
         }
-        
+
         return territory1.neighbors.includes(territory2.id);
     }
 
@@ -274,6 +238,18 @@ export class PathfindingService {
         return territory && territory.ownerId === playerId;
     }
 
+    /**
+     * Check if a player's fleets may travel through a territory: their own, or an ally's
+     * @param {Object} territory - Territory to check
+     * @param {string} playerId - Player ID of the travelling fleet
+     * @returns {boolean} True if the territory can be passed through
+     */
+    isPassable(territory, playerId) {
+        if (!territory) return false;
+        const diplomacy = this.game?.diplomacySystem;
+        return diplomacy ? diplomacy.canPass(playerId, territory.ownerId) : territory.ownerId === playerId;
+    }
+
     /**
      * Get territory ownership type relative to a player
      * @param {Object} territory - Territory to check
@@ -307,4 +283,19 @@ export class PathfindingService {
     calculatePathDistance(path) {
         return path ? Math.max(0, path.length - 1) : 0;
     }
-}
\ No newline at end of file
+
+    /**
+     * Travel cost of a path (sum of lane costs, no hazard surcharge)
+     * @param {Array} path - Array of territory IDs
+     * @param {Object} graph - Game map
+     * @returns {number} Path cost in map units
+     */
+    calculatePathCost(path, graph = this.game?.gameMap) {
+        if (!path || !graph) return 0;
+        let cost = 0;
+        for (let i = 0; i < path.length - 1; i++) {
+            cost += this.getLaneCost(graph.territories[path[i]], graph.territories[path[i + 1]], graph);
+        }
+        return cost;
+    }
+}
@@ -1,6 +1,9 @@
 // Import the new advanced AI strategy system
 import { AIStrategist } from './AIStrategist';
 import { GAME_CONSTANTS } from '../../../common/gameConstants';
+import { REPLAY_COMMANDS } from './ReplaySystem';
+import { DEFAULT_FLEET_STANCE, FLEET_STANCES } from './CombatSystem';
+import { STARBASE_UPGRADES, hasUpgrade } from './StarbaseSystem';
 
 // AI Finite State Machine states for enhanced strategic behavior (legacy - being replaced)
 const AI_STATE = {
@@ -10,12 +13,21 @@ const AI_STATE = {
     DEFENSIVE_POSTURING: 'DEFENSIVE_POSTURING',
 };
 
+// Fleet stance each AI strategy launches its attacks with (see CombatSystem FLEET_STANCES)
+const AI_STRATEGY_STANCES = {
+    aggressive: 'all_in',
+    defensive: 'cautious',
+    expansionist: 'normal',
+    opportunistic: 'cautious'
+};
+
 export class Player {
-    constructor(id, name, color, type = 'ai') {
+    constructor(id, name, color, type = 'ai', rng = null) {
         this.id = id;
         this.name = name;
         this.color = color;
         this.type = type;
+        this.rng = rng; // Seeded AI stream (game.aiRng) so AI choices are reproducible
         
         // Initialize tech levels (Attack, Defense, Engines, Production), max 5 each
         this.tech = {
@@ -31,19 +43,24 @@ export class Player {
         this.isEliminated = false;
         this.score = 0;
         this.throneStarId = null; // ID of this player's throne star (starting planet)
+        this.exileUntil = null; // Exile rules: simulation time a new throne can be raised, null while the throne stands
         
         // Enhanced AI properties with state machine
         this.aiThinkTimer = 0;
-        this.aiThinkInterval = 1000 + Math.random() * 2000; // 1-3 seconds
+        this.aiThinkInterval = 1000 + this.random() * 2000; // 1-3 seconds
         this.aiStrategy = this.selectAIStrategy();
         this.aiTarget = null;
+        this.precursorTargetValue = 0; // Extra worth of an unexplored star this think cycle (see updateAI)
+        
+        // Stance new fleets launch with - the human changes it, AI empires keep their strategy's
+        this.fleetStance = type === 'ai' ? AI_STRATEGY_STANCES[this.aiStrategy] : DEFAULT_FLEET_STANCE;
         
         // AI state machine for better strategic decisions
         if (this.type === 'ai') {
             this.aiState = AI_STATE.EARLY_GAME_EXPANSION;
             this.decisionTimer = 0;
-            this.decisionInterval = 1000 + Math.random() * 500; // Faster decisions with jitter
-            this.lastStateTransition = Date.now();
+            this.decisionInterval = 1000 + this.random() * 500; // Faster decisions with jitter
+            this.lastStateTransition = 0; // Simulation time (game.clock)
             
             // Initialize advanced AI strategist (will be set up when gameMap is available)
             this.strategist = null;
@@ -51,6 +68,7 @@ export class Player {
         
         // Stats tracking
         this.territoriesConquered = 0;
+        this.thronesCaptured = 0; // Enemy throne stars taken (Timed Score victory)
         this.battlesWon = 0;
         this.battlesLost = 0;
         this.armiesLost = 0;
@@ -59,9 +77,13 @@ export class Player {
         this.lastActivity = Date.now();
     }
     
+    random() {
+        return this.rng ? this.rng.next() : Math.random();
+    }
+    
     selectAIStrategy() {
         const strategies = ['aggressive', 'defensive', 'expansionist', 'opportunistic'];
-        return strategies[Math.floor(Math.random() * strategies.length)];
+        return strategies[Math.floor(this.random() * strategies.length)];
     }
     
     /**
@@ -73,20 +95,20 @@ export class Player {
         }
     }
     
-    update(deltaTime, gameMap, gameSpeed = 1.0, game = null) {
-        // Generate armies for all owned territories with speed multiplier and discovery bonuses
+    update(deltaTime, gameMap, game = null) {
+        // Generate armies for all owned territories with discovery bonuses
         this.territories.forEach(territoryId => {
             const territory = gameMap.territories[territoryId];
             if (territory) {
-                territory.generateArmies(deltaTime, this, gameSpeed, game);
+                territory.generateArmies(deltaTime, this, game);
             }
         });
         
         // Update stats
         this.updateStats();
         
-        // AI logic
-        if (this.type === 'ai' && !this.isEliminated) {
+        // AI logic (replays feed AI orders from the command log instead)
+        if (this.type === 'ai' && !this.isEliminated && !gameMap.game?.replayPlayer) {
             this.updateAI(deltaTime, gameMap);
         }
     }
@@ -107,7 +129,7 @@ export class Player {
         if (this.aiThinkTimer < this.aiThinkInterval) return;
         
         this.aiThinkTimer = 0;
-        this.aiThinkInterval = 800 + Math.random() * 1200; // Much faster AI thinking for aggressive expansion
+        this.aiThinkInterval = 800 + this.random() * 1200; // Much faster AI thinking for aggressive expansion
         
         // Cache territory lookups to reduce map access
         const ownedTerritories = [];
@@ -120,8 +142,18 @@ export class Player {
         
         if (ownedTerritories.length === 0) return;
         
+        // Unexplored stars may hold precursor tech, which matters more the further we trail the tech leader.
+        // Worked out once per think cycle rather than for every neutral target
+        const discoverySystem = gameMap.game?.discoverySystem;
+        this.precursorTargetValue = discoverySystem
+            ? discoverySystem.getPrecursorOdds() * (1 + discoverySystem.getTechDeficit(this.id))
+            : 0;
+        
         // DISABLED: Old probe colonization system removed - now using direct attacks on neutral territories
         
+        // Hostile supply lines running past our stars are worth a raid before anything else
+        if (this.raidSupplyLines(ownedTerritories, gameMap)) return;
+        
         // More aggressive AI actions for faster expansion
         const maxActions = Math.min(4, Math.ceil(ownedTerritories.length / 3));
         
@@ -197,6 +229,81 @@ export class Player {
                 }
             }
         }
+        
+        // Nothing worth attacking - move spare ships towards the front instead
+        this.reinforceThreatenedTerritory(attackableTerritories, gameMap);
+    }
+    
+    /**
+     * Send ships from the strongest safe star one lane along the safest path to the weakest threatened star
+     * @returns {boolean} Whether reinforcements were sent
+     */
+    reinforceThreatenedTerritory(ownedTerritories, gameMap) {
+        const pathfindingService = gameMap.game?.pathfindingService;
+        if (!pathfindingService) return false;
+        
+        const target = this.getThreatenedTerritories(gameMap).sort((a, b) => a.armySize - b.armySize || a.id - b.id)[0];
+        if (!target) return false;
+        
+        const source = ownedTerritories
+            .filter(t => t.id !== target.id && t.armySize > GAME_CONSTANTS.AI_SURPLUS_THRESHOLD && !this.isTerritoryThreatened(t, gameMap))
+            .sort((a, b) => b.armySize - a.armySize || a.id - b.id)[0];
+        if (!source) return false;
+        
+        const path = pathfindingService.findShortestPath(source.id, target.id, gameMap, this.id, 'safest');
+        const nextStar = path && gameMap.territories[path[1]];
+        if (!nextStar || nextStar.ownerId !== this.id) return false; // Allies' stars can be crossed, not garrisoned
+        
+        this.executeReinforcement(source, nextStar, Math.floor((source.armySize - 1) / 2), gameMap);
+        return true;
+    }
+    
+    executeReinforcement(fromTerritory, toTerritory, amount, gameMap) {
+        if (gameMap.game && !gameMap.game.recordCommand(REPLAY_COMMANDS.AI_REINFORCE, {
+            playerId: this.id, from: fromTerritory.id, to: toTerritory.id, amount
+        })) return;
+        
+        if (gameMap.game && gameMap.game.transferFleetWithAmount) {
+            gameMap.game.transferFleetWithAmount(fromTerritory, toTerritory, amount);
+        }
+    }
+    
+    /**
+     * Attack a star that a hostile empire's supply routes run through (SupplySystem), from a neighbouring
+     * star strong enough to take it. Stars carrying the most supply traffic are hit first.
+     * @returns {boolean} Whether a raid was launched
+     */
+    raidSupplyLines(ownedTerritories, gameMap) {
+        const game = gameMap.game;
+        const routes = game?.supplySystem?.getActiveSupplyRoutes() || [];
+        if (routes.length === 0) return false;
+        
+        // Ships per second crossing each star of a hostile route, idle routes still count for a little
+        const traffic = new Map();
+        routes.forEach(route => {
+            const ownerId = gameMap.territories[route.from]?.ownerId;
+            if (ownerId === undefined || ownerId === null || ownerId === this.id || game.diplomacySystem?.isAtPeace(this.id, ownerId)) return;
+            route.path.forEach(id => traffic.set(id, (traffic.get(id) || 0) + 1 + route.throughput));
+        });
+        
+        let raid = null;
+        for (const territory of ownedTerritories) {
+            for (const id of territory.neighbors) {
+                const target = gameMap.territories[id];
+                if (!target || !traffic.has(id) || target.ownerId === this.id || game.diplomacySystem?.isAtPeace(this.id, target.ownerId)) continue;
+                if (territory.armySize <= target.armySize * GAME_CONSTANTS.AI_SUPPLY_RAID_ODDS) continue;
+                
+                const value = traffic.get(id);
+                if (!raid || value > raid.value || (value === raid.value && territory.armySize > raid.from.armySize)) {
+                    raid = { from: territory, to: target, value };
+                }
+            }
+        }
+        if (!raid || this.random() >= GAME_CONSTANTS.AI_SUPPLY_RAID_CHANCE) return false;
+        
+        console.log(`🏴‍☠️ SUPPLY RAID: ${this.name} strikes the supply line through star ${raid.to.id} from star ${raid.from.id}`);
+        this.executeAttack(raid.from, raid.to, gameMap);
+        return true;
     }
     
     executeExpansionistStrategy(attackableTerritories, gameMap) {
@@ -282,14 +389,17 @@ export class Player {
             return [];
         }
         
+        // Treaty partners are off limits (see DiplomacySystem)
+        const diplomacy = gameMap.game?.diplomacySystem;
         return territory.neighbors
             .map(id => gameMap.territories[id])
-            .filter(neighbor => neighbor && neighbor !== null && neighbor !== undefined);
+            .filter(neighbor => neighbor && neighbor !== null && neighbor !== undefined)
+            .filter(neighbor => !diplomacy || !diplomacy.isAtPeace(this.id, neighbor.ownerId));
     }
     
     calculateWinChance(attackingTerritory, defendingTerritory) {
-        const attackPower = attackingTerritory.armySize * 0.75 * (0.8 + Math.random() * 0.4);
-        const defensePower = defendingTerritory.armySize * (1.0 + Math.random() * 0.2);
+        const attackPower = attackingTerritory.armySize * 0.75 * (0.8 + this.random() * 0.4);
+        const defensePower = defendingTerritory.armySize * (1.0 + this.random() * 0.2);
         
         return attackPower / (attackPower + defensePower);
     }
@@ -300,6 +410,9 @@ export class Player {
         // Neutral territories are valuable for expansion
         if (territory.ownerId === null) {
             value += 0.5;
+            
+            // ...and may hold precursor tech
+            value += this.precursorTargetValue;
         }
         
         // Territories with many neighbors are strategically valuable
@@ -315,10 +428,22 @@ export class Player {
             value += 0.3; // Connection bonus
         }
         
+        // Shipyards and beacons fall to the conqueror intact; shields make the star a harder nut
+        (territory.upgrades || []).forEach(upgrade => {
+            if (STARBASE_UPGRADES[upgrade]?.keptOnCapture) value += 0.3;
+        });
+        if (hasUpgrade(territory, 'shield')) {
+            value -= 0.4;
+        }
+        
         return value;
     }
     
     executeAttack(attackingTerritory, defendingTerritory, gameMap) {
+        if (gameMap.game && !gameMap.game.recordCommand(REPLAY_COMMANDS.AI_ATTACK, {
+            playerId: this.id, from: attackingTerritory.id, to: defendingTerritory.id
+        })) return;
+        
         // Trigger combat flash on both territories
         attackingTerritory.triggerCombatFlash();
         defendingTerritory.triggerCombatFlash();
@@ -338,7 +463,7 @@ export class Player {
         // Debug: Log attacking army strength for throne star attacks
         if (defendingTerritory.isThronestar) {
             console.log(`Throne attack details: Attacker ${attackingTerritory.armySize} armies (${Math.floor(attackingTerritory.armySize * 0.7)} attacking) vs Defender ${defendingTerritory.armySize} armies`);
-            const oldOwner = gameMap.players[defendingTerritory.ownerId];
+            const oldOwner = gameMap.game?.players[defendingTerritory.ownerId];
             console.log(`Defending player: ${defendingTerritory.ownerId} ${oldOwner?.type === 'human' ? '(👤 HUMAN PLAYER!)' : '(AI player)'}`);
         }
         
@@ -431,10 +556,57 @@ export class Player {
             isEliminated: this.isEliminated,
             score: this.score,
             territoriesConquered: this.territoriesConquered,
+            thronesCaptured: this.thronesCaptured,
             battlesWon: this.battlesWon,
-            battlesLost: this.battlesLost
+            battlesLost: this.battlesLost,
+            armiesLost: this.armiesLost,
+            tech: { ...this.tech },
+            throneStarId: this.throneStarId,
+            exileUntil: this.exileUntil,
+            aiStrategy: this.aiStrategy,
+            fleetStance: this.fleetStance,
+            // AI pacing, so a loaded game thinks on the same ticks as the one that was saved
+            aiThinkTimer: this.aiThinkTimer,
+            aiThinkInterval: this.aiThinkInterval,
+            aiState: this.aiState,
+            decisionTimer: this.decisionTimer,
+            decisionInterval: this.decisionInterval,
+            lastStateTransition: this.lastStateTransition,
+            strategist: this.strategist ? this.strategist.serialize() : null
         };
     }
+    
+    static deserialize(data, rng = null, gameMap = null) {
+        const player = new Player(data.id, data.name, data.color, data.type, rng);
+        player.territories = [...(data.territories || [])];
+        player.totalArmies = data.totalArmies || 0;
+        player.isEliminated = !!data.isEliminated;
+        player.score = data.score || 0;
+        player.territoriesConquered = data.territoriesConquered || 0;
+        player.thronesCaptured = data.thronesCaptured || 0;
+        player.battlesWon = data.battlesWon || 0;
+        player.battlesLost = data.battlesLost || 0;
+        player.armiesLost = data.armiesLost || 0;
+        if (data.tech) player.tech = { ...player.tech, ...data.tech };
+        if (data.throneStarId !== undefined) player.throneStarId = data.throneStarId;
+        if (data.exileUntil !== undefined) player.exileUntil = data.exileUntil;
+        if (data.aiStrategy) player.aiStrategy = data.aiStrategy;
+        if (FLEET_STANCES[data.fleetStance]) player.fleetStance = data.fleetStance;
+        else if (data.type === 'ai') player.fleetStance = AI_STRATEGY_STANCES[player.aiStrategy];
+        // AI pacing (saves made before it was kept start with freshly drawn intervals)
+        if (data.aiThinkTimer !== undefined) {
+            player.aiThinkTimer = data.aiThinkTimer;
+            player.aiThinkInterval = data.aiThinkInterval;
+        }
+        if (data.type === 'ai' && data.decisionTimer !== undefined) {
+            player.aiState = data.aiState;
+            player.decisionTimer = data.decisionTimer;
+            player.decisionInterval = data.decisionInterval;
+            player.lastStateTransition = data.lastStateTransition;
+        }
+        if (data.strategist && gameMap) player.strategist = new AIStrategist(player, gameMap, data.strategist);
+        return player;
+    }
 
     // AI Long-range Attack Strategic Methods
     shouldConsiderLongRangeAttacks(gameMap) {
@@ -464,8 +636,9 @@ export class Player {
 
         for (const source of surplusTerritories) {
             for (const target of allTerritories) {
-                // Skip our own territories and already adjacent territories
+                // Skip our own territories, treaty partners and already adjacent territories
                 if (target.ownerId === this.id) continue;
+                if (gameMap.game?.diplomacySystem?.isAtPeace(this.id, target.ownerId)) continue;
                 if (this.isAdjacent(source, target, gameMap)) continue;
 
                 const distance = Math.sqrt(
@@ -502,6 +675,10 @@ export class Player {
     }
 
     executeLongRangeAttack(fromTerritory, toTerritory, gameMap) {
+        if (gameMap.game && !gameMap.game.recordCommand(REPLAY_COMMANDS.AI_LONG_RANGE, {
+            playerId: this.id, from: fromTerritory.id, to: toTerritory.id
+        })) return;
+        
         const fleetSize = Math.floor(fromTerritory.armySize * 0.6); // Use 60% for long-range
         if (gameMap.game && gameMap.game.launchLongRangeAttack) {
             console.log(`🚀 AI ${this.name} launching long-range attack: ${fromTerritory.id} -> ${toTerritory.id} (${fleetSize} ships)`);
@@ -511,7 +688,7 @@ export class Player {
 
     isAdjacent(territory1, territory2, gameMap) {
         // Check if territories are connected via warp lanes
-        const connectedIds = gameMap.getConnectedTerritories(territory1.id) || [];
+        const connectedIds = territory1.neighbors || [];
         return connectedIds.includes(territory2.id);
     }
     
@@ -589,7 +766,8 @@ export class Player {
         const ownedTerritoryCount = this.territories.length;
         const territoryPercent = ownedTerritoryCount / totalTerritories;
         
-        const timeSinceLastTransition = Date.now() - (this.lastStateTransition || 0);
+        const now = gameMap.game.clock.now();
+        const timeSinceLastTransition = now - (this.lastStateTransition || 0);
         const minTransitionTime = 5000; // Minimum 5 seconds between transitions
         
         if (timeSinceLastTransition < minTransitionTime) return;
@@ -614,7 +792,7 @@ export class Player {
         if (newState !== this.aiState) {
             console.log(`AI ${this.name} transitioning from ${this.aiState} to ${newState}`);
             this.aiState = newState;
-            this.lastStateTransition = Date.now();
+            this.lastStateTransition = now;
         }
     }
 
@@ -1,3 +1,6 @@
+import { GameUtils } from './utils';
+import { GAME_CONSTANTS } from '../../../common/gameConstants';
+
 export class Probe {
     constructor(id, fromTerritory, toTerritory, playerId, playerColor, gameSpeed = 1.0, gameMap = null, game = null) {
         this.id = id;
@@ -24,6 +27,12 @@ export class Probe {
         this.totalDistance = distance;
         this.traveledDistance = 0;
         
+        // Sensor radius while in flight (FogOfWarSystem) - nebula dust clouds the sensors of probes launched inside one
+        this.sensorRadius = GAME_CONSTANTS.FOG_PROBE_SENSOR_RADIUS;
+        if (gameMap && gameMap.isTerritoryInNebula(fromTerritory)) {
+            this.sensorRadius *= GAME_CONSTANTS.NEBULA_PROBE_RANGE_MULTIPLIER;
+        }
+        
         // Apply game speed multiplier to probe movement
         this.baseSpeed = 25 * gameSpeed;
         this.speed = this.baseSpeed;
@@ -38,11 +47,10 @@ export class Probe {
         // Check if probe is in a nebula and adjust speed
         let currentSpeed = this.baseSpeed;
         
-        // Apply Precursor Drive speed bonus (human player only)
-        if (this.game && this.game.humanPlayer && this.playerId === this.game.humanPlayer.id && 
-            this.game.discoveries && this.game.discoveries.precursorDrive > 0) {
-            const driveBonus = 1 + (this.game.discoveries.precursorDrive * 0.2);
-            currentSpeed *= driveBonus;
+        // Apply the launching empire's Precursor Drive speed bonus
+        const discoveries = this.game?.discoverySystem?.getPlayerDiscoveries(this.playerId);
+        if (discoveries) {
+            currentSpeed = GameUtils.calculateProbeSpeed(currentSpeed, discoveries);
         }
         
         if (this.gameMap && this.gameMap.isInNebula(this.x, this.y, 4)) {
@@ -120,4 +128,41 @@ export class Probe {
     getProgress() {
         return Math.min(this.traveledDistance / this.totalDistance, 1.0);
     }
+    
+    // Serialize probe flight state for save games (territories by ID)
+    serialize() {
+        return {
+            id: this.id,
+            fromTerritoryId: this.fromTerritory.id,
+            toTerritoryId: this.toTerritory.id,
+            playerId: this.playerId,
+            playerColor: this.playerColor,
+            x: this.x,
+            y: this.y,
+            traveledDistance: this.traveledDistance,
+            baseSpeed: this.baseSpeed,
+            sensorRadius: this.sensorRadius
+        };
+    }
+    
+    /**
+     * Rebuild a probe in flight from a save game
+     * @param {Object} data - Serialized probe (see serialize)
+     * @param {Object} game - Game whose map the probe flies over
+     * @returns {Probe|null} The probe, or null if either end star no longer exists
+     */
+    static deserialize(data, game) {
+        const fromTerritory = game.gameMap.territories[data.fromTerritoryId];
+        const toTerritory = game.gameMap.territories[data.toTerritoryId];
+        if (!fromTerritory || !toTerritory) return null;
+        
+        const probe = new Probe(data.id, fromTerritory, toTerritory, data.playerId, data.playerColor, 1.0, game.gameMap, game);
+        probe.x = data.x;
+        probe.y = data.y;
+        probe.traveledDistance = data.traveledDistance;
+        probe.baseSpeed = data.baseSpeed;
+        probe.speed = data.baseSpeed;
+        probe.sensorRadius = data.sensorRadius;
+        return probe;
+    }
 }
\ No newline at end of file
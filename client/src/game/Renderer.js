@@ -6,6 +6,7 @@
  */
 
 import { GAME_CONSTANTS } from '../../../common/gameConstants';
+import { formatIntelAge } from './FogOfWarSystem';
 
 export class Renderer {
     constructor(canvas, camera, game = null) {
@@ -305,22 +306,27 @@ export class Renderer {
         const showDetails = zoomLevel > 0.5;
         const showNumbers = zoomLevel > 0.3;
         
+        const fogOfWar = this.game?.fogOfWar;
+        
         for (const territory of Object.values(gameMap.territories)) {
             if (!territory.isVisible) continue;
             
+            // Outside sensor range, draw the last-known snapshot instead of live state
+            const intel = fogOfWar?.enabled ? fogOfWar.getIntel(territory) : null;
+            
             this.ctx.save();
             
             // Render territory circle
-            this.renderTerritoryCircle(territory, currentTime, humanPlayer);
+            this.renderTerritoryCircle(territory, currentTime, humanPlayer, intel);
             
             // Render throne star crown
-            if (territory.isThronestar) {
+            if (intel ? intel.isThronestar : territory.isThronestar) {
                 this.renderThroneStarCrown(territory);
             }
             
             // Render army count for all territories (no more colonizable planets)
             if (showNumbers) {
-                this.renderArmyCount(territory);
+                this.renderArmyCount(territory, intel);
             }
             
             // Always render supply route indicators regardless of zoom level
@@ -340,17 +346,20 @@ export class Renderer {
         }
     }
     
-    renderTerritoryCircle(territory, currentTime, humanPlayer) {
-        // Flash effects
-        let flashAlpha = 1.0;
-        if (territory.combatFlashTime && currentTime - territory.combatFlashTime < territory.combatFlashDuration) {
+    renderTerritoryCircle(territory, currentTime, humanPlayer, intel = null) {
+        const isFogged = intel !== null && !intel.visible;
+        const ownerId = intel ? intel.ownerId : territory.ownerId;
+
+        // Flash effects (battles out of sensor range go unseen)
+        let flashAlpha = isFogged ? 0.5 : 1.0;
+        if (!isFogged && territory.combatFlashTime && currentTime - territory.combatFlashTime < territory.combatFlashDuration) {
             flashAlpha = 0.3 + 0.7 * Math.sin((currentTime - territory.combatFlashTime) * 0.02);
         }
 
         // Base color
         let fillColor = territory.baseColor;
-        if (territory.ownerId) {
-            const player = this.findPlayerById(territory.ownerId);
+        if (ownerId) {
+            const player = this.findPlayerById(ownerId);
             fillColor = player?.color || territory.baseColor;
         }
 
@@ -455,7 +464,19 @@ export class Renderer {
         this.ctx.fillText('?', territory.x, territory.y);
     }
     
-    renderArmyCount(territory) {
+    renderArmyCount(territory, intel = null) {
+        const isFogged = intel !== null && !intel.visible;
+        
+        // Never-scouted stars have no known garrison
+        if (intel && !intel.known) {
+            this.ctx.fillStyle = '#888888';
+            this.ctx.font = 'bold 14px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText('?', territory.x, territory.y);
+            return;
+        }
+        
         this.ctx.fillStyle = 'black';
         this.ctx.strokeStyle = 'white';
         this.ctx.lineWidth = 2;
@@ -464,15 +485,22 @@ export class Renderer {
         this.ctx.textBaseline = 'middle';
         
         // Check if this star is reinforcing another star
-        const isReinforcingSource = this.game?.supplySystem?.isSupplySource(territory.id);
+        const isReinforcingSource = !isFogged && this.game?.supplySystem?.isSupplySource(territory.id);
         
-        let text = territory.armySize.toString();
+        let text = (intel ? intel.armySize : territory.armySize).toString();
         if (isReinforcingSource) {
             text = `● ${text}`; // Add black dot indicator for reinforcing stars
         }
         
         this.ctx.strokeText(text, territory.x, territory.y);
         this.ctx.fillText(text, territory.x, territory.y);
+        
+        // Last-known counts carry their age underneath
+        if (isFogged) {
+            this.ctx.fillStyle = '#888888';
+            this.ctx.font = '9px Arial';
+            this.ctx.fillText(formatIntelAge(intel.age), territory.x, territory.y + territory.radius + 8);
+        }
     }
     
     renderSupplyRouteIndicators(territory) {
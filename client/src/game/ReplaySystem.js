@@ -0,0 +1,325 @@
+/**
+ * Replay System for Star Throne
+ * Records every human and AI order against the simulation tick so a match can be
+ * re-simulated from its seed, and plays recordings back with pause, speed and scrubbing.
+ */
+
+import { GameMap } from './GameMap';
+import { REPLAY_FORMAT_VERSION } from '../lib/replayFiles';
+import { getMatchLengthMs } from '../lib/victoryModes';
+
+// Order types written to the command log
+export const REPLAY_COMMANDS = {
+    FLEET: 'fleet',                         // Human fleet command (attack / transfer / multi-hop)
+    FLEET_ORDER: 'fleet_order',             // FleetOrderSystem.queueOrder
+    FLEET_ORDER_CANCEL: 'fleet_order_cancel', // FleetOrderSystem.cancelOrders
+    AI_ATTACK: 'ai_attack',                 // Player.executeAttack
+    AI_LONG_RANGE: 'ai_long_range',         // Player.executeLongRangeAttack
+    AI_REINFORCE: 'ai_reinforce',           // Player.executeReinforcement
+    STRATEGIST_ATTACK: 'strategist_attack', // AIStrategist.executeAttack
+    FLOOD_ATTACK: 'flood_attack',           // FloodModeController.launchAttack
+    FLOOD_TOGGLE: 'flood_toggle',
+    SUPPLY_ROUTE: 'supply_route',
+    SUPPLY_CANCEL: 'supply_cancel',         // SupplySystem.cancelSupplyRoute
+    SUPPLY_SHARE: 'supply_share',           // SupplySystem.setRouteShare
+    SUPPLY_SINK: 'supply_sink',             // SupplySystem.setSink
+    THRONE_RELOCATE: 'throne_relocate',     // ThroneSystem.relocateThrone (Exile rules)
+    CAPITAL_BUILD: 'capital_build',         // ThroneSystem.buildCapital (Capitals rules)
+    DIPLOMACY_PROPOSE: 'diplomacy_propose', // DiplomacySystem.propose
+    DIPLOMACY_RESPOND: 'diplomacy_respond', // DiplomacySystem.respond
+    DIPLOMACY_BREAK: 'diplomacy_break',     // DiplomacySystem.breakTreaty
+    FLEET_STANCE: 'fleet_stance',           // CombatSystem.setFleetStance
+    RETREAT: 'retreat',                     // CombatSystem.orderRetreat
+    PRODUCTION_FOCUS: 'production_focus',   // ShipyardSystem.setProductionFocus
+    STARBASE_UPGRADE: 'starbase_upgrade'    // StarbaseSystem.build
+};
+
+// Payload fields per command type - commands are stored as [tick, type, ...fields] to keep files small
+const COMMAND_FIELDS = {
+    [REPLAY_COMMANDS.FLEET]: ['from', 'to', 'percentage', 'mode', 'path'],
+    [REPLAY_COMMANDS.FLEET_ORDER]: ['from', 'to', 'trigger', 'threshold', 'path'],
+    [REPLAY_COMMANDS.FLEET_ORDER_CANCEL]: ['territoryId'],
+    [REPLAY_COMMANDS.AI_ATTACK]: ['playerId', 'from', 'to'],
+    [REPLAY_COMMANDS.AI_LONG_RANGE]: ['playerId', 'from', 'to'],
+    [REPLAY_COMMANDS.AI_REINFORCE]: ['playerId', 'from', 'to', 'amount'],
+    [REPLAY_COMMANDS.STRATEGIST_ATTACK]: ['playerId', 'from', 'to'],
+    [REPLAY_COMMANDS.FLOOD_ATTACK]: ['from', 'to', 'armies'],
+    [REPLAY_COMMANDS.FLOOD_TOGGLE]: ['playerId', 'enable'],
+    [REPLAY_COMMANDS.SUPPLY_ROUTE]: ['from', 'to'],
+    [REPLAY_COMMANDS.SUPPLY_CANCEL]: ['from', 'to'],
+    [REPLAY_COMMANDS.SUPPLY_SHARE]: ['from', 'to', 'share'],
+    [REPLAY_COMMANDS.SUPPLY_SINK]: ['territoryId', 'target'],
+    [REPLAY_COMMANDS.THRONE_RELOCATE]: ['playerId', 'territoryId'],
+    [REPLAY_COMMANDS.CAPITAL_BUILD]: ['playerId', 'territoryId'],
+    [REPLAY_COMMANDS.DIPLOMACY_PROPOSE]: ['playerId', 'targetId', 'treaty'],
+    [REPLAY_COMMANDS.DIPLOMACY_RESPOND]: ['playerId', 'targetId', 'treaty', 'accept'],
+    [REPLAY_COMMANDS.DIPLOMACY_BREAK]: ['playerId', 'targetId'],
+    [REPLAY_COMMANDS.FLEET_STANCE]: ['playerId', 'stance'],
+    [REPLAY_COMMANDS.RETREAT]: ['playerId', 'territoryId'],
+    [REPLAY_COMMANDS.PRODUCTION_FOCUS]: ['playerId', 'territoryId', 'shipClass'],
+    [REPLAY_COMMANDS.STARBASE_UPGRADE]: ['playerId', 'territoryId', 'upgrade']
+};
+
+export const REPLAY_SPEEDS = [1, 4, 16];
+
+const SEEK_TICKS_PER_FRAME = 600; // Re-simulation budget per rendered frame while scrubbing
+
+/**
+ * ReplayRecorder - Captures orders during a live match
+ * The simulation runs on fixed clock steps, so the tick of each order is all that's needed to re-run it.
+ */
+export class ReplayRecorder {
+    constructor(game) {
+        this.game = game;
+        this.commands = [];
+        this.startedAt = Date.now();
+    }
+
+    record(type, payload) {
+        const fields = COMMAND_FIELDS[type];
+        if (!fields) {
+            console.warn(`ReplayRecorder: Unknown command type ${type}`);
+            return;
+        }
+        this.commands.push([this.game.tick, type, ...fields.map(field => payload[field] ?? null)]);
+    }
+
+    /**
+     * Build the exportable replay (see lib/replayFiles.ts for the file format)
+     */
+    toReplay() {
+        const { saveGame, replay, room, ...config } = this.game.config;
+        return {
+            version: REPLAY_FORMAT_VERSION,
+            seed: this.game.config.seed,
+            recordedAt: this.startedAt,
+            config: config,
+            ticks: this.game.tick,
+            stepMs: this.game.clock.stepMs,
+            commands: this.commands.map(command => [...command])
+        };
+    }
+}
+
+/**
+ * ReplayPlayer - Drives StarThrone from a recording instead of live input and AI decisions
+ */
+export class ReplayPlayer {
+    constructor(game, replay) {
+        this.game = game;
+        this.replay = replay;
+        this.totalTicks = replay.ticks;
+        this.paused = false;
+        this.targetTick = null;
+        this.applying = false; // True while a logged command is executing (lets it through recordCommand)
+        game.clock.stepMs = replay.stepMs;
+
+        this.commandsByTick = new Map();
+        replay.commands.forEach(command => {
+            const tick = command[0];
+            if (!this.commandsByTick.has(tick)) this.commandsByTick.set(tick, []);
+            this.commandsByTick.get(tick).push(command);
+        });
+    }
+
+    // Playback speed is the game clock's speed multiplier
+    get speed() {
+        return this.game.clock.speed;
+    }
+
+    get finished() {
+        return this.game.tick >= this.totalTicks || this.game.gameState !== 'playing';
+    }
+
+    get seeking() {
+        return this.targetTick !== null;
+    }
+
+    /**
+     * Called from the game loop with real elapsed time
+     */
+    advance(realDelta) {
+        if (this.seeking) {
+            let steps = 0;
+            while (this.game.tick < this.targetTick && !this.finished && steps < SEEK_TICKS_PER_FRAME) {
+                this.step();
+                steps++;
+            }
+            if (this.game.tick >= this.targetTick || this.finished) {
+                this.targetTick = null;
+            }
+            return;
+        }
+
+        if (this.paused || this.finished) return;
+
+        const steps = this.game.clock.advance(realDelta);
+        for (let i = 0; i < steps && !this.finished; i++) {
+            this.step();
+        }
+    }
+
+    // Advance one simulation tick and apply the orders issued during it
+    step() {
+        this.game.update();
+
+        const commands = this.commandsByTick.get(this.game.tick);
+        if (commands) {
+            commands.forEach(command => this.applyCommand(command));
+        }
+    }
+
+    applyCommand(command) {
+        const [, type, ...values] = command;
+        const fields = COMMAND_FIELDS[type];
+        if (!fields) return;
+
+        const payload = {};
+        fields.forEach((field, i) => { payload[field] = values[i]; });
+
+        const game = this.game;
+        const territories = game.gameMap.territories;
+        const from = territories[payload.from];
+        const to = territories[payload.to];
+        const player = payload.playerId !== undefined ? game.players[payload.playerId] : null;
+        const target = payload.targetId !== undefined ? game.players[payload.targetId] : null;
+
+        this.applying = true;
+        try {
+            switch (type) {
+                case REPLAY_COMMANDS.FLEET:
+                    game.executeFleetCommand(from, to, payload.percentage, payload.mode, payload.path);
+                    break;
+                case REPLAY_COMMANDS.FLEET_ORDER:
+                    if (from && to) game.fleetOrderSystem.queueOrder(from, to, payload.trigger, payload.threshold, payload.path);
+                    break;
+                case REPLAY_COMMANDS.FLEET_ORDER_CANCEL:
+                    if (territories[payload.territoryId]) game.fleetOrderSystem.cancelOrders(territories[payload.territoryId]);
+                    break;
+                case REPLAY_COMMANDS.AI_ATTACK:
+                    if (player && from && to) player.executeAttack(from, to, game.gameMap);
+                    break;
+                case REPLAY_COMMANDS.AI_LONG_RANGE:
+                    if (player && from && to) player.executeLongRangeAttack(from, to, game.gameMap);
+                    break;
+                case REPLAY_COMMANDS.AI_REINFORCE:
+                    if (player && from && to) player.executeReinforcement(from, to, payload.amount, game.gameMap);
+                    break;
+                case REPLAY_COMMANDS.STRATEGIST_ATTACK:
+                    if (player && from && to) {
+                        player.initializeAIStrategist(game.gameMap);
+                        player.strategist.executeAttack(from, to);
+                    }
+                    break;
+                case REPLAY_COMMANDS.FLOOD_ATTACK:
+                    if (from && to) game.floodController.launchAttack(from, to, payload.armies);
+                    break;
+                case REPLAY_COMMANDS.FLOOD_TOGGLE:
+                    game.floodController.togglePlayer(player, payload.enable);
+                    break;
+                case REPLAY_COMMANDS.SUPPLY_ROUTE:
+                    if (from && to) game.supplySystem.createSupplyRoute(from, to);
+                    break;
+                case REPLAY_COMMANDS.SUPPLY_CANCEL:
+                    if (from) game.supplySystem.cancelSupplyRoute(from, to);
+                    break;
+                case REPLAY_COMMANDS.SUPPLY_SHARE:
+                    if (from && to) game.supplySystem.setRouteShare(from, to, payload.share);
+                    break;
+                case REPLAY_COMMANDS.SUPPLY_SINK:
+                    if (territories[payload.territoryId]) game.supplySystem.setSink(territories[payload.territoryId], payload.target);
+                    break;
+                case REPLAY_COMMANDS.THRONE_RELOCATE:
+                    if (player && territories[payload.territoryId]) game.throneSystem.relocateThrone(player, territories[payload.territoryId]);
+                    break;
+                case REPLAY_COMMANDS.CAPITAL_BUILD:
+                    if (player && territories[payload.territoryId]) game.throneSystem.buildCapital(player, territories[payload.territoryId]);
+                    break;
+                case REPLAY_COMMANDS.DIPLOMACY_PROPOSE:
+                    if (player && target) game.diplomacySystem.propose(player, target, payload.treaty);
+                    break;
+                case REPLAY_COMMANDS.DIPLOMACY_RESPOND:
+                    if (player && target) game.diplomacySystem.respond(player, target, payload.treaty, payload.accept);
+                    break;
+                case REPLAY_COMMANDS.DIPLOMACY_BREAK:
+                    if (player && target) game.diplomacySystem.breakTreaty(player, target);
+                    break;
+                case REPLAY_COMMANDS.FLEET_STANCE:
+                    if (player) game.combatSystem.setFleetStance(player, payload.stance);
+                    break;
+                case REPLAY_COMMANDS.RETREAT:
+                    if (player && territories[payload.territoryId]) game.combatSystem.orderRetreat(player, territories[payload.territoryId]);
+                    break;
+                case REPLAY_COMMANDS.PRODUCTION_FOCUS:
+                    if (player && territories[payload.territoryId]) game.shipyardSystem.setProductionFocus(player, territories[payload.territoryId], payload.shipClass);
+                    break;
+                case REPLAY_COMMANDS.STARBASE_UPGRADE:
+                    if (player && territories[payload.territoryId]) game.starbaseSystem.build(player, territories[payload.territoryId], payload.upgrade);
+                    break;
+            }
+        } catch (error) {
+            console.error(`Replay: Failed to apply ${type} at tick ${command[0]}:`, error);
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+        return this.paused;
+    }
+
+    setSpeed(speed) {
+        this.game.clock.setSpeed(speed);
+    }
+
+    /**
+     * Jump to a tick. Going backwards re-simulates the match from its seed.
+     */
+    seek(tick) {
+        const target = Math.max(0, Math.min(this.totalTicks, Math.floor(tick)));
+        if (target < this.game.tick || this.game.gameState !== 'playing') {
+            this.restart();
+        }
+        this.targetTick = target;
+    }
+
+    // Regenerate the galaxy from the seed and clear all match state
+    restart() {
+        const game = this.game;
+
+        game.gameMap = new GameMap(game.gameMap.width, game.gameMap.height, game.config);
+        game.gameMap.game = game;
+        game.gameMap.rng = game.rng;
+        game.players = [];
+        game.humanPlayer = null;
+        game.gameTimer = getMatchLengthMs(game.config);
+
+        game.combatSystem.restore(null);
+        game.supplySystem.restore(null);
+        game.fleetOrderSystem.restore(null);
+        game.floodController.restore(null);
+        game.diplomacySystem.restore(null);
+        game.pendingLongRangeCombats = [];
+        game.fleetsInTransit = [];
+        game.playerDiscoveries = new Map();
+        game.discoveredLanes = new Set();
+        game.discoveryLog = [];
+        game.saveGameManager.clearTransientState();
+
+        const camera = game.camera.getState();
+        game.startGame();
+        game.camera.setState(camera);
+    }
+
+    getStatus() {
+        return {
+            tick: this.game.tick,
+            totalTicks: this.totalTicks,
+            speed: this.speed,
+            paused: this.paused,
+            seeking: this.seeking,
+            finished: this.finished
+        };
+    }
+}
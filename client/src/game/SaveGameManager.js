@@ -0,0 +1,203 @@
+import { GameMap } from './GameMap';
+import { Player } from './Player';
+import { Probe } from './Probe';
+import { SAVE_SCHEMA_VERSION } from '../lib/saveGameStorage';
+
+/**
+ * SaveGameManager - Captures and restores a complete single-player game snapshot
+ * Timestamps are simulation-clock times, stored relative to the moment of saving so timers resume correctly after loading
+ */
+export class SaveGameManager {
+    constructor(game) {
+        this.game = game;
+    }
+
+    /**
+     * Capture the current game as a plain JSON-safe object
+     * @param {string} name - Save slot name shown in the load menu
+     * @returns {Object} Save game data
+     */
+    capture(name) {
+        const game = this.game;
+        const now = game.clock.now();
+        const { saveGame, room, ...config } = game.config;
+
+        const playerDiscoveries = [];
+        game.playerDiscoveries.forEach((discoveries, playerId) => {
+            playerDiscoveries.push([playerId, {
+                ...discoveries,
+                factoryPlanets: [...discoveries.factoryPlanets]
+            }]);
+        });
+
+        return {
+            version: SAVE_SCHEMA_VERSION,
+            name: name,
+            savedAt: Date.now(),
+            seed: game.config.seed,
+            rngState: game.rng.getState(),
+            aiRngState: game.aiRng.getState(),
+            config: config,
+            clock: game.clock.getState(),
+            gameTimer: game.gameTimer,
+            gameState: game.gameState,
+            map: game.gameMap.serialize(),
+            players: game.players.map(player => player.serialize()),
+            humanPlayerId: game.humanPlayer ? game.humanPlayer.id : null,
+            supply: game.supplySystem.serialize(),
+            fleetOrders: game.fleetOrderSystem.serialize(),
+            combat: game.combatSystem.serialize(),
+            longRangeFleets: (game.pendingLongRangeCombats || []).map(fleet => ({
+                fromTerritoryId: fleet.fromTerritoryId,
+                toTerritoryId: fleet.toTerritoryId,
+                fleetSize: fleet.fleetSize,
+                arrivalIn: fleet.arrivalTime - now,
+                travelTime: fleet.arrivalTime - fleet.startTime,
+                distance: fleet.distance,
+                fromOwnerId: fleet.fromOwnerId,
+                battleId: fleet.battleId,
+                roster: fleet.roster ? { ...fleet.roster } : null
+            })),
+            // Multi-hop transfers and attack segments between stars
+            fleetsInTransit: game.fleetsInTransit.map(({ arrivalTime, ...fleet }) => ({
+                ...fleet,
+                path: fleet.path ? [...fleet.path] : undefined,
+                roster: fleet.roster ? { ...fleet.roster } : null,
+                arrivalIn: arrivalTime - now
+            })),
+            probes: (game.probes || []).map(probe => probe.serialize()),
+            playerDiscoveries: playerDiscoveries,
+            discoveredLanes: [...game.discoveredLanes],
+            discoveryLog: game.discoveryLog.map(entry => ({ ...entry })),
+            flood: game.floodController.serialize(),
+            fog: game.fogOfWar.serialize(),
+            victory: game.victorySystem.serialize(),
+            diplomacy: game.diplomacySystem.serialize(),
+            camera: game.camera.getState()
+        };
+    }
+
+    /**
+     * Replace the running game with a saved snapshot
+     * @param {Object} save - Save game data produced by capture() (already migrated)
+     */
+    restore(save) {
+        const game = this.game;
+
+        game.config = { ...game.config, ...save.config, seed: save.seed };
+        game.clock.gameSpeed = game.config.gameSpeed;
+        game.clock.setState(save.clock);
+        game.discoverySystem.loadCatalog(game.config.discoveryPacks);
+        const now = game.clock.now();
+
+        // Map and players
+        game.gameMap = GameMap.deserialize(save.map, game.config);
+        game.gameMap.game = game;
+        game.gameMap.rng = game.rng;
+        game.camera.setMapDimensions(game.gameMap.width, game.gameMap.height);
+
+        game.players = save.players.map(data => Player.deserialize(data, game.aiRng, game.gameMap));
+
+        // Only now: building the players draws from the AI stream
+        game.rng.setState(save.rngState);
+        if (save.aiRngState) {
+            game.aiRng.setState(save.aiRngState);
+        }
+        game.humanPlayer = game.players.find(player => player.id === save.humanPlayerId) ||
+                           game.players.find(player => player.type === 'human') || null;
+
+        game.gameTimer = save.gameTimer;
+        game.gameState = save.gameState;
+
+        // Systems that hold references into the map are rebuilt from IDs
+        game.supplySystem.restore(save.supply);
+        game.combatSystem.restore(save.combat);
+        game.fleetOrderSystem.restore(save.fleetOrders);
+
+        // In-flight fleets keep their remaining travel time (fleet animations are not restored)
+        game.pendingLongRangeCombats = (save.longRangeFleets || []).map(fleet => {
+            const arrivalTime = now + fleet.arrivalIn;
+            return {
+                fromTerritory: game.gameMap.territories[fleet.fromTerritoryId],
+                toTerritory: game.gameMap.territories[fleet.toTerritoryId],
+                fromTerritoryId: fleet.fromTerritoryId,
+                toTerritoryId: fleet.toTerritoryId,
+                fleetSize: fleet.fleetSize,
+                arrivalTime: arrivalTime,
+                distance: fleet.distance,
+                startTime: arrivalTime - fleet.travelTime,
+                fromOwnerId: fleet.fromOwnerId,
+                battleId: fleet.battleId,
+                roster: fleet.roster ? { ...fleet.roster } : null
+            };
+        });
+        game.fleetsInTransit = save.fleetsInTransit.map(({ arrivalIn, ...fleet }) => ({
+            ...fleet,
+            path: fleet.path ? [...fleet.path] : undefined,
+            roster: fleet.roster ? { ...fleet.roster } : null,
+            arrivalTime: now + arrivalIn
+        }));
+        game.probes = (save.probes || []).map(data => Probe.deserialize(data, game)).filter(Boolean);
+
+        // Discoveries
+        game.playerDiscoveries = new Map();
+        (save.playerDiscoveries || []).forEach(([playerId, discoveries]) => {
+            game.playerDiscoveries.set(playerId, {
+                ...discoveries,
+                factoryPlanets: new Set(discoveries.factoryPlanets),
+                finds: { ...discoveries.finds }
+            });
+        });
+        game.players.forEach(player => {
+            if (!game.playerDiscoveries.has(player.id)) {
+                game.initializePlayerDiscoveries(player.id);
+            }
+        });
+        game.discoveredLanes = new Set(save.discoveredLanes || []);
+        game.discoveryLog = (save.discoveryLog || []).map(entry => ({ ...entry }));
+
+        game.floodController.restore(save.flood);
+
+        // Last-known intel
+        game.fogOfWar.enabled = game.config.fogOfWar !== false;
+        game.fogOfWar.restore(save.fog);
+
+        // Domination hold, hill points and the match result
+        game.victorySystem.restore(save.victory);
+        game.diplomacySystem.restore(save.diplomacy);
+
+        // Drop transient per-game state that referenced the old map
+        this.clearTransientState();
+
+        if (save.camera) {
+            game.camera.setState(save.camera);
+        }
+
+        game.gameInitialized = true;
+        game.lastConnectivityCheck = -Infinity; // Force an immediate connectivity refresh
+        game.updateThroneConnectivity();
+        game.setupOffscreenRendering();
+
+        console.log(`💾 Loaded save "${save.name}" (seed ${save.seed}, ${game.players.length} players)`);
+    }
+
+    clearTransientState() {
+        const game = this.game;
+
+        game.selectedTerritory = null;
+        game.supplyMode = false;
+        game.supplySource = null;
+        game.fleetOrderSystem.discardDraft();
+        game.shipAnimations = [];
+        game.dragPathCache.clear();
+
+        if (game.animationSystem) {
+            game.animationSystem.shipAnimations.forEach(animation => game.animationSystem.returnToPool(animation));
+            game.animationSystem.shipAnimations = [];
+        }
+        if (game.discoverySystem) {
+            game.discoverySystem.floatingDiscoveries = [];
+            game.discoverySystem.topDiscoveryAnnouncements = [];
+        }
+    }
+}
@@ -0,0 +1,246 @@
+import { GAME_CONSTANTS } from '../../../common/gameConstants';
+import { REPLAY_COMMANDS } from './ReplaySystem';
+
+export const SHIP_CLASSES = GAME_CONSTANTS.SHIP_CLASSES;
+
+export const SHIP_CLASS_ORDER = ['corvette', 'frigate', 'dreadnought'];
+
+export const DEFAULT_SHIP_CLASS = GAME_CONSTANTS.DEFAULT_SHIP_CLASS;
+
+// What AI stars away from the front build, by AI strategy
+const AI_STRATEGY_FOCUS = {
+    aggressive: 'frigate',
+    defensive: 'dreadnought',
+    expansionist: 'frigate',
+    opportunistic: 'corvette'
+};
+
+/**
+ * Empty roster, or one holding ships of a single class
+ * @returns {Object} Ship counts per class
+ */
+export function createRoster(shipClass = null, count = 0) {
+    const roster = { corvette: 0, frigate: 0, dreadnought: 0 };
+    if (shipClass && count > 0) roster[shipClass] = count;
+    return roster;
+}
+
+export function getRosterSize(roster) {
+    return roster ? SHIP_CLASS_ORDER.reduce((total, shipClass) => total + (roster[shipClass] || 0), 0) : 0;
+}
+
+/**
+ * The given number of ships, drawn from a roster in proportion to its classes (largest remainder)
+ * @param {Object} roster - Ship counts per class (not modified)
+ * @param {number} count - Ships to draw, at most the roster size
+ * @returns {Object} New roster of exactly min(count, size) ships
+ */
+export function shareOfRoster(roster, count) {
+    const size = getRosterSize(roster);
+    const wanted = Math.max(0, Math.min(Math.floor(count), size));
+    if (wanted === size) return { ...createRoster(), ...roster };
+
+    const share = createRoster();
+    const remainders = [];
+    let assigned = 0;
+    SHIP_CLASS_ORDER.forEach(shipClass => {
+        const exact = (roster[shipClass] || 0) * wanted / size;
+        share[shipClass] = Math.floor(exact);
+        assigned += share[shipClass];
+        remainders.push({ shipClass, remainder: exact - share[shipClass] });
+    });
+    remainders.sort((a, b) => b.remainder - a.remainder);
+    for (let i = 0; assigned < wanted; i++, assigned++) {
+        share[remainders[i].shipClass]++;
+    }
+    return share;
+}
+
+/**
+ * Bring a roster in line with a ship count that other code changed directly (mines, supply, production bonuses):
+ * extra ships join as the default class, missing ones are taken proportionally
+ * @param {Object|null} roster - Roster to settle in place (created when missing)
+ * @param {number} total - Ship count the roster must add up to
+ * @returns {Object} The settled roster
+ */
+export function settleRoster(roster, total) {
+    const settled = roster || createRoster();
+    const target = Math.max(0, Math.floor(total));
+    const size = getRosterSize(settled);
+    if (size < target) {
+        settled[DEFAULT_SHIP_CLASS] += target - size;
+    } else if (size > target) {
+        Object.assign(settled, shareOfRoster(settled, target));
+    }
+    return settled;
+}
+
+// A star's ships by class, settled against its armySize
+export function getShipRoster(territory) {
+    territory.roster = settleRoster(territory.roster, territory.armySize);
+    return territory.roster;
+}
+
+/**
+ * Remove ships from a star, proportionally across its classes
+ * @returns {Object} Roster of the ships taken
+ */
+export function takeShips(territory, count) {
+    const roster = getShipRoster(territory);
+    const taken = shareOfRoster(roster, count);
+    SHIP_CLASS_ORDER.forEach(shipClass => { roster[shipClass] -= taken[shipClass]; });
+    territory.armySize -= getRosterSize(taken);
+    return taken;
+}
+
+// Add one roster's ships to another (in place)
+export function mergeRoster(into, roster) {
+    SHIP_CLASS_ORDER.forEach(shipClass => { into[shipClass] += roster?.[shipClass] || 0; });
+    return into;
+}
+
+// Land a fleet on a star, keeping the fleet's classes
+export function addShips(territory, roster) {
+    mergeRoster(getShipRoster(territory), roster);
+    territory.armySize += getRosterSize(roster);
+}
+
+// A fleet moves at the speed of its slowest class
+export function getFleetSpeed(roster) {
+    const speeds = SHIP_CLASS_ORDER.filter(shipClass => roster?.[shipClass] > 0).map(shipClass => SHIP_CLASSES[shipClass].speed);
+    return speeds.length > 0 ? Math.min(...speeds) : SHIP_CLASSES[DEFAULT_SHIP_CLASS].speed;
+}
+
+/**
+ * Roster as text: 'icons' for the tooltip (🚤3 🚀10), 'short' for CSV cells (C3 F10)
+ */
+export function formatRoster(roster, style = 'icons') {
+    const parts = SHIP_CLASS_ORDER
+        .filter(shipClass => roster?.[shipClass] > 0)
+        .map(shipClass => `${style === 'short' ? SHIP_CLASSES[shipClass].short : SHIP_CLASSES[shipClass].icon}${roster[shipClass]}`);
+    return parts.length > 0 ? parts.join(' ') : '-';
+}
+
+/**
+ * Class of the ship that engages in a combat round, weighted by numbers.
+ * Single-class rosters need no draw, so all-frigate fights use the rng exactly as before ship classes.
+ * @param {Object} roster - Ship counts per class
+ * @param {Function} random - Returns a number in [0, 1)
+ */
+export function pickShipClass(roster, random) {
+    const present = SHIP_CLASS_ORDER.filter(shipClass => roster[shipClass] > 0);
+    if (present.length === 0) return DEFAULT_SHIP_CLASS;
+    if (present.length === 1) return present[0];
+
+    let pick = random() * getRosterSize(roster);
+    for (const shipClass of present) {
+        pick -= roster[shipClass];
+        if (pick < 0) return shipClass;
+    }
+    return present[present.length - 1];
+}
+
+/**
+ * Attacker's chance to win a round once the engaged classes are known: the base chance
+ * (tech, discoveries, grievances) is weighed by each side's attack against the other's class
+ */
+export function getMatchupWinChance(baseChance, attackerClass, defenderClass) {
+    const attack = SHIP_CLASSES[attackerClass].attack * GAME_CONSTANTS.SHIP_CLASS_MODIFIERS[attackerClass][defenderClass];
+    const defense = SHIP_CLASSES[defenderClass].attack * GAME_CONSTANTS.SHIP_CLASS_MODIFIERS[defenderClass][attackerClass];
+    return baseChance * attack / (baseChance * attack + (1 - baseChance) * defense);
+}
+
+/**
+ * One hit on a ship of the given class; hits carry over until they add up to the class's health
+ * @param {Object} side - { roster, wounds } of the side that lost the round
+ * @returns {boolean} Whether a ship was destroyed
+ */
+export function hitShip(side, shipClass) {
+    side.wounds[shipClass] = (side.wounds[shipClass] || 0) + 1;
+    if (side.wounds[shipClass] < SHIP_CLASSES[shipClass].health) return false;
+
+    side.wounds[shipClass] = 0;
+    side.roster[shipClass] = Math.max(0, side.roster[shipClass] - 1);
+    return true;
+}
+
+/**
+ * ShipyardSystem - Per-star production focus
+ * Every star builds one class (territory.productionFocus, see Territory.generateArmies);
+ * dearer classes take longer to build. AI empires put dreadnoughts on their throne stars,
+ * counter the main class of the strongest enemy next door on the front, and build what
+ * suits their strategy elsewhere.
+ */
+export class ShipyardSystem {
+    constructor(game) {
+        this.game = game;
+    }
+
+    /**
+     * Change what a star builds; ships already built keep their class
+     * @returns {boolean} Whether the focus changed
+     */
+    setProductionFocus(player, territory, shipClass) {
+        if (!player || !territory || territory.ownerId !== player.id || !SHIP_CLASSES[shipClass]) return false;
+        if (territory.productionFocus === shipClass) return false;
+        if (!this.game.recordCommand(REPLAY_COMMANDS.PRODUCTION_FOCUS, { playerId: player.id, territoryId: territory.id, shipClass })) return false;
+
+        territory.productionFocus = shipClass;
+        return true;
+    }
+
+    /**
+     * The human's production key: cycle corvette -> frigate -> dreadnought on one of their stars
+     * @param {Object|null} territory - Selected star
+     */
+    handleHumanAction(territory) {
+        const player = this.game.humanPlayer;
+        if (!player || player.isEliminated) return;
+
+        if (!territory || territory.ownerId !== player.id) {
+            this.game.showMessage('Select one of your stars first', 2000);
+            return;
+        }
+
+        const next = SHIP_CLASS_ORDER[(SHIP_CLASS_ORDER.indexOf(territory.productionFocus) + 1) % SHIP_CLASS_ORDER.length];
+        if (this.setProductionFocus(player, territory, next)) {
+            const shipClass = SHIP_CLASSES[next];
+            this.game.showMessage(`${shipClass.icon} Star ${territory.id} now builds ${shipClass.name}s (x${shipClass.buildCost} build time)`, 2000);
+        }
+    }
+
+    // AI empires review what their stars build every PRODUCTION_FOCUS_AI_INTERVAL_TICKS
+    update() {
+        if (this.game.tick % GAME_CONSTANTS.PRODUCTION_FOCUS_AI_INTERVAL_TICKS !== 0) return;
+
+        for (const player of this.game.players) {
+            if (player.type === 'human' || player.isEliminated) continue;
+
+            player.territories.forEach(id => {
+                const territory = this.game.gameMap.territories[id];
+                if (territory) this.setProductionFocus(player, territory, this.chooseFocus(player, territory));
+            });
+        }
+    }
+
+    chooseFocus(player, territory) {
+        if (territory.isThronestar) return 'dreadnought';
+
+        // On the front, build whatever beats the main class of the strongest hostile neighbour
+        let threat = null;
+        territory.neighbors.forEach(id => {
+            const neighbor = this.game.gameMap.territories[id];
+            if (!neighbor || neighbor.ownerId === null || neighbor.ownerId === player.id) return;
+            if (this.game.diplomacySystem?.isAtPeace(player.id, neighbor.ownerId)) return;
+            if (!threat || neighbor.armySize > threat.armySize) threat = neighbor;
+        });
+        if (threat) {
+            const roster = getShipRoster(threat);
+            const main = SHIP_CLASS_ORDER.reduce((best, shipClass) => roster[shipClass] > roster[best] ? shipClass : best);
+            return SHIP_CLASS_ORDER.reduce((best, shipClass) =>
+                GAME_CONSTANTS.SHIP_CLASS_MODIFIERS[shipClass][main] > GAME_CONSTANTS.SHIP_CLASS_MODIFIERS[best][main] ? shipClass : best);
+        }
+
+        return AI_STRATEGY_FOCUS[player.aiStrategy] || DEFAULT_SHIP_CLASS;
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * SimulationClock - Fixed-timestep clock shared by every simulation system
+ * Game time only moves when the clock steps, so pausing, slow frames and fast-forward
+ * change how quickly a match plays out but never what happens in it.
+ */
+
+export const SIMULATION_STEP_MS = 1000 / 60; // Simulated milliseconds per tick
+export const FAST_FORWARD_SPEEDS = [1, 2, 4];
+
+const MAX_FRAME_MS = 250;        // Longer gaps (background tab, debugger) are dropped rather than caught up
+const MAX_STEPS_PER_FRAME = 64;  // Keeps high speeds from spiralling on slow frames
+
+export class SimulationClock {
+    /**
+     * @param {number} gameSpeed - config.gameSpeed; simulated time per unit of real time
+     * @param {number} stepMs - Simulated milliseconds per tick
+     */
+    constructor(gameSpeed = 1.0, stepMs = SIMULATION_STEP_MS) {
+        this.gameSpeed = gameSpeed;
+        this.stepMs = stepMs;
+        this.speed = 1; // Fast-forward / replay playback multiplier
+        this.reset();
+    }
+
+    reset() {
+        this.tick = 0;
+        this.accumulator = 0;
+        this.timers = [];
+    }
+
+    /**
+     * Current simulation time in milliseconds since the match started.
+     * Use this instead of Date.now() for anything that affects game state.
+     */
+    now() {
+        return this.tick * this.stepMs;
+    }
+
+    /**
+     * Convert real elapsed time into a number of whole simulation steps
+     * @param {number} realDelta - Real milliseconds since the last frame
+     * @returns {number} Steps the caller should run this frame
+     */
+    advance(realDelta) {
+        this.accumulator += Math.min(Math.max(realDelta, 0), MAX_FRAME_MS) * this.gameSpeed * this.speed;
+
+        let steps = Math.floor(this.accumulator / this.stepMs);
+        if (steps > MAX_STEPS_PER_FRAME) {
+            steps = MAX_STEPS_PER_FRAME;
+            this.accumulator = 0;
+        } else {
+            this.accumulator -= steps * this.stepMs;
+        }
+        return steps;
+    }
+
+    /**
+     * Advance one tick and fire any scheduled events that are now due
+     * @returns {number} The step duration in simulated milliseconds
+     */
+    step() {
+        this.tick++;
+
+        const now = this.now();
+        while (this.timers.length > 0 && this.timers[0].dueTime <= now) {
+            const timer = this.timers.shift();
+            try {
+                timer.callback();
+            } catch (error) {
+                console.error('Scheduled simulation event failed:', error);
+            }
+        }
+        return this.stepMs;
+    }
+
+    /**
+     * Run a callback after a delay in simulated time (replaces setTimeout for game events)
+     * @param {number} delayMs - Simulated milliseconds from now
+     * @param {Function} callback
+     */
+    schedule(delayMs, callback) {
+        const timer = { dueTime: this.now() + delayMs, callback };
+
+        // Keep timers ordered by due time, then by scheduling order
+        let index = this.timers.length;
+        while (index > 0 && this.timers[index - 1].dueTime > timer.dueTime) {
+            index--;
+        }
+        this.timers.splice(index, 0, timer);
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.accumulator = 0;
+    }
+
+    // Step through FAST_FORWARD_SPEEDS, wrapping back to normal speed
+    cycleFastForward() {
+        const index = FAST_FORWARD_SPEEDS.indexOf(this.speed);
+        this.setSpeed(FAST_FORWARD_SPEEDS[(index + 1) % FAST_FORWARD_SPEEDS.length]);
+        return this.speed;
+    }
+
+    // Scheduled callbacks are closures and are not saved; loading drops them, so anything
+    // that has to outlive a save (fleets in flight) is kept as game state instead
+    getState() {
+        return { tick: this.tick };
+    }
+
+    setState(state) {
+        this.reset();
+        this.tick = state?.tick || 0;
+    }
+}
@@ -5,11 +5,12 @@ import { Camera } from './Camera';
 // Removed disabled Probe import (dead code cleanup)
 import { InputHandler } from './InputHandler';
 import { Renderer } from './Renderer';
-import { CombatSystem } from './CombatSystem';
+import { CombatSystem, FLEET_STANCES, STANCE_ORDER } from './CombatSystem';
 import { SupplySystem } from './SupplySystem';
 import { PathfindingService } from './PathfindingService';
 import { GameUtils } from './utils';
 import { GAME_CONSTANTS } from '../../../common/gameConstants';
+import { SeededRandom, generateSeed, parseSeed } from '../../../common/random';
 import { gameEvents, GAME_EVENTS, EVENT_PRIORITY, EventHelpers } from './EventSystem';
 import { PerformanceManager } from './PerformanceManager';
 import { PerformanceOverlay } from './PerformanceOverlay';
@@ -19,6 +20,39 @@ import { UIManager } from './UIManager';
 import { AIManager } from './AIManager';
 import FloodModeController from './FloodModeController';
 import { FeedbackSystem } from './FeedbackSystem';
+import { SaveGameManager } from './SaveGameManager';
+import { SimulationClock } from './SimulationClock';
+import { FogOfWarSystem } from './FogOfWarSystem';
+import { ThroneSystem } from './ThroneSystem';
+import { VictorySystem } from './VictorySystem';
+import { DiplomacySystem } from './DiplomacySystem';
+import { ShipyardSystem, takeShips, addShips, shareOfRoster, getFleetSpeed } from './ShipyardSystem';
+import { StarbaseSystem, getFleetCapacity } from './StarbaseSystem';
+import { FleetOrderSystem } from './FleetOrderSystem';
+import { ReplayRecorder, ReplayPlayer, REPLAY_COMMANDS } from './ReplaySystem';
+import { readSaveSlot, writeSaveSlot } from '../lib/saveGameStorage';
+import { getMatchLengthMs } from '../lib/victoryModes';
+
+// Salt for the AI decision stream - AI draws stay off the main RNG so replays, which feed
+// AI orders from the command log, keep combat and discovery rolls aligned
+const AI_RNG_SALT = 0x5bd1e995;
+
+// Diplomacy keys: propose a Non-aggression pact or an Alliance, Break a treaty, answer Yes / X (decline)
+const DIPLOMACY_KEYS = {
+    n: 'pact',
+    a: 'alliance',
+    b: 'break',
+    y: 'accept',
+    x: 'decline'
+};
+
+// Number keys build starbase upgrades on the selected star
+const UPGRADE_KEYS = {
+    1: 'shield',
+    2: 'shipyard',
+    3: 'sensors',
+    4: 'beacon'
+};
 
 export default class StarThrone {
     constructor(config = {}) {
@@ -40,10 +74,23 @@ export default class StarThrone {
             ...config
         };
         
+        // Seeded RNG shared by all game systems - the same seed reproduces the same galaxy and match
+        const configSeed = parseSeed(this.config.seed);
+        this.config.seed = configSeed !== null ? configSeed : generateSeed();
+        this.rng = new SeededRandom(this.config.seed);
+        this.aiRng = new SeededRandom((this.config.seed ^ AI_RNG_SALT) >>> 0);
+        
+        // Fixed-timestep simulation clock - all game-state timing reads this instead of Date.now()
+        this.clock = new SimulationClock(this.config.gameSpeed);
+        
+        // Replay support: recorder (live games) or player (replay viewer)
+        this.replayRecorder = null;
+        this.replayPlayer = null;
+        
         // Game state
         this.gameState = 'lobby'; // lobby, playing, ended
         this.paused = false; // Add pause for low-performance devices
-        this.gameTimer = 10 * 60 * 1000; // 10 minutes
+        this.gameTimer = getMatchLengthMs(this.config); // Match length from the config screen (10 minutes by default)
         this.maxPlayers = 100;
         this.currentPlayers = 0;
         this.gameInitialized = false; // Prevent early win condition checks
@@ -70,6 +117,7 @@ export default class StarThrone {
         this.controls = null;
         this.floodController = null;
         this.feedbackSystem = null;
+        this.fogOfWar = null;
         
         // Simple desktop-only input state
         this.mousePos = { x: 0, y: 0 };
@@ -78,6 +126,7 @@ export default class StarThrone {
         this.dragTarget = null;
         this.selectedTerritory = null;
         this.supplyMode = false;
+        this.supplySource = null; // Star the next route starts from while in supply mode
         this.hoveredTerritory = null;
         
         // Path caching
@@ -106,6 +155,8 @@ export default class StarThrone {
         this.shipAnimations = [];
         this.shipAnimationPool = []; // Reuse objects to reduce garbage collection
         this.pendingLongRangeCombats = []; // Track delayed long-range combat arrivals
+        this.fleetsInTransit = []; // Multi-hop transfers and attack segments on their way
+        this.probes = []; // Probes in flight (saved with the game; the probe system itself is inactive)
         
         // Removed legacy long-range attacks array (dead code cleanup)
         
@@ -133,7 +184,7 @@ export default class StarThrone {
         
         // Throne connectivity tracking
         this.disconnectedTerritories = new Set();
-        this.lastConnectivityCheck = 0;
+        this.lastConnectivityCheck = -Infinity;
         this.connectivityCheckInterval = 2000; // Check every 2 seconds
         
         // Legacy drag variables (kept for compatibility)
@@ -159,9 +210,9 @@ export default class StarThrone {
             initialized: false
         };
         
-        // Static background optimization
-        this.staticBg = document.createElement('canvas');
-        this.staticBgCtx = this.staticBg.getContext('2d');
+        // Static background optimization (no DOM when running headless)
+        this.staticBg = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+        this.staticBgCtx = this.staticBg ? this.staticBg.getContext('2d') : null;
         
         // Discovery system for planet colonization - per player tracking
         this.playerDiscoveries = new Map(); // Map of playerId -> discoveries
@@ -203,8 +254,11 @@ export default class StarThrone {
         this.mouseMoveThrottleMs = 16; // ~60 FPS, one event per frame
         this.pendingMouseEvent = null;
         
-        this.init();
-        this.loadBackgroundImage();
+        // Headless runs (HeadlessSimulation) call initHeadless() instead
+        if (this.config.mode !== 'headless') {
+            this.init();
+            this.loadBackgroundImage();
+        }
     }
     
     /**
@@ -493,6 +547,7 @@ export default class StarThrone {
         
         this.gameMap = new GameMap(expandedWidth, expandedHeight, this.config); // Use expanded dimensions
         this.gameMap.game = this; // Reference for AI animations
+        this.gameMap.rng = this.rng;
         
         // Use logical dimensions for camera, not physical canvas dimensions
         const logicalWidth = this.canvas.style.width ? parseInt(this.canvas.style.width) : window.innerWidth;
@@ -530,6 +585,14 @@ export default class StarThrone {
         this.aiManager = new AIManager(this);
         this.floodController = new FloodModeController(this);
         this.feedbackSystem = new FeedbackSystem(this);
+        this.saveGameManager = new SaveGameManager(this);
+        this.fogOfWar = new FogOfWarSystem(this);
+        this.throneSystem = new ThroneSystem(this);
+        this.victorySystem = new VictorySystem(this);
+        this.diplomacySystem = new DiplomacySystem(this);
+        this.shipyardSystem = new ShipyardSystem(this);
+        this.starbaseSystem = new StarbaseSystem(this);
+        this.fleetOrderSystem = new FleetOrderSystem(this);
         
         // Flood mode buttons now integrated into GameUI instead of DOM elements
         
@@ -539,119 +602,97 @@ export default class StarThrone {
         // Auto-detect optimal performance profile
         this.performanceManager.detectOptimalProfile();
         
-        this.gameStartTime = Date.now(); // Track when game actually starts
         this.detectLowPerformance(); // Check device capabilities
         this.startGame();
+        
+        if (this.config.replay) {
+            // Watch a recorded match instead of playing
+            this.replayPlayer = new ReplayPlayer(this, this.config.replay);
+        } else if (this.config.saveGame) {
+            // Resume a saved game picked on the mode selector
+            this.loadSaveGame(this.config.saveGame);
+        } else {
+            this.replayRecorder = new ReplayRecorder(this);
+        }
         this.gameLoop();
         
         // Create offscreen canvas for static elements (e.g., background stars/connections)
         this.setupOffscreenRendering();
     }
     
-    // Old DOM-based flood mode button removed - now using in-game UI buttons in top bar
+    /**
+     * Set up only the simulation systems - no canvas, camera, UI or game loop.
+     * Used by HeadlessSimulation for batch AI-vs-AI runs under Node.
+     */
+    initHeadless() {
+        this.headless = true;
+        
+        // Same expanded map dimensions as init()
+        this.gameMap = new GameMap(2000 * 1.4, 1500 * 1.6, this.config);
+        this.gameMap.game = this;
+        this.gameMap.rng = this.rng;
+        
+        this.combatSystem = new CombatSystem(this);
+        this.supplySystem = new SupplySystem(this);
+        this.pathfindingService = new PathfindingService(this);
+        this.discoverySystem = new DiscoverySystem(this);
+        this.aiManager = new AIManager(this);
+        this.floodController = new FloodModeController(this);
+        this.throneSystem = new ThroneSystem(this);
+        this.victorySystem = new VictorySystem(this);
+        this.diplomacySystem = new DiplomacySystem(this);
+        this.shipyardSystem = new ShipyardSystem(this);
+        this.starbaseSystem = new StarbaseSystem(this);
+        this.fleetOrderSystem = new FleetOrderSystem(this);
+        this.fogOfWar = new FogOfWarSystem(this);
+        
+        this.beginMatch(this.config.aiCount, false);
+    }
     
-    // Define discovery types and their probabilities
-    getDiscoveryTypes() {
-        return [
-            {
-                id: 'hostile_aliens',
-                name: 'Hostile Aliens',
-                description: 'Hostile alien life destroys your probe!',
-                probability: 0.15,
-                type: 'negative',
-                effect: 'probe_lost'
-            },
-            {
-                id: 'friendly_aliens',
-                name: 'Friendly Aliens',
-                description: 'Friendly aliens join your empire!',
-                probability: 0.12,
-                type: 'positive',
-                effect: 'extra_fleet',
-                bonus: 50
-            },
-            {
-                id: 'precursor_weapons',
-                name: 'Precursor Weapons Cache',
-                description: 'Ancient weapon technology discovered!',
-                probability: 0.08,
-                type: 'empire_bonus',
-                effect: 'attack_bonus',
-                bonus: 10 // +10% attack
-            },
-            {
-                id: 'precursor_drive',
-                name: 'Precursor Drive System',
-                description: 'Advanced propulsion technology found!',
-                probability: 0.08,
-                type: 'empire_bonus',
-                effect: 'speed_bonus',
-                bonus: 20 // +20% speed
-            },
-            {
-                id: 'precursor_shield',
-                name: 'Precursor Shield Matrix',
-                description: 'Defensive technology enhances your empire!',
-                probability: 0.08,
-                type: 'empire_bonus',
-                effect: 'defense_bonus',
-                bonus: 10 // +10% defense
-            },
-            {
-                id: 'precursor_factory',
-                name: 'Precursor Factory Complex',
-                description: 'Ancient manufacturing facility still operational!',
-                probability: 0.06,
-                type: 'planet_bonus',
-                effect: 'factory_planet',
-                bonus: 100 // +100% generation (200% total)
-            },
-            {
-                id: 'precursor_nanotech',
-                name: 'Precursor Nanotechnology',
-                description: 'Self-replicating technology spreads across your empire!',
-                probability: 0.05,
-                type: 'empire_bonus',
-                effect: 'generation_bonus',
-                bonus: 10 // +10% empire-wide generation
-            },
-            {
-                id: 'mineral_deposits',
-                name: 'Rich Mineral Deposits',
-                description: 'Valuable resources boost this planet\'s output!',
-                probability: 0.10,
-                type: 'planet_bonus',
-                effect: 'mineral_planet',
-                bonus: 50 // +50% generation
-            },
-            {
-                id: 'ancient_ruins',
-                name: 'Ancient Ruins',
-                description: 'Mysterious structures provide no immediate benefit.',
-                probability: 0.08,
-                type: 'neutral',
-                effect: 'cosmetic'
-            },
-            {
-                id: 'void_storm',
-                name: 'Void Storm Remnants',
-                description: 'Dangerous energy storms reduce planet effectiveness.',
-                probability: 0.06,
-                type: 'negative',
-                effect: 'reduced_generation',
-                bonus: -25 // -25% generation
-            },
-            {
-                id: 'no_discovery',
-                name: 'Standard Planet',
-                description: 'A typical world with no special features.',
-                probability: 0.14,
-                type: 'neutral',
-                effect: 'none'
-            }
-        ];
+    /**
+     * Seed the match, generate the galaxy and seat the empires - the setup shared by
+     * startGame() and initHeadless()
+     * @param {number} numPlayers - Empires to create, the human included
+     * @param {boolean} includeHuman - Whether the first empire is the human player
+     */
+    beginMatch(numPlayers, includeHuman = true) {
+        // Restart the random sequence so every start with this seed plays out identically
+        this.rng.setSeed(this.config.seed);
+        this.aiRng.setSeed((this.config.seed ^ AI_RNG_SALT) >>> 0);
+        this.clock.reset();
+        this.lastConnectivityCheck = -Infinity;
+        this.throneStarValidationTimer = 0;
+        console.log(`🎲 Galaxy seed: ${this.config.seed}`);
+        
+        // Generate map using the sophisticated algorithm
+        this.gameMap.generateTerritories(this.config.mapSize);
+        this.gameMap.buildSpatialIndex();
+        this.log('Spatial index built for optimized territory lookups', 'info');
+        
+        this.createPlayers(numPlayers, includeHuman);
+        
+        // Update human player name from config
+        if (this.humanPlayer) {
+            this.humanPlayer.name = this.config.playerName;
+        }
+        
+        // Distribute initial territories to give each player a throne star
+        this.distributeStartingTerritories();
+        this.victorySystem.start();
+        this.diplomacySystem.reset();
+        
+        this.gameState = 'playing';
+        this.gameInitialized = true;
+        console.log('🕐 Running initial throne star validation...');
+        this.validateThroneStars();
+        
+        // Initial sensor sweep so the starting neighbourhood is visible before the first tick
+        this.fogOfWar.reset();
+        this.fogOfWar.sweep();
     }
     
+    // Old DOM-based flood mode button removed - now using in-game UI buttons in top bar
+    
     // Initialize parallax starfield layers
     initializeStarfield() {
         if (this.starfield.initialized) return;
@@ -765,23 +806,6 @@ export default class StarThrone {
         });
     }
     
-    // Random discovery selection based on probabilities
-    selectRandomDiscovery() {
-        const discoveries = this.getDiscoveryTypes();
-        const random = Math.random();
-        let cumulative = 0;
-        
-        for (const discovery of discoveries) {
-            cumulative += discovery.probability;
-            if (random <= cumulative) {
-                return discovery;
-            }
-        }
-        
-        // Fallback to no discovery
-        return discoveries.find(d => d.id === 'no_discovery');
-    }
-    
     // Log discovery for UI display (called for both successful and failed probes)
     logDiscoveryForUI(territory, playerId, discovery) {
         const player = this.players[playerId];
@@ -805,7 +829,7 @@ export default class StarThrone {
         // this.recentProbeResults.push({ ... }); // No longer tracking probe results
     }
     
-    // Process discovery when a planet is successfully colonized - MOVED TO UTILS.JS
+    // Discoveries are rolled and applied by DiscoverySystem from the discovery catalog
     
     addFloatingDiscoveryText(territory, discovery, playerId) {
         // Create floating text object
@@ -879,8 +903,6 @@ export default class StarThrone {
         });
     }
     
-    // REMOVED: Second duplicate processDiscovery function - logic moved to GameUtils.js
-    
     // Create ship movement animation
     createShipAnimation(fromTerritory, toTerritory, isAttack = false, fleetSize = 0) {
         // Use object pooling to reduce garbage collection
@@ -904,8 +926,8 @@ export default class StarThrone {
         animation.toX = toTerritory.x;
         animation.toY = toTerritory.y;
         animation.progress = 0;
-        animation.duration = 1000 / this.config.gameSpeed;
-        animation.startTime = Date.now();
+        animation.duration = 1000 * this.gameMap.getNebulaTravelMultiplier(fromTerritory, toTerritory); // Matches CombatSystem arrival delay
+        animation.startTime = this.clock.now();
         animation.isAttack = isAttack;
         animation.playerColor = playerColor;
         animation.id = Math.random();
@@ -959,8 +981,8 @@ export default class StarThrone {
         animation.toX = toTerritory.x;
         animation.toY = toTerritory.y;
         animation.progress = 0;
-        animation.duration = 800 / this.config.gameSpeed; // Faster per-segment animation
-        animation.startTime = Date.now();
+        animation.duration = 800 * this.gameMap.getNebulaTravelMultiplier(fromTerritory, toTerritory); // Faster per-segment animation
+        animation.startTime = this.clock.now();
         
         return true;
     }
@@ -974,21 +996,22 @@ export default class StarThrone {
         // Generate unique battleId for tracking
         const battleId = `longrange_${Date.now()}_${Math.random()}`;
         
-        // Reduce attacking territory's armies immediately
-        fromTerritory.armySize = Math.max(1, fromTerritory.armySize - fleetSize);
+        // Reduce attacking territory's armies immediately; the fleet flies at its slowest class's speed
+        const roster = takeShips(fromTerritory, Math.min(fleetSize, fromTerritory.armySize - 1));
+        fromTerritory.armySize = Math.max(1, fromTerritory.armySize);
         
         // Create long-range ship animation (slower and with army count display)
-        this.createLongRangeShipAnimation(fromTerritory, toTerritory, fleetSize);
+        this.createLongRangeShipAnimation(fromTerritory, toTerritory, fleetSize, roster);
         
         // Calculate distance-based arrival time using constant speed
         const distance = Math.sqrt(
             Math.pow(toTerritory.x - fromTerritory.x, 2) + 
             Math.pow(toTerritory.y - fromTerritory.y, 2)
         );
-        const animationDuration = this.calculateLongRangeAnimationDuration(fromTerritory, toTerritory);
-        const startTime = Date.now();
+        const animationDuration = this.calculateLongRangeAnimationDuration(fromTerritory, toTerritory, roster);
+        const startTime = this.clock.now();
         const arrivalTime = startTime + animationDuration;
-        this.scheduleLongRangeCombat(fromTerritory, toTerritory, fleetSize, arrivalTime, distance, startTime, battleId);
+        this.scheduleLongRangeCombat(fromTerritory, toTerritory, fleetSize, arrivalTime, distance, startTime, battleId, roster);
         
         // Show visual feedback with accurate arrival time
         this.showMessage(`Long-range attack launched: ${fleetSize} ships (arriving in ${Math.round(animationDuration/1000)}s)`, 3000);
@@ -1003,7 +1026,7 @@ export default class StarThrone {
     }
     
     // Schedule delayed combat resolution for long-range attacks
-    scheduleLongRangeCombat(fromTerritory, toTerritory, fleetSize, arrivalTime, distance, startTime, battleId) {
+    scheduleLongRangeCombat(fromTerritory, toTerritory, fleetSize, arrivalTime, distance, startTime, battleId, roster = null) {
         if (!this.pendingLongRangeCombats) {
             this.pendingLongRangeCombats = [];
         }
@@ -1018,7 +1041,8 @@ export default class StarThrone {
             distance: distance,
             startTime: startTime,
             fromOwnerId: fromTerritory.ownerId, // Store attacking player ID
-            battleId: battleId // Store battleId for tracking
+            battleId: battleId, // Store battleId for tracking
+            roster: roster // Ships by class
         });
         
         console.log(`⏰ Long-range combat scheduled: ${fromTerritory.id} -> ${toTerritory.id} distance=${distance.toFixed(1)}px, travel=${(arrivalTime-startTime)/1000}s, battleId=${battleId}`);
@@ -1028,7 +1052,7 @@ export default class StarThrone {
     processLongRangeCombatArrivals() {
         if (!this.pendingLongRangeCombats) return;
         
-        const currentTime = Date.now();
+        const currentTime = this.clock.now();
         for (let i = this.pendingLongRangeCombats.length - 1; i >= 0; i--) {
             const combat = this.pendingLongRangeCombats[i];
             
@@ -1068,6 +1092,36 @@ export default class StarThrone {
         }
     }
     
+    /**
+     * Put a multi-hop fleet in flight. Fleets are kept as plain data (not clock callbacks)
+     * so saves carry them; processFleetArrivals hands each one on when it is due
+     */
+    launchFleetInTransit(fleet, travelTime) {
+        this.fleetsInTransit.push({ ...fleet, arrivalTime: this.clock.now() + travelTime });
+    }
+    
+    // Deliver multi-hop transfers and attack segments whose travel time is up
+    processFleetArrivals() {
+        if (this.fleetsInTransit.length === 0) return;
+        
+        const currentTime = this.clock.now();
+        const arrived = this.fleetsInTransit.filter(fleet => currentTime >= fleet.arrivalTime);
+        if (arrived.length === 0) return;
+        this.fleetsInTransit = this.fleetsInTransit.filter(fleet => currentTime < fleet.arrivalTime);
+        
+        // Earliest first, launch order among ties - the order the clock used to fire them in
+        arrived.sort((a, b) => a.arrivalTime - b.arrivalTime);
+        for (const fleet of arrived) {
+            if (fleet.kind === 'transfer') {
+                this.completeMultiHopTransfer(fleet);
+            } else if (fleet.kind === 'segment') {
+                this.continueSegmentedAttack(fleet);
+            } else if (fleet.kind === 'path') {
+                this.completeFleetPath(fleet);
+            }
+        }
+    }
+    
     // Process long-range fleet arrival and combat
     processLongRangeArrival(combat, sourceTerritory, targetTerritory) {
         console.log(`💥 Long-range fleet arrives! ${combat.fleetSize} ships attacking territory ${targetTerritory.id} (${targetTerritory.armySize} defenders)`);
@@ -1077,6 +1131,7 @@ export default class StarThrone {
             id: sourceTerritory.id,
             ownerId: combat.fromOwnerId,
             armySize: combat.fleetSize + 1, // +1 so the attack system can deduct armies
+            roster: combat.roster ? { ...combat.roster } : null,
             x: sourceTerritory.x,
             y: sourceTerritory.y,
             neighbors: [targetTerritory.id] // Temporary connection for attack validation
@@ -1143,8 +1198,8 @@ export default class StarThrone {
             return false; // No throne star to check connectivity to
         }
         
-        // If this IS the throne star, it's always connected
-        if (territoryId === player.throneStarId) {
+        // A throne star or capital is always connected
+        if (territory.isThronestar) {
             return false;
         }
         
@@ -1168,8 +1223,8 @@ export default class StarThrone {
                     continue; // Skip unowned territories
                 }
                 
-                // Found the throne star!
-                if (neighborId === player.throneStarId) {
+                // Found the throne star (or, under Capitals rules, any capital)!
+                if (neighbor.isThronestar) {
                     return false; // Connected to throne
                 }
                 
@@ -1183,7 +1238,7 @@ export default class StarThrone {
 
     // Periodically update throne connectivity for all territories
     updateThroneConnectivity() {
-        const currentTime = Date.now();
+        const currentTime = this.clock.now();
         if (currentTime - this.lastConnectivityCheck < this.connectivityCheckInterval) {
             return; // Not time to check yet
         }
@@ -1205,7 +1260,7 @@ export default class StarThrone {
     }
 
     // Calculate distance-based animation duration for long-range attacks
-    calculateLongRangeAnimationDuration(fromTerritory, toTerritory) {
+    calculateLongRangeAnimationDuration(fromTerritory, toTerritory, roster = null) {
         const distance = Math.sqrt(
             Math.pow(toTerritory.x - fromTerritory.x, 2) + 
             Math.pow(toTerritory.y - fromTerritory.y, 2)
@@ -1220,14 +1275,23 @@ export default class StarThrone {
             baseSpeed *= (1 + engineTech * 0.1); // +10% speed per engine tech level
         }
         
-        const travelTime = (distance / baseSpeed) * 1000;
+        // Fleets move at the speed of their slowest ship class
+        baseSpeed *= getFleetSpeed(roster);
+        
+        // Friendly hyperspace beacons at either end shorten the trip; nebulas on the way lengthen it
+        const beaconMultiplier = this.starbaseSystem ? this.starbaseSystem.getTravelTimeMultiplier(fromTerritory.ownerId, fromTerritory, toTerritory) : 1;
+        const nebulaMultiplier = this.gameMap.getNebulaTravelMultiplier(fromTerritory, toTerritory);
+        
+        const travelTime = (distance / baseSpeed) * 1000 * beaconMultiplier * nebulaMultiplier;
         
         console.log(`📐 CONSTANT SPEED: Distance=${distance.toFixed(1)}px, BaseSpeed=${GAME_CONSTANTS.LONG_RANGE_BASE_SPEED}px/s, ActualSpeed=${baseSpeed.toFixed(1)}px/s, TravelTime=${travelTime.toFixed(0)}ms`);
         return travelTime;
     }
 
     // Create long-range ship animation with visual tracking line
-    createLongRangeShipAnimation(fromTerritory, toTerritory, fleetSize) {
+    createLongRangeShipAnimation(fromTerritory, toTerritory, fleetSize, roster = null) {
+        if (!this.animationSystem) return; // Headless runs have no animations
+        
         const player = this.players[fromTerritory.ownerId];
         const playerColor = player ? player.color : '#ffffff';
         
@@ -1236,7 +1300,7 @@ export default class StarThrone {
             Math.pow(toTerritory.x - fromTerritory.x, 2) + 
             Math.pow(toTerritory.y - fromTerritory.y, 2)
         );
-        const animationDuration = this.calculateLongRangeAnimationDuration(fromTerritory, toTerritory);
+        const animationDuration = this.calculateLongRangeAnimationDuration(fromTerritory, toTerritory, roster);
         
         console.log(`🚀 Creating long-range ship animation: ${fromTerritory.id} -> ${toTerritory.id}, fleet size: ${fleetSize}, color: ${playerColor}`);
         console.log(`🚀 Distance: ${distance.toFixed(1)}px, Duration: ${animationDuration/1000}s (${GAME_CONSTANTS.LONG_RANGE_BASE_SPEED}px/s)`);
@@ -1250,7 +1314,7 @@ export default class StarThrone {
             animation.to = { x: toTerritory.x, y: toTerritory.y };
             animation.progress = 0;
             animation.duration = animationDuration; // Distance-based duration
-            animation.startTime = Date.now(); // Critical: set start time for timestamp-based progress
+            animation.startTime = this.clock.now(); // Critical: set start time for timestamp-based progress
             animation.color = playerColor;
             animation.isAttack = true;
             animation.isLongRange = true; // Mark as long-range
@@ -1270,7 +1334,7 @@ export default class StarThrone {
     
     // Update ship animations
     updateShipAnimations(deltaTime) {
-        const currentTime = Date.now();
+        const currentTime = this.clock.now();
         
         // Optimize with object pooling and manual iteration
         for (let i = this.shipAnimations.length - 1; i >= 0; i--) {
@@ -1773,18 +1837,158 @@ export default class StarThrone {
     }
     
     handleKeyDown(e) {
-        if (e.key === 's' || e.key === 'S') {
-            if (this.selectedTerritory && this.selectedTerritory.ownerId === this.humanPlayer?.id) {
-                this.supplyMode = !this.supplyMode;
-                this.showMessage(this.supplyMode ? 'Supply mode: Click target territory' : 'Supply mode cancelled', 2000);
-            }
+        if ((e.key === 's' || e.key === 'S') && this.gameState === 'playing' && !this.replayPlayer) {
+            // S on a source star, then S on a destination adds a route to the source's supply network
+            this.handleSupplyKey(this.getHotkeyTerritory());
+        } else if ((e.key === 'g' || e.key === 'G') && this.gameState === 'playing' && !this.replayPlayer) {
+            // Cycle the garrison target at which the selected star stops taking supply
+            this.supplySystem.handleSinkAction(this.getHotkeyTerritory());
+        } else if ((e.key === 'o' || e.key === 'O') && this.ui) {
+            // Supply network panel (also open during replays)
+            this.ui.toggleSupplyNetwork();
+        } else if ((e.key === 't' || e.key === 'T') && this.gameState === 'playing' && !this.replayPlayer) {
+            // Raise a new throne (Exile) or found a capital (Capitals) on the selected star
+            this.throneSystem.handleHumanAction(this.getHotkeyTerritory());
+        } else if ((e.key === 'c' || e.key === 'C') && this.gameState === 'playing' && !this.replayPlayer) {
+            // Cycle the stance new fleets launch with: cautious -> normal -> all-in
+            this.cycleFleetStance();
+        } else if ((e.key === 'q' || e.key === 'Q') && this.gameState === 'playing' && !this.replayPlayer) {
+            // Retreat from the battles at (or launched from) the selected star
+            this.orderRetreat(this.getHotkeyTerritory());
+        } else if ((e.key === 'v' || e.key === 'V') && this.gameState === 'playing' && !this.replayPlayer) {
+            // Cycle the ship class the selected star builds
+            this.shipyardSystem.handleHumanAction(this.getHotkeyTerritory());
+        } else if (UPGRADE_KEYS[e.key] && this.gameState === 'playing' && !this.replayPlayer) {
+            // Build a starbase upgrade on the selected star
+            this.starbaseSystem.handleHumanAction(UPGRADE_KEYS[e.key], this.getHotkeyTerritory());
+        } else if ((e.key === 'l' || e.key === 'L') && this.ui) {
+            // Combat log panel (also open during replays)
+            this.ui.toggleCombatLog();
+        } else if (DIPLOMACY_KEYS[e.key.toLowerCase()] && this.gameState === 'playing' && !this.replayPlayer) {
+            // Propose to / break with the selected star's owner, or answer the oldest proposal
+            this.diplomacySystem.handleHumanAction(DIPLOMACY_KEYS[e.key.toLowerCase()], this.getHotkeyTerritory());
         } else if (e.key === 'r' || e.key === 'R') {
             if (this.gameState === 'ended') {
                 window.location.reload();
             }
+        } else if ((e.key === 'w' || e.key === 'W') && this.gameState === 'playing' && !this.replayPlayer) {
+            // Cycle the ship count shift-queued orders wait for at their star
+            const threshold = this.fleetOrderSystem.cycleThreshold();
+            this.showMessage(threshold !== null ? `⏳ Queued orders wait for ${threshold} ships` : '🔗 Queued orders wait for our next fleet to arrive', 1500);
+        } else if (e.key === 'Enter' && this.gameState === 'playing' && !this.replayPlayer) {
+            // Send the shift-clicked waypoint path
+            this.fleetOrderSystem.sendDraft();
+        } else if (e.key === 'Escape') {
+            this.fleetOrderSystem.discardDraft();
+        } else if ((e.key === 'Delete' || e.key === 'Backspace') && this.gameState === 'playing' && !this.replayPlayer) {
+            // Cancel the orders queued on the selected star
+            this.fleetOrderSystem.handleCancelAction(this.getHotkeyTerritory());
+        } else if ((e.key === 'f' || e.key === 'F') && this.gameState === 'playing' && !this.replayPlayer) {
+            // Fast-forward only changes how many fixed steps run per frame, never their outcome
+            const speed = this.clock.cycleFastForward();
+            this.showMessage(speed > 1 ? `⏩ Fast-forward ${speed}x` : '▶️ Normal speed', 1500);
+        } else if (e.key === 'F5' && this.gameState === 'playing') {
+            e.preventDefault(); // Don't reload the page
+            try {
+                writeSaveSlot('Quicksave', this.createSaveGame('Quicksave'));
+                this.showMessage('💾 Game saved (Quicksave)', 2000);
+            } catch (error) {
+                // localStorage quota is the usual culprit for large galaxies
+                console.error('Failed to quicksave:', error);
+                this.showError(`Quicksave failed: ${error.message}`);
+            }
+        } else if (e.key === 'F9') {
+            e.preventDefault();
+            try {
+                const save = readSaveSlot('Quicksave');
+                if (save) {
+                    this.loadSaveGame(save);
+                } else {
+                    this.showMessage('No quicksave found', 2000);
+                }
+            } catch (error) {
+                console.error('Failed to load quicksave:', error);
+                this.showError('Quicksave could not be loaded');
+            }
         }
     }
     
+    handleSupplyKey(territory) {
+        if (!territory || territory.ownerId !== this.humanPlayer?.id) {
+            this.showMessage('Select one of your stars first', 2000);
+        } else if (!this.supplyMode || territory === this.supplySource) {
+            this.supplyMode = !this.supplyMode;
+            this.supplySource = this.supplyMode ? territory : null;
+            this.showMessage(this.supplyMode ? `Supply mode: press S on the star ${territory.id} should reinforce` : 'Supply mode cancelled', 2000);
+        } else {
+            this.createSupplyRoute(this.supplySource, territory);
+            this.supplyMode = false;
+            this.supplySource = null;
+        }
+    }
+    
+    // Star the hotkeys act on: the selected star, or the one under the cursor
+    getHotkeyTerritory() {
+        return this.inputHandler?.getInputState().selectedTerritory || this.inputHandler?.hoveredTerritory || null;
+    }
+    
+    cycleFleetStance() {
+        const human = this.humanPlayer;
+        if (!human || human.isEliminated) return;
+        
+        const next = STANCE_ORDER[(STANCE_ORDER.indexOf(human.fleetStance) + 1) % STANCE_ORDER.length];
+        if (this.combatSystem.setFleetStance(human, next)) {
+            const stance = FLEET_STANCES[next];
+            const retreat = stance.retreatAt > 0 ? `retreat at ${Math.round(stance.retreatAt * 100)}% of the fleet` : 'never retreat';
+            this.showMessage(`${stance.icon} Fleet stance: ${stance.name} - new fleets ${retreat}`, 2000);
+        }
+    }
+    
+    orderRetreat(territory) {
+        const human = this.humanPlayer;
+        if (!human || !territory) {
+            this.showMessage('Select a star under attack to retreat from', 2000);
+            return;
+        }
+        
+        const count = this.combatSystem.orderRetreat(human, territory);
+        if (count === 0) {
+            this.showMessage(`No battle of yours to retreat from at star ${territory.id}`, 2000);
+        }
+    }
+    
+    // Snapshot the running game into a save object (see SaveGameManager)
+    createSaveGame(name) {
+        return this.saveGameManager.capture(name);
+    }
+    
+    // Replace the running game with a previously captured save
+    loadSaveGame(save) {
+        this.saveGameManager.restore(save);
+        // A loaded game no longer follows from its seed, so it cannot be replayed
+        this.replayRecorder = null;
+        this.showMessage(`💾 Loaded "${save.name}"`, 2000);
+    }
+    
+    /**
+     * Log an order for the replay recording
+     * @returns {boolean} false when the order must be ignored (live input while watching a replay)
+     */
+    recordCommand(type, payload) {
+        if (this.replayPlayer) {
+            return this.replayPlayer.applying;
+        }
+        if (this.replayRecorder) {
+            this.replayRecorder.record(type, payload);
+        }
+        return true;
+    }
+    
+    // Recording of the current match, or null if it cannot be replayed
+    getReplay() {
+        return this.replayRecorder ? this.replayRecorder.toReplay() : null;
+    }
+    
     // Simple BFS pathfinding through connected territories
     computePath(from, to) {
         if (!from || !to || from.id === to.id) return null;
@@ -1845,7 +2049,7 @@ export default class StarThrone {
         }
         
         // Deduct armies immediately
-        from.armySize -= fleetSize;
+        const roster = takeShips(from, fleetSize);
         
         // Create multi-hop animation
         if (this.animationSystem) {
@@ -1853,34 +2057,58 @@ export default class StarThrone {
         }
         
         // Calculate total delay based on path length
-        const hopDelay = 800; // ms per hop
-        const totalDelay = (path.length - 1) * hopDelay;
+        let totalDelay = 0;
+        for (let i = 0; i < path.length - 1; i++) {
+            totalDelay += this.getHopTravelTime(path[i], path[i + 1], roster);
+        }
         
         // Execute the transfer/attack after animation completes
-        setTimeout(() => {
-            const isAttack = to.ownerId !== this.humanPlayer?.id;
-            
-            if (isAttack) {
-                // Attack target territory
-                const tempAttacker = { 
-                    ...from, 
-                    armySize: fleetSize + 1,
-                    neighbors: [to.id] 
-                };
-                this.combatSystem.attackTerritory(tempAttacker, to);
-            } else {
-                // Transfer to friendly territory
-                to.armySize += fleetSize;
-            }
-            
-            // Visual feedback
-            this.flashTerritory(to.id, isAttack ? '#ff0000' : '#00ff00', 300);
+        this.launchFleetInTransit({
+            kind: 'path',
+            fromId: from.id,
+            toId: to.id,
+            ships: fleetSize,
+            roster: roster
         }, totalDelay);
         
         const action = to.ownerId !== this.humanPlayer?.id ? 'Attacking' : 'Transferring';
         this.showMessage(`${action} ${fleetSize} armies to ${to.id} (${path.length - 1} hops)`, 3000);
     }
     
+    // A fleet sent along a drag path reaches its target
+    completeFleetPath(fleet) {
+        const from = this.gameMap.territories[fleet.fromId];
+        const to = this.gameMap.territories[fleet.toId];
+        if (!from || !to) return;
+        const fleetSize = fleet.ships;
+        const isAttack = to.ownerId !== this.humanPlayer?.id;
+        
+        if (isAttack) {
+            // Attack target territory
+            const tempAttacker = { 
+                ...from, 
+                armySize: fleetSize + 1,
+                roster: { ...fleet.roster },
+                neighbors: [to.id] 
+            };
+            this.combatSystem.attackTerritory(tempAttacker, to);
+        } else {
+            // Transfer to friendly territory
+            addShips(to, shareOfRoster(fleet.roster, this.combatSystem.triggerMinefield(to, fleetSize, this.humanPlayer)));
+        }
+        
+        // Visual feedback
+        this.flashTerritory(to.id, isAttack ? '#ff0000' : '#00ff00', 300);
+    }
+    
+    /**
+     * Flight time of a fleet along one star lane: 800ms at frigate speed, slower for slow
+     * ship classes and for the part of the lane inside nebulas
+     */
+    getHopTravelTime(fromTerritory, toTerritory, roster = null) {
+        return 800 / getFleetSpeed(roster) * this.gameMap.getNebulaTravelMultiplier(fromTerritory, toTerritory);
+    }
+    
     // Flash territory for visual feedback
     flashTerritory(territoryId, color = '#00ff00', duration = 500) {
         const territory = this.gameMap.territories[territoryId];
@@ -1901,28 +2129,15 @@ export default class StarThrone {
         this.showMessage('Generating galaxy map, please wait...', 15000);
         
         try {
-            // Generate map using the sophisticated algorithm
-            this.gameMap.generateTerritories(this.config.mapSize);
-            this.gameMap.buildSpatialIndex();
-            this.log('Spatial index built for optimized territory lookups', 'info');
-            
-            // Update camera bounds after map generation using setMapDimensions method
-            this.camera.setMapDimensions(this.gameMap.width, this.gameMap.height);
-            console.log(`🎥 Camera bounds updated: ${this.camera.mapWidth} x ${this.camera.mapHeight} with ${this.camera.boundaryPadding}px padding`);
-
             // Create players: 1 human + configured AI count
             const requestedAI = this.config.aiCount || GAME_CONSTANTS.DEFAULT_SINGLE_PLAYER_AI_COUNT;
             const totalPlayers = 1 + requestedAI;
             console.log(`🔍 PLAYER COUNT DEBUG: config.aiCount = ${this.config.aiCount}, requestedAI = ${requestedAI}, totalPlayers = ${totalPlayers}`);
-            this.createPlayers(totalPlayers);
-            
-            // Update human player name from config
-            if (this.humanPlayer) {
-                this.humanPlayer.name = this.config.playerName;
-            }
+            this.beginMatch(totalPlayers);
             
-            // Distribute initial territories to give each player a throne star
-            this.distributeStartingTerritories();
+            // Update camera bounds after map generation using setMapDimensions method
+            this.camera.setMapDimensions(this.gameMap.width, this.gameMap.height);
+            console.log(`🎥 Camera bounds updated: ${this.camera.mapWidth} x ${this.camera.mapHeight} with ${this.camera.boundaryPadding}px padding`);
 
             // Center camera on the human player's starting system
             if (this.humanPlayer && this.humanPlayer.territories.length > 0) {
@@ -1930,17 +2145,11 @@ export default class StarThrone {
                 const startTerritory = this.gameMap.territories[startId];
                 this.camera.centerOn(startTerritory.x, startTerritory.y);
             }
-
-            this.gameState = 'playing';
             
             // Consolidated duplicate starfield initialization (dead code eliminated)
             
             // Start home system flashing for player identification
             this.homeSystemFlashStart = Date.now();
-            
-            this.gameInitialized = true;
-            console.log('🕐 Running initial throne star validation...');
-            this.validateThroneStars();
             console.log(`Game started with ${this.players.length} players (${this.config.playerName} + ${this.config.aiCount} AI) and ${Object.keys(this.gameMap.territories).length} territories`);
             
             // Hide loading message
@@ -2000,8 +2209,8 @@ export default class StarThrone {
         }
     }
 
-    createPlayers(numPlayers) {
-        console.log(`🔍 CREATE PLAYERS DEBUG: Creating ${numPlayers} total players (1 human + ${numPlayers-1} AI)`);
+    createPlayers(numPlayers, includeHuman = true) {
+        console.log(`🔍 CREATE PLAYERS DEBUG: Creating ${numPlayers} total players (${includeHuman ? `1 human + ${numPlayers-1}` : numPlayers} AI)`);
         
         // Clear any existing players to prevent duplicates
         this.players = [];
@@ -2019,22 +2228,24 @@ export default class StarThrone {
             '#ffdd44', '#ddff44', '#44ddff', '#ff44dd', '#ddff88', '#dd44ff'
         ];
         
-        // Create exactly one human player with distinctive bright cyan color
-        this.humanPlayer = new Player(0, 'You', '#00ffff', 'human');
-        this.players.push(this.humanPlayer);
-        console.log(`🔍 HUMAN PLAYER CREATED: ID=${this.humanPlayer.id}, type=${this.humanPlayer.type}, total players now: ${this.players.length}`);
-        // Consolidated duplicate initialization call
+        // Create exactly one human player with distinctive bright cyan color (AI-only for headless runs)
+        if (includeHuman) {
+            this.humanPlayer = new Player(0, 'You', '#00ffff', 'human');
+            this.players.push(this.humanPlayer);
+            console.log(`🔍 HUMAN PLAYER CREATED: ID=${this.humanPlayer.id}, type=${this.humanPlayer.type}, total players now: ${this.players.length}`);
+        }
         
         // Create AI players with unique colors and human-like names
         const usedColors = new Set(['#00ffff']); // Reserve human color
         
-        for (let i = 1; i < numPlayers && i < this.maxPlayers; i++) {
+        for (let i = includeHuman ? 1 : 0; i < numPlayers && i < this.maxPlayers; i++) {
+            const aiIndex = includeHuman ? i - 1 : i;
             let playerColor;
             let attempts = 0;
             
             // Find a unique color
             do {
-                const colorIndex = (i - 1) % baseColors.length;
+                const colorIndex = aiIndex % baseColors.length;
                 playerColor = baseColors[colorIndex];
                 
                 // If we've used this color, generate a slight variation
@@ -2048,8 +2259,8 @@ export default class StarThrone {
             usedColors.add(playerColor);
             
             // Generate human-like name with clan designation
-            const aiName = AIManager.generateAIName(i - 1);
-            const aiPlayer = new Player(i, aiName, playerColor, 'ai');
+            const aiName = AIManager.generateAIName(aiIndex);
+            const aiPlayer = new Player(i, aiName, playerColor, 'ai', this.aiRng);
             this.players.push(aiPlayer);
             // Consolidated duplicate initialization call
         }
@@ -2074,11 +2285,9 @@ export default class StarThrone {
             
             // Planet-specific bonuses
             factoryPlanets: new Set(), // Planets with 200% generation
-            friendlyAliens: 0,      // Count of friendly alien encounters
-            richMinerals: 0,        // Count of rich mineral discoveries
-            voidStorms: 0,          // Count of void storm discoveries
-            ancientRuins: 0,        // Count of ancient ruin discoveries
-            hostileAliens: 0        // Count of hostile alien encounters
+            
+            // How many times each catalog discovery has been found, by discovery id
+            finds: {}
         });
     }
     
@@ -2156,11 +2365,7 @@ export default class StarThrone {
     }
     
     shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
-        }
-        return array;
+        return this.rng.shuffle(array);
     }
     
     gameLoop(currentTime = 0) {
@@ -2172,10 +2377,19 @@ export default class StarThrone {
             // Update FPS counter
             this.updateFPS(currentTime);
             
-            if (this.gameState === 'playing' && !this.paused) {
-                this.update(deltaTime);
+            if (this.replayPlayer) {
+                this.replayPlayer.advance(deltaTime);
+            } else if (this.gameState === 'playing' && !this.paused) {
+                // Run as many fixed simulation steps as the elapsed real time (scaled by game speed) covers
+                const steps = this.clock.advance(deltaTime);
+                for (let i = 0; i < steps && this.gameState === 'playing'; i++) {
+                    this.update();
+                }
             }
             
+            // Input and camera follow real time so they stay smooth while paused or fast-forwarding
+            this.updateFrame(deltaTime);
+            
             this.render();
             
             // Track overall frame performance
@@ -2200,40 +2414,22 @@ export default class StarThrone {
         }
     }
     
-    update(deltaTime) {
+    // Current simulation tick (read by replays and headless runs)
+    get tick() {
+        return this.clock.tick;
+    }
+    
+    // Advance the simulation by one fixed step of this.clock
+    update() {
         const updateStart = performance.now();
+        const deltaTime = this.clock.step();
         
-        // Update game timer
-        this.gameTimer -= deltaTime;
+        this.simulateStep(deltaTime);
         
-        if (this.gameTimer <= 0) {
-            this.endGame();
+        if (this.gameState === 'ended') {
             return;
         }
         
-        // Always update human player every frame for responsiveness
-        const humanPlayer = this.players.find(p => p.type === 'human');
-        if (humanPlayer && !humanPlayer.isEliminated) {
-            try {
-                humanPlayer.update(deltaTime, this.gameMap, this.config.gameSpeed, this);
-            } catch (error) {
-                console.error(`Error updating human player:`, error);
-            }
-        }
-        
-        // Delegate AI updates to AIManager for performance and organization
-        if (this.aiManager) {
-            // this.aiManager.updateAI(deltaTime); // TEMPORARILY DISABLED FOR TESTING
-        }
-        
-        // Process any pending throttled mouse events
-        this.processPendingMouseEvent();
-        
-        // Update input handler for FSM timeouts
-        if (this.inputHandler) {
-            this.inputHandler.update();
-        }
-        
         // Update ship animations and particles with normal delta time (speed applied internally)
         try {
             // Update AnimationSystem (new modular system for long-range attacks and particles)
@@ -2247,24 +2443,10 @@ export default class StarThrone {
             this.updateProbes(deltaTime);
             // Removed updateLongRangeAttacks call (dead code cleanup - now using scheduled combat system)
             this.updateFloatingDiscoveryTexts(deltaTime);
-            
-            // Process pending long-range combat arrivals
-            this.processLongRangeCombatArrivals();
         } catch (error) {
             console.error('Error updating animations:', error);
         }
         
-        // Update combat system for delayed battles
-        if (this.combatSystem) {
-            try {
-                this.combatSystem.update(deltaTime);
-            } catch (error) {
-                console.error('Combat system error:', error);
-                console.error('Combat system error message:', error.message);
-                console.error('Combat system error stack:', error.stack);
-            }
-        }
-        
         // Update modular UI systems
         if (this.uiManager) {
             this.uiManager.update(deltaTime);
@@ -2292,9 +2474,6 @@ export default class StarThrone {
             gameEvents.processQueue(5); // Process up to 5 events per frame
         }
         
-        // Periodically update throne connectivity
-        this.updateThroneConnectivity();
-        
         // Check for fleet overflow every frame - TEMPORARILY DISABLED FOR TESTING
         // this.checkAllTerritoryOverflows();
         
@@ -2309,11 +2488,66 @@ export default class StarThrone {
             }
         }
         
+        // Track performance
+        this.performanceStats.updateTime = performance.now() - updateStart;
+    }
+    
+    /**
+     * The game rules for one fixed step: empires, fleets, combat, supply and victory.
+     * update() adds animations and UI on top; HeadlessSimulation calls this alone.
+     * @param {number} deltaTime - Step length in simulation milliseconds
+     */
+    simulateStep(deltaTime) {
+        // Match timer and the Domination / King of the Hill checks
+        this.victorySystem.update(deltaTime);
+        
+        if (this.gameState === 'ended') {
+            return;
+        }
+        
+        // Army generation and AI decisions for every empire. One empire's failing
+        // update is logged and skipped so the rest of the galaxy keeps going
+        this.players.forEach(player => {
+            if (player.isEliminated) return;
+            try {
+                player.update(deltaTime, this.gameMap, this);
+            } catch (error) {
+                console.error(`Error updating player ${player.name}:`, error);
+            }
+        });
+        
+        // Process pending long-range combat arrivals
+        try {
+            this.processLongRangeCombatArrivals();
+            this.processFleetArrivals();
+        } catch (error) {
+            console.error('Error processing fleet arrivals:', error);
+        }
+        
+        // Update combat system for delayed battles
+        try {
+            this.combatSystem.update(deltaTime);
+        } catch (error) {
+            console.error('Combat system error:', error);
+            console.error('Combat system error message:', error.message);
+            console.error('Combat system error stack:', error.stack);
+        }
+        
+        // Periodically update throne connectivity
+        this.updateThroneConnectivity();
+        
+        // Refresh sensor coverage and last-known intel for fog of war
+        this.fogOfWar.update();
+        
         // Throttled heavy operations for better performance - use SupplySystem module
-        if (this.frameCount % 45 === 0) { // Every 45 frames (~0.75 seconds)
+        if (this.tick % 45 === 0) { // Every 45 ticks (~0.75 seconds)
             this.supplySystem.validateSupplyRoutes();
         }
-        // (Removed redundant 90-frame check; supply logic now in Territory.generateArmies())
+        // Supply network sends and shipments in transit
+        this.supplySystem.processSupplyRoutes();
+        
+        // Queued fleet orders whose trigger is met
+        this.fleetOrderSystem.update();
         
         // Validate throne stars every 5 seconds to fix double throne bugs
         this.throneStarValidationTimer += deltaTime;
@@ -2323,21 +2557,42 @@ export default class StarThrone {
             this.throneStarValidationTimer = 0;
         }
         
-        // MANUAL DEBUG: Run validation every 60 frames for debugging
-        if (this.frameCount % 60 === 0) {
+        // MANUAL DEBUG: Run validation every 60 ticks for debugging
+        if (this.tick % 60 === 0) {
             // console.log(`🔍 DEBUG: AI players: ${this.players.filter(p => p.type === 'ai').length}, Human players: ${this.players.filter(p => p.type === 'human').length}, Total: ${this.players.length}`);
             this.validateThroneStars();
         }
         
+        // Throne relocation and capital building under the Exile / Capitals rules
+        this.throneSystem.update();
+        
+        // Treaty expiry and AI diplomacy
+        this.diplomacySystem.update();
+        
+        // AI production focus and starbase upgrades
+        this.shipyardSystem.update();
+        this.starbaseSystem.update();
+        
         // Check for player elimination (throttled)
-        if (this.frameCount % 20 === 0) {
+        if (this.tick % 20 === 0) {
             this.checkPlayerElimination();
         }
         
         // Check win conditions (throttled) - only after game is properly initialized and running for a bit
-        if (this.gameInitialized && this.frameCount % 30 === 0 && this.frameCount > 60) {
+        if (this.gameInitialized && this.tick % 30 === 0 && this.tick > 60) {
             this.checkWinConditions();
         }
+    }
+    
+    // Per-rendered-frame work that runs on real time, independent of simulation steps
+    updateFrame(deltaTime) {
+        // Process any pending throttled mouse events
+        this.processPendingMouseEvent();
+        
+        // Update input handler for FSM timeouts
+        if (this.inputHandler) {
+            this.inputHandler.update();
+        }
         
         // Update camera with edge panning
         this.camera.update(deltaTime);
@@ -2346,19 +2601,16 @@ export default class StarThrone {
         if (this.mousePos && !(this.isDragging || this.isMultiTouch)) { // Consolidated negative conditions using De Morgan's law
             this.camera.updateEdgePanning(this.mousePos.x, this.mousePos.y, deltaTime);
         }
-        
-        // Track performance
-        this.performanceStats.updateTime = performance.now() - updateStart;
     }
     
     checkAllTerritoryOverflows() {
-        // Throttle overflow checks to avoid performance issues (check every 30 frames ~500ms)
-        if (this.frameCount % 30 !== 0) return;
+        // Throttle overflow checks to avoid performance issues (check every 30 ticks ~500ms)
+        if (this.tick % 30 !== 0) return;
         
         // Process all non-neutral territories for overflow
         const territories = Object.values(this.gameMap.territories);
         territories.forEach(territory => {
-            if (!territory.isNeutral() && territory.armySize > territory.maxFleet) {
+            if (!territory.isNeutral() && territory.armySize > getFleetCapacity(territory)) {
                 territory.checkFleetOverflow(this);
             }
         });
@@ -2396,19 +2648,33 @@ export default class StarThrone {
             console.log(`🏁 WIN CHECK: Player territories:`, this.players.map(p => `${p.name}: ${p.territories.length} territories`));
         }
         
+        // Allies win together once nobody else is left
+        const allied = alivePlayers.length > 1 && alivePlayers.every(player =>
+            alivePlayers.every(other => other === player || this.diplomacySystem.areAllied(player.id, other.id)));
+        
         if (alivePlayers.length === 1) {
-            this.endGame(alivePlayers[0]);
+            this.endGame(alivePlayers[0], 'Last empire standing');
+        } else if (allied) {
+            const leader = [...alivePlayers].sort((a, b) => b.territories.length - a.territories.length || a.id - b.id)[0];
+            this.endGame(leader, 'Allied victory');
         } else if (alivePlayers.length === 0) {
-            this.endGame(); // Draw
+            this.endGame(null, 'No empire survived'); // Draw
         }
     }
     
-    endGame(winner = null) {
+    /**
+     * @param {Object|null} winner - Winning player, null for a draw
+     * @param {string|null} reason - How the match was decided, shown on the end screens
+     */
+    endGame(winner = null, reason = null) {
         this.gameState = 'ended';
+        this.victorySystem.recordResult(winner, reason);
         
         if (winner) {
             console.log(`Game Over! Winner: ${winner.name}`);
-            this.showMessage(`Victory! ${winner.name} has conquered the galaxy!`, 10000);
+            this.showMessage(reason && reason !== 'Last empire standing'
+                ? `Victory! ${winner.name} wins: ${reason}`
+                : `Victory! ${winner.name} has conquered the galaxy!`, 10000);
         } else {
             console.log('Game Over! It\'s a draw.');
             this.showMessage('Game Over! Your empire has fallen.', 10000);
@@ -2476,6 +2742,9 @@ export default class StarThrone {
             this.renderSupplyRoutes();
         }
         
+        // Queued fleet orders and the waypoint path being built
+        this.renderFleetOrders();
+        
         this.renderDragPreview();
         
         // Debug: Check InputHandler state
@@ -2689,6 +2958,7 @@ export default class StarThrone {
                     homeSystemFlashDuration: this.homeSystemFlashDuration,
                     gameMap: this.gameMap, // Include game map for fog of war logic
                     supplySystem: this.supplySystem, // Include supply system for proper encapsulation
+                    fogOfWar: this.fogOfWar, // Last-known intel for stars outside sensor range
                     game: this, // Include game reference for flood controller access
                     isDisconnectedFromThrone: (territoryId) => this.isDisconnectedFromThrone(territoryId)
                 }, this.inputHandler?.hoveredTerritory);
@@ -2759,6 +3029,10 @@ export default class StarThrone {
         this.supplySystem.renderSupplyRoutes(this.ctx, this.gameMap.territories);
     }
     
+    renderFleetOrders() {
+        this.fleetOrderSystem.render(this.ctx, this.gameMap.territories);
+    }
+    
     // Render active long-range attacks with dotted lines and moving army counts
     renderLongRangeAttacks() {
         if (!this.longRangeAttacks || this.longRangeAttacks.length === 0) {
@@ -2913,13 +3187,13 @@ export default class StarThrone {
         }
         
         // Show supply mode indicator
-        if (this.supplyMode && this.selectedTerritory) {
+        if (this.supplyMode && this.supplySource) {
             this.ctx.save();
             this.ctx.strokeStyle = '#00ffff';
             this.ctx.lineWidth = 3;
             this.ctx.setLineDash([10, 5]);
             this.ctx.beginPath();
-            this.ctx.arc(this.selectedTerritory.x, this.selectedTerritory.y, this.selectedTerritory.radius + 10, 0, Math.PI * 2);
+            this.ctx.arc(this.supplySource.x, this.supplySource.y, this.supplySource.radius + 10, 0, Math.PI * 2);
             this.ctx.stroke();
             this.ctx.restore();
         }
@@ -3440,6 +3714,7 @@ export default class StarThrone {
         
         // Render supply routes
         this.renderSupplyRoutes();
+        this.renderFleetOrders();
         
         // Render territories with fleet counts
         this.renderTerritories();
@@ -3493,6 +3768,7 @@ export default class StarThrone {
             this.ui.render(this.ctx, {
                 gameState: this.gameState,
                 gameTimer: this.gameTimer,
+                seed: this.config.seed,
                 players: this.players,
                 humanPlayer: this.humanPlayer,
                 selectedTerritory: inputState.selectedTerritory,
@@ -3525,6 +3801,7 @@ export default class StarThrone {
                 supplySystem: this.supplySystem,
                 territories: this.gameMap.territories,
                 gameMap: this.gameMap,
+                fogOfWar: this.fogOfWar,
                 game: this // Add game reference for pathfindingService access
             });
         }
@@ -3535,9 +3812,10 @@ export default class StarThrone {
             this.uiManager.renderMessage(this.ctx);
         }
         
-        // Render top discovery bar
+        // Render top discovery bar and hazard announcements
         if (this.discoverySystem) {
             this.discoverySystem.renderTopDiscoveryBar(this.ctx);
+            this.uiManager?.renderProbeAnnouncements(this.ctx, this.discoverySystem);
         }
         
         // Render max fleet slider when territory is selected
@@ -3780,9 +4058,9 @@ export default class StarThrone {
     }
     
     // Supply route system - delegate to SupplySystem module
-    async createSupplyRoute(fromTerritory, toTerritory) {
+    createSupplyRoute(fromTerritory, toTerritory) {
         try {
-            const result = await this.supplySystem.createSupplyRoute(fromTerritory, toTerritory);
+            const result = this.supplySystem.createSupplyRoute(fromTerritory, toTerritory);
             if (result) {
                 console.log(`Supply route created: ${fromTerritory.id} → ${toTerritory.id}`);
             }
@@ -3915,12 +4193,12 @@ export default class StarThrone {
         }
         
         // Apply transfer after delay
-        setTimeout(() => {
+        this.clock.schedule(delay, () => {
             if (toTerritory.ownerId === this.humanPlayer?.id) {
                 toTerritory.armySize += shipCount;
                 console.log(`Supply route delivered ${shipCount} ships to territory ${toTerritory.id}`);
             }
-        }, delay);
+        });
     }
     
     findTerritoryAt(x, y) {
@@ -3963,11 +4241,37 @@ export default class StarThrone {
             console.log(`❌ Cannot send ships from territory ${fromTerritory.id} - only has ${fromTerritory.armySize} ship(s)`);
             return;
         }
+
+        // Treaty partners can't be attacked until the treaty is broken
+        const isAttack = commandType !== 'transfer' && commandType !== 'multi-hop-transfer';
+        if (isAttack && this.diplomacySystem.isAtPeace(this.humanPlayer.id, toTerritory.ownerId)) {
+            this.showMessage(`You have a treaty with ${this.players[toTerritory.ownerId].name} - press B to break it first`, 2500);
+            return;
+        }
+
+        if (!this.recordCommand(REPLAY_COMMANDS.FLEET, {
+            from: fromTerritory.id,
+            to: toTerritory.id,
+            percentage: fleetPercentage,
+            mode: commandType,
+            path: path
+        })) {
+            return;
+        }
         
         // Visual feedback - show number flying off
         this.showFleetCommandFeedback(fromTerritory, shipsToSend, fleetPercentage);
         
-        // Handle different command types
+        this.dispatchFleet(fromTerritory, toTerritory, shipsToSend, commandType, path);
+    }
+    
+    /**
+     * Send a fleet of an already validated (and recorded) command; queued orders (FleetOrderSystem) fire through here
+     * @param {number} shipsToSend - Ships leaving the source star
+     * @param {string} commandType - 'transfer', 'attack', 'multi-hop-transfer', 'multi-hop-attack' or 'auto'
+     * @param {Array|null} path - Territory IDs from the source, for the multi-hop types
+     */
+    dispatchFleet(fromTerritory, toTerritory, shipsToSend, commandType, path = null) {
         switch (commandType) {
             case 'multi-hop-transfer':
                 if (path && path.length > 1) {
@@ -3989,7 +4293,9 @@ export default class StarThrone {
                 
             case 'transfer':
                 if (toTerritory.ownerId === this.humanPlayer?.id) {
+                    const garrison = toTerritory.armySize;
                     this.combatSystem.transferArmies(fromTerritory, toTerritory, shipsToSend);
+                    this.fleetOrderSystem.onFleetArrived(toTerritory, this.humanPlayer.id, toTerritory.armySize - garrison);
                     this.createShipAnimation(fromTerritory, toTerritory, false, shipsToSend);
                     console.log(`Direct transfer: ${shipsToSend} ships from ${fromTerritory.id} to ${toTerritory.id}`);
                 }
@@ -4018,9 +4324,20 @@ export default class StarThrone {
     }
 
     // Wrapper method for compatibility with InputStateMachine calls
-    async issueFleetCommand(fromTerritory, toTerritory, fleetPercentage, isAttack = false) {
+    issueFleetCommand(fromTerritory, toTerritory, fleetPercentage, isAttack = false) {
         console.log(`🚀 issueFleetCommand called: ${fromTerritory.id} -> ${toTerritory.id}, attack=${isAttack}`);
         
+        const plan = this.planFleetCommand(fromTerritory, toTerritory, isAttack);
+        if (plan) {
+            this.executeFleetCommand(fromTerritory, toTerritory, fleetPercentage, plan.mode, plan.path);
+        }
+    }
+    
+    /**
+     * Pick the command type and warp lane path for a human fleet order
+     * @returns {Object|null} { mode, path }, or null when a transfer has no friendly path
+     */
+    planFleetCommand(fromTerritory, toTerritory, isAttack) {
         // Check if territories are directly connected by warp lanes
         const isDirectlyConnected = fromTerritory.neighbors && fromTerritory.neighbors.includes(toTerritory.id);
         
@@ -4028,45 +4345,45 @@ export default class StarThrone {
             // Direct connection - use simple command
             const commandType = isAttack ? 'attack' : 'transfer';
             console.log(`🛣️ Direct connection: using ${commandType}`);
-            this.executeFleetCommand(fromTerritory, toTerritory, fleetPercentage, commandType);
-        } else {
-            // Not directly connected - find path through warp lanes
-            if (isAttack) {
-                // For attacks, find path through any territory to get to target
-                const attackPath = await this.pathfindingService.findAttackPath(
-                    fromTerritory.id, 
-                    toTerritory.id, 
-                    this.gameMap, 
-                    this.humanPlayer.id
-                );
-                
-                if (attackPath && attackPath.length > 1) {
-                    console.log(`🛣️ Multi-hop attack path: ${attackPath.join(' -> ')}`);
-                    this.executeFleetCommand(fromTerritory, toTerritory, fleetPercentage, 'multi-hop-attack', attackPath);
-                } else {
-                    // No path found - use long-range attack as fallback
-                    console.log(`🛣️ No warp lane path found, using long-range attack`);
-                    this.executeFleetCommand(fromTerritory, toTerritory, fleetPercentage, 'attack');
-                }
-            } else {
-                // For transfers, find path through friendly territories only
-                const transferPath = await this.pathfindingService.findShortestPath(
-                    fromTerritory.id, 
-                    toTerritory.id, 
-                    this.gameMap, 
-                    this.humanPlayer.id
-                );
-                
-                if (transferPath && transferPath.length > 1) {
-                    console.log(`🛣️ Multi-hop transfer path: ${transferPath.join(' -> ')}`);
-                    this.executeFleetCommand(fromTerritory, toTerritory, fleetPercentage, 'multi-hop-transfer', transferPath);
-                } else {
-                    console.log(`🛣️ No friendly path found for transfer ${fromTerritory.id} -> ${toTerritory.id}`);
-                    // No path means territories aren't connected through friendly space
-                    return;
-                }
+            return { mode: commandType, path: null };
+        }
+        
+        // Not directly connected - find path through warp lanes
+        if (isAttack) {
+            // For attacks, find path through friendly territory to get to target
+            const attackPath = this.pathfindingService.findAttackPath(
+                fromTerritory.id, 
+                toTerritory.id, 
+                this.gameMap, 
+                this.humanPlayer.id,
+                'avoidNoGo'
+            );
+            
+            if (attackPath && attackPath.length > 1) {
+                console.log(`🛣️ Multi-hop attack path: ${attackPath.join(' -> ')}`);
+                return { mode: 'multi-hop-attack', path: attackPath };
             }
+            // No path found - use long-range attack as fallback
+            console.log(`🛣️ No warp lane path found, using long-range attack`);
+            return { mode: 'attack', path: null };
+        }
+        
+        // For transfers, find path through friendly territories only
+        const transferPath = this.pathfindingService.findShortestPath(
+            fromTerritory.id, 
+            toTerritory.id, 
+            this.gameMap, 
+            this.humanPlayer.id,
+            'avoidNoGo'
+        );
+        
+        if (transferPath && transferPath.length > 1) {
+            console.log(`🛣️ Multi-hop transfer path: ${transferPath.join(' -> ')}`);
+            return { mode: 'multi-hop-transfer', path: transferPath };
         }
+        // No path means territories aren't connected through friendly space
+        console.log(`🛣️ No friendly path found for transfer ${fromTerritory.id} -> ${toTerritory.id}`);
+        return null;
     }
     
     executeMultiHopTransfer(fromTerritory, toTerritory, shipsToSend, path) {
@@ -4077,30 +4394,47 @@ export default class StarThrone {
         }
         
         // Execute transfer on source territory
-        fromTerritory.armySize -= shipsToSend;
+        const roster = takeShips(fromTerritory, shipsToSend);
         
         // Create multi-hop animation following the path
         this.createSupplyRouteAnimation(path.map(id => this.gameMap.territories[id]), this.humanPlayer.color);
         
-        // Calculate delivery delay based on path length (0.8 seconds per hop to match animation)
-        const deliveryDelay = (path.length - 1) * 800;
+        // Calculate delivery delay based on path length (0.8 seconds per hop to match animation, longer for slow classes and nebulas)
+        let deliveryDelay = 0;
+        for (let i = 0; i < path.length - 1; i++) {
+            deliveryDelay += this.getHopTravelTime(this.gameMap.territories[path[i]], this.gameMap.territories[path[i + 1]], roster);
+        }
         
         // Schedule delivery to destination
-        setTimeout(() => {
-            if (toTerritory.ownerId === this.humanPlayer?.id) {
-                toTerritory.armySize += shipsToSend;
-                
-                // Add visual feedback
+        this.launchFleetInTransit({
+            kind: 'transfer',
+            toId: toTerritory.id,
+            ships: shipsToSend,
+            roster: roster
+        }, deliveryDelay);
+    }
+    
+    // A multi-hop transfer reaches its destination
+    completeMultiHopTransfer(fleet) {
+        const toTerritory = this.gameMap.territories[fleet.toId];
+        const shipsToSend = fleet.ships;
+        if (toTerritory && toTerritory.ownerId === this.humanPlayer?.id) {
+            const delivered = this.combatSystem.triggerMinefield(toTerritory, shipsToSend, this.humanPlayer);
+            addShips(toTerritory, shareOfRoster(fleet.roster, delivered));
+            this.fleetOrderSystem.onFleetArrived(toTerritory, this.humanPlayer.id, delivered);
+            
+            // Add visual feedback (mine damage shows its own)
+            if (delivered === shipsToSend) {
                 toTerritory.floatingText = {
                     text: `+${shipsToSend}`,
                     startTime: Date.now(),
                     duration: 2000,
                     startY: toTerritory.y
                 };
-                
-                console.log(`Multi-hop transfer completed: ${shipsToSend} ships delivered to territory ${toTerritory.id}`);
             }
-        }, deliveryDelay);
+            
+            console.log(`Multi-hop transfer completed: ${delivered} ships delivered to territory ${toTerritory.id}`);
+        }
     }
     
     executeMultiHopAttack(fromTerritory, toTerritory, shipsToSend, path) {
@@ -4113,16 +4447,23 @@ export default class StarThrone {
         console.log(`🎯 MULTI-HOP ATTACK: Starting ${shipsToSend} ships from ${fromTerritory.id} to ${toTerritory.id} via path: ${path.join(' -> ')}`);
         
         // Execute attack on source territory (remove ships immediately)
-        fromTerritory.armySize -= shipsToSend;
+        const roster = takeShips(fromTerritory, shipsToSend);
         
         // Process the path segment by segment, stopping at first hostile territory
-        this.processSegmentedAttack(fromTerritory, path, shipsToSend, 0);
+        this.processSegmentedAttack(fromTerritory, path, shipsToSend, 0, roster);
     }
     
-    processSegmentedAttack(originTerritory, path, shipsToSend, segmentIndex) {
+    processSegmentedAttack(originTerritory, path, shipsToSend, segmentIndex, roster = null) {
         // Check if we've reached the end of the path
         if (segmentIndex >= path.length - 1) {
             console.log(`🎯 SEGMENTED ATTACK: Reached end of path at segment ${segmentIndex}`);
+            
+            // Waypoint paths may end on one of our own stars - the fleet lands there
+            const destination = this.gameMap.territories[path[path.length - 1]];
+            if (roster && destination && destination.ownerId === this.humanPlayer?.id) {
+                addShips(destination, shareOfRoster(roster, shipsToSend));
+                this.fleetOrderSystem.onFleetArrived(destination, this.humanPlayer.id, shipsToSend);
+            }
             return;
         }
         
@@ -4137,47 +4478,72 @@ export default class StarThrone {
         // Create animation for this segment
         this.createShipAnimation(currentTerritory, nextTerritory, true, shipsToSend);
         
-        // Calculate travel time for this segment (800ms per hop)
-        const segmentTravelTime = 800;
+        // Calculate travel time for this segment (800ms per hop at frigate speed)
+        const segmentTravelTime = this.getHopTravelTime(currentTerritory, nextTerritory, roster);
         
         // Schedule arrival at next territory
-        setTimeout(() => {
-            // Check if the next territory is hostile (enemy or neutral)
-            const isHostile = nextTerritory.ownerId !== this.humanPlayer?.id;
+        this.launchFleetInTransit({
+            kind: 'segment',
+            originId: originTerritory.id,
+            path: path,
+            segmentIndex: segmentIndex,
+            ships: shipsToSend,
+            roster: roster
+        }, segmentTravelTime);
+    }
+    
+    // A fleet on a multi-hop attack reaches the next star of its path
+    continueSegmentedAttack(fleet) {
+        const { path, segmentIndex, roster } = fleet;
+        const shipsToSend = fleet.ships;
+        const originTerritory = this.gameMap.territories[fleet.originId];
+        const currentTerritory = this.gameMap.territories[path[segmentIndex]];
+        const nextTerritoryId = path[segmentIndex + 1];
+        const nextTerritory = this.gameMap.territories[nextTerritoryId];
+        
+        // Check if the next territory is hostile (enemy or neutral) - allied stars let the fleet through
+        const isHostile = !this.diplomacySystem.canPass(this.humanPlayer?.id, nextTerritory.ownerId);
+        
+        if (isHostile) {
+            console.log(`🎯 HOSTILE ENCOUNTER: Fleet encounters hostile territory ${nextTerritoryId} (owner: ${nextTerritory.ownerId})`);
             
-            if (isHostile) {
-                console.log(`🎯 HOSTILE ENCOUNTER: Fleet encounters hostile territory ${nextTerritoryId} (owner: ${nextTerritory.ownerId})`);
-                
-                // Create a temporary attacking territory for the combat
-                const tempAttackingTerritory = {
-                    id: originTerritory.id,
-                    ownerId: this.humanPlayer?.id,
-                    armySize: shipsToSend + 1, // +1 so the attack system can deduct armies
-                    x: currentTerritory.x,
-                    y: currentTerritory.y,
-                    neighbors: [nextTerritory.id] // Temporary connection for attack validation
-                };
-                
-                // Trigger combat flash effects
-                nextTerritory.triggerCombatFlash();
-                
-                // Execute the attack using combat system
-                const result = this.combatSystem.attackTerritory(tempAttackingTerritory, nextTerritory);
-                console.log(`🎯 HOSTILE COMBAT QUEUED: ${shipsToSend} ships attacking territory ${nextTerritory.id}`);
-                
-                if (!result.success) {
-                    console.log(`🛡️ Hostile encounter attack failed to queue: ${result.reason}`);
-                }
-                
-                // Combat initiated - stop the multi-hop attack here
-                return;
-            } else {
-                console.log(`🎯 FRIENDLY PASSAGE: Fleet passes through friendly territory ${nextTerritoryId}`);
-                
-                // Territory is friendly, continue to next segment
-                this.processSegmentedAttack(originTerritory, path, shipsToSend, segmentIndex + 1);
+            // Create a temporary attacking territory for the combat
+            const tempAttackingTerritory = {
+                id: originTerritory.id,
+                ownerId: this.humanPlayer?.id,
+                armySize: shipsToSend + 1, // +1 so the attack system can deduct armies
+                roster: roster ? { ...roster } : null,
+                x: currentTerritory.x,
+                y: currentTerritory.y,
+                neighbors: [nextTerritory.id] // Temporary connection for attack validation
+            };
+            
+            // Trigger combat flash effects
+            nextTerritory.triggerCombatFlash();
+            
+            // Execute the attack using combat system
+            const result = this.combatSystem.attackTerritory(tempAttackingTerritory, nextTerritory);
+            console.log(`🎯 HOSTILE COMBAT QUEUED: ${shipsToSend} ships attacking territory ${nextTerritory.id}`);
+            
+            if (!result.success) {
+                console.log(`🛡️ Hostile encounter attack failed to queue: ${result.reason}`);
+            } else if (segmentIndex + 1 < path.length - 1) {
+                // The star stands in the way of the rest of the path - the survivors carry on once it's taken
+                this.fleetOrderSystem.queueContinuation(nextTerritory, path.slice(segmentIndex + 1));
             }
-        }, segmentTravelTime);
+            
+            // Combat initiated - stop the multi-hop attack here
+            return;
+        } else {
+            console.log(`🎯 FRIENDLY PASSAGE: Fleet passes through friendly territory ${nextTerritoryId}`);
+            
+            // Mines on the way thin the fleet; if nothing survives the attack ends here
+            const survivors = this.combatSystem.triggerMinefield(nextTerritory, shipsToSend, this.humanPlayer);
+            if (survivors <= 0) return;
+            
+            // Territory is friendly, continue to next segment
+            this.processSegmentedAttack(originTerritory, path, survivors, segmentIndex + 1, roster && shareOfRoster(roster, survivors));
+        }
     }
     
     // Visual feedback for fleet commands
@@ -4512,16 +4878,21 @@ export default class StarThrone {
     restartGame() {
         // Reset game state
         this.gameState = 'lobby';
-        this.gameTimer = 10 * 60 * 1000;
+        this.gameTimer = getMatchLengthMs(this.config);
         this.selectedTerritory = null;
         
         // Clear players
         this.players = [];
         this.humanPlayer = null;
         
-        // Regenerate map and restart
+        // Regenerate map and restart with a fresh galaxy
+        this.config.seed = generateSeed();
         this.gameMap = new GameMap(2000, 1500, this.config); // Pass config to maintain connection distances
+        this.gameMap.game = this;
+        this.gameMap.rng = this.rng;
+        this.combatSystem.restore(null); // Drop battles and the battle log of the old galaxy
         this.startGame();
+        this.replayRecorder = this.replayPlayer ? null : new ReplayRecorder(this);
     }
     
     /**
@@ -4552,10 +4923,11 @@ export default class StarThrone {
         // console.log(`🔍 THRONE VALIDATION: Found ${allThrones.length} throne stars:`, allThrones);
         // console.log(`🔍 THRONE VALIDATION: Player throne counts:`, Array.from(playerThroneCount.entries()));
         
-        // Fix players with multiple throne stars
+        // Fix players with more throne stars than the rules allow (Capitals rules permit extra capitals)
+        const maxThrones = this.throneSystem ? this.throneSystem.getMaxThrones() : 1;
         let fixed = false;
         for (const [playerId, throneCount] of playerThroneCount.entries()) {
-            if (throneCount > 1) {
+            if (throneCount > maxThrones) {
                 const player = this.players.find(p => p.id === playerId);
                 console.log(`🔧 FIXING: Player ${player ? player.name : playerId} (ID: ${playerId}) has ${throneCount} throne stars - removing extras`);
                 
@@ -4569,8 +4941,11 @@ export default class StarThrone {
                 
                 console.log(`🔧 Found throne territories for player ${playerId}:`, playerThrones.map(t => t.id));
                 
-                // Keep the first throne star, remove the rest
-                for (let i = 1; i < playerThrones.length; i++) {
+                // Keep the player's main throne star first, remove the extras
+                if (player) {
+                    playerThrones.sort((a, b) => (b.id === player.throneStarId) - (a.id === player.throneStarId));
+                }
+                for (let i = maxThrones; i < playerThrones.length; i++) {
                     playerThrones[i].isThronestar = false;
                     console.log(`🔧 Removed throne star flag from territory ${playerThrones[i].id}`);
                     fixed = true;
@@ -4578,6 +4953,18 @@ export default class StarThrone {
             }
         }
         
+        // A player whose main throne is gone but who still holds a capital rules from that capital
+        for (const player of this.players) {
+            const mainThrone = this.gameMap.territories[player.throneStarId];
+            if (player.throneStarId !== null && !(mainThrone && mainThrone.isThronestar && mainThrone.ownerId === player.id)) {
+                const capitalId = player.territories.find(id => this.gameMap.territories[id]?.isThronestar);
+                if (capitalId !== undefined) {
+                    player.throneStarId = capitalId;
+                    fixed = true;
+                }
+            }
+        }
+        
         if (!fixed) {
             // console.log('🔍 THRONE VALIDATION: No fixes needed, all players have single throne stars');
         }
@@ -0,0 +1,133 @@
+import { GAME_CONSTANTS } from '../../../common/gameConstants';
+import { REPLAY_COMMANDS } from './ReplaySystem';
+import { takeShips } from './ShipyardSystem';
+
+export const STARBASE_UPGRADES = GAME_CONSTANTS.STARBASE_UPGRADES;
+
+export const UPGRADE_ORDER = ['shield', 'shipyard', 'sensors', 'beacon'];
+
+export function hasUpgrade(territory, upgrade) {
+    return !!territory?.upgrades?.includes(upgrade);
+}
+
+// Round win chance taken off attackers of a shielded star (see CombatSystem.startBattle)
+export function getShieldBonus(territory) {
+    return hasUpgrade(territory, 'shield') ? STARBASE_UPGRADES.shield.defenseBonus : 0;
+}
+
+// Ships a star holds before the surplus overflows to its neighbours
+export function getFleetCapacity(territory) {
+    return territory.maxFleet + (hasUpgrade(territory, 'shipyard') ? STARBASE_UPGRADES.shipyard.fleetCapacity : 0);
+}
+
+/**
+ * StarbaseSystem - Upgrades owners build on their stars by spending the star's own ships
+ * Shield generator: defender bonus in every round fought at the star
+ * Shipyard: raises the star's fleet capacity before ships overflow to neighbours
+ * Sensor array: the human's sensor range reaches further from the star (FogOfWarSystem)
+ * Hyperspace beacon: the owner's and allies' long-range fleets to or from the star arrive sooner
+ * Conquest destroys shields and sensors; shipyards and beacons fall to the conqueror intact.
+ */
+export class StarbaseSystem {
+    constructor(game) {
+        this.game = game;
+    }
+
+    canBuild(player, territory, upgrade) {
+        return !!player && !!territory && !!STARBASE_UPGRADES[upgrade] &&
+            territory.ownerId === player.id &&
+            !hasUpgrade(territory, upgrade) &&
+            territory.armySize > STARBASE_UPGRADES[upgrade].cost;
+    }
+
+    /**
+     * Build an upgrade, paid for with ships from the star
+     * @returns {boolean} Whether the upgrade was built
+     */
+    build(player, territory, upgrade) {
+        if (!this.canBuild(player, territory, upgrade)) return false;
+        if (!this.game.recordCommand(REPLAY_COMMANDS.STARBASE_UPGRADE, { playerId: player.id, territoryId: territory.id, upgrade })) return false;
+
+        takeShips(territory, STARBASE_UPGRADES[upgrade].cost);
+        territory.upgrades = UPGRADE_ORDER.filter(key => key === upgrade || hasUpgrade(territory, key));
+
+        console.log(`🏗️ STARBASE: ${player.name} builds a ${STARBASE_UPGRADES[upgrade].name} on star ${territory.id}`);
+        if (player === this.game.humanPlayer) {
+            this.game.showMessage(`${STARBASE_UPGRADES[upgrade].icon} ${STARBASE_UPGRADES[upgrade].name} built on star ${territory.id}`, 2000);
+        }
+        return true;
+    }
+
+    /**
+     * The human's upgrade keys on the selected star
+     * @param {string} upgrade - STARBASE_UPGRADES key
+     * @param {Object|null} territory - Selected star
+     */
+    handleHumanAction(upgrade, territory) {
+        const player = this.game.humanPlayer;
+        if (!player || player.isEliminated) return;
+
+        const { name, cost } = STARBASE_UPGRADES[upgrade];
+        if (!territory || territory.ownerId !== player.id) {
+            this.game.showMessage('Select one of your stars first', 2000);
+        } else if (hasUpgrade(territory, upgrade)) {
+            this.game.showMessage(`Star ${territory.id} already has a ${name}`, 2000);
+        } else if (territory.armySize <= cost) {
+            this.game.showMessage(`A ${name} costs ${cost} ships from the star`, 2000);
+        } else {
+            this.build(player, territory, upgrade);
+        }
+    }
+
+    /**
+     * A star changed hands by force (CombatSystem.completeBattle, native uprisings):
+     * upgrades that are not kept on capture are destroyed
+     * @returns {Array<string>} Upgrades destroyed
+     */
+    onConquest(territory) {
+        const destroyed = (territory.upgrades || []).filter(upgrade => !STARBASE_UPGRADES[upgrade]?.keptOnCapture);
+        territory.upgrades = (territory.upgrades || []).filter(upgrade => !destroyed.includes(upgrade));
+        return destroyed;
+    }
+
+    /**
+     * Long-range travel time factor for a player's fleet between two stars
+     * @returns {number} 1, or the beacon multiplier when either end has a friendly beacon
+     */
+    getTravelTimeMultiplier(playerId, fromTerritory, toTerritory) {
+        const guides = (territory) => hasUpgrade(territory, 'beacon') &&
+            (territory.ownerId === playerId || !!this.game.diplomacySystem?.areAllied(playerId, territory.ownerId));
+        return guides(fromTerritory) || guides(toTerritory) ? STARBASE_UPGRADES.beacon.travelTimeMultiplier : 1;
+    }
+
+    // AI empires shield their throne and front-line stars and add shipyards where ships pile up, one build per interval
+    update() {
+        if (this.game.tick % GAME_CONSTANTS.STARBASE_AI_INTERVAL_TICKS !== 0) return;
+
+        for (const player of this.game.players) {
+            if (player.type === 'human' || player.isEliminated) continue;
+
+            const stars = player.territories
+                .map(id => this.game.gameMap.territories[id])
+                .filter(Boolean)
+                .sort((a, b) => b.armySize - a.armySize || a.id - b.id);
+
+            for (const star of stars) {
+                const upgrade = this.chooseUpgrade(player, star);
+                // Only spend when the star keeps a real garrison afterwards
+                if (upgrade && star.armySize >= STARBASE_UPGRADES[upgrade].cost * 3 && this.build(player, star, upgrade)) break;
+            }
+        }
+    }
+
+    chooseUpgrade(player, territory) {
+        const onFront = territory.neighbors.some(id => {
+            const neighbor = this.game.gameMap.territories[id];
+            return neighbor && neighbor.ownerId !== null && neighbor.ownerId !== player.id &&
+                !this.game.diplomacySystem?.isAtPeace(player.id, neighbor.ownerId);
+        });
+        if ((territory.isThronestar || onFront) && !hasUpgrade(territory, 'shield')) return 'shield';
+        if (territory.armySize >= getFleetCapacity(territory) && !hasUpgrade(territory, 'shipyard')) return 'shipyard';
+        return null;
+    }
+}
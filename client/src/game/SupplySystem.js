@@ -3,64 +3,76 @@
  * 
  * Manages the creation, validation, and processing of supply routes.
  * Uses the new PathfindingService for route calculations.
+ *
+ * Routes form a network: a source splits the ships it holds above MIN_GARRISON across all of
+ * its routes by percentage share, every TRANSFER_INTERVAL. A destination marked as a sink only
+ * takes ships until its garrison (plus ships already on the way) reaches the sink's target.
+ * Each lane carries at most THROUGHPUT_PER_HOP ships per send, shared by every route crossing it,
+ * so a route moves no more than its busiest hop allows.
+ *
+ * Shipments are convoys: real fleets travelling the path hop by hop. Hostile fleets arriving at a star
+ * the convoy is passing ambush it (CombatSystem.startBattle), and a convoy that runs into a star lost
+ * to the enemy fights its garrison and turns back. A route whose path falls is cut rather than dropped
+ * and resumes once a path reopens; each route carries a risk rating for the stars it passes.
  */
 
 import { GAME_CONSTANTS } from '../../../common/gameConstants';
+import { REPLAY_COMMANDS } from './ReplaySystem';
+import { takeShips, addShips, getRosterSize, getShipRoster } from './ShipyardSystem';
 // Removed unused PathfindingService import (dead code eliminated)
 
+const SUPPLY = GAME_CONSTANTS.SUPPLY_ROUTE;
+
 export class SupplySystem {
     constructor(game) {
         this.game = game;
         this.supplyRoutes = [];
-        this.routeValidationFrame = 0;
+        this.sinks = new Map(); // territoryId -> garrison target
+        this.shipments = []; // Ships on their way along a route
+        this.nextShipmentId = 1;
+        this.nextTransferTime = null; // Sim time of the next send
         this.routeProcessingFrame = 0;
     }
     
-    async createSupplyRoute(fromTerritory, toTerritory) {
+    createSupplyRoute(fromTerritory, toTerritory) {
         console.log('SupplySystem: createSupplyRoute called', fromTerritory.id, toTerritory.id);
         
+        if (!this.game.recordCommand(REPLAY_COMMANDS.SUPPLY_ROUTE, { from: fromTerritory.id, to: toTerritory.id })) {
+            return false;
+        }
+        
         if (!this.validateSupplyRouteCreation(fromTerritory, toTerritory)) {
             console.log('SupplySystem: validation failed');
             return false;
         }
         
-        /*────────  NEW  ────────*
-         * A source star may supply ONE destination at a time.
-         * If the source already has a route, remove / replace it.          */
+        // A source may feed several destinations; a second route to the same destination replaces the first
         this.supplyRoutes = this.supplyRoutes.filter(r => {
-            const keep = r.from !== fromTerritory.id;
+            const keep = r.from !== fromTerritory.id || r.to !== toTerritory.id;
             if (!keep) console.log(`SupplySystem: replacing route ${r.id} from ${r.from}`);
             return keep;
         });
         
+        if (this.supplyRoutes.length >= SUPPLY.MAX_ROUTES_PER_PLAYER) {
+            this.game.showMessage(`Supply network is full (${SUPPLY.MAX_ROUTES_PER_PLAYER} routes)`, 2000);
+            return false;
+        }
+        
         // Check if pathfinding service exists
         if (!this.game.pathfindingService) {
             console.log('SupplySystem: pathfindingService not available');
             return false;
         }
         
-        // Find path between territories using PathfindingService
-        console.log('SupplySystem: calling pathfindingService.findShortestPath');
-        
-        // Create proper graph structure for pathfinding
-        // Convert gameMap.territories object to array for pathfinding service
-        const territoriesArray = Object.values(this.game.gameMap.territories);
-        const graph = {
-            territories: territoriesArray
-        };
-        
-        console.log('SupplySystem: created graph with', territoriesArray.length, 'territories');
-        console.log('SupplySystem: first few territories:', territoriesArray.slice(0, 2));
-        console.log('SupplySystem: humanPlayer:', this.game.humanPlayer);
-        const path = await this.game.pathfindingService.findShortestPath(
+        // Reinforcements take the safest path, away from battles and hostile borders
+        const path = this.game.pathfindingService.findShortestPath(
             fromTerritory.id, 
             toTerritory.id, 
-            graph, 
-            this.game.humanPlayer?.id
+            this.game.gameMap, 
+            this.game.humanPlayer?.id,
+            'safest'
         );
         
-        console.log('SupplySystem: pathfinding result:', path);
-        
         if (!path || path.length < 2) {
             console.log('No valid path found between territories');
             return false;
@@ -73,12 +85,17 @@ export class SupplySystem {
             to: toTerritory.id,
             path: path,
             active: true,
-            lastTransfer: 0,
-            transferCooldown: GAME_CONSTANTS.SUPPLY_ROUTE.TRANSFER_INTERVAL,
+            share: 0,
+            throughput: 0, // Ships per second sent on the last transfer
+            limitedBy: null, // 'lanes' or 'sink' when the last transfer was capped
+            cut: false, // No friendly path left; the route waits for one to reopen
+            risk: 0, // Highest convoy hazard on the path (see assessRouteRisk)
+            riskStar: null,
             createdTime: Date.now()
         };
         
         this.supplyRoutes.push(route);
+        this.rebalanceShares(fromTerritory.id);
         
         console.log(`Supply route created: ${fromTerritory.id} → ${toTerritory.id} (${path.length} hops)`);
         
@@ -96,22 +113,30 @@ export class SupplySystem {
         return true;
     }
     
-    cancelSupplyRoute(fromTerritory) {
+    /**
+     * Cancel a source's route to one destination, or all of its routes
+     * @param {Object} fromTerritory - Source star
+     * @param {Object|null} toTerritory - Destination, or null for every route from the source
+     */
+    cancelSupplyRoute(fromTerritory, toTerritory = null) {
         console.log('SupplySystem: cancelSupplyRoute called for territory', fromTerritory.id);
         
-        // Find and remove any route originating from this territory
-        const routeIndex = this.supplyRoutes.findIndex(r => r.from === fromTerritory.id);
-        if (routeIndex !== -1) {
-            const removedRoute = this.supplyRoutes[routeIndex];
-            this.supplyRoutes.splice(routeIndex, 1);
+        // Find and remove the routes originating from this territory
+        const removed = this.supplyRoutes.filter(r => r.from === fromTerritory.id && (!toTerritory || r.to === toTerritory.id));
+        if (removed.length > 0) {
+            if (!this.game.recordCommand(REPLAY_COMMANDS.SUPPLY_CANCEL, { from: fromTerritory.id, to: toTerritory ? toTerritory.id : null })) {
+                return false;
+            }
+            this.supplyRoutes = this.supplyRoutes.filter(r => !removed.includes(r));
             
-            console.log(`Supply route cancelled: ${removedRoute.from} → ${removedRoute.to}`);
+            const targets = removed.map(r => r.to).join(', ');
+            console.log(`Supply route cancelled: ${fromTerritory.id} → ${targets}`);
             
             // Show cancellation message
             if (this.game.uiManager) {
-                this.game.uiManager.showMessage(`🚫 SUPPLY ROUTE CANCELLED: Star ${removedRoute.from} no longer reinforcing Star ${removedRoute.to}`, 3000);
+                this.game.uiManager.showMessage(`🚫 SUPPLY ROUTE CANCELLED: Star ${fromTerritory.id} no longer reinforcing Star ${targets}`, 3000);
             } else {
-                this.game.showMessage(`🚫 SUPPLY ROUTE CANCELLED: Star ${removedRoute.from} no longer reinforcing Star ${removedRoute.to}`, 3000);
+                this.game.showMessage(`🚫 SUPPLY ROUTE CANCELLED: Star ${fromTerritory.id} no longer reinforcing Star ${targets}`, 3000);
             }
             
             return true;
@@ -121,6 +146,100 @@ export class SupplySystem {
         return false;
     }
     
+    // Split a source's output evenly across its routes (new routes join at an equal share)
+    rebalanceShares(fromId) {
+        const routes = this.supplyRoutes.filter(r => r.from === fromId);
+        const base = Math.floor(100 / routes.length);
+        routes.forEach((route, index) => {
+            route.share = base + (index < 100 - base * routes.length ? 1 : 0);
+        });
+    }
+    
+    /**
+     * Set the percentage of its source's output a route carries. A source's shares never add up to
+     * more than 100: raising one takes the difference from the source's newest other routes first.
+     * @returns {boolean} Whether the share changed
+     */
+    setRouteShare(fromTerritory, toTerritory, share) {
+        const route = this.supplyRoutes.find(r => r.from === fromTerritory.id && r.to === toTerritory.id);
+        if (!route) return false;
+        
+        const clamped = Math.max(0, Math.min(Math.round(share), 100));
+        if (clamped === route.share) return false;
+        if (!this.game.recordCommand(REPLAY_COMMANDS.SUPPLY_SHARE, { from: route.from, to: route.to, share: clamped })) return false;
+        
+        route.share = clamped;
+        const others = this.supplyRoutes.filter(r => r.from === route.from && r !== route);
+        let excess = others.reduce((total, r) => total + r.share, clamped) - 100;
+        for (let i = others.length - 1; i >= 0 && excess > 0; i--) {
+            const taken = Math.min(others[i].share, excess);
+            others[i].share -= taken;
+            excess -= taken;
+        }
+        return true;
+    }
+    
+    /**
+     * Mark a star as a supply sink that stops taking ships at the target garrison
+     * @param {Object} territory - Destination star
+     * @param {number|null} target - Garrison target, or null to take ships without limit again
+     * @returns {boolean} Whether the sink changed
+     */
+    setSink(territory, target) {
+        const humanPlayerId = this.game.humanPlayer?.id;
+        if (!territory || territory.ownerId !== humanPlayerId) return false;
+        if ((this.sinks.get(territory.id) ?? null) === (target ?? null)) return false;
+        if (!this.game.recordCommand(REPLAY_COMMANDS.SUPPLY_SINK, { territoryId: territory.id, target: target ?? null })) return false;
+        
+        if (target) {
+            this.sinks.set(territory.id, target);
+        } else {
+            this.sinks.delete(territory.id);
+        }
+        return true;
+    }
+    
+    /**
+     * The human's sink key: cycle the star through the SINK_TARGETS garrison levels and back to no limit
+     * @param {Object|null} territory - Selected star
+     */
+    handleSinkAction(territory) {
+        const player = this.game.humanPlayer;
+        if (!player || player.isEliminated) return;
+        
+        if (!territory || territory.ownerId !== player.id) {
+            this.game.showMessage('Select one of your stars first', 2000);
+            return;
+        }
+        
+        const targets = SUPPLY.SINK_TARGETS;
+        const current = targets.indexOf(this.sinks.get(territory.id));
+        const next = current + 1 < targets.length ? targets[current + 1] : null;
+        if (this.setSink(territory, next)) {
+            this.game.showMessage(next
+                ? `🎯 Star ${territory.id} takes supply until it holds ${next} ships`
+                : `Star ${territory.id} takes supply without limit`, 2000);
+        }
+    }
+    
+    getSinkTarget(territoryId) {
+        return this.sinks.get(territoryId) ?? null;
+    }
+    
+    // Ships on their way to a star
+    getIncomingShips(territoryId) {
+        return this.shipments
+            .filter(shipment => shipment.path[shipment.path.length - 1] === territoryId)
+            .reduce((total, shipment) => total + getRosterSize(shipment.roster), 0);
+    }
+    
+    // Ships per second arriving at a star over its routes (as of the last transfer)
+    getIncomingThroughput(territoryId) {
+        return this.supplyRoutes
+            .filter(route => route.active && route.to === territoryId)
+            .reduce((total, route) => total + route.throughput, 0);
+    }
+    
     // Check if a territory is currently supplying reinforcements
     isSupplySource(territoryId) {
         return this.supplyRoutes.some(r => r.from === territoryId && r.active);
@@ -178,53 +297,15 @@ export class SupplySystem {
     
     // Removed unused: findExistingRoute (no other code calls this)
     
-    findPathBetweenTerritories(fromTerritory, toTerritory) {
+    // Called every 45 ticks from the game loop
+    validateSupplyRoutes() {
         const humanPlayerId = this.game.humanPlayer?.id;
-        const visited = new Set();
-        const queue = [{
-            territory: fromTerritory,
-            path: [fromTerritory]
-        }];
-        
-        visited.add(fromTerritory.id);
         
-        while (queue.length > 0) {
-            const current = queue.shift();
-            
-            // Found target
-            if (current.territory.id === toTerritory.id) {
-                return current.path;
-            }
-            
-            // Explore neighbors
-            for (const neighborId of current.territory.neighbors) {
-                if (visited.has(neighborId)) continue;
-                
-                const neighbor = this.game.gameMap.territories[neighborId];
-                if (!neighbor) continue;
-                
-                // Only traverse through owned territories
-                if (neighbor.ownerId !== humanPlayerId) continue;
-                
-                visited.add(neighborId);
-                queue.push({
-                    territory: neighbor,
-                    path: [...current.path, neighbor]
-                });
-            }
+        // Lost sinks stop being sinks
+        for (const territoryId of [...this.sinks.keys()]) {
+            if (this.game.gameMap.territories[territoryId]?.ownerId !== humanPlayerId) this.sinks.delete(territoryId);
         }
         
-        return null; // No path found
-    }
-    
-    validateSupplyRoutes() {
-        // Throttle validation to every 45 frames
-        this.routeValidationFrame++;
-        if (this.routeValidationFrame < 45) return;
-        this.routeValidationFrame = 0;
-        
-        const humanPlayerId = this.game.humanPlayer?.id;
-        
         for (let i = this.supplyRoutes.length - 1; i >= 0; i--) {
             const route = this.supplyRoutes[i];
             
@@ -243,27 +324,69 @@ export class SupplySystem {
             
             // Validate path integrity
             if (!this.isPathValid(route.path, humanPlayerId)) {
-                console.log(`Supply route ${route.id} invalidated - path broken`);
-                route.active = false;
+                const cutAt = route.path.find(id => !this.game.diplomacySystem.canPass(humanPlayerId, this.game.gameMap.territories[id]?.ownerId));
                 
                 // Try to find new path
-                const newPath = this.findPathBetweenTerritories(fromTerritory, toTerritory);
+                const newPath = this.game.pathfindingService.findShortestPath(
+                    fromTerritory.id, toTerritory.id, this.game.gameMap, humanPlayerId, 'safest'
+                );
                 if (newPath) {
                     route.path = newPath;
-                    route.active = true;
                     console.log(`Supply route ${route.id} rerouted`);
-                } else {
-                    this.supplyRoutes.splice(i, 1);
+                } else if (!route.cut) {
+                    // Cut, not dropped: the route resumes as soon as a path opens up again
+                    console.log(`Supply route ${route.id} cut at star ${cutAt}`);
+                    this.game.addNotification?.(`✂️ Supply line ${route.from} → ${route.to} cut at star ${cutAt}`, '#ff8844', 4000);
                 }
+                route.cut = !newPath;
+            } else if (route.cut) {
+                route.cut = false;
+                console.log(`Supply route ${route.id} reopened`);
             }
+            route.active = !route.cut;
+            Object.assign(route, this.assessRouteRisk(route, humanPlayerId));
         }
     }
     
+    /**
+     * How dangerous a route's path is for convoys: a hostile fleet inbound to or a battle at one of
+     * its stars (1), or a star on a hostile border (0.5, see PathfindingService.getHazardLookup)
+     * @returns {{ risk: number, riskStar: number|null }} Highest hazard on the path and the star it is at
+     */
+    assessRouteRisk(route, playerId) {
+        const territories = this.game.gameMap.territories;
+        const hazard = this.game.pathfindingService.getHazardLookup(this.game.gameMap, playerId);
+        const isHostile = (ownerId) => ownerId !== undefined && ownerId !== null && ownerId !== playerId &&
+            !this.game.diplomacySystem.isAtPeace(playerId, ownerId);
+        const inbound = new Set([
+            ...this.game.combatSystem.pendingBattles
+                .filter(battle => isHostile(battle.attacker?.id))
+                .map(battle => battle.defendingTerritory.id),
+            ...(this.game.pendingLongRangeCombats || [])
+                .filter(fleet => isHostile(fleet.fromOwnerId))
+                .map(fleet => fleet.toTerritoryId)
+        ]);
+        
+        let risk = 0;
+        let riskStar = null;
+        route.path.slice(1).forEach(id => {
+            const territory = territories[id];
+            if (!territory) return;
+            const starRisk = inbound.has(id) ? GAME_CONSTANTS.PATH_HAZARD_BATTLE : hazard(territory);
+            if (starRisk > risk) {
+                risk = starRisk;
+                riskStar = id;
+            }
+        });
+        return { risk, riskStar };
+    }
+    
     isPathValid(path, ownerId) {
         // Path contains territory IDs, not territory objects
         for (const territoryId of path) {
             const territory = this.game.gameMap.territories[territoryId];
-            if (!territory || territory.ownerId !== ownerId) {
+            // Routes may run through allied space (see DiplomacySystem.canPass)
+            if (!territory || !this.game.diplomacySystem.canPass(ownerId, territory.ownerId)) {
                 return false;
             }
         }
@@ -282,14 +405,172 @@ export class SupplySystem {
         return true;
     }
     
-    processSupplyRoutes(deltaTime) {
-        // Supply routes now redirect army generation instead of transferring armies
-        // Validation is handled in validateSupplyRoutes() method called from main game loop
-        // This method is no longer needed but kept for interface compatibility
+    /**
+     * Move shipments along their routes and send new ones every TRANSFER_INTERVAL of sim time
+     * Called every tick from the game loop; validation is handled in validateSupplyRoutes()
+     */
+    processSupplyRoutes() {
+        const now = this.game.clock.now();
+        this.advanceShipments(now);
+        
+        if (this.nextTransferTime === null) {
+            this.nextTransferTime = now + SUPPLY.TRANSFER_INTERVAL;
+        }
+        if (now < this.nextTransferTime) return;
+        this.nextTransferTime = now + SUPPLY.TRANSFER_INTERVAL;
+        this.dispatchShipments(now);
     }
     
-    // Supply routes now redirect army generation instead of transferring armies
-    // The old transfer-based methods are no longer needed
+    // One send across the whole network: each route takes its share of its source's surplus, capped by lanes and sinks
+    dispatchShipments(now) {
+        const territories = this.game.gameMap.territories;
+        const laneKey = (a, b) => a < b ? `${a}-${b}` : `${b}-${a}`;
+        const laneLoad = new Map(); // lane -> ships sent over it this send
+        const surplus = new Map(); // sourceId -> ships above the garrison, fixed before any route draws on it
+        
+        for (const route of this.supplyRoutes) {
+            route.throughput = 0;
+            route.limitedBy = null;
+            const source = territories[route.from];
+            const destination = territories[route.to];
+            if (!route.active || !source || !destination || route.share <= 0) continue;
+            
+            if (!surplus.has(route.from)) {
+                surplus.set(route.from, Math.max(0, source.armySize - Math.max(1, SUPPLY.MIN_GARRISON)));
+            }
+            let amount = Math.floor(surplus.get(route.from) * route.share / 100);
+            
+            // The busiest hop sets how much the route can carry
+            const lanes = route.path.slice(1).map((id, i) => laneKey(route.path[i], id));
+            const laneRoom = Math.min(...lanes.map(lane => SUPPLY.THROUGHPUT_PER_HOP - (laneLoad.get(lane) || 0)));
+            if (amount > laneRoom) {
+                amount = laneRoom;
+                route.limitedBy = 'lanes';
+            }
+            
+            const sinkTarget = this.getSinkTarget(route.to);
+            if (sinkTarget !== null) {
+                const room = sinkTarget - destination.armySize - this.getIncomingShips(route.to);
+                if (amount > room) {
+                    amount = Math.max(0, room);
+                    route.limitedBy = 'sink';
+                }
+            }
+            if (amount <= 0) continue;
+            
+            lanes.forEach(lane => laneLoad.set(lane, (laneLoad.get(lane) || 0) + amount));
+            const roster = takeShips(source, amount);
+            const hopTime = this.game.getHopTravelTime(source, territories[route.path[1]], roster);
+            this.shipments.push({
+                id: this.nextShipmentId++,
+                routeId: route.id,
+                playerId: source.ownerId,
+                path: [...route.path],
+                hop: 0, // Index in path of the star the shipment last left
+                roster,
+                hopTime,
+                hopArrivalTime: now + hopTime
+            });
+            route.throughput = amount * 1000 / SUPPLY.TRANSFER_INTERVAL;
+        }
+    }
+    
+    /**
+     * Convoys reach the next star on their path; at the destination the ships join its garrison.
+     * A star on the way that is no longer friendly ambushes the convoy with its garrison, and the
+     * survivors turn back to the star they just left (a convoy already turned back is lost).
+     */
+    advanceShipments(now) {
+        const territories = this.game.gameMap.territories;
+        
+        this.shipments = this.shipments.filter(shipment => {
+            while (now >= shipment.hopArrivalTime) {
+                const previous = territories[shipment.path[shipment.hop]];
+                shipment.hop++;
+                const star = territories[shipment.path[shipment.hop]];
+                const isDestination = shipment.hop === shipment.path.length - 1;
+                
+                if (isDestination && star?.ownerId === shipment.playerId) {
+                    addShips(star, shipment.roster);
+                    return false;
+                }
+                if (star && !isDestination && this.game.diplomacySystem.canPass(shipment.playerId, star.ownerId)) {
+                    shipment.hopTime = this.game.getHopTravelTime(star, territories[shipment.path[shipment.hop + 1]], shipment.roster);
+                    shipment.hopArrivalTime += shipment.hopTime;
+                    continue;
+                }
+                
+                // The way ahead is blocked
+                const hostile = star && star.ownerId !== null && star.ownerId !== shipment.playerId &&
+                    !this.game.diplomacySystem.isAtPeace(shipment.playerId, star.ownerId);
+                if (hostile && star.armySize > 0) {
+                    const garrison = { roster: getShipRoster(star), wounds: {} };
+                    this.fightConvoy(shipment, garrison, this.game.players[star.ownerId], star);
+                    star.armySize = getRosterSize(garrison.roster);
+                }
+                if (getRosterSize(shipment.roster) === 0) return false;
+                if (shipment.returning || !star || !previous) {
+                    console.log(`📦 SUPPLY: ${getRosterSize(shipment.roster)} convoy ships lost on the way to star ${shipment.path[shipment.path.length - 1]}`);
+                    return false;
+                }
+                
+                shipment.returning = true;
+                shipment.path = [star.id, previous.id];
+                shipment.hop = 0;
+                shipment.hopTime = this.game.getHopTravelTime(star, previous, shipment.roster);
+                shipment.hopArrivalTime += shipment.hopTime;
+            }
+            return true;
+        });
+    }
+    
+    /**
+     * Hostile fleet arriving at a star (CombatSystem.startBattle): it falls on every hostile convoy
+     * flying to or from the star before it engages the star itself
+     * @param {Object} territory - Star the fleet arrived at
+     * @param {Object} attacker - Player owning the fleet
+     * @param {Object} roster - Fleet roster, reduced in place by the ships it loses
+     */
+    ambushConvoys(territory, attacker, roster) {
+        if (!attacker) return;
+        const fleet = { roster, wounds: {} };
+        
+        this.shipments = this.shipments.filter(shipment => {
+            const passing = shipment.path[shipment.hop] === territory.id || shipment.path[shipment.hop + 1] === territory.id;
+            if (!passing || shipment.playerId === attacker.id || this.game.diplomacySystem.isAtPeace(attacker.id, shipment.playerId)) return true;
+            if (getRosterSize(fleet.roster) === 0) return true;
+            
+            this.fightConvoy(shipment, fleet, attacker, territory);
+            return getRosterSize(shipment.roster) > 0;
+        });
+    }
+    
+    /**
+     * Fight a convoy to the end against an ambushing fleet or garrison, which gets AMBUSH_BONUS
+     * @param {Object} shipment - Convoy, its roster is reduced in place
+     * @param {Object} ambusher - { roster, wounds } of the ambushing side, reduced in place
+     * @param {Object|null} ambushingPlayer - Owner of the ambushers
+     * @param {Object} territory - Star where the fight takes place
+     */
+    fightConvoy(shipment, ambusher, ambushingPlayer, territory) {
+        const combat = this.game.combatSystem;
+        const convoyOwner = this.game.players[shipment.playerId];
+        const convoy = { roster: shipment.roster, wounds: {} };
+        const convoyShips = getRosterSize(convoy.roster);
+        const winChance = Math.max(0.1, Math.min(0.9, 0.5 + SUPPLY.AMBUSH_BONUS +
+            (ambushingPlayer ? combat.calculateWeaponBonus(ambushingPlayer) : 0) -
+            (convoyOwner ? combat.calculateDefenseBonus(convoyOwner) : 0)));
+        
+        while (getRosterSize(ambusher.roster) > 0 && getRosterSize(convoy.roster) > 0) {
+            combat.fightRound(winChance, ambusher, convoy, () => this.game.rng.next());
+        }
+        
+        const lost = convoyShips - getRosterSize(convoy.roster);
+        console.log(`📦 AMBUSH: ${ambushingPlayer ? ambushingPlayer.name : 'Garrison'} caught a convoy of ${convoyShips} at star ${territory.id}, ${lost} lost`);
+        if (convoyOwner && convoyOwner === this.game.humanPlayer) {
+            this.game.addNotification?.(`📦 Convoy ambushed at star ${territory.id}: ${lost} of ${convoyShips} ships lost`, '#ff4444', 4000);
+        }
+    }
     
     generateRouteId() {
         return `route_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -378,10 +659,8 @@ export class SupplySystem {
         // Render flash effect for newly created routes
         this.renderSupplyFlash(ctx, territories);
         
-        // Render active supply routes with animated arrows
+        // Render supply routes with animated arrows (cut routes in red until they reopen)
         this.supplyRoutes.forEach(route => {
-            if (!route.active) return;
-            
             const fromTerritory = territories[route.from];
             const toTerritory = territories[route.to];
             
@@ -389,8 +668,11 @@ export class SupplySystem {
                 ctx.save();
                 
                 // Draw route path with animated dashes - color based on activity
-                const routeActive = fromTerritory.armySize > 10; // Route is active if source has armies
-                if (routeActive) {
+                const routeActive = route.throughput > 0; // Route carried ships on the last send
+                if (route.cut) {
+                    ctx.strokeStyle = '#ff4444';
+                    ctx.globalAlpha = 0.5;
+                } else if (routeActive) {
                     ctx.strokeStyle = '#00ffff'; // Bright cyan for active routes
                     ctx.globalAlpha = 0.9;
                 } else {
@@ -425,6 +707,17 @@ export class SupplySystem {
                 
                 ctx.restore();
                 
+                // Risk indicator on the most dangerous star of a live route
+                const riskStar = !route.cut && route.risk > 0 ? territories[route.riskStar] : null;
+                if (riskStar) {
+                    ctx.save();
+                    ctx.font = 'bold 14px Arial';
+                    ctx.textAlign = 'center';
+                    ctx.fillStyle = route.risk >= GAME_CONSTANTS.PATH_HAZARD_BATTLE ? '#ff4444' : '#ffdd44';
+                    ctx.fillText('⚠', riskStar.x + riskStar.radius + 6, riskStar.y - riskStar.radius - 2);
+                    ctx.restore();
+                }
+                
                 /* White pulsing highlight while either end is hovered */
                 const hoveredId = this.game.inputHandler?.hoveredTerritory?.id;
                 if (hoveredId === route.from || hoveredId === route.to) {
@@ -448,6 +741,30 @@ export class SupplySystem {
                 }
             }
         });
+        
+        this.renderShipments(ctx, territories);
+    }
+    
+    // Shipments in flight, as dots moving along their current hop
+    renderShipments(ctx, territories) {
+        const now = this.game.clock.now();
+        ctx.save();
+        ctx.strokeStyle = '#003333';
+        ctx.lineWidth = 1;
+        this.shipments.forEach(shipment => {
+            const from = territories[shipment.path[shipment.hop]];
+            const to = territories[shipment.path[shipment.hop + 1]];
+            if (!from || !to) return;
+            
+            const progress = Math.max(0, Math.min(1, 1 - (shipment.hopArrivalTime - now) / shipment.hopTime));
+            ctx.fillStyle = shipment.returning ? '#ff8844' : '#00ffff'; // Convoys turned back by an enemy star
+            const size = 2 + Math.min(3, getRosterSize(shipment.roster) / 4);
+            ctx.beginPath();
+            ctx.arc(from.x + (to.x - from.x) * progress, from.y + (to.y - from.y) * progress, size, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
+        ctx.restore();
     }
     
     stopSupplyRoutesFromTerritory(territoryId) {
@@ -484,6 +801,39 @@ export class SupplySystem {
         };
     }
     
+    // Snapshot the supply network for save games (plain data keyed by territory IDs, times as offsets from now)
+    serialize() {
+        const now = this.game.clock.now();
+        return {
+            routes: this.supplyRoutes.map(route => ({ ...route, path: [...route.path] })),
+            sinks: [...this.sinks],
+            shipments: this.shipments.map(({ hopArrivalTime, ...shipment }) => ({
+                ...shipment,
+                path: [...shipment.path],
+                roster: { ...shipment.roster },
+                arrivalIn: hopArrivalTime - now
+            })),
+            nextTransferIn: this.nextTransferTime === null ? null : this.nextTransferTime - now
+        };
+    }
+    
+    // Rebuild the network from serialize(); null (a replay restart) empties it
+    restore(data) {
+        const network = data || { routes: [], sinks: [], shipments: [], nextTransferIn: null };
+        const now = this.game.clock.now();
+        
+        this.supplyRoutes = network.routes.map(route => ({ ...route, path: [...route.path] }));
+        this.sinks = new Map(network.sinks);
+        this.shipments = network.shipments.map(({ arrivalIn, ...shipment }) => ({
+            ...shipment,
+            path: [...shipment.path],
+            roster: { ...shipment.roster },
+            hopArrivalTime: now + arrivalIn
+        }));
+        this.nextShipmentId = this.shipments.reduce((next, shipment) => Math.max(next, shipment.id + 1), 1);
+        this.nextTransferTime = network.nextTransferIn === null ? null : now + network.nextTransferIn;
+    }
+    
     logSupplyRouteDebug() {
         console.log('=== Supply Route Debug ===');
         console.log(`Total routes: ${this.supplyRoutes.length}`);
@@ -497,7 +847,7 @@ export class SupplySystem {
             console.log(`  Path length: ${route.path?.length || 0} territories`);
             console.log(`  From armies: ${fromTerritory?.armySize || 'N/A'}`);
             console.log(`  To armies: ${toTerritory?.armySize || 'N/A'}`);
-            console.log(`  Last transfer: ${Date.now() - route.lastTransfer}ms ago`);
+            console.log(`  Share: ${route.share}%, throughput: ${route.throughput.toFixed(2)}/s${route.limitedBy ? ` (limited by ${route.limitedBy})` : ''}`);
         }
     }
 }
\ No newline at end of file
@@ -1,3 +1,8 @@
+import { GAME_CONSTANTS } from '../../../common/gameConstants';
+import { formatIntelAge } from './FogOfWarSystem';
+import { DEFAULT_SHIP_CLASS, SHIP_CLASSES, getShipRoster, takeShips, addShips } from './ShipyardSystem';
+import { STARBASE_UPGRADES, getFleetCapacity } from './StarbaseSystem';
+
 export class Territory {
     constructor(id, x, y, radius = 25, isColonizable = false) {
         this.id = id;
@@ -10,6 +15,8 @@ export class Territory {
         
         // All territories start with neutral garrisons (1-25 armies)
         this.armySize = Math.floor(Math.random() * 25) + 1;
+        this.roster = null; // Ships per class, settled against armySize when read (see ShipyardSystem.getShipRoster)
+        this.productionFocus = DEFAULT_SHIP_CLASS; // Ship class this star builds
         this.isColonizable = false; // No longer needed with new visibility system
         
         // Fleet management system
@@ -24,7 +31,14 @@ export class Territory {
         // Animation
         this.pulsePhase = Math.random() * Math.PI * 2;
         this.lastArmyGeneration = 0;
-        this.armyGenerationRate = 3000; // Generate army every 3 seconds (matches GAME_CONSTANTS)
+        this.armyGenerationRate = GAME_CONSTANTS.STAR_GENERATION_INTERVAL; // Generate an army every 3 seconds
+        
+        // Discovery hazards
+        this.timedGeneration = null; // { multiplier, expiresAt } on the simulation clock, e.g. a plague
+        this.minefield = null; // { damage } - fraction of the next arriving fleet lost
+        
+        // Starbase upgrades built by the owner (see StarbaseSystem)
+        this.upgrades = [];
         
         // Combat flash effect
         this.combatFlashTime = 0;
@@ -59,6 +73,16 @@ export class Territory {
         return this.ownerId === null;
     }
     
+    // Generation multiplier from a timed discovery effect; expired effects are cleared
+    getTimedGenerationMultiplier(now) {
+        if (!this.timedGeneration) return 1;
+        if (now >= this.timedGeneration.expiresAt) {
+            this.timedGeneration = null;
+            return 1;
+        }
+        return this.timedGeneration.multiplier;
+    }
+    
     triggerCombatFlash() {
         this.combatFlashTime = Date.now();
         console.log(`⚡ FLASH TRIGGERED: Territory ${this.id} combat flash set to ${this.combatFlashTime}`);
@@ -82,16 +106,19 @@ export class Territory {
             return; // Skip neutral territories
         }
         
+        // A shipyard upgrade raises the capacity
+        const capacity = getFleetCapacity(this);
+        
         // Enhanced debugging for overflow issues
-        if (this.armySize > this.maxFleet) {
-            // console.log(`🔍 OVERFLOW CHECK: Territory ${this.id} has ${this.armySize}/${this.maxFleet} ships (excess: ${this.armySize - this.maxFleet})`);
+        if (this.armySize > capacity) {
+            // console.log(`🔍 OVERFLOW CHECK: Territory ${this.id} has ${this.armySize}/${capacity} ships (excess: ${this.armySize - capacity})`);
         }
         
-        if (this.armySize <= this.maxFleet) {
+        if (this.armySize <= capacity) {
             return; // No overflow
         }
         
-        const excess = this.armySize - this.maxFleet;
+        const excess = this.armySize - capacity;
         const owner = game.players.find(p => p.id === this.ownerId);
         if (!owner) {
             console.log(`❌ OVERFLOW ERROR: No owner found for territory ${this.id} (ownerId: ${this.ownerId})`);
@@ -113,7 +140,7 @@ export class Territory {
         let remaining = excess;
         // console.log(`💫 OVERFLOW START: Territory ${this.id} needs to transfer ${remaining} armies`);
         
-        while (remaining > 0 && this.armySize > this.maxFleet) {
+        while (remaining > 0 && this.armySize > capacity) {
             // Distribute evenly among all friendly neighbors (even if they're full)
             const perNeighbor = Math.ceil(remaining / friendlyNeighbors.length);
             let sent = false;
@@ -122,8 +149,7 @@ export class Territory {
                 const toSend = Math.min(perNeighbor, remaining);
                 
                 if (toSend > 0) {
-                    neighbor.armySize += toSend;
-                    this.armySize -= toSend;
+                    addShips(neighbor, takeShips(this, toSend));
                     remaining -= toSend;
                     sent = true;
                     
@@ -148,18 +174,17 @@ export class Territory {
         // console.log(`💫 OVERFLOW END: Territory ${this.id} final state: ${this.armySize}/${this.maxFleet}`);
     }
 
-    generateArmies(deltaTime, player, gameSpeed = 1.0, game = null) {
+    generateArmies(deltaTime, player, game = null) {
         // Neutral territories have fixed army sizes and don't generate armies
         if (this.ownerId === null) return;
         
         // Don't generate armies until a few seconds after game start to prevent initialization issues
-        if (game && game.gameStartTime && (Date.now() - game.gameStartTime) < 5000) {
+        if (game && game.clock.now() < 5000) {
             return;
         }
         
-        // Apply game speed multiplier to army generation timing
-        const speedAdjustedDelta = deltaTime * gameSpeed;
-        this.lastArmyGeneration += speedAdjustedDelta;
+        // deltaTime is a simulation step; game speed is already applied by the clock
+        this.lastArmyGeneration += deltaTime;
         
         // Calculate generation rate with discovery bonuses and tech bonuses
         let effectiveGenerationRate = this.armyGenerationRate;
@@ -169,26 +194,26 @@ export class Territory {
             effectiveGenerationRate *= (1 + player.tech.production * 0.1);
         }
         
-        // Apply planet-specific bonuses
-        if (this.discoveryBonus === 'factory') {
-            effectiveGenerationRate *= 0.5; // 200% speed (half the time)
-        } else if (this.discoveryBonus === 'minerals') {
-            effectiveGenerationRate *= 0.67; // 150% speed
-        } else if (this.discoveryBonus === 'void_storm') {
-            effectiveGenerationRate *= 1.33; // 75% speed
+        // Dearer ship classes take longer to build
+        effectiveGenerationRate *= (SHIP_CLASSES[this.productionFocus] || SHIP_CLASSES[DEFAULT_SHIP_CLASS]).buildCost;
+        
+        // Apply timed discovery effects (e.g. plague)
+        if (game) {
+            effectiveGenerationRate /= this.getTimedGenerationMultiplier(game.clock.now());
         }
         
-        // Apply empire-wide nanotech bonus
-        if (game && game.discoveries && game.discoveries.precursorNanotech > 0) {
-            const nanotechBonus = 1 + (game.discoveries.precursorNanotech * 0.1);
-            effectiveGenerationRate /= nanotechBonus;
+        // Apply the owner's empire-wide nanotech bonus
+        const nanotechBonus = game?.discoverySystem?.getArmyGenerationBonus(this.ownerId) || 0;
+        if (nanotechBonus > 0) {
+            effectiveGenerationRate /= (1 + nanotechBonus);
         }
         
         if (this.lastArmyGeneration >= effectiveGenerationRate) {
             const armiesGenerated = Math.floor(this.lastArmyGeneration / effectiveGenerationRate);
             this.lastArmyGeneration = this.lastArmyGeneration % effectiveGenerationRate;
             
-            // Normal army generation only - auto supply routes disabled
+            // Normal army generation only - auto supply routes disabled; new ships are of the star's focus class
+            getShipRoster(this)[SHIP_CLASSES[this.productionFocus] ? this.productionFocus : DEFAULT_SHIP_CLASS] += armiesGenerated;
             this.armySize = Math.max(1, this.armySize + armiesGenerated);
             
             // Ensure armies never go negative due to any calculation errors
@@ -206,10 +231,17 @@ export class Territory {
         const isSelected = selectedTerritory && selectedTerritory.id === this.id;
         const isHovered = hoveredTerritory && hoveredTerritory.id === this.id;
         
+        // FOG OF WAR: outside sensor range, draw what the human player last saw instead of live state
+        const intel = gameData?.fogOfWar?.enabled ? gameData.fogOfWar.getIntel(this) : null;
+        const ownerId = intel ? intel.ownerId : this.ownerId;
+        const armySize = intel ? intel.armySize : this.armySize;
+        const isThronestar = intel ? intel.isThronestar : this.isThronestar;
+        const isFogged = intel !== null && !intel.visible;
+        
         // Determine territory color
         let fillColor = this.neutralColor;
-        if (this.ownerId !== null && players[this.ownerId]) {
-            fillColor = players[this.ownerId].color;
+        if (ownerId !== null && players[ownerId]) {
+            fillColor = players[ownerId].color;
         }
         
         // Add home system flashing effect for human player
@@ -229,7 +261,7 @@ export class Territory {
         
         // Add combat flash effect (applies to all territories including neutral)
         const currentTime = Date.now();
-        if (this.combatFlashTime > 0 && currentTime - this.combatFlashTime < this.combatFlashDuration) {
+        if (!isFogged && this.combatFlashTime > 0 && currentTime - this.combatFlashTime < this.combatFlashDuration) {
             const flashProgress = (currentTime - this.combatFlashTime) / this.combatFlashDuration;
             const flashIntensity = Math.sin(flashProgress * Math.PI * 6) * (1 - flashProgress);
             if (flashIntensity > 0 && this.combatFlashColor) {
@@ -276,18 +308,22 @@ export class Territory {
         ctx.save();
         
         // FOG OF WAR: Check if this is a mysterious territory
-        const humanPlayerId = gameData?.humanPlayer?.id;
-        const isNeutralMystery = this.ownerId === null && !this.neighbors.some(neighborId => {
-            const neighbor = gameData?.gameMap?.territories?.[neighborId];
-            return neighbor && neighbor.ownerId === humanPlayerId;
-        });
-        
-        const isEnemyMystery = this.ownerId !== null && this.ownerId !== humanPlayerId && !this.neighbors.some(neighborId => {
-            const neighbor = gameData?.gameMap?.territories?.[neighborId];
-            return neighbor && neighbor.ownerId === humanPlayerId;
-        });
-        
-        const isMysteriousTerritory = isNeutralMystery || isEnemyMystery;
+        let isMysteriousTerritory = isFogged;
+        if (!intel) {
+            // Without sensor-range fog, only stars next to the human player's empire are in the clear
+            const humanPlayerId = gameData?.humanPlayer?.id;
+            const isNeutralMystery = this.ownerId === null && !this.neighbors.some(neighborId => {
+                const neighbor = gameData?.gameMap?.territories?.[neighborId];
+                return neighbor && neighbor.ownerId === humanPlayerId;
+            });
+            
+            const isEnemyMystery = this.ownerId !== null && this.ownerId !== humanPlayerId && !this.neighbors.some(neighborId => {
+                const neighbor = gameData?.gameMap?.territories?.[neighborId];
+                return neighbor && neighbor.ownerId === humanPlayerId;
+            });
+            
+            isMysteriousTerritory = isNeutralMystery || isEnemyMystery;
+        }
         
         // Adjust rendering for mysterious territories
         const renderRadius = isMysteriousTerritory ? this.radius * 0.8 : this.radius;
@@ -314,7 +350,7 @@ export class Territory {
         ctx.shadowBlur = 0;
         
         // Optimize player lookup using direct access
-        const player = this.ownerId ? players[this.ownerId] : null;
+        const player = ownerId ? players[ownerId] : null;
         const isHumanPlayer = player && player.type === 'human';
         
         // Set stroke properties based on state
@@ -360,7 +396,7 @@ export class Territory {
         }
         
         // Add extra ring for player territories
-        if (this.ownerId !== null && player) {
+        if (ownerId !== null && player) {
             // Draw outer ring for all player territories
             ctx.beginPath();
             ctx.arc(this.x, this.y, this.radius + 4, 0, Math.PI * 2);
@@ -401,10 +437,15 @@ export class Territory {
         }
         
         // Draw crown for throne star territories (SHOW ALL CROWNS)
-        if (this.isThronestar && this.ownerId !== null) {
+        if (isThronestar && ownerId !== null) {
             this.renderCrown(ctx);
         }
         
+        // King of the Hill star - always marked, everyone knows where the hill is
+        if (gameData?.game?.victorySystem?.isHillStar(this)) {
+            this.renderStatusIcon(ctx, '⛰️', this.x - this.radius - 10, this.y - this.radius * 0.8);
+        }
+        
         // Draw red X for no-go zones (flood mode)
         if (gameData?.humanPlayer && this.ownerId !== gameData.humanPlayer.id) {
             const floodController = gameData.game?.floodController;
@@ -423,21 +464,38 @@ export class Territory {
             this.renderMineralIcon(ctx);
         }
         
+        // Timed output and minefield markers, hidden while the star is out of sensor range
+        if (!isFogged && this.timedGeneration) {
+            this.renderStatusIcon(ctx, this.timedGeneration.multiplier < 1 ? '☣️' : '⏳', this.x - this.radius - 10, this.y + this.radius * 0.8);
+        }
+        if (!isFogged && this.minefield) {
+            this.renderStatusIcon(ctx, '💣', this.x + this.radius + 10, this.y + this.radius * 0.8);
+        }
+        
+        // Starbase upgrades in a row below the star, also hidden out of sensor range
+        if (!isFogged && this.upgrades.length > 0) {
+            const spacing = Math.max(12, this.radius * 0.6);
+            this.upgrades.forEach((upgrade, index) => {
+                const x = this.x + (index - (this.upgrades.length - 1) / 2) * spacing;
+                this.renderStatusIcon(ctx, STARBASE_UPGRADES[upgrade].icon, x, this.y + this.radius + 10);
+            });
+        }
+        
         // Draw explosion animation for failed probes
         if (this.explosionTime && Date.now() - this.explosionTime < this.explosionDuration) {
             this.renderExplosion(ctx);
         }
         
-        // Draw army count for neutral territories - hide only if in nebula
-        if (this.ownerId === null) {
+        // Draw army count for neutral territories - hide only if in nebula or never scouted
+        if (ownerId === null) {
             ctx.font = 'bold 14px Arial';
             ctx.textAlign = 'center';
             
             // Check if territory is inside a nebula (hide fleet count if so)
             const isInNebula = gameData?.gameMap?.isInNebula?.(this.x, this.y, 15) || false;
             
-            if (isInNebula) {
-                // Neutral territory in nebula - show purple question mark
+            if (isInNebula || armySize === null) {
+                // Neutral territory in nebula (or never seen) - show purple question mark
                 ctx.fillStyle = '#9966ff'; // Purple text for nebula mystery
                 ctx.strokeStyle = 'rgba(153, 102, 255, 0.8)'; // Purple outline
                 ctx.lineWidth = 2;
@@ -452,7 +510,7 @@ export class Territory {
                 ctx.strokeStyle = '#ffffff'; // White outline for contrast
                 ctx.lineWidth = 2;
                 
-                const displayText = this.armySize.toString();
+                const displayText = armySize.toString();
                 ctx.strokeText(displayText, this.x, this.y + 4);
                 ctx.fillText(displayText, this.x, this.y + 4);
             }
@@ -467,11 +525,11 @@ export class Territory {
         }
         
         // Draw army count for owned territories - ALWAYS show player's own fleet counts
-        if (this.ownerId !== null) {
-            const player = players[this.ownerId];
+        if (ownerId !== null) {
+            const player = players[ownerId];
             if (player) {
                 const humanPlayerId = gameData?.humanPlayer?.id;
-                const isPlayerOwned = this.ownerId === humanPlayerId;
+                const isPlayerOwned = ownerId === humanPlayerId;
                 const isInNebula = gameData?.gameMap?.isInNebula?.(this.x, this.y, 15) || false;
                 
                 // Always show fleet counts for player's own territories, even in nebulas
@@ -487,10 +545,10 @@ export class Territory {
                     ctx.font = 'bold 12px Arial';
                     ctx.textAlign = 'center';
                     
-                    let displayText = this.armySize.toString();
+                    let displayText = armySize.toString();
                     
                     // Add black dot indicator for reinforcing stars
-                    if (gameData?.supplySystem?.isSupplySource(this.id)) {
+                    if (!isFogged && gameData?.supplySystem?.isSupplySource(this.id)) {
                         displayText = `● ${displayText}`;
                     }
                     
@@ -511,6 +569,14 @@ export class Territory {
             }
         }
         
+        // Age of last-known intel under fogged stars that have been scouted before
+        if (isFogged && intel.known) {
+            ctx.fillStyle = '#888888';
+            ctx.font = '9px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(formatIntelAge(intel.age), this.x, this.y + this.radius + 11);
+        }
+        
         // Draw floating text (probe-related floating text disabled)
         if (this.floatingText && !this.floatingText.text.includes('-10')) {
             const currentTime = Date.now();
@@ -649,6 +715,17 @@ export class Territory {
         ctx.restore();
     }
     
+    renderStatusIcon(ctx, icon, x, y) {
+        const size = Math.max(10, this.radius * 0.6);
+        
+        ctx.save();
+        ctx.font = `bold ${size}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(icon, x, y);
+        ctx.restore();
+    }
+    
     renderNoGoMarker(ctx) {
         // Red X marker positioned on top of the planet (center)
         const markerX = this.x;
@@ -761,7 +838,7 @@ export class Territory {
         return this.neighbors.includes(otherTerritory.id);
     }
     
-    // Serialize territory data for network transmission (future multiplayer)
+    // Serialize territory data for network transmission and save games
     serialize() {
         return {
             id: this.id,
@@ -770,16 +847,41 @@ export class Territory {
             radius: this.radius,
             neighbors: this.neighbors,
             ownerId: this.ownerId,
-            armySize: this.armySize
+            armySize: this.armySize,
+            roster: this.roster ? { ...getShipRoster(this) } : null,
+            productionFocus: this.productionFocus,
+            maxFleet: this.maxFleet,
+            isThronestar: !!this.isThronestar,
+            hasFactory: !!this.hasFactory,
+            discoveryBonus: this.discoveryBonus || null,
+            armyGenerationRate: this.armyGenerationRate,
+            lastArmyGeneration: this.lastArmyGeneration,
+            timedGeneration: this.timedGeneration ? { ...this.timedGeneration } : null,
+            minefield: this.minefield ? { ...this.minefield } : null,
+            upgrades: [...this.upgrades]
         };
     }
     
-    // Deserialize territory data from network (future multiplayer)
+    // Deserialize territory data from network or a save game
     static deserialize(data) {
         const territory = new Territory(data.id, data.x, data.y, data.radius);
         territory.neighbors = data.neighbors || [];
         territory.ownerId = data.ownerId;
         territory.armySize = data.armySize || 0;
+        
+        // Optional fields (older payloads may not include them)
+        if (data.maxFleet !== undefined) territory.maxFleet = data.maxFleet;
+        // Saves of stars with a broken discovery rate hold null here; they keep the base rate
+        if (Number.isFinite(data.armyGenerationRate) && data.armyGenerationRate > 0) territory.armyGenerationRate = data.armyGenerationRate;
+        if (data.lastArmyGeneration !== undefined) territory.lastArmyGeneration = data.lastArmyGeneration;
+        territory.isThronestar = !!data.isThronestar;
+        territory.hasFactory = !!data.hasFactory;
+        if (data.discoveryBonus) territory.discoveryBonus = data.discoveryBonus;
+        if (data.timedGeneration) territory.timedGeneration = { ...data.timedGeneration };
+        if (data.minefield) territory.minefield = { ...data.minefield };
+        if (data.roster) territory.roster = { ...data.roster };
+        if (data.upgrades) territory.upgrades = data.upgrades.filter(upgrade => STARBASE_UPGRADES[upgrade]);
+        if (SHIP_CLASSES[data.productionFocus]) territory.productionFocus = data.productionFocus;
         return territory;
     }
 }
@@ -0,0 +1,206 @@
+import { GAME_CONSTANTS } from '../../../common/gameConstants';
+import { DEFAULT_THRONE_RULES, isThroneRuleSet } from '../lib/throneRules';
+import { REPLAY_COMMANDS } from './ReplaySystem';
+
+/**
+ * ThroneSystem - Applies the throne rule set picked on the config screen (game.config.throneRules)
+ * Classic: a fallen throne hands the whole empire to the conqueror (CombatSystem.handleThroneStarCapture)
+ * Exile: only the throne star is lost; the empire raises a new throne on one of its stars after a cooldown
+ * Capitals: empires found extra capitals and are only finished once the last one falls
+ */
+export class ThroneSystem {
+    constructor(game) {
+        this.game = game;
+        this.readyAnnounced = false; // Human was told their new throne can be raised
+    }
+
+    // Read from the config each time so loading a save brings its rules along
+    get rules() {
+        const rules = this.game.config.throneRules;
+        return isThroneRuleSet(rules) ? rules : DEFAULT_THRONE_RULES;
+    }
+
+    // Most throne stars one empire may hold at once
+    getMaxThrones() {
+        return this.rules === 'capitals' ? 1 + GAME_CONSTANTS.MAX_EXTRA_CAPITALS : 1;
+    }
+
+    // Throne stars (the original throne plus any capitals) the player still holds
+    getCapitals(player) {
+        return player.territories
+            .map(id => this.game.gameMap.territories[id])
+            .filter(territory => territory && territory.isThronestar);
+    }
+
+    isExiled(player) {
+        return this.rules === 'exile' && !player.isEliminated && player.exileUntil !== null;
+    }
+
+    // Simulated ms until an exiled player may raise a new throne (0 once ready)
+    getRelocationCooldown(player) {
+        if (!this.isExiled(player)) return 0;
+        return Math.max(0, player.exileUntil - this.game.clock.now());
+    }
+
+    /**
+     * Throne state for the leaderboard and HUD
+     * @param {Object} player - Player to describe
+     * @returns {{ capitals: number, exiled: boolean, cooldown: number }}
+     */
+    getStatus(player) {
+        return {
+            capitals: this.getCapitals(player).length,
+            exiled: this.isExiled(player),
+            cooldown: this.getRelocationCooldown(player)
+        };
+    }
+
+    /**
+     * A throne star has just changed hands (CombatSystem.completeBattle)
+     * @param {Object} attacker - Conquering player
+     * @param {Object} oldOwner - Player whose throne fell
+     * @param {Object} throneTerritory - The captured throne star, already owned by the attacker
+     * @returns {boolean} True if the empire survives; false falls through to the Classic takeover
+     */
+    handleThroneLoss(attacker, oldOwner, throneTerritory) {
+        if (this.rules === 'capitals') {
+            const remaining = this.getCapitals(oldOwner).filter(territory => territory.id !== throneTerritory.id);
+            if (remaining.length === 0) return false;
+
+            throneTerritory.isThronestar = false;
+            if (oldOwner.throneStarId === throneTerritory.id) {
+                oldOwner.throneStarId = remaining[0].id; // Government moves to the next capital
+            }
+            console.log(`🏛️ CAPITAL LOST: ${oldOwner.name} lost star ${throneTerritory.id} to ${attacker.name}, ${remaining.length} capital(s) left`);
+            this.notify(oldOwner, `🏛️ Capital lost! ${remaining.length} capital${remaining.length === 1 ? '' : 's'} left`, '#ff4444');
+            return true;
+        }
+
+        if (this.rules === 'exile') {
+            if (oldOwner.territories.length === 0) return false;
+
+            throneTerritory.isThronestar = false;
+            oldOwner.throneStarId = null;
+            oldOwner.exileUntil = this.game.clock.now() + GAME_CONSTANTS.EXILE_RELOCATION_COOLDOWN_MS;
+            if (oldOwner === this.game.humanPlayer) {
+                this.readyAnnounced = false;
+            }
+            console.log(`⛺ EXILE: ${oldOwner.name} lost their throne to ${attacker.name} and goes into exile`);
+            this.notify(oldOwner, `⛺ Your throne has fallen! A new one can be raised in ${Math.round(GAME_CONSTANTS.EXILE_RELOCATION_COOLDOWN_MS / 1000)}s`, '#ff4444');
+            return true;
+        }
+
+        return false;
+    }
+
+    canRelocate(player, territory) {
+        return this.isExiled(player) && this.getRelocationCooldown(player) === 0 && territory.ownerId === player.id;
+    }
+
+    /**
+     * Raise an exiled empire's new throne
+     * @returns {boolean} Whether the throne was raised
+     */
+    relocateThrone(player, territory) {
+        if (!this.canRelocate(player, territory)) return false;
+        if (!this.game.recordCommand(REPLAY_COMMANDS.THRONE_RELOCATE, { playerId: player.id, territoryId: territory.id })) return false;
+
+        territory.isThronestar = true;
+        player.throneStarId = territory.id;
+        player.exileUntil = null;
+
+        console.log(`👑 RELOCATION: ${player.name} raises a new throne on star ${territory.id}`);
+        this.notify(player, `👑 New throne raised on star ${territory.id}`, '#ffd700');
+        return true;
+    }
+
+    canBuildCapital(player, territory) {
+        return this.rules === 'capitals' &&
+            territory.ownerId === player.id &&
+            !territory.isThronestar &&
+            territory.armySize > GAME_CONSTANTS.CAPITAL_BUILD_COST &&
+            this.getCapitals(player).length < this.getMaxThrones();
+    }
+
+    /**
+     * Found an extra capital, paid for with ships from the star itself
+     * @returns {boolean} Whether the capital was built
+     */
+    buildCapital(player, territory) {
+        if (!this.canBuildCapital(player, territory)) return false;
+        if (!this.game.recordCommand(REPLAY_COMMANDS.CAPITAL_BUILD, { playerId: player.id, territoryId: territory.id })) return false;
+
+        territory.armySize -= GAME_CONSTANTS.CAPITAL_BUILD_COST;
+        territory.isThronestar = true;
+
+        console.log(`🏛️ CAPITAL: ${player.name} founds a capital on star ${territory.id}`);
+        this.notify(player, `🏛️ Capital founded on star ${territory.id}`, '#ffd700');
+        return true;
+    }
+
+    /**
+     * The human's throne key on the selected star: raise a new throne (Exile) or found a capital (Capitals)
+     * @param {Object|null} territory - Selected star
+     */
+    handleHumanAction(territory) {
+        const player = this.game.humanPlayer;
+        if (!player || player.isEliminated) return;
+
+        if (this.rules === 'classic') {
+            this.game.showMessage('Classic rules: thrones cannot be moved or added', 2000);
+        } else if (!territory || territory.ownerId !== player.id) {
+            this.game.showMessage('Select one of your stars first', 2000);
+        } else if (this.rules === 'exile') {
+            const cooldown = this.getRelocationCooldown(player);
+            if (!this.isExiled(player)) {
+                this.game.showMessage('Your throne still stands', 2000);
+            } else if (cooldown > 0) {
+                this.game.showMessage(`A new throne can be raised in ${Math.ceil(cooldown / 1000)}s`, 2000);
+            } else {
+                this.relocateThrone(player, territory);
+            }
+        } else if (territory.isThronestar) {
+            this.game.showMessage('That star is already a capital', 2000);
+        } else if (this.getCapitals(player).length >= this.getMaxThrones()) {
+            this.game.showMessage(`You already have ${GAME_CONSTANTS.MAX_EXTRA_CAPITALS} extra capitals`, 2000);
+        } else if (territory.armySize <= GAME_CONSTANTS.CAPITAL_BUILD_COST) {
+            this.game.showMessage(`A capital costs ${GAME_CONSTANTS.CAPITAL_BUILD_COST} ships from the star`, 2000);
+        } else {
+            this.buildCapital(player, territory);
+        }
+    }
+
+    // AI empires relocate and build capitals on their own; the human is reminded when a throne can be raised
+    update() {
+        if (this.rules === 'classic' || this.game.tick % 120 !== 0) return;
+
+        const human = this.game.humanPlayer;
+        if (human && !this.readyAnnounced && this.isExiled(human) && this.getRelocationCooldown(human) === 0) {
+            this.readyAnnounced = true;
+            this.notify(human, '👑 Select a star and press T to raise your new throne', '#ffd700');
+        }
+
+        for (const player of this.game.players) {
+            if (player.type === 'human' || player.isEliminated) continue;
+
+            const stars = player.territories
+                .map(id => this.game.gameMap.territories[id])
+                .filter(Boolean)
+                .sort((a, b) => b.armySize - a.armySize || a.id - b.id);
+
+            if (this.rules === 'exile' && this.isExiled(player) && stars.length > 0) {
+                this.relocateThrone(player, stars[0]);
+            } else if (this.rules === 'capitals') {
+                // Only spend on a capital when the star keeps a real garrison afterwards
+                const site = stars.find(star => !star.isThronestar && star.armySize >= GAME_CONSTANTS.CAPITAL_BUILD_COST * 2);
+                if (site) this.buildCapital(player, site);
+            }
+        }
+    }
+
+    notify(player, message, color) {
+        if (player === this.game.humanPlayer && this.game.addNotification) {
+            this.game.addNotification(message, color, 5000);
+        }
+    }
+}
@@ -256,58 +256,46 @@ export class UIManager {
         ctx.textAlign = 'left';
         let contentY = y + 45;
         
-        // Empire bonuses
-        if (discoveries.precursorWeapons > 0) {
-            ctx.fillStyle = '#ff6666';
-            ctx.fillText(`⚔️ Weapons: +${discoveries.precursorWeapons * 10}% Attack`, x + 10, contentY);
-            contentY += 18;
-        }
-        
-        if (discoveries.precursorDrive > 0) {
-            ctx.fillStyle = '#66ccff';
-            ctx.fillText(`🚀 Drive: +${discoveries.precursorDrive * 20}% Speed`, x + 10, contentY);
-            contentY += 18;
-        }
-        
-        if (discoveries.precursorShield > 0) {
-            ctx.fillStyle = '#66ff66';
-            ctx.fillText(`🛡️ Shield: +${discoveries.precursorShield * 10}% Defense`, x + 10, contentY);
-            contentY += 18;
-        }
-        
-        if (discoveries.precursorNanotechnology > 0) {
-            ctx.fillStyle = '#cc66ff';
-            ctx.fillText(`🔬 Nanotech: +${discoveries.precursorNanotechnology * 10}% Production`, x + 10, contentY);
-            contentY += 18;
+        const ledger = discoveries.ledger;
+        if (!ledger) {
+            ctx.restore();
+            return;
         }
         
-        // Planet discoveries
-        if (discoveries.factoryPlanets.length > 0) {
-            ctx.fillStyle = '#ffcc00';
-            ctx.fillText(`🏭 Factories: ${discoveries.factoryPlanets.length} planets`, x + 10, contentY);
-            contentY += 18;
-        }
-        
-        if (discoveries.richMinerals > 0) {
-            ctx.fillStyle = '#ffaa00';
-            ctx.fillText(`💎 Rich Minerals: ${discoveries.richMinerals} planets`, x + 10, contentY);
-            contentY += 18;
-        }
+        // Empire bonuses
+        const empireBonuses = [
+            { level: ledger.precursorWeapons, color: '#ff6666', text: level => `⚔️ Weapons: +${level * 10}% Attack` },
+            { level: ledger.precursorDrive, color: '#66ccff', text: level => `🚀 Drive: +${level * 20}% Speed` },
+            { level: ledger.precursorShield, color: '#66ff66', text: level => `🛡️ Shield: +${level * 10}% Defense` },
+            { level: ledger.precursorNanotech, color: '#cc66ff', text: level => `🔬 Nanotech: +${level * 10}% Production` }
+        ];
+        empireBonuses.forEach(bonus => {
+            if (bonus.level > 0) {
+                ctx.fillStyle = bonus.color;
+                ctx.fillText(bonus.text(bonus.level), x + 10, contentY);
+                contentY += 18;
+            }
+        });
         
-        if (discoveries.friendlyAliens > 0) {
-            ctx.fillStyle = '#00ff88';
-            ctx.fillText(`👾 Friendly Aliens: ${discoveries.friendlyAliens} colonies`, x + 10, contentY);
+        // Everything else found so far, straight from the catalog (including pack discoveries)
+        discoveries.catalog.forEach(discovery => {
+            const count = ledger.finds[discovery.id] || 0;
+            if (count === 0 || discovery.category === 'empire_bonus' || discovery.id === 'standard_planet') return;
+            if (contentY > y + panelHeight - 10) return;
+            ctx.fillStyle = discovery.color;
+            ctx.fillText(`${discovery.icon} ${discovery.name}: ${count}`, x + 10, contentY);
             contentY += 18;
-        }
+        });
         
         ctx.restore();
     }
 
-    // Render probe discovery announcements at top center
+    // Render discovery hazard announcements at top center
     renderProbeAnnouncements(ctx, discoverySystem) {
         const announcements = discoverySystem.recentDiscoveries.slice(0, 1); // Show only most recent
         
-        if (announcements.length === 0) return;
+        // Good finds already get the top discovery bar; this panel is for hazards
+        if (announcements.length === 0 || !announcements[0].hazard) return;
         
         const announcement = announcements[0];
         const timeSince = Date.now() - announcement.timestamp;
@@ -332,8 +320,8 @@ export class UIManager {
         ctx.strokeStyle = announcement.color || '#ffffff';
         ctx.lineWidth = 2;
         
-        const panelWidth = 400;
-        const panelHeight = 80;
+        const panelWidth = 440;
+        const panelHeight = announcement.details ? 100 : 80;
         ctx.fillRect(centerX - panelWidth / 2, centerY - panelHeight / 2, panelWidth, panelHeight);
         ctx.strokeRect(centerX - panelWidth / 2, centerY - panelHeight / 2, panelWidth, panelHeight);
         
@@ -346,13 +334,19 @@ export class UIManager {
         // Title
         ctx.font = 'bold 16px Arial';
         ctx.fillStyle = announcement.color || '#ffffff';
-        ctx.fillText(announcement.name, centerX, centerY + 5);
+        ctx.fillText(`⚠️ ${announcement.name}`, centerX, centerY + 5);
         
         // Description
         ctx.font = '12px Arial';
         ctx.fillStyle = '#cccccc';
         ctx.fillText(announcement.description, centerX, centerY + 25);
         
+        // What the hazard actually did
+        if (announcement.details) {
+            ctx.fillStyle = '#ff9999';
+            ctx.fillText(announcement.details, centerX, centerY + 42);
+        }
+        
         ctx.restore();
     }
 
@@ -0,0 +1,320 @@
+import { GAME_CONSTANTS } from '../../../common/gameConstants';
+import {
+    DEFAULT_VICTORY_MODE,
+    SCORE_WEIGHTS,
+    VICTORY_MODES,
+    getMatchLengthMs,
+    getVictorySetting,
+    isVictoryMode
+} from '../lib/victoryModes';
+
+/**
+ * VictorySystem - Runs the match timer and the victory mode picked on the config screen (game.config.victoryMode)
+ * Conquest: last empire standing (StarThrone.checkWinConditions), a draw when the timer runs out
+ * Domination: first empire to hold dominationPercent of all stars for dominationHoldSeconds
+ * Timed Score: best score when the timer runs out (stars, fleets and enemy thrones captured)
+ * King of the Hill: the central hill star scores a point every second for its owner, first to hillTargetPoints
+ * Last empire standing still wins in every mode.
+ */
+export class VictorySystem {
+    constructor(game) {
+        this.game = game;
+        this.reset();
+    }
+
+    // Read from the config each time so loading a save brings its mode along
+    get mode() {
+        const mode = this.game.config.victoryMode;
+        return isVictoryMode(mode) ? mode : DEFAULT_VICTORY_MODE;
+    }
+
+    get modeName() {
+        return VICTORY_MODES.find(mode => mode.id === this.mode).name;
+    }
+
+    reset() {
+        this.accumulator = 0; // Simulated ms towards the next domination / hill check
+        this.hillStarId = null;
+        this.hillPoints = {}; // playerId -> points scored on the hill
+        this.domination = null; // { playerId, heldMs } while an empire is over the threshold
+        this.result = null; // { mode, winnerId, reason } once the match is decided
+    }
+
+    /**
+     * Fresh match on a freshly distributed map: restart the timer and raise the hill
+     */
+    start() {
+        this.reset();
+        this.game.gameTimer = getMatchLengthMs(this.game.config);
+
+        if (this.mode === 'king_of_the_hill') {
+            const hill = this.pickHillStar();
+            if (hill) {
+                this.hillStarId = hill.id;
+                hill.armySize = Math.max(hill.armySize, GAME_CONSTANTS.HILL_STAR_GARRISON);
+                console.log(`⛰️ HILL: star ${hill.id} is the King of the Hill star`);
+            }
+        }
+    }
+
+    // Unowned star closest to the middle of the map
+    pickHillStar() {
+        const gameMap = this.game.gameMap;
+        const centerX = gameMap.width / 2;
+        const centerY = gameMap.height / 2;
+        let best = null;
+        let bestDistance = Infinity;
+
+        Object.values(gameMap.territories).forEach(territory => {
+            if (territory.ownerId !== null || territory.isThronestar || territory.neighbors.length === 0) return;
+            const distance = Math.hypot(territory.x - centerX, territory.y - centerY);
+            if (distance < bestDistance) {
+                best = territory;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    getHillStar() {
+        return this.hillStarId !== null ? this.game.gameMap.territories[this.hillStarId] || null : null;
+    }
+
+    isHillStar(territory) {
+        return this.hillStarId !== null && territory.id === this.hillStarId;
+    }
+
+    /**
+     * Advance the match timer and the victory mode by one simulation step
+     * @param {number} deltaTime - Simulated ms of this step
+     */
+    update(deltaTime) {
+        if (this.game.gameState !== 'playing') return;
+
+        this.game.gameTimer -= deltaTime;
+        if (this.game.gameTimer <= 0) {
+            this.game.gameTimer = 0;
+            this.resolveTimeout();
+            return;
+        }
+
+        this.accumulator += deltaTime;
+        while (this.accumulator >= GAME_CONSTANTS.VICTORY_CHECK_INTERVAL_MS && this.game.gameState === 'playing') {
+            this.accumulator -= GAME_CONSTANTS.VICTORY_CHECK_INTERVAL_MS;
+            if (this.mode === 'domination') {
+                this.updateDomination(GAME_CONSTANTS.VICTORY_CHECK_INTERVAL_MS);
+            } else if (this.mode === 'king_of_the_hill') {
+                this.updateHill();
+            }
+        }
+    }
+
+    updateDomination(elapsed) {
+        const target = getVictorySetting(this.game.config, 'dominationPercent') / 100;
+        const leader = this.getStandings().find(entry => !entry.player.isEliminated && entry.value >= target);
+
+        if (!leader) {
+            this.domination = null;
+            return;
+        }
+
+        if (!this.domination || this.domination.playerId !== leader.player.id) {
+            this.domination = { playerId: leader.player.id, heldMs: 0 };
+            console.log(`🌌 DOMINATION: ${leader.player.name} holds ${Math.round(leader.value * 100)}% of the galaxy`);
+            this.notify(`🌌 ${leader.player.name} dominates the galaxy - hold them off!`, leader.player === this.game.humanPlayer ? '#44ff44' : '#ff8844');
+        }
+        this.domination.heldMs += elapsed;
+
+        const holdMs = getVictorySetting(this.game.config, 'dominationHoldSeconds') * 1000;
+        if (this.domination.heldMs >= holdMs) {
+            this.declareWinner(leader.player, `Held ${Math.round(target * 100)}% of the stars for ${holdMs / 1000}s`);
+        }
+    }
+
+    updateHill() {
+        const hill = this.getHillStar();
+        if (!hill || hill.ownerId === null) return;
+
+        const owner = this.game.players[hill.ownerId];
+        if (!owner || owner.isEliminated) return;
+
+        this.hillPoints[owner.id] = (this.hillPoints[owner.id] || 0) + 1;
+
+        const target = getVictorySetting(this.game.config, 'hillTargetPoints');
+        if (this.hillPoints[owner.id] >= target) {
+            this.declareWinner(owner, `Scored ${target} points on the hill`);
+        }
+    }
+
+    // Timer ran out: Conquest is a draw, every other mode goes to the leader
+    resolveTimeout() {
+        if (this.mode === 'conquest') {
+            this.game.endGame(null, 'Time ran out');
+            return;
+        }
+
+        const contenders = this.getStandings().filter(entry => !entry.player.isEliminated);
+        const [first, second] = contenders;
+        if (!first || (second && second.value === first.value)) {
+            this.game.endGame(null, 'Time ran out with the lead tied');
+        } else {
+            this.declareWinner(first.player, `Led with ${first.label} when time ran out`);
+        }
+    }
+
+    declareWinner(player, reason) {
+        console.log(`🏁 VICTORY (${this.modeName}): ${player.name} - ${reason}`);
+        this.game.endGame(player, reason);
+    }
+
+    /**
+     * Remember how the match ended for the end screens (called by StarThrone.endGame)
+     * @param {Object|null} winner - Winning player, null for a draw
+     * @param {string} reason - Why the match ended
+     */
+    recordResult(winner, reason) {
+        this.result = {
+            mode: this.mode,
+            winnerId: winner ? winner.id : null,
+            allyIds: winner ? this.game.diplomacySystem.getAllies(winner.id) : [], // Allies share the win
+            reason
+        };
+    }
+
+    isWinner(player) {
+        return !!this.result && (this.result.winnerId === player.id || (this.result.allyIds || []).includes(player.id));
+    }
+
+    getStarShare(player) {
+        const total = Object.keys(this.game.gameMap.territories).length;
+        return total > 0 ? player.territories.length / total : 0;
+    }
+
+    /**
+     * Timed Score breakdown
+     * @returns {{ territories: number, fleets: number, thrones: number, total: number }}
+     */
+    getScore(player) {
+        const territories = player.territories.length;
+        const fleets = player.territories.reduce((sum, id) => {
+            const territory = this.game.gameMap.territories[id];
+            return sum + (territory ? territory.armySize : 0);
+        }, 0);
+        const thrones = player.thronesCaptured || 0;
+
+        return {
+            territories,
+            fleets,
+            thrones,
+            total: territories * SCORE_WEIGHTS.territory + fleets * SCORE_WEIGHTS.fleet + thrones * SCORE_WEIGHTS.throne
+        };
+    }
+
+    /**
+     * Every empire ranked by the current mode's measure, best first
+     * @returns {Array<{ player: Object, value: number, label: string, breakdown: string }>}
+     */
+    getStandings() {
+        const entries = this.game.players.map(player => {
+            if (this.mode === 'domination') {
+                const share = this.getStarShare(player);
+                const held = this.domination && this.domination.playerId === player.id ? Math.floor(this.domination.heldMs / 1000) : 0;
+                return {
+                    player,
+                    value: share,
+                    label: `${Math.round(share * 100)}% of stars`,
+                    breakdown: `${player.territories.length} stars${held > 0 ? `, held ${held}s` : ''}`
+                };
+            }
+            if (this.mode === 'timed_score') {
+                const score = this.getScore(player);
+                return {
+                    player,
+                    value: score.total,
+                    label: `${score.total} points`,
+                    breakdown: `${score.territories} stars, ${score.fleets} ships, ${score.thrones} thrones`
+                };
+            }
+            if (this.mode === 'king_of_the_hill') {
+                const points = this.hillPoints[player.id] || 0;
+                return {
+                    player,
+                    value: points,
+                    label: `${points} hill points`,
+                    breakdown: `${player.territories.length} stars`
+                };
+            }
+            return {
+                player,
+                value: player.territories.length,
+                label: `${player.territories.length} territories`,
+                breakdown: `${player.territoriesConquered || 0} conquered`
+            };
+        });
+
+        return entries.sort((a, b) =>
+            b.value - a.value ||
+            Number(a.player.isEliminated) - Number(b.player.isEliminated) ||
+            a.player.id - b.player.id
+        );
+    }
+
+    /**
+     * One-line progress for the top bar HUD
+     * @returns {string|null} Null in Conquest, which only has the timer
+     */
+    getProgressText() {
+        if (this.mode === 'conquest') return null;
+
+        const human = this.game.humanPlayer;
+        const standings = this.getStandings();
+        const leader = standings.find(entry => !entry.player.isEliminated);
+        const mine = human ? standings.find(entry => entry.player === human) : null;
+        const you = mine && mine !== leader ? ` · You ${mine.label}` : '';
+        if (!leader) return null;
+
+        if (this.mode === 'domination') {
+            const target = getVictorySetting(this.game.config, 'dominationPercent');
+            const hold = getVictorySetting(this.game.config, 'dominationHoldSeconds');
+            if (this.domination) {
+                const holder = this.game.players[this.domination.playerId];
+                return `🌌 ${holder.name} dominating: ${Math.floor(this.domination.heldMs / 1000)}/${hold}s${you}`;
+            }
+            return `🌌 Domination at ${target}% · Leader ${leader.player.name} ${leader.label}${you}`;
+        }
+
+        if (this.mode === 'timed_score') {
+            return `🏆 Leader ${leader.player.name} ${leader.label}${you}`;
+        }
+
+        const hill = this.getHillStar();
+        const holder = hill && hill.ownerId !== null ? this.game.players[hill.ownerId] : null;
+        const target = getVictorySetting(this.game.config, 'hillTargetPoints');
+        return `⛰️ Hill: ${holder ? holder.name : 'unclaimed'} · Leader ${leader.player.name} ${leader.value}/${target}${you}`;
+    }
+
+    serialize() {
+        return {
+            accumulator: this.accumulator,
+            hillStarId: this.hillStarId,
+            hillPoints: { ...this.hillPoints },
+            domination: this.domination ? { ...this.domination } : null,
+            result: this.result ? { ...this.result } : null
+        };
+    }
+
+    restore(data) {
+        this.reset();
+        this.accumulator = data.accumulator;
+        this.hillStarId = data.hillStarId;
+        this.hillPoints = { ...data.hillPoints };
+        this.domination = data.domination ? { ...data.domination } : null;
+        this.result = data.result ? { ...data.result } : null;
+    }
+
+    notify(message, color) {
+        if (!this.game.headless && this.game.addNotification) {
+            this.game.addNotification(message, color, 5000);
+        }
+    }
+}
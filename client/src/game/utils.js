@@ -92,118 +92,6 @@ export class GameUtils {
         return array[index];
     }
     
-    /**
-     * Process discovery effects for a player
-     * Centralized discovery logic used by both client and server
-     */
-    static processDiscovery(discoveryType, playerId, territoryId, playerDiscoveries, game) {
-        // Get existing discoveries (should already be initialized)
-        let discoveries = playerDiscoveries.get(playerId);
-        if (!discoveries) {
-            console.error(`Discoveries not initialized for player ${playerId}`);
-            return { success: false, effectText: 'Discovery system error', icon: '❌' };
-        }
-        
-        let effectText = '';
-        let icon = '';
-
-        switch (discoveryType) {
-            case 'precursor_weapons':
-                discoveries.precursorWeapons++;
-                effectText = `⚔️ Precursor Weapons Level ${discoveries.precursorWeapons}! Empire attack increased by ${discoveries.precursorWeapons * 10}%`;
-                icon = '⚔️';
-                break;
-
-            case 'precursor_drive':
-                discoveries.precursorDrive++;
-                effectText = `🚀 Precursor Drive Level ${discoveries.precursorDrive}! Empire speed increased by ${discoveries.precursorDrive * 20}%`;
-                icon = '🚀';
-                break;
-
-            case 'precursor_shield':
-                discoveries.precursorShield++;
-                effectText = `🛡️ Precursor Shield Level ${discoveries.precursorShield}! Empire defense increased by ${discoveries.precursorShield * 10}%`;
-                icon = '🛡️';
-                break;
-
-            case 'precursor_nanotech':
-                discoveries.precursorNanotech++;
-                effectText = `🔬 Precursor Nanotech Level ${discoveries.precursorNanotech}! Empire generation increased by ${discoveries.precursorNanotech * 10}%`;
-                icon = '🔬';
-                break;
-
-            case 'precursor_factory':
-                discoveries.richMinerals++; // Track factory count since factoryPlanets doesn't exist
-                effectText = `🏭 Precursor Factory discovered! Planet ${territoryId} has 200% generation rate`;
-                icon = '🏭';
-                break;
-
-            case 'friendly_aliens':
-                discoveries.friendlyAliens++;
-                effectText = `👽 Friendly aliens provide 50 fleet strength!`;
-                icon = '👽';
-                // Apply immediate fleet bonus if game instance available
-                if (game && territoryId !== undefined) {
-                    const territory = game.gameMap?.territories[territoryId];
-                    if (territory) {
-                        territory.armySize += 50;
-                    }
-                }
-                break;
-
-            case 'mineral_deposits':
-                discoveries.richMinerals++;
-                effectText = `💎 Rich minerals found! Planet ${territoryId} has 150% generation rate`;
-                icon = '💎';
-                break;
-
-            case 'void_storm':
-                discoveries.voidStorms++;
-                effectText = `⚡ Void storm remnants! Planet ${territoryId} has 75% generation rate`;
-                icon = '⚡';
-                break;
-
-            case 'ancient_ruins':
-                discoveries.ancientRuins++;
-                effectText = `🏛️ Ancient ruins discovered on planet ${territoryId}`;
-                icon = '🏛️';
-                break;
-
-            case 'hostile_aliens':
-                discoveries.hostileAliens++;
-                effectText = `💀 Probe lost to hostile aliens! Planet ${territoryId} remains unexplored.`;
-                icon = '💀';
-                return { success: false, effectText, icon }; // Probe failed
-
-            case 'standard_planet':
-            default:
-                effectText = `🌍 Standard planet colonized: ${territoryId}`;
-                icon = '🌍';
-                break;
-        }
-
-        return { success: true, effectText, icon, discoveries };
-    }
-
-    /**
-     * Get discovery probabilities based on game constants
-     */
-    static getDiscoveryProbabilities() {
-        return {
-            hostile_aliens: 0.15,      // 15% chance probe fails
-            friendly_aliens: 0.08,     // 8% chance for bonus fleet
-            precursor_weapons: 0.06,   // 6% chance for weapons
-            precursor_drive: 0.06,     // 6% chance for drive
-            precursor_shield: 0.06,    // 6% chance for shield
-            precursor_nanotech: 0.06,  // 6% chance for nanotech
-            precursor_factory: 0.05,   // 5% chance for factory
-            rich_minerals: 0.10,       // 10% chance for minerals
-            void_storm: 0.08,          // 8% chance for void storm
-            ancient_ruins: 0.05,       // 5% chance for ruins
-            standard_planet: 0.25      // 25% chance for standard (remainder)
-        };
-    }
-
     /**
      * Calculate combat result using centralized logic
      */
@@ -0,0 +1,66 @@
+// Battle reports: one record per engagement, filed by game/CombatSystem.js when a battle
+// ends. This module turns them into CSV for balance analysis (combat log panel, simulate script).
+
+export type BattleOutcome = 'captured' | 'defended' | 'retreated';
+
+export interface BattleReport {
+  id: number;
+  tick: number;                   // Simulation tick the battle ended
+  startTick: number;
+  starId: number;
+  attackerId: number;
+  attackerName: string;
+  defenderId: number | null;      // Null for neutral stars and native uprisings
+  defenderName: string;
+  stance: string;                 // Fleet stance the attack launched with
+  shipsCommitted: number;         // Attackers that reached the star (after mines)
+  reinforcements: number;         // Attackers that joined mid-battle
+  minesLost: number;
+  defenders: number;              // Garrison when the battle started
+  attackerShips: string;          // Fleet by class at the start, e.g. "C3 F10 D2" (see game/ShipyardSystem.js)
+  defenderShips: string;          // Garrison by class at the start
+  defenderReinforcements: number; // Ships produced on or sent to the star mid-battle
+  rounds: number;
+  winChance: number;              // Attacker's per-round win chance (0-1)
+  weaponBonus: number;
+  betrayalBonus: number;
+  shieldBonus: number;
+  outcome: BattleOutcome;
+  attackerSurvivors: number;
+  retreatLosses: number;
+  defenderSurvivors: number;
+  natives: boolean;
+}
+
+export const BATTLE_REPORT_COLUMNS: (keyof BattleReport)[] = [
+  'id', 'tick', 'startTick', 'starId',
+  'attackerId', 'attackerName', 'defenderId', 'defenderName', 'stance',
+  'shipsCommitted', 'reinforcements', 'minesLost', 'defenders', 'attackerShips', 'defenderShips', 'defenderReinforcements',
+  'rounds', 'winChance', 'weaponBonus', 'betrayalBonus', 'shieldBonus',
+  'outcome', 'attackerSurvivors', 'retreatLosses', 'defenderSurvivors', 'natives'
+];
+
+function toCsvCell(value: unknown): string {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(3) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function battleReportsToCsv(reports: BattleReport[]): string {
+  const rows = reports.map((report) => BATTLE_REPORT_COLUMNS.map((column) => toCsvCell(report[column])).join(','));
+  return [BATTLE_REPORT_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Download battle reports as a .csv file, oldest first
+ */
+export function exportBattleReportsToFile(reports: BattleReport[], seed: number | string): void {
+  const sorted = [...reports].sort((a, b) => a.id - b.id);
+  const blob = new Blob([battleReportsToCsv(sorted)], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `star-throne-battles-${seed}.csv`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
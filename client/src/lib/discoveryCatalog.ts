@@ -0,0 +1,415 @@
+// Declarative discovery catalog. Everything a conquered neutral star can turn up is
+// described here as data: game/DiscoverySystem.js rolls against the merged catalog and
+// applies each entry's effect primitives. Extra discovery packs are plain JSON files in
+// the DiscoveryPack shape and are validated here before they reach the game.
+
+export const DISCOVERY_PACK_FORMAT_VERSION = 1;
+
+export type DiscoveryCategory = 'neutral' | 'positive' | 'negative' | 'empire_bonus' | 'planet_bonus';
+export type TechTrack = 'attack' | 'defense' | 'engines' | 'production';
+
+/**
+ * Effect primitives. Star effects act on the discovered star, empire effects raise the
+ * finder's precursor levels (and matching tech track), the rest are one-shot.
+ */
+export type DiscoveryEffect =
+  | { type: 'generation_multiplier'; multiplier: number; marker?: 'factory'; durationMs?: number } // Star generation x multiplier, optionally timed
+  | { type: 'instant_ships'; amount: number }                                 // Ships added to (or removed from) the star
+  | { type: 'native_uprising'; ships: number }                                // Natives retake the star; the landing force must beat them
+  | { type: 'colony_lost' }                                                   // Landing force destroyed, star falls back to neutral
+  | { type: 'minefield'; damage: number }                                     // Next fleet entering the star loses this fraction
+  | { type: 'combat_modifier'; attack?: number; defense?: number }            // Precursor weapons / shield levels
+  | { type: 'speed_modifier'; levels: number }                                // Precursor drive levels
+  | { type: 'production_modifier'; levels: number }                           // Precursor nanotech levels
+  | { type: 'tech_level'; track: TechTrack; levels: number }                  // Tech track only, no precursor level
+  | { type: 'reveal_radius'; radius: number }                                 // Chart every star within radius
+  | { type: 'event'; message: string };                                       // One-shot announcement
+
+export interface DiscoveryDefinition {
+  id: string;
+  name: string;
+  description: string;
+  probability: number; // Chance per conquered neutral star, 0-1
+  category: DiscoveryCategory;
+  icon: string;
+  color: string;
+  floatingText?: string; // Shown above the star instead of the name
+  effects: DiscoveryEffect[];
+}
+
+export interface DiscoveryPack {
+  format: number;
+  id: string;
+  name: string;
+  description?: string;
+  discoveries: DiscoveryDefinition[];
+}
+
+// Built-in catalog. Whatever probability is left over lands on standard_planet.
+export const BASE_DISCOVERY_CATALOG: DiscoveryDefinition[] = [
+  {
+    id: 'standard_planet',
+    name: 'Standard Planet',
+    description: 'A typical world with no special features.',
+    probability: 0.25,
+    category: 'neutral',
+    icon: '🌍',
+    color: '#888888',
+    effects: []
+  },
+  {
+    id: 'rich_minerals',
+    name: 'Rich Mineral Deposits',
+    description: 'Valuable resources boost this planet\'s output!',
+    probability: 0.15,
+    category: 'positive',
+    icon: '💎',
+    color: '#ffaa00',
+    effects: [{ type: 'generation_multiplier', multiplier: 1.5 }]
+  },
+  {
+    id: 'precursor_weapons',
+    name: 'Precursor Weapons',
+    description: 'Ancient weapon systems enhance your combat effectiveness!',
+    probability: 0.10,
+    category: 'empire_bonus',
+    icon: '⚔️',
+    color: '#ff6666',
+    effects: [{ type: 'combat_modifier', attack: 1 }]
+  },
+  {
+    id: 'precursor_drive',
+    name: 'Precursor Drive System',
+    description: 'Advanced propulsion technology found!',
+    probability: 0.10,
+    category: 'empire_bonus',
+    icon: '🚀',
+    color: '#66ccff',
+    effects: [{ type: 'speed_modifier', levels: 1 }]
+  },
+  {
+    id: 'precursor_shield',
+    name: 'Precursor Shield Matrix',
+    description: 'Defensive technology strengthens your empire!',
+    probability: 0.10,
+    category: 'empire_bonus',
+    icon: '🛡️',
+    color: '#66ff66',
+    effects: [{ type: 'combat_modifier', defense: 1 }]
+  },
+  {
+    id: 'precursor_nanotech',
+    name: 'Precursor Nanotechnology',
+    description: 'Self-replicating technology spreads across your empire!',
+    probability: 0.08,
+    category: 'empire_bonus',
+    icon: '🔬',
+    color: '#cc66ff',
+    effects: [{ type: 'production_modifier', levels: 1 }]
+  },
+  {
+    id: 'factory_complex',
+    name: 'Precursor Factory Complex',
+    description: 'Ancient manufacturing facilities boost production!',
+    probability: 0.05,
+    category: 'planet_bonus',
+    icon: '🏭',
+    color: '#ffcc00',
+    effects: [
+      { type: 'generation_multiplier', multiplier: 2, marker: 'factory' },
+      { type: 'tech_level', track: 'production', levels: 1 }
+    ]
+  },
+  {
+    id: 'friendly_aliens',
+    name: 'Friendly Aliens',
+    description: 'Friendly aliens join your empire!',
+    probability: 0.02,
+    category: 'positive',
+    icon: '👾',
+    color: '#00ff88',
+    effects: [{ type: 'instant_ships', amount: 50 }]
+  },
+  {
+    id: 'hostile_natives',
+    name: 'Hostile Natives',
+    description: 'A native garrison emerges to drive your colonists out!',
+    probability: 0.04,
+    category: 'negative',
+    icon: '🗡️',
+    color: '#ff4444',
+    floatingText: 'Natives attack!',
+    effects: [{ type: 'native_uprising', ships: 15 }]
+  },
+  {
+    id: 'plague',
+    name: 'Colony Plague',
+    description: 'A plague cripples the new colony\'s output.',
+    probability: 0.04,
+    category: 'negative',
+    icon: '☣️',
+    color: '#99cc33',
+    floatingText: 'Plague!',
+    effects: [{ type: 'generation_multiplier', multiplier: 0.5, durationMs: 180000 }]
+  },
+  {
+    id: 'solar_flare',
+    name: 'Solar Flare',
+    description: 'The star flares and wipes out the landing force.',
+    probability: 0.02,
+    category: 'negative',
+    icon: '☀️',
+    color: '#ff8800',
+    floatingText: 'Solar flare!',
+    effects: [{ type: 'colony_lost' }]
+  },
+  {
+    id: 'derelict_minefield',
+    name: 'Derelict Minefield',
+    description: 'Live mines drift around the star - the next fleet through will pay.',
+    probability: 0.03,
+    category: 'negative',
+    icon: '💣',
+    color: '#cc4444',
+    floatingText: 'Minefield!',
+    effects: [{ type: 'minefield', damage: 0.5 }]
+  }
+];
+
+// Optional packs offered on the config screen alongside any the player loads from disk
+export const BUILTIN_DISCOVERY_PACKS: DiscoveryPack[] = [
+  {
+    format: DISCOVERY_PACK_FORMAT_VERSION,
+    id: 'derelict_fleets',
+    name: 'Derelict Fleets',
+    description: 'Abandoned warships drifting between the stars.',
+    discoveries: [
+      {
+        id: 'derelict_fleet',
+        name: 'Derelict Fleet',
+        description: 'A drifting battle group answers your hail and joins the garrison.',
+        probability: 0.04,
+        category: 'positive',
+        icon: '🛸',
+        color: '#88aaff',
+        effects: [{ type: 'instant_ships', amount: 30 }]
+      },
+      {
+        id: 'derelict_armory',
+        name: 'Derelict Armory',
+        description: 'The wreck\'s magazines still hold working precursor ordnance.',
+        probability: 0.02,
+        category: 'empire_bonus',
+        icon: '🔧',
+        color: '#ff8866',
+        effects: [{ type: 'combat_modifier', attack: 1 }]
+      }
+    ]
+  },
+  {
+    format: DISCOVERY_PACK_FORMAT_VERSION,
+    id: 'wormhole_beacons',
+    name: 'Wormhole Beacons',
+    description: 'Ancient navigation beacons that chart the space around them.',
+    discoveries: [
+      {
+        id: 'wormhole_beacon',
+        name: 'Wormhole Beacon',
+        description: 'An ancient beacon charts the surrounding systems.',
+        probability: 0.04,
+        category: 'positive',
+        icon: '🌀',
+        color: '#bb88ff',
+        effects: [
+          { type: 'reveal_radius', radius: 400 },
+          { type: 'event', message: 'Wormhole beacon charted nearby systems' }
+        ]
+      },
+      {
+        id: 'beacon_network',
+        name: 'Beacon Network Hub',
+        description: 'A hub of the old beacon network - its star charts and jump data are yours.',
+        probability: 0.01,
+        category: 'empire_bonus',
+        icon: '🌌',
+        color: '#9966ff',
+        effects: [
+          { type: 'reveal_radius', radius: 800 },
+          { type: 'speed_modifier', levels: 1 }
+        ]
+      }
+    ]
+  }
+];
+
+const CATEGORIES: DiscoveryCategory[] = ['neutral', 'positive', 'negative', 'empire_bonus', 'planet_bonus'];
+const TECH_TRACKS: TechTrack[] = ['attack', 'defense', 'engines', 'production'];
+const MAX_LEVELS_PER_EFFECT = 5;
+
+function isNumberIn(value: any, min: number, max: number): value is number {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function isLevelCount(value: any): value is number {
+  return Number.isInteger(value) && isNumberIn(value, 1, MAX_LEVELS_PER_EFFECT);
+}
+
+function validateEffect(raw: any, where: string): DiscoveryEffect {
+  if (!raw || typeof raw !== 'object') throw new Error(`${where}: effect must be an object`);
+
+  switch (raw.type) {
+    case 'generation_multiplier':
+      if (!isNumberIn(raw.multiplier, 0.1, 5)) throw new Error(`${where}: multiplier must be between 0.1 and 5`);
+      if (raw.marker !== undefined && raw.marker !== 'factory') throw new Error(`${where}: unknown marker "${raw.marker}"`);
+      if (raw.durationMs !== undefined && !isNumberIn(raw.durationMs, 1000, 1800000)) {
+        throw new Error(`${where}: durationMs must be between 1000 and 1800000`);
+      }
+      return {
+        type: raw.type,
+        multiplier: raw.multiplier,
+        ...(raw.marker ? { marker: raw.marker } : {}),
+        ...(raw.durationMs !== undefined ? { durationMs: raw.durationMs } : {})
+      };
+
+    case 'instant_ships':
+      if (!Number.isInteger(raw.amount) || !isNumberIn(raw.amount, -1000, 1000)) {
+        throw new Error(`${where}: amount must be a whole number between -1000 and 1000`);
+      }
+      return { type: raw.type, amount: raw.amount };
+
+    case 'native_uprising':
+      if (!Number.isInteger(raw.ships) || !isNumberIn(raw.ships, 1, 500)) {
+        throw new Error(`${where}: ships must be a whole number between 1 and 500`);
+      }
+      return { type: raw.type, ships: raw.ships };
+
+    case 'colony_lost':
+      return { type: raw.type };
+
+    case 'minefield':
+      if (!isNumberIn(raw.damage, 0.05, 1)) throw new Error(`${where}: damage must be between 0.05 and 1`);
+      return { type: raw.type, damage: raw.damage };
+
+    case 'combat_modifier': {
+      const attack = raw.attack ?? 0;
+      const defense = raw.defense ?? 0;
+      if ((attack !== 0 && !isLevelCount(attack)) || (defense !== 0 && !isLevelCount(defense)) || attack + defense === 0) {
+        throw new Error(`${where}: attack/defense must be 1-${MAX_LEVELS_PER_EFFECT} levels`);
+      }
+      return { type: raw.type, attack, defense };
+    }
+
+    case 'speed_modifier':
+    case 'production_modifier':
+      if (!isLevelCount(raw.levels)) throw new Error(`${where}: levels must be 1-${MAX_LEVELS_PER_EFFECT}`);
+      return { type: raw.type, levels: raw.levels };
+
+    case 'tech_level':
+      if (!TECH_TRACKS.includes(raw.track)) throw new Error(`${where}: track must be one of ${TECH_TRACKS.join(', ')}`);
+      if (!isLevelCount(raw.levels)) throw new Error(`${where}: levels must be 1-${MAX_LEVELS_PER_EFFECT}`);
+      return { type: raw.type, track: raw.track, levels: raw.levels };
+
+    case 'reveal_radius':
+      if (!isNumberIn(raw.radius, 1, 2000)) throw new Error(`${where}: radius must be between 1 and 2000`);
+      return { type: raw.type, radius: raw.radius };
+
+    case 'event':
+      if (typeof raw.message !== 'string' || !raw.message.trim() || raw.message.length > 120) {
+        throw new Error(`${where}: message must be 1-120 characters`);
+      }
+      return { type: raw.type, message: raw.message };
+
+    default:
+      throw new Error(`${where}: unknown effect type "${raw.type}"`);
+  }
+}
+
+function validateDiscovery(raw: any, index: number): DiscoveryDefinition {
+  const where = `Discovery ${typeof raw?.id === 'string' ? `"${raw.id}"` : `#${index + 1}`}`;
+  if (!raw || typeof raw !== 'object') throw new Error(`${where} must be an object`);
+  if (typeof raw.id !== 'string' || !/^[a-z0-9_]{1,40}$/.test(raw.id)) {
+    throw new Error(`${where}: id must be 1-40 lowercase letters, digits or underscores`);
+  }
+  if (typeof raw.name !== 'string' || !raw.name.trim() || raw.name.length > 40) {
+    throw new Error(`${where}: name must be 1-40 characters`);
+  }
+  if (!isNumberIn(raw.probability, 0, 1)) throw new Error(`${where}: probability must be between 0 and 1`);
+  if (typeof raw.icon !== 'string' || !raw.icon || raw.icon.length > 8) throw new Error(`${where}: icon must be a short string`);
+  if (typeof raw.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(raw.color)) throw new Error(`${where}: color must be #rrggbb`);
+  if (raw.category !== undefined && !CATEGORIES.includes(raw.category)) {
+    throw new Error(`${where}: category must be one of ${CATEGORIES.join(', ')}`);
+  }
+  if (raw.floatingText !== undefined && (typeof raw.floatingText !== 'string' || raw.floatingText.length > 24)) {
+    throw new Error(`${where}: floatingText must be at most 24 characters`);
+  }
+  if (!Array.isArray(raw.effects)) throw new Error(`${where}: effects must be an array`);
+
+  return {
+    id: raw.id,
+    name: raw.name,
+    description: typeof raw.description === 'string' ? raw.description : '',
+    probability: raw.probability,
+    category: raw.category ?? 'neutral',
+    icon: raw.icon,
+    color: raw.color,
+    ...(raw.floatingText ? { floatingText: raw.floatingText } : {}),
+    effects: raw.effects.map((effect: any, i: number) => validateEffect(effect, `${where} effect ${i + 1}`))
+  };
+}
+
+/**
+ * Check an untrusted discovery pack and return a clean copy; throws with a readable
+ * message naming the first problem found
+ */
+export function validateDiscoveryPack(raw: any): DiscoveryPack {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.discoveries)) {
+    throw new Error('Not a Star Throne discovery pack');
+  }
+  if (raw.format > DISCOVERY_PACK_FORMAT_VERSION) {
+    throw new Error(`Discovery pack was made for a newer version (format ${raw.format})`);
+  }
+  if (typeof raw.id !== 'string' || !/^[a-z0-9_]{1,40}$/.test(raw.id)) {
+    throw new Error('Pack id must be 1-40 lowercase letters, digits or underscores');
+  }
+  if (typeof raw.name !== 'string' || !raw.name.trim()) throw new Error('Pack needs a name');
+  if (raw.discoveries.length === 0) throw new Error('Pack has no discoveries');
+
+  const discoveries = raw.discoveries.map(validateDiscovery);
+  const ids = new Set<string>();
+  discoveries.forEach((discovery: DiscoveryDefinition) => {
+    if (ids.has(discovery.id)) throw new Error(`Discovery "${discovery.id}" appears twice`);
+    ids.add(discovery.id);
+  });
+
+  return {
+    format: DISCOVERY_PACK_FORMAT_VERSION,
+    id: raw.id,
+    name: raw.name,
+    description: typeof raw.description === 'string' ? raw.description : undefined,
+    discoveries
+  };
+}
+
+export async function parseDiscoveryPackFile(file: File): Promise<DiscoveryPack> {
+  const text = await file.text();
+  return validateDiscoveryPack(JSON.parse(text));
+}
+
+/**
+ * Merge packs onto the base catalog in order. A pack entry whose id matches an existing
+ * discovery replaces it in place (so packs can rebalance built-ins); new ids are appended.
+ */
+export function buildDiscoveryCatalog(packs: DiscoveryPack[] = []): DiscoveryDefinition[] {
+  const catalog = BASE_DISCOVERY_CATALOG.map(discovery => ({ ...discovery }));
+  packs.forEach(pack => {
+    pack.discoveries.forEach(discovery => {
+      const index = catalog.findIndex(existing => existing.id === discovery.id);
+      if (index >= 0) {
+        catalog[index] = { ...discovery };
+      } else {
+        catalog.push({ ...discovery });
+      }
+    });
+  });
+  return catalog;
+}
@@ -0,0 +1,49 @@
+// Replay file format for recorded matches. Recordings are produced by
+// game/ReplaySystem.js; this module versions, exports and validates them.
+
+export const REPLAY_FORMAT_VERSION = 2;
+
+// Format 1 recorded variable frame deltas; its ticks don't line up with the fixed-step clock
+const MIN_REPLAY_FORMAT_VERSION = 2;
+
+export interface ReplayData {
+  version: number;
+  seed: number;
+  recordedAt: number;
+  config: Record<string, any>;
+  ticks: number;
+  stepMs: number;                      // Simulated milliseconds per tick
+  commands: [number, string, ...any[]][]; // [tick, type, ...fields]
+}
+
+export function validateReplay(raw: any): ReplayData {
+  if (!raw || typeof raw !== 'object' || typeof raw.seed !== 'number' ||
+      typeof raw.ticks !== 'number' || !Array.isArray(raw.commands)) {
+    throw new Error('Not a Star Throne replay file');
+  }
+  if (raw.version > REPLAY_FORMAT_VERSION) {
+    throw new Error(`Replay was recorded by a newer version (format ${raw.version})`);
+  }
+  if (!(raw.version >= MIN_REPLAY_FORMAT_VERSION)) {
+    throw new Error(`Replay format ${raw.version} predates the fixed-step game clock and can't be played back`);
+  }
+  return raw as ReplayData;
+}
+
+/**
+ * Download a replay as a compact .json file
+ */
+export function exportReplayToFile(replay: ReplayData): void {
+  const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `star-throne-replay-${replay.seed}-${replay.ticks}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export async function parseReplayFile(file: File): Promise<ReplayData> {
+  const text = await file.text();
+  return validateReplay(JSON.parse(text));
+}
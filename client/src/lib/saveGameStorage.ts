@@ -0,0 +1,258 @@
+// Save game persistence for single-player games: named localStorage slots plus
+// JSON file export/import. The save payload itself is produced by
+// game/SaveGameManager.js; this module only versions, stores and migrates it.
+
+import { GAME_CONSTANTS } from '../../../common/gameConstants';
+
+// Bump when the save layout changes and add a migration step below
+export const SAVE_SCHEMA_VERSION = 13;
+
+const SLOT_PREFIX = 'starThrone.save.';
+
+export interface SaveGameData {
+  version: number;
+  name: string;
+  savedAt: number;
+  seed: number;
+  [key: string]: any;
+}
+
+export interface SaveSlotInfo {
+  name: string;
+  savedAt: number;
+  seed: number;
+  version: number;
+}
+
+// Ships saved before ship classes existed are all of the default class
+function defaultClassRoster(count: number): Record<string, number> {
+  const roster: Record<string, number> = {};
+  Object.keys(GAME_CONSTANTS.SHIP_CLASSES).forEach(shipClass => { roster[shipClass] = 0; });
+  roster[GAME_CONSTANTS.DEFAULT_SHIP_CLASS] = Math.max(0, Math.floor(count || 0));
+  return roster;
+}
+
+// Version 8 battles have one class of ship and no wounded ships carried between rounds
+function migrateBattleToV9(battle: any): any {
+  const migrated = { ...battle, attackerRoster: defaultClassRoster(battle.attackersRemaining ?? battle.attackingArmies) };
+  if (battle.status !== 'active') return migrated;
+
+  return {
+    ...migrated,
+    attackerWounds: {},
+    defenderWounds: {},
+    stats: {
+      ...battle.stats,
+      attackerRoster: defaultClassRoster(battle.stats.shipsCommitted),
+      defenderRoster: defaultClassRoster(battle.stats.defenders)
+    }
+  };
+}
+
+// Each entry upgrades a save from version N to N + 1
+const MIGRATIONS: Record<number, (save: any) => any> = {
+  // 0 -> 1: pre-versioned saves had no probes or flood settings
+  0: (save) => ({
+    ...save,
+    version: 1,
+    probes: save.probes || [],
+    flood: save.flood || { activePlayers: [], aggression: {}, noGoZones: {}, aiFloodModeEnabled: false }
+  }),
+  // 1 -> 2: add the simulation clock, rebuilt from the elapsed match time (10 minute timer, 60 ticks/s).
+  // Multi-hop fleets were clock callbacks before and were lost on save, so none are in flight
+  1: (save) => ({
+    ...save,
+    version: 2,
+    clock: { tick: Math.max(0, Math.round((10 * 60 * 1000 - save.gameTimer) * 60 / 1000)) },
+    fleetsInTransit: []
+  }),
+  // 2 -> 3: fog of war; older saves have no last-known intel, so only what is in sensor range shows
+  2: (save) => ({
+    ...save,
+    version: 3,
+    fog: []
+  }),
+  // 3 -> 4: discoveries come from the catalog and are tallied per player; the old global
+  // discovery record is dropped and every player starts with no catalog finds
+  3: ({ discoveries, ...save }) => ({
+    ...save,
+    version: 4,
+    playerDiscoveries: (save.playerDiscoveries || []).map(([playerId, playerFinds]: [string, any]) => [playerId, { ...playerFinds, finds: {} }])
+  }),
+  // 4 -> 5: victory modes; older saves were last-empire-standing games with no progress to carry
+  4: (save) => ({
+    ...save,
+    version: 5,
+    victory: { accumulator: 0, hillStarId: null, hillPoints: {}, domination: null, result: null }
+  }),
+  // 5 -> 6: diplomacy; older saves had no treaties, so every empire is at war
+  5: (save) => ({
+    ...save,
+    version: 6,
+    diplomacy: { treaties: [], proposals: [], oathbreakers: [], grievances: [], stats: { signed: 0, broken: 0 } }
+  }),
+  // 6 -> 7: fleet stances and retreats; older battles were fought at the normal stance
+  6: (save) => ({
+    ...save,
+    version: 7,
+    combat: {
+      pendingBattles: (save.combat?.pendingBattles || []).map((battle: any) => ({ ...battle, stance: 'normal' })),
+      activeBattles: (save.combat?.activeBattles || []).map((battle: any) => ({ ...battle, stance: 'normal' })),
+      retreatingFleets: []
+    }
+  }),
+  // 7 -> 8: battle reports; tallies of battles already under way start from the moment of loading
+  7: (save) => ({
+    ...save,
+    version: 8,
+    combat: {
+      ...save.combat,
+      activeBattles: save.combat.activeBattles.map((battle: any) => ({
+        ...battle,
+        stats: {
+          startTick: save.clock.tick,
+          shipsCommitted: battle.attackersRemaining,
+          reinforcements: 0,
+          minesLost: 0,
+          defenders: battle.defendersRemaining,
+          defenderReinforcements: 0,
+          rounds: 0,
+          weaponBonus: 0,
+          betrayalBonus: 0,
+          shieldBonus: 0
+        }
+      }))
+    }
+  }),
+  // 8 -> 9: ship classes; fleets and battles saved before them fly the default class
+  8: (save) => ({
+    ...save,
+    version: 9,
+    combat: {
+      ...save.combat,
+      pendingBattles: save.combat.pendingBattles.map(migrateBattleToV9),
+      activeBattles: save.combat.activeBattles.map(migrateBattleToV9)
+    },
+    longRangeFleets: (save.longRangeFleets || []).map((fleet: any) => ({ ...fleet, roster: defaultClassRoster(fleet.fleetSize) })),
+    fleetsInTransit: save.fleetsInTransit.map((fleet: any) => ({ ...fleet, roster: defaultClassRoster(fleet.ships) }))
+  }),
+  // 9 -> 10: starbase upgrades; no star had any built
+  9: (save) => {
+    const territories: Record<string, any> = {};
+    Object.keys(save.map.territories).forEach(id => {
+      territories[id] = { ...save.map.territories[id], upgrades: [] };
+    });
+    return { ...save, version: 10, map: { ...save.map, territories } };
+  },
+  // 10 -> 11: the supply route list becomes a supply network; each route sends its whole
+  // surplus and no star is a sink yet
+  10: ({ supplyRoutes, ...save }) => ({
+    ...save,
+    version: 11,
+    supply: {
+      routes: (supplyRoutes || []).map((route: any) => ({ ...route, share: 100, throughput: 0, limitedBy: null })),
+      sinks: [],
+      shipments: [],
+      nextTransferIn: null
+    }
+  }),
+  // 11 -> 12: routes are cut instead of dropped; an inactive route had lost its path.
+  // Risk ratings are recomputed on the next route check
+  11: (save) => ({
+    ...save,
+    version: 12,
+    supply: {
+      ...save.supply,
+      routes: save.supply.routes.map((route: any) => ({ ...route, cut: !route.active, risk: 0, riskStar: null }))
+    }
+  }),
+  // 12 -> 13: queued fleet orders; none were given before
+  12: (save) => ({
+    ...save,
+    version: 13,
+    fleetOrders: { orders: [], nextOrderId: 1 }
+  })
+};
+
+/**
+ * Validate a raw save object and upgrade it to the current schema version.
+ * Throws if the data is not a Star Throne save or comes from a newer build.
+ */
+export function migrateSave(raw: any): SaveGameData {
+  if (!raw || typeof raw !== 'object' || !raw.map || !Array.isArray(raw.players)) {
+    throw new Error('Not a Star Throne save file');
+  }
+
+  let save = { ...raw, version: typeof raw.version === 'number' ? raw.version : 0 };
+  if (save.version > SAVE_SCHEMA_VERSION) {
+    throw new Error(`Save was created by a newer version (schema ${save.version})`);
+  }
+
+  while (save.version < SAVE_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[save.version];
+    if (!migrate) {
+      throw new Error(`No migration from save schema ${save.version}`);
+    }
+    save = migrate(save);
+  }
+
+  return save as SaveGameData;
+}
+
+export function listSaveSlots(): SaveSlotInfo[] {
+  const slots: SaveSlotInfo[] = [];
+
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (!key || !key.startsWith(SLOT_PREFIX)) continue;
+
+    try {
+      const save = JSON.parse(localStorage.getItem(key) || '');
+      slots.push({
+        name: key.slice(SLOT_PREFIX.length),
+        savedAt: save.savedAt || 0,
+        seed: save.seed,
+        version: save.version || 0
+      });
+    } catch (error) {
+      console.warn(`Skipping unreadable save slot ${key}:`, error);
+    }
+  }
+
+  return slots.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+export function writeSaveSlot(name: string, save: SaveGameData): void {
+  localStorage.setItem(SLOT_PREFIX + name, JSON.stringify({ ...save, name }));
+}
+
+export function readSaveSlot(name: string): SaveGameData | null {
+  const json = localStorage.getItem(SLOT_PREFIX + name);
+  if (!json) return null;
+  return migrateSave(JSON.parse(json));
+}
+
+export function deleteSaveSlot(name: string): void {
+  localStorage.removeItem(SLOT_PREFIX + name);
+}
+
+/**
+ * Download a save as a .json file
+ */
+export function exportSaveToFile(save: SaveGameData): void {
+  const blob = new Blob([JSON.stringify(save)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `star-throne-${save.name.replace(/[^a-z0-9_-]+/gi, '_')}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Read and migrate a save from an uploaded .json file
+ */
+export async function parseSaveFile(file: File): Promise<SaveGameData> {
+  const text = await file.text();
+  return migrateSave(JSON.parse(text));
+}
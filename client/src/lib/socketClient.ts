@@ -1,11 +1,12 @@
 import { io, Socket } from 'socket.io-client';
+import type { LobbySettings } from '../../../common/types/index';
 
 interface GameAction {
   action: string;
   payload: any;
 }
 
-interface RoomInfo {
+export interface RoomInfo {
   id: string;
   name: string;
   playerCount: number;
@@ -13,10 +14,12 @@ interface RoomInfo {
   aiPlayerCount: number;
   isStarted: boolean;
   gameMode: 'single' | 'multiplayer';
+  hostId: string | null;
+  settings: LobbySettings;
   players: PlayerInfo[];
 }
 
-interface PlayerInfo {
+export interface PlayerInfo {
   id: string;
   name: string;
   color: string;
@@ -24,11 +27,46 @@ interface PlayerInfo {
   territoriesOwned: number;
   totalArmies: number;
   isEliminated: boolean;
+  isConnected?: boolean;
+  ready?: boolean;
+}
+
+// Reconnect token handed out by the server on joining a room; kept per tab so a
+// reload or a dropped connection can resume the same empire within the grace window
+const RECONNECT_TOKEN_KEY = 'starThrone.reconnectToken';
+
+interface SessionInfo {
+  playerId: string;
+  reconnectToken: string;
+}
+
+export interface SessionResumedData {
+  roomId: string;
+  room: RoomInfo;
+  playerId: string;
+  gameState: any;
+}
+
+export interface PlayerDisconnectedData {
+  playerId: string;
+  gracePeriodMs: number;
+  aiCaretaker: boolean;
+}
+
+// Removes a listener added with one of the multi-listener on*() methods
+export type Unsubscribe = () => void;
+
+function addListener<T>(listeners: Set<T>, listener: T): Unsubscribe {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
 }
 
 export class SocketClient {
   private socket: Socket | null = null;
   private currentRoom: string | null = null;
+  private playerId: string | null = null;
   private isConnected = false;
 
   // Event callbacks
@@ -39,8 +77,16 @@ export class SocketClient {
   private onGameStartedCallback?: (gameData: any) => void;
   private onGameUpdateCallback?: (update: any) => void;
   private onPlayerJoinedCallback?: (player: PlayerInfo) => void;
-  private onPlayerLeftCallback?: (playerId: string) => void;
   private onErrorCallback?: (error: { message: string }) => void;
+  private onRoomsUpdatedCallback?: (rooms: RoomInfo[]) => void;
+  private onLobbyUpdatedCallback?: (room: RoomInfo) => void;
+  private onKickedCallback?: () => void;
+
+  // Connection events both the mode selector and the in-game notices listen to
+  private sessionResumedListeners = new Set<(data: SessionResumedData) => void>();
+  private playerDisconnectedListeners = new Set<(data: PlayerDisconnectedData) => void>();
+  private playerReconnectedListeners = new Set<(playerId: string) => void>();
+  private playerLeftListeners = new Set<(playerId: string) => void>();
 
   connect() {
     if (this.isConnected) return;
@@ -64,6 +110,12 @@ export class SocketClient {
     this.socket.on('connect', () => {
       console.log('Connected to game server');
       this.isConnected = true;
+
+      // Pick the previous session back up if we have one
+      const reconnectToken = sessionStorage.getItem(RECONNECT_TOKEN_KEY);
+      if (reconnectToken) {
+        this.socket?.emit('resume-session', { reconnectToken });
+      }
       this.onConnectedCallback?.();
     });
 
@@ -74,20 +126,59 @@ export class SocketClient {
       this.onDisconnectedCallback?.();
     });
 
-    this.socket.on('room-created', (data: { roomId: string, room: RoomInfo }) => {
+    this.socket.on('room-created', (data: { roomId: string, room: RoomInfo } & SessionInfo) => {
       this.currentRoom = data.roomId;
+      this.storeSession(data);
       this.onRoomCreatedCallback?.(data.room);
     });
 
-    this.socket.on('room-joined', (data: { room: RoomInfo }) => {
+    this.socket.on('room-joined', (data: { room: RoomInfo } & SessionInfo) => {
+      this.currentRoom = data.room.id;
+      this.storeSession(data);
       this.onRoomJoinedCallback?.(data.room);
     });
 
-    this.socket.on('single-player-started', (data: { roomId: string, room: RoomInfo }) => {
+    this.socket.on('single-player-started', (data: { roomId: string, room: RoomInfo } & SessionInfo) => {
       this.currentRoom = data.roomId;
+      this.storeSession(data);
       this.onGameStartedCallback?.(data);
     });
 
+    this.socket.on('session-resumed', (data: SessionResumedData & SessionInfo) => {
+      console.log(`Resumed session in room ${data.roomId}`);
+      this.currentRoom = data.roomId;
+      this.storeSession(data);
+      this.sessionResumedListeners.forEach((listener) => listener(data));
+    });
+
+    this.socket.on('resume-failed', (error: { message: string }) => {
+      console.log('Could not resume session:', error.message);
+      this.clearSession();
+    });
+
+    this.socket.on('player-disconnected', (data: PlayerDisconnectedData) => {
+      this.playerDisconnectedListeners.forEach((listener) => listener(data));
+    });
+
+    this.socket.on('player-reconnected', (data: { playerId: string }) => {
+      this.playerReconnectedListeners.forEach((listener) => listener(data.playerId));
+    });
+
+    this.socket.on('rooms-updated', (data: { rooms: RoomInfo[] }) => {
+      this.onRoomsUpdatedCallback?.(data.rooms);
+    });
+
+    this.socket.on('lobby-updated', (data: { room: RoomInfo }) => {
+      this.onLobbyUpdatedCallback?.(data.room);
+    });
+
+    this.socket.on('kicked', () => {
+      console.log('Removed from room by the host');
+      this.currentRoom = null;
+      this.clearSession();
+      this.onKickedCallback?.();
+    });
+
     this.socket.on('game-started', (data: { gameState: any, players: PlayerInfo[] }) => {
       this.onGameStartedCallback?.(data);
     });
@@ -115,7 +206,7 @@ export class SocketClient {
     });
 
     this.socket.on('player-left', (data: { playerId: string }) => {
-      this.onPlayerLeftCallback?.(data.playerId);
+      this.playerLeftListeners.forEach((listener) => listener(data.playerId));
     });
 
     this.socket.on('error', (error: { message: string }) => {
@@ -124,7 +215,9 @@ export class SocketClient {
     });
   }
 
+  // Deliberately leaving ends the session; only dropped connections resume
   disconnect() {
+    this.clearSession();
     if (this.socket) {
       this.socket.disconnect();
       this.socket = null;
@@ -133,6 +226,17 @@ export class SocketClient {
     }
   }
 
+  private storeSession(session: SessionInfo) {
+    this.playerId = session.playerId;
+    if (session.reconnectToken) {
+      sessionStorage.setItem(RECONNECT_TOKEN_KEY, session.reconnectToken);
+    }
+  }
+
+  private clearSession() {
+    sessionStorage.removeItem(RECONNECT_TOKEN_KEY);
+  }
+
   // Game room actions
   createRoom(roomName: string, playerName: string, maxPlayers: number = 10, aiCount: number = 90) {
     if (!this.socket) return;
@@ -149,9 +253,48 @@ export class SocketClient {
     this.socket.emit('start-single-player', { playerName, aiCount });
   }
 
-  setPlayerReady() {
+  // Live room list for the lobby browser
+  watchRooms() {
+    if (!this.socket) return;
+    this.socket.emit('watch-rooms');
+  }
+
+  unwatchRooms() {
     if (!this.socket) return;
-    this.socket.emit('player-ready');
+    this.socket.emit('unwatch-rooms');
+  }
+
+  setPlayerReady(ready: boolean = true) {
+    if (!this.socket) return;
+    this.socket.emit('player-ready', { ready });
+  }
+
+  leaveRoom() {
+    if (!this.socket || !this.currentRoom) return;
+    this.socket.emit('leave-room');
+    this.currentRoom = null;
+    this.clearSession();
+  }
+
+  // Host-only lobby controls (the server rejects them from anyone else)
+  updateRoomSettings(update: Partial<LobbySettings>) {
+    if (!this.socket) return;
+    this.socket.emit('update-room-settings', update);
+  }
+
+  setAiCount(aiCount: number) {
+    if (!this.socket) return;
+    this.socket.emit('set-ai-count', { aiCount });
+  }
+
+  kickPlayer(playerId: string) {
+    if (!this.socket) return;
+    this.socket.emit('kick-player', { playerId });
+  }
+
+  startGame() {
+    if (!this.socket) return;
+    this.socket.emit('start-game');
   }
 
   // Secure command protocol (server-authoritative)
@@ -211,19 +354,48 @@ export class SocketClient {
     this.onPlayerJoinedCallback = callback;
   }
 
-  onPlayerLeft(callback: (playerId: string) => void) {
-    this.onPlayerLeftCallback = callback;
-  }
-
   onError(callback: (error: { message: string }) => void) {
     this.onErrorCallback = callback;
   }
 
+  onRoomsUpdated(callback: (rooms: RoomInfo[]) => void) {
+    this.onRoomsUpdatedCallback = callback;
+  }
+
+  onLobbyUpdated(callback: (room: RoomInfo) => void) {
+    this.onLobbyUpdatedCallback = callback;
+  }
+
+  onKicked(callback: () => void) {
+    this.onKickedCallback = callback;
+  }
+
+  // These add a listener alongside any others and return its remover
+  onSessionResumed(listener: (data: SessionResumedData) => void): Unsubscribe {
+    return addListener(this.sessionResumedListeners, listener);
+  }
+
+  onPlayerDisconnected(listener: (data: PlayerDisconnectedData) => void): Unsubscribe {
+    return addListener(this.playerDisconnectedListeners, listener);
+  }
+
+  onPlayerReconnected(listener: (playerId: string) => void): Unsubscribe {
+    return addListener(this.playerReconnectedListeners, listener);
+  }
+
+  onPlayerLeft(listener: (playerId: string) => void): Unsubscribe {
+    return addListener(this.playerLeftListeners, listener);
+  }
+
   // Utility methods
   getCurrentRoom() {
     return this.currentRoom;
   }
 
+  getPlayerId() {
+    return this.playerId;
+  }
+
   isSocketConnected() {
     return this.isConnected;
   }
@@ -0,0 +1,28 @@
+// Throne rule sets: what happens when an empire's throne star falls.
+// game/ThroneSystem.js applies the rules; the config screen offers them by id.
+
+export type ThroneRuleSet = 'classic' | 'exile' | 'capitals';
+
+export const DEFAULT_THRONE_RULES: ThroneRuleSet = 'classic';
+
+export const THRONE_RULE_SETS: { id: ThroneRuleSet; name: string; description: string }[] = [
+  {
+    id: 'classic',
+    name: 'Classic',
+    description: 'Lose your throne and the conqueror takes your whole empire'
+  },
+  {
+    id: 'exile',
+    name: 'Exile',
+    description: 'Lose only the throne star, then raise a new throne after a cooldown'
+  },
+  {
+    id: 'capitals',
+    name: 'Capitals',
+    description: 'Build up to two extra capitals - all of them must fall'
+  }
+];
+
+export function isThroneRuleSet(value: unknown): value is ThroneRuleSet {
+  return THRONE_RULE_SETS.some((rules) => rules.id === value);
+}
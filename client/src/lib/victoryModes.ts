@@ -0,0 +1,63 @@
+// Victory modes: how a match is won besides being the last empire standing.
+// game/VictorySystem.js tracks progress; the config screen offers the modes by id.
+
+export type VictoryMode = 'conquest' | 'domination' | 'timed_score' | 'king_of_the_hill';
+
+export const DEFAULT_VICTORY_MODE: VictoryMode = 'conquest';
+
+export const VICTORY_MODES: { id: VictoryMode; name: string; description: string }[] = [
+  {
+    id: 'conquest',
+    name: 'Conquest',
+    description: 'Last empire standing wins; the match is a draw if the timer runs out'
+  },
+  {
+    id: 'domination',
+    name: 'Domination',
+    description: 'Hold a share of all stars for a set time'
+  },
+  {
+    id: 'timed_score',
+    name: 'Timed Score',
+    description: 'Highest score when the timer runs out: stars, fleets and thrones captured'
+  },
+  {
+    id: 'king_of_the_hill',
+    name: 'King of the Hill',
+    description: 'A central star scores a point every second for whoever holds it'
+  }
+];
+
+// Defaults and slider limits for the per-mode settings
+export const VICTORY_SETTING_LIMITS = {
+  matchMinutes: { min: 5, max: 60, step: 5, default: 10 },
+  dominationPercent: { min: 40, max: 90, step: 5, default: 60 },
+  dominationHoldSeconds: { min: 15, max: 180, step: 15, default: 60 },
+  hillTargetPoints: { min: 60, max: 600, step: 30, default: 180 }
+};
+
+// Timed Score: points per star held, per ship in the empire and per enemy throne captured
+export const SCORE_WEIGHTS = {
+  territory: 10,
+  fleet: 1,
+  throne: 100
+};
+
+export function isVictoryMode(value: unknown): value is VictoryMode {
+  return VICTORY_MODES.some((mode) => mode.id === value);
+}
+
+/**
+ * Read one of the per-mode settings from a game config, falling back to its default
+ * @param config - Game config (may come from an older save without the setting)
+ * @param key - Setting name
+ */
+export function getVictorySetting(config: Record<string, any>, key: keyof typeof VICTORY_SETTING_LIMITS): number {
+  const value = Number(config?.[key]);
+  return Number.isFinite(value) && value > 0 ? value : VICTORY_SETTING_LIMITS[key].default;
+}
+
+// Length of the match timer in simulated milliseconds
+export function getMatchLengthMs(config: Record<string, any>): number {
+  return getVictorySetting(config, 'matchMinutes') * 60 * 1000;
+}
@@ -24,6 +24,7 @@ export const GAME_CONSTANTS = {
     TERRITORY_RADIUS: 25,
     CONNECTION_DISTANCE: 60, // Very short range connections for tactical gameplay
     ARMY_GENERATION_RATE: 1500, // milliseconds per army - faster for more dynamic gameplay
+    STAR_GENERATION_INTERVAL: 3000, // milliseconds per army at a client star before discovery and tech bonuses
 
     // Probe System
     PROBE_LAUNCH_COST_FLEET: 10,
@@ -33,6 +34,28 @@ export const GAME_CONSTANTS = {
     PROBE_SPEED_UNITS_PER_UPDATE: 1.25,
     PROBE_SPEED: 25, // Pixels per second
 
+    // Fog of War
+    FOG_SENSOR_RANGE_HOPS: 2, // Stars within this many star lanes of an owned star show live owner and fleets
+    FOG_PROBE_SENSOR_RADIUS: 150, // Pixels around an in-flight probe that are also in sensor range
+    FOG_UPDATE_INTERVAL_TICKS: 10, // Simulation ticks between sensor sweeps
+
+    // Throne Rules (Exile / Capitals, see ThroneSystem)
+    EXILE_RELOCATION_COOLDOWN_MS: 60000, // Simulated time before an exiled empire can raise a new throne
+    MAX_EXTRA_CAPITALS: 2, // Capitals an empire can build on top of its throne star
+    CAPITAL_BUILD_COST: 40, // Ships spent from the star that becomes a capital
+
+    // Victory Modes (see VictorySystem)
+    VICTORY_CHECK_INTERVAL_MS: 1000, // Simulated time between domination / hill scoring checks
+    HILL_STAR_GARRISON: 25, // Neutral garrison guarding the King of the Hill star at the start
+
+    // Diplomacy (see DiplomacySystem)
+    PACT_DURATION_MS: 180000, // Simulated length of a non-aggression pact
+    ALLIANCE_DURATION_MS: 300000, // Simulated length of an alliance
+    DIPLOMACY_PROPOSAL_TIMEOUT_MS: 30000, // Unanswered proposals lapse after this
+    BETRAYAL_PENALTY_MS: 120000, // How long a treaty breaker is shunned and open to retaliation
+    BETRAYAL_ATTACK_BONUS: 0.1, // Extra round win chance of a betrayed empire against its betrayer
+    MAX_AI_TREATIES: 3, // Treaties an AI empire keeps at once
+
     // Fleet Transfer
     MIN_ARMY_TO_LEAVE_AFTER_TRANSFER: 1,
     TRANSFER_AMOUNT_DIVISOR: 2,
@@ -47,6 +70,8 @@ export const GAME_CONSTANTS = {
     // Long-range Attack Limits for AI
     AI_MAX_LONG_RANGE_FLEETS: 2, // Maximum simultaneous long-range fleets per AI
     AI_SURPLUS_THRESHOLD: 10, // Minimum surplus armies needed for long-range attacks
+    AI_SUPPLY_RAID_CHANCE: 0.35, // Chance per AI think to strike a hostile supply line next door
+    AI_SUPPLY_RAID_ODDS: 1.3, // Ships the raiding star needs per ship on the supply line star
 
     // Supply Route System
     SUPPLY_ROUTE: {
@@ -55,7 +80,11 @@ export const GAME_CONSTANTS = {
         MAX_ROUTES_PER_PLAYER: 20,
         /** How many armies the source keeps back each tick.
          *  0 = ship everything. Raise to 1-2 if you want a token garrison. */
-        MIN_GARRISON: 0
+        MIN_GARRISON: 0,
+        THROUGHPUT_PER_HOP: 6,          // ships one lane carries per send, shared by every route crossing it
+        SHARE_STEP: 10,                 // % a click on the network panel moves a route's share of its source's output
+        SINK_TARGETS: [25, 50, 100, 200], // garrison levels a supply sink cycles through (G key)
+        AMBUSH_BONUS: 0.15              // round win chance added for fleets and garrisons that catch a convoy
     },
     // Legacy constants for backward compatibility
     SUPPLY_ROUTE_MIN_ARMY_DIFFERENCE: 5,  // No longer used but kept for compatibility
@@ -78,6 +107,59 @@ export const GAME_CONSTANTS = {
     DEFENDER_SURVIVAL_RATE: 0.8,
     COMBAT_ATTACKER_MODIFIER: 0.8,
     COMBAT_DEFENDER_MODIFIER: 0.9,
+    RETREAT_LOSS_FRACTION: 0.25, // Share of a retreating fleet lost while breaking off (see CombatSystem.retreat)
+    RETREAT_TRAVEL_MS: 1000, // Simulated flight time of a retreating fleet back to its source star
+    MAX_BATTLE_REPORTS: 5000, // Battle reports kept for the combat log and CSV export, oldest dropped first
+
+    // Queued fleet orders (see FleetOrderSystem)
+    FLEET_ORDERS: {
+        MAX_ORDERS: 24,                 // Orders the human can have queued at once
+        SEND_SHARE: 0.5,                // Share of the star's ships a condition-triggered order sends, as a drag does
+        THRESHOLDS: [50, 80, 120, 200]  // Ship counts the W key cycles through for conditional orders
+    },
+
+    // Ship classes (see ShipyardSystem). speed scales travel time, attack the odds of winning a round,
+    // health the hits a ship takes before it is destroyed, buildCost the production time per ship
+    SHIP_CLASSES: {
+        corvette: { name: 'Corvette', short: 'C', icon: '🚤', speed: 1.5, attack: 1, health: 1, buildCost: 0.75 },
+        frigate: { name: 'Frigate', short: 'F', icon: '🚀', speed: 1, attack: 1, health: 1, buildCost: 1 },
+        dreadnought: { name: 'Dreadnought', short: 'D', icon: '🛳️', speed: 0.6, attack: 1.25, health: 2, buildCost: 2.5 }
+    },
+    // Rock-paper-scissors: attack multiplier of a ship (row) against the class it engages (column).
+    // Corvette swarms overwhelm dreadnoughts, frigates hunt corvettes, dreadnoughts outgun frigates
+    SHIP_CLASS_MODIFIERS: {
+        corvette: { corvette: 1, frigate: 0.75, dreadnought: 1.5 },
+        frigate: { corvette: 1.5, frigate: 1, dreadnought: 0.75 },
+        dreadnought: { corvette: 0.75, frigate: 1.5, dreadnought: 1 }
+    },
+    DEFAULT_SHIP_CLASS: 'frigate', // Neutral garrisons, new stars and ships of unknown class
+    PRODUCTION_FOCUS_AI_INTERVAL_TICKS: 300, // How often AI empires review what their stars build
+
+    // Starbase upgrades (see StarbaseSystem), paid for with ships from the star itself.
+    // keptOnCapture: a conqueror takes the upgrade over instead of it being destroyed
+    STARBASE_UPGRADES: {
+        shield: { name: 'Shield generator', icon: '🛡️', cost: 15, defenseBonus: 0.15, keptOnCapture: false },
+        shipyard: { name: 'Shipyard', icon: '⚓', cost: 10, fleetCapacity: 20, keptOnCapture: true },
+        sensors: { name: 'Sensor array', icon: '📡', cost: 10, sensorHops: 2, keptOnCapture: false },
+        beacon: { name: 'Hyperspace beacon', icon: '🗼', cost: 20, travelTimeMultiplier: 0.6, keptOnCapture: true }
+    },
+    STARBASE_AI_INTERVAL_TICKS: 600, // How often each AI empire considers building an upgrade
+
+    // Nebulas (GameMap.getNebulaTravelMultiplier, CombatSystem.calculateCoverBonus, FogOfWarSystem)
+    NEBULA_TRAVEL_TIME_MULTIPLIER: 3, // Fleets cross nebulas at a third of their speed, like probes (nebulaSlowdown setting)
+    NEBULA_PATH_SAMPLES: 8, // Points checked along a flight path to measure how much of it runs through nebulas
+    NEBULA_COVER_BONUS: 0.1, // Defender bonus for stars inside a nebula
+    NEBULA_PROBE_RANGE_MULTIPLIER: 0.5, // Sensor radius of probes launched from a star inside a nebula
+
+    // Pathfinding (PathfindingService) - lane cost is its travel time, plus a surcharge
+    // for contested stars depending on the cost profile
+    PATH_HAZARD_BATTLE: 1, // Hazard of a star with a battle in progress
+    PATH_HAZARD_BORDER: 0.5, // Hazard of a star next to a hostile empire
+    PATH_COST_PROFILES: {
+        fastest: { hazardWeight: 0, avoidNoGo: false },
+        safest: { hazardWeight: 3, avoidNoGo: false },
+        avoidNoGo: { hazardWeight: 0.5, avoidNoGo: true } // Flood mode no-go zones are never crossed
+    },
 
     // Rendering & UI
     BACKGROUND_COLOR: '#000011',
@@ -135,4 +217,5 @@ export const GAME_CONSTANTS = {
     ROOM_ID_GENERATION_SUBSTRING_START: 2,
     ROOM_ID_GENERATION_SUBSTRING_END: 8,
     SERVER_TICK_RATE_MS: 1000 / 20, // 20 ticks per second
+    RECONNECT_GRACE_PERIOD_MS: 120000, // How long a dropped player's empire is held for them to reconnect
 };
\ No newline at end of file
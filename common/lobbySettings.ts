@@ -0,0 +1,79 @@
+// Defaults and limits for multiplayer lobby settings, shared so the server can
+// validate host changes and the lobby screen can offer the same ranges.
+
+import { GAME_CONSTANTS } from './gameConstants';
+import type { LobbySettings } from './types/index';
+
+export const GALAXY_LAYOUTS = ['organic', 'clusters', 'spiral', 'core', 'ring', 'binary'];
+
+type NumericSetting = 'mapSize' | 'gameSpeed' | 'warpLaneDensity' | 'connectionRange' | 'nebulaCount' | 'probeSpeed';
+type BooleanSetting = 'nebulaSlowdown' | 'supplyRoutes' | 'probeColonization' | 'fogOfWar' | 'aiCaretaker';
+
+export const LOBBY_SETTING_LIMITS: Record<NumericSetting, { min: number; max: number; step: number }> = {
+  mapSize: { min: 30, max: 500, step: 10 },
+  gameSpeed: { min: 0.01, max: 2.0, step: 0.01 },
+  warpLaneDensity: { min: 30, max: 120, step: 10 },
+  connectionRange: { min: 80, max: 200, step: 20 },
+  nebulaCount: { min: 0, max: 20, step: 1 },
+  probeSpeed: { min: 50, max: 200, step: 25 }
+};
+
+export const AI_SEAT_LIMITS = { min: 0, max: 100 };
+
+const BOOLEAN_SETTINGS: BooleanSetting[] = ['nebulaSlowdown', 'supplyRoutes', 'probeColonization', 'fogOfWar', 'aiCaretaker'];
+
+export function createDefaultLobbySettings(): LobbySettings {
+  return {
+    layout: 'organic',
+    mapSize: GAME_CONSTANTS.DEFAULT_MAP_SIZE_TERRITORIES,
+    gameSpeed: 1.0,
+    warpLaneDensity: 80,
+    connectionRange: 140,
+    nebulaCount: 10,
+    probeSpeed: 100,
+    nebulaSlowdown: true,
+    supplyRoutes: true,
+    probeColonization: true,
+    fogOfWar: true,
+    aiCaretaker: true
+  };
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Apply an untrusted partial update to lobby settings. Unknown keys and values of
+ * the wrong type are ignored; numbers are clamped to LOBBY_SETTING_LIMITS.
+ */
+export function applyLobbySettingsUpdate(current: LobbySettings, update: Partial<LobbySettings>): LobbySettings {
+  const next = { ...current };
+  if (!update || typeof update !== 'object') return next;
+
+  if (typeof update.layout === 'string' && GALAXY_LAYOUTS.includes(update.layout)) {
+    next.layout = update.layout;
+  }
+
+  (Object.keys(LOBBY_SETTING_LIMITS) as NumericSetting[]).forEach(key => {
+    const value = update[key];
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      const { min, max } = LOBBY_SETTING_LIMITS[key];
+      next[key] = clamp(value, min, max);
+    }
+  });
+
+  BOOLEAN_SETTINGS.forEach(key => {
+    const value = update[key];
+    if (typeof value === 'boolean') {
+      next[key] = value;
+    }
+  });
+
+  return next;
+}
+
+export function clampAiSeats(count: number): number {
+  if (!Number.isFinite(count)) return AI_SEAT_LIMITS.min;
+  return clamp(Math.floor(count), AI_SEAT_LIMITS.min, AI_SEAT_LIMITS.max);
+}
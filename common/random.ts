@@ -0,0 +1,110 @@
+// Seedable pseudo-random number generator shared by the client and server.
+// A single instance is owned by each game (StarThrone / GameEngine) so that a
+// galaxy and a whole match can be reproduced from its seed.
+
+/**
+ * Generate a fresh 32-bit seed from the platform RNG.
+ */
+export function generateSeed(): number {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Turn user input into a seed. Numeric strings are used as-is, any other text
+ * is hashed (FNV-1a) so players can share memorable seeds like "andromeda".
+ * Returns null for empty input.
+ */
+export function parseSeed(input: string | number | null | undefined): number | null {
+  if (input === null || input === undefined) return null;
+  if (typeof input === 'number') {
+    return Number.isFinite(input) ? Math.floor(Math.abs(input)) >>> 0 : null;
+  }
+
+  const text = input.trim();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Mulberry32 generator - small, fast and good enough for gameplay randomness.
+ */
+export class SeededRandom {
+  public seed: number;
+  private state: number;
+
+  constructor(seed: number = generateSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Restart the sequence from a new seed (keeps references held by subsystems valid)
+   */
+  public setSeed(seed: number): void {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Get generator state for saving/loading
+  public getState(): { seed: number; state: number } {
+    return { seed: this.seed, state: this.state };
+  }
+
+  // Restore generator state
+  public setState(saved: { seed: number; state: number }): void {
+    this.seed = saved.seed >>> 0;
+    this.state = saved.state >>> 0;
+  }
+
+  /**
+   * Float in [0, 1) - drop-in replacement for Math.random()
+   */
+  public next(): number {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Integer in [min, max] (inclusive)
+   */
+  public int(min: number, max: number): number {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Float in [min, max)
+   */
+  public range(min: number, max: number): number {
+    return this.next() * (max - min) + min;
+  }
+
+  public chance(probability: number): boolean {
+    return this.next() < probability;
+  }
+
+  public pick<T>(array: T[]): T | undefined {
+    if (array.length === 0) return undefined;
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * In-place Fisher-Yates shuffle
+   */
+  public shuffle<T>(array: T[]): T[] {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+}
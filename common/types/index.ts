@@ -38,6 +38,12 @@ export interface ProbeState {
     duration: number;
 }
 
+export interface NebulaState {
+    x: number;
+    y: number;
+    radius: number;
+}
+
 export interface ShipAnimationState {
     from: { x: number; y: number };
     to: { x: number; y: number };
@@ -58,11 +64,13 @@ export interface GameState {
     territories: Record<number, TerritoryState>;
     players: Record<string, PlayerState>;
     probes: ProbeState[];
+    nebulas: NebulaState[]; // Slow probes that fly through them (nebulaSlowdown setting)
     supplyRoutes: SupplyRoute[];
     gamePhase: 'lobby' | 'playing' | 'ended';
     winner: string | null;
     tick: number;
     lastUpdate: number;
+    seed: number; // RNG seed the match was generated from
 }
 
 // Command Protocol
@@ -133,4 +141,19 @@ export interface GameConfig {
   maxPlayers: number;
   tickRate: number; // Server updates per second
   gameSpeed: number; // Speed multiplier for all game actions (0.01-2.0)
-}
\ No newline at end of file
+}
+// Match settings the host edits in the pre-game lobby (mirrors the single-player config screen)
+export interface LobbySettings {
+  layout: string;
+  mapSize: number;
+  gameSpeed: number;
+  warpLaneDensity: number; // Percent of generated warp lanes kept
+  connectionRange: number; // Pixels
+  nebulaCount: number;
+  probeSpeed: number; // Percent of normal probe speed
+  nebulaSlowdown: boolean;
+  supplyRoutes: boolean;
+  probeColonization: boolean;
+  fogOfWar: boolean;
+  aiCaretaker: boolean; // AI plays for disconnected humans until they return
+}
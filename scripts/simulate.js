@@ -0,0 +1,134 @@
+// Headless AI-vs-AI match runner for balance testing.
+//
+//   npm run simulate -- --map-size 80 --layout organic --ai-count 8 --seed 42 --ticks 36000 --out result.json
+//
+// Runs the client game systems without a browser (see client/src/game/HeadlessSimulation.js)
+// and writes a JSON summary: winner, elimination order, territories over time, discoveries and treaties.
+// --runs N plays N matches with consecutive seeds and writes an array of summaries.
+// --battle-log writes every battle report as CSV (one file per seed when running several matches).
+
+import { writeFileSync } from 'fs';
+import { parseSeed, generateSeed } from '../common/random.ts';
+import { battleReportsToCsv } from '../client/src/lib/battleReports.ts';
+import { GALAXY_LAYOUTS } from '../common/lobbySettings.ts';
+import { THRONE_RULE_SETS } from '../client/src/lib/throneRules.ts';
+import { VICTORY_MODES } from '../client/src/lib/victoryModes.ts';
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+  --map-size <n>      Territory count (default 80)
+  --layout <name>     Map layout: organic, clusters, spiral, core, ring, binary (default organic)
+  --throne-rules <r>  Throne rules: classic, exile, capitals (default classic)
+  --victory-mode <m>  Victory mode: conquest, domination, timed_score, king_of_the_hill (default conquest)
+  --match-minutes <n> Match timer in simulated minutes (default 10)
+  --ai-count <n>      Number of AI empires (default 8)
+  --seed <seed>       Match seed, number or text (default random)
+  --ticks <n>         Tick limit at 60 ticks per simulated second (default 36000)
+  --sample-every <n>  Ticks between territory samples (default 300)
+  --runs <n>          Number of matches with consecutive seeds (default 1)
+  --out <file>        Write JSON to a file instead of stdout
+  --battle-log <file> Write the battle reports as CSV
+  --verbose           Keep the game's console logging
+`;
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+        const key = arg.slice(2);
+        if (key === 'verbose' || key === 'help') {
+            args[key] = true;
+        } else {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            args[key] = argv[++i];
+        }
+    }
+    return args;
+}
+
+function toInt(value, name, fallback) {
+    if (value === undefined) return fallback;
+    const parsed = parseInt(value, 10);
+    if (!Number.isFinite(parsed) || parsed < 1) {
+        throw new Error(`--${name} must be a positive integer`);
+    }
+    return parsed;
+}
+
+function toChoice(value, name, choices, fallback) {
+    if (value === undefined) return fallback;
+    if (!choices.includes(value)) {
+        throw new Error(`--${name} must be one of: ${choices.join(', ')}`);
+    }
+    return value;
+}
+
+async function main() {
+    let args;
+    let options;
+    let runs;
+    try {
+        args = parseArgs(process.argv.slice(2));
+        options = {
+            mapSize: toInt(args['map-size'], 'map-size', 80),
+            layout: toChoice(args.layout, 'layout', GALAXY_LAYOUTS, 'organic'),
+            throneRules: toChoice(args['throne-rules'], 'throne-rules', THRONE_RULE_SETS.map(rules => rules.id), 'classic'),
+            victoryMode: toChoice(args['victory-mode'], 'victory-mode', VICTORY_MODES.map(mode => mode.id), 'conquest'),
+            matchMinutes: toInt(args['match-minutes'], 'match-minutes', 10),
+            aiCount: toInt(args['ai-count'], 'ai-count', 8),
+            tickLimit: toInt(args.ticks, 'ticks', 36000),
+            sampleEvery: toInt(args['sample-every'], 'sample-every', 300)
+        };
+        runs = toInt(args.runs, 'runs', 1);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    const firstSeed = parseSeed(args.seed) ?? generateSeed();
+
+    // The game logs heavily to the console (even at import); keep stdout clean for the JSON summary
+    const log = console.log;
+    if (!args.verbose) {
+        console.log = () => {};
+    }
+    const { HeadlessSimulation } = await import('../client/src/game/HeadlessSimulation.js');
+
+    const summaries = [];
+    for (let run = 0; run < runs; run++) {
+        const seed = (firstSeed + run) >>> 0;
+        const started = Date.now();
+        const simulation = new HeadlessSimulation({ ...options, seed });
+        const summary = simulation.run();
+        summaries.push(summary);
+
+        if (args['battle-log']) {
+            const file = runs === 1 ? args['battle-log'] : args['battle-log'].replace(/(\.csv)?$/, `-${seed}$1`);
+            writeFileSync(file, battleReportsToCsv(simulation.game.combatSystem.battleReports));
+            process.stderr.write(`Battle log written to ${file}\n`);
+        }
+
+        const winner = summary.winner ? summary.winner.name : 'none';
+        process.stderr.write(`Run ${run + 1}/${runs}: seed ${seed}, ${summary.ticks} ticks, winner ${winner} (${Date.now() - started}ms)\n`);
+    }
+    console.log = log;
+
+    const json = JSON.stringify(runs === 1 ? summaries[0] : summaries, null, 2);
+    if (args.out) {
+        writeFileSync(args.out, json);
+        process.stderr.write(`Summary written to ${args.out}\n`);
+    } else {
+        process.stdout.write(json + '\n');
+    }
+}
+
+main().catch(error => {
+    process.stderr.write(`Simulation failed: ${error.stack || error}\n`);
+    process.exit(1);
+});
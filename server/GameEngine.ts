@@ -1,45 +1,154 @@
-import { GameState, PlayerState, TerritoryState, ProbeState, SupplyRoute, CommandType, ClientCommand, AttackTerritoryCommand, TransferArmiesCommand, LaunchProbeCommand, CreateSupplyRouteCommand, CombatResult, CommandError } from '../common/types/index.js';
+import { GameState, PlayerState, TerritoryState, ProbeState, NebulaState, SupplyRoute, CommandType, ClientCommand, AttackTerritoryCommand, TransferArmiesCommand, LaunchProbeCommand, CreateSupplyRouteCommand, CombatResult, CommandError } from '../common/types/index.js';
 import { GAME_CONSTANTS } from '../common/gameConstants';
 import { log } from '../common/utils.js';
+import { SeededRandom, generateSeed } from '../common/random.js';
+
+interface PlayerView {
+  visible: Set<number>;
+  sent: Map<number, TerritoryState>; // territoryId -> copy of the state this player last received
+  sentPlayers: Map<string, PlayerState>; // playerId -> the entry this player last received
+}
+
+// Galaxy layouts as regions of the map, in coordinates from -1 to 1 around its centre.
+// `coverage` is the share of the square a layout fills; the map grows to make up for it
+// so every layout has room for the same number of stars.
+interface LayoutShape {
+  coverage: number;
+  centers: { u: number; v: number }[]; // Where star placement starts (one per separate region)
+  contains: (u: number, v: number) => boolean;
+}
+
+const CLUSTER_CENTERS = [0, 1, 2, 3, 4].map(i => ({
+  u: Math.cos(i * 2 * Math.PI / 5) * 0.6,
+  v: Math.sin(i * 2 * Math.PI / 5) * 0.6
+}));
+const BINARY_CENTERS = [{ u: -0.5, v: 0 }, { u: 0.5, v: 0 }];
+const SPIRAL_ARMS = 3;
+// Stars that fit comfortably in the base 2000px galaxy; bigger maps get a proportionally larger area
+const STARS_PER_BASE_AREA = 300;
+
+const LAYOUT_SHAPES: Record<string, LayoutShape> = {
+  organic: { coverage: 1, centers: [{ u: 0, v: 0 }], contains: () => true },
+  core: { coverage: 0.64, centers: [{ u: 0, v: 0 }], contains: (u, v) => Math.hypot(u, v) <= 0.9 },
+  ring: { coverage: 0.47, centers: [{ u: 0.75, v: 0 }], contains: (u, v) => Math.abs(Math.hypot(u, v) - 0.75) <= 0.2 },
+  binary: {
+    coverage: 0.32,
+    centers: BINARY_CENTERS,
+    contains: (u, v) => BINARY_CENTERS.some(c => Math.hypot(u - c.u, v - c.v) <= 0.45)
+  },
+  clusters: {
+    coverage: 0.35,
+    centers: CLUSTER_CENTERS,
+    contains: (u, v) => CLUSTER_CENTERS.some(c => Math.hypot(u - c.u, v - c.v) <= 0.3)
+  },
+  spiral: {
+    coverage: 0.18,
+    centers: [{ u: 0, v: 0 }],
+    contains: (u, v) => {
+      const r = Math.hypot(u, v);
+      if (r > 1) return false;
+      if (r <= 0.2) return true;
+      // Arms twist further round the further out they reach
+      const armSpacing = 2 * Math.PI / SPIRAL_ARMS;
+      const offset = ((Math.atan2(v, u) - r * 4) % armSpacing + armSpacing) % armSpacing;
+      return Math.min(offset, armSpacing - offset) * r <= 0.12;
+    }
+  }
+};
 
 export class GameEngine {
   private gameState: GameState;
   private lastUpdate: number;
   private tickRate: number;
   private gameSpeed: number;
+  private rng: SeededRandom; // Single seeded RNG for map generation, combat and AI
+  private rules: { probeColonization: boolean; supplyRoutes: boolean; fogOfWar: boolean; nebulaSlowdown: boolean };
+  private probeSpeed: number; // Pixels per second
   
   // Delta tracking for optimized network updates
   private changedTerritories: Set<number> = new Set();
   private changedPlayers: Set<string> = new Set();
   private changedProbes: boolean = false;
+
+  // Fog of war: what each player can currently see and what they were last sent.
+  // A territory that changes out of sight is not sent; it is re-sent once it is back in view.
+  private playerViews: Map<string, PlayerView> = new Map();
+
+  // Human players whose empires the AI is running while they are disconnected
+  private caretakers: Set<string> = new Set();
   
   // Public access to tick for delta tracking
   public get tick(): number {
     return this.gameState.tick;
   }
 
-  constructor(config: { mapSize: number; tickRate?: number; gameSpeed?: number }) {
+  public get seed(): number {
+    return this.rng.seed;
+  }
+
+  constructor(config: {
+    mapSize: number;
+    tickRate?: number;
+    gameSpeed?: number;
+    seed?: number;
+    layout?: string;
+    warpLaneDensity?: number; // Percent of possible warp lanes kept
+    connectionRange?: number; // Pixels
+    nebulaCount?: number;
+    probeSpeed?: number; // Percent of normal probe speed
+    nebulaSlowdown?: boolean;
+    probeColonization?: boolean;
+    supplyRoutes?: boolean;
+    fogOfWar?: boolean;
+  }) {
     this.tickRate = config.tickRate || 20; // 20 updates per second
     this.gameSpeed = config.gameSpeed || 1.0; // Normal speed default
+    this.rules = {
+      probeColonization: config.probeColonization !== false,
+      supplyRoutes: config.supplyRoutes !== false,
+      fogOfWar: config.fogOfWar !== false,
+      nebulaSlowdown: config.nebulaSlowdown !== false
+    };
+    this.probeSpeed = GAME_CONSTANTS.PROBE_SPEED * (config.probeSpeed ?? 100) / 100;
     this.lastUpdate = Date.now();
+    this.rng = new SeededRandom(config.seed ?? generateSeed());
     
     this.gameState = {
       territories: {},
       players: {},
       probes: [],
+      nebulas: [],
       supplyRoutes: [],
       gamePhase: 'lobby',
       winner: null,
       tick: 0,
-      lastUpdate: this.lastUpdate
+      lastUpdate: this.lastUpdate,
+      seed: this.rng.seed
     };
 
-    this.generateMap(config.mapSize);
+    this.generateMap(config.mapSize, {
+      layout: config.layout ?? 'organic',
+      warpLaneDensity: config.warpLaneDensity ?? 100,
+      connectionRange: config.connectionRange ?? GAME_CONSTANTS.CONNECTION_DISTANCE,
+      nebulaCount: config.nebulaCount ?? 0
+    });
   }
 
-  private generateMap(territoryCount: number): void {
-    // Generate territories using Poisson disk sampling
-    const territories = this.poissonDiskSampling(territoryCount, 2000, 2000);
+  private generateMap(
+    territoryCount: number,
+    options: { layout: string; warpLaneDensity: number; connectionRange: number; nebulaCount: number }
+  ): void {
+    const shape = LAYOUT_SHAPES[options.layout] ?? LAYOUT_SHAPES.organic;
+    // Short connection ranges pack the stars closer so there are still lanes between them
+    const minDistance = Math.min(80, options.connectionRange * 0.6);
+    const areaScale = Math.sqrt(Math.max(1, territoryCount / STARS_PER_BASE_AREA));
+    const size = 2000 * areaScale * (minDistance / 80) / Math.sqrt(shape.coverage);
+    const half = size / 2;
+    const inLayout = (x: number, y: number) => shape.contains((x - half) / half, (y - half) / half);
+    const starts = shape.centers.map(c => ({ x: half + c.u * half, y: half + c.v * half }));
+
+    // Generate territories using Poisson disk sampling, kept inside the layout's region
+    const territories = this.poissonDiskSampling(territoryCount, size, size, minDistance, inLayout, starts);
     
     territories.forEach((pos, index) => {
       const territory: TerritoryState = {
@@ -52,19 +161,43 @@ export class GameEngine {
         neighbors: [],
         hiddenNeighbors: [],
         isColonizable: true,
-        hiddenArmySize: Math.floor(Math.random() * 25) + 1,
+        hiddenArmySize: Math.floor(this.rng.next() * 25) + 1,
         lastCombatFlash: 0
       };
       
       this.gameState.territories[index] = territory;
     });
 
-    this.connectTerritories();
-    log(`Generated ${territoryCount} territories with connections`);
+    this.connectTerritories(options.connectionRange, options.warpLaneDensity);
+    this.generateNebulas(options.nebulaCount, size, inLayout);
+    log(`Generated ${territories.length} territories in a ${options.layout} layout with connections (seed ${this.rng.seed})`);
+  }
+
+  private generateNebulas(count: number, size: number, inLayout: (x: number, y: number) => boolean): void {
+    for (let i = 0; i < count; i++) {
+      // Nebulas sit over the galaxy, not in the empty space around it
+      let x = 0;
+      let y = 0;
+      let attempts = 0;
+      do {
+        x = this.rng.next() * size;
+        y = this.rng.next() * size;
+        attempts++;
+      } while (!inLayout(x, y) && attempts < 50);
+      if (attempts >= 50) continue;
+
+      this.gameState.nebulas.push({ x, y, radius: 80 + this.rng.next() * 120 });
+    }
   }
 
-  private poissonDiskSampling(numSamples: number, width: number, height: number): { x: number; y: number }[] {
-    const minDistance = 80;
+  private poissonDiskSampling(
+    numSamples: number,
+    width: number,
+    height: number,
+    minDistance: number,
+    inLayout: (x: number, y: number) => boolean,
+    starts: { x: number; y: number }[]
+  ): { x: number; y: number }[] {
     const maxAttempts = 30;
     const cellSize = minDistance / Math.sqrt(2);
     const gridWidth = Math.ceil(width / cellSize);
@@ -74,36 +207,30 @@ export class GameEngine {
     const points: { x: number; y: number }[] = [];
     const activeList: number[] = [];
 
-    // Initial point
-    const firstPoint = {
-      x: Math.random() * width,
-      y: Math.random() * height
-    };
-    
-    points.push(firstPoint);
-    activeList.push(0);
-    
-    const gridX = Math.floor(firstPoint.x / cellSize);
-    const gridY = Math.floor(firstPoint.y / cellSize);
-    grid[gridY][gridX] = 0;
+    // Initial points: one per separate region of the layout, so every region fills up
+    starts.forEach(start => {
+      points.push(start);
+      activeList.push(points.length - 1);
+      grid[Math.floor(start.y / cellSize)][Math.floor(start.x / cellSize)] = points.length - 1;
+    });
 
     while (activeList.length > 0 && points.length < numSamples) {
-      const randomIndex = Math.floor(Math.random() * activeList.length);
+      const randomIndex = Math.floor(this.rng.next() * activeList.length);
       const currentIndex = activeList[randomIndex];
       const currentPoint = points[currentIndex];
       
       let found = false;
       
       for (let attempt = 0; attempt < maxAttempts; attempt++) {
-        const angle = Math.random() * 2 * Math.PI;
-        const distance = minDistance + Math.random() * minDistance;
+        const angle = this.rng.next() * 2 * Math.PI;
+        const distance = minDistance + this.rng.next() * minDistance;
         
         const newPoint = {
           x: currentPoint.x + Math.cos(angle) * distance,
           y: currentPoint.y + Math.sin(angle) * distance
         };
         
-        if (newPoint.x >= 0 && newPoint.x < width && newPoint.y >= 0 && newPoint.y < height) {
+        if (newPoint.x >= 0 && newPoint.x < width && newPoint.y >= 0 && newPoint.y < height && inLayout(newPoint.x, newPoint.y)) {
           const newGridX = Math.floor(newPoint.x / cellSize);
           const newGridY = Math.floor(newPoint.y / cellSize);
           
@@ -148,28 +275,78 @@ export class GameEngine {
     return points;
   }
 
-  private connectTerritories(): void {
+  private connectTerritories(connectionRange: number, warpLaneDensity: number): void {
     const territories = Object.values(this.gameState.territories);
     
     for (let i = 0; i < territories.length; i++) {
-      for (let j = i + 1; j < territories.length; j++) {
-        const territory1 = territories[i];
+      const territory1 = territories[i];
+      let nearest: TerritoryState | null = null;
+      let nearestDistance = Infinity;
+
+      for (let j = 0; j < territories.length; j++) {
+        if (i === j) continue;
         const territory2 = territories[j];
         
         const distance = Math.sqrt(
           Math.pow(territory2.x - territory1.x, 2) +
           Math.pow(territory2.y - territory1.y, 2)
         );
+        if (distance < nearestDistance) {
+          nearest = territory2;
+          nearestDistance = distance;
+        }
+        if (distance > connectionRange) continue;
         
-        if (distance <= GAME_CONSTANTS.CONNECTION_DISTANCE) {
-          // All connections are hidden initially since all territories are colonizable
-          territory1.hiddenNeighbors.push(territory2.id);
-          territory2.hiddenNeighbors.push(territory1.id);
+        // Warp lane density decides which of the lanes in range are kept
+        if (j > i && this.rng.next() * 100 <= warpLaneDensity) {
+          this.addLane(territory1, territory2);
         }
       }
+
+      // A star keeps the lane to its nearest neighbour whatever the density or range, so none is cut off
+      if (nearest) {
+        this.addLane(territory1, nearest);
+      }
+    }
+
+    // Separate groups of stars (clusters, sparse lanes) are joined across their shortest gap
+    while (territories.length > 0) {
+      const reached = new Set<number>([territories[0].id]);
+      const queue = [territories[0].id];
+      while (queue.length > 0) {
+        this.gameState.territories[queue.pop()!].hiddenNeighbors.forEach(id => {
+          if (!reached.has(id)) {
+            reached.add(id);
+            queue.push(id);
+          }
+        });
+      }
+      if (reached.size === territories.length) break;
+
+      let bridge: [TerritoryState, TerritoryState] | null = null;
+      let bridgeDistance = Infinity;
+      territories.forEach(inside => {
+        if (!reached.has(inside.id)) return;
+        territories.forEach(outside => {
+          if (reached.has(outside.id)) return;
+          const distance = Math.hypot(outside.x - inside.x, outside.y - inside.y);
+          if (distance < bridgeDistance) {
+            bridge = [inside, outside];
+            bridgeDistance = distance;
+          }
+        });
+      });
+      this.addLane(bridge![0], bridge![1]);
     }
   }
 
+  // All connections are hidden initially since all territories are colonizable
+  private addLane(territory1: TerritoryState, territory2: TerritoryState): void {
+    if (territory1.hiddenNeighbors.includes(territory2.id)) return;
+    territory1.hiddenNeighbors.push(territory2.id);
+    territory2.hiddenNeighbors.push(territory1.id);
+  }
+
   public addPlayer(playerId: string, name: string, color: string, type: 'human' | 'ai'): void {
     const player: PlayerState = {
       id: playerId,
@@ -199,10 +376,7 @@ export class GameEngine {
     const availableTerritories = [...territories];
     
     // Shuffle territories
-    for (let i = availableTerritories.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [availableTerritories[i], availableTerritories[j]] = [availableTerritories[j], availableTerritories[i]];
-    }
+    this.rng.shuffle(availableTerritories);
 
     // Give each player exactly one starting territory
     players.forEach((player, index) => {
@@ -297,7 +471,7 @@ export class GameEngine {
           // Apply game speed multiplier to army generation
           const speedAdjustedDelta = deltaTime * this.gameSpeed;
           const generationChance = speedAdjustedDelta / GAME_CONSTANTS.ARMY_GENERATION_RATE;
-          if (Math.random() < generationChance) {
+          if (this.rng.next() < generationChance) {
             territory.armySize++;
             // Track territory change for delta updates
             this.changedTerritories.add(territory.id);
@@ -313,14 +487,24 @@ export class GameEngine {
     // This would handle the delayed transfers between territories
   }
 
+  // Hand a human player's empire to the AI (or take it back) while they are away
+  public setCaretaker(playerId: string, enabled: boolean): void {
+    if (enabled) {
+      this.caretakers.add(playerId);
+    } else {
+      this.caretakers.delete(playerId);
+    }
+  }
+
   private updateAI(deltaTime: number): void {
-    const aiPlayers = Object.values(this.gameState.players).filter(p => p.type === 'ai' && !p.isEliminated);
+    const aiPlayers = Object.values(this.gameState.players)
+      .filter(p => (p.type === 'ai' || this.caretakers.has(p.id)) && !p.isEliminated);
     
     // Apply game speed to AI decision timing
     const speedAdjustedChance = 0.01 * this.gameSpeed;
     
     aiPlayers.forEach(player => {
-      if (Math.random() < speedAdjustedChance) { // Speed-adjusted chance to take action
+      if (this.rng.next() < speedAdjustedChance) { // Speed-adjusted chance to take action
         this.makeAIDecision(player);
       }
     });
@@ -332,16 +516,16 @@ export class GameEngine {
     if (ownedTerritories.length === 0) return;
 
     // Simple AI: try to launch probes or attack
-    const randomTerritory = ownedTerritories[Math.floor(Math.random() * ownedTerritories.length)];
+    const randomTerritory = ownedTerritories[Math.floor(this.rng.next() * ownedTerritories.length)];
     
-    if (randomTerritory.armySize >= GAME_CONSTANTS.PROBE_COST) {
+    if (this.rules.probeColonization && randomTerritory.armySize >= GAME_CONSTANTS.PROBE_COST) {
       // Try to find a colonizable neighbor
       const colonizableNeighbors = randomTerritory.neighbors
         .map(id => this.gameState.territories[id])
         .filter(t => t && t.isColonizable && t.ownerId === null);
       
       if (colonizableNeighbors.length > 0) {
-        const target = colonizableNeighbors[Math.floor(Math.random() * colonizableNeighbors.length)];
+        const target = colonizableNeighbors[Math.floor(this.rng.next() * colonizableNeighbors.length)];
         this.executeCommand(player.id, {
           type: CommandType.LAUNCH_PROBE,
           payload: { fromTerritoryId: randomTerritory.id, toTerritoryId: target.id },
@@ -433,8 +617,8 @@ export class GameEngine {
     const attackingArmies = attackingTerritory.armySize - 1;
     const defendingArmies = defendingTerritory.armySize;
 
-    const attackPower = attackingArmies * (0.8 + Math.random() * GAME_CONSTANTS.COMBAT_ATTACKER_MODIFIER);
-    const defensePower = defendingArmies * (0.9 + Math.random() * GAME_CONSTANTS.COMBAT_DEFENDER_MODIFIER);
+    const attackPower = attackingArmies * (0.8 + this.rng.next() * GAME_CONSTANTS.COMBAT_ATTACKER_MODIFIER);
+    const defensePower = defendingArmies * (0.9 + this.rng.next() * GAME_CONSTANTS.COMBAT_DEFENDER_MODIFIER);
 
     defendingTerritory.lastCombatFlash = Date.now();
 
@@ -526,11 +710,19 @@ export class GameEngine {
     fromTerritory.armySize -= transferAmount;
     toTerritory.armySize += transferAmount;
 
+    // Track territory changes for delta updates
+    this.changedTerritories.add(fromTerritory.id);
+    this.changedTerritories.add(toTerritory.id);
+
     this.updatePlayerStats();
     return null;
   }
 
   private handleProbeCommand(playerId: string, payload: LaunchProbeCommand): CommandError | null {
+    if (!this.rules.probeColonization) {
+      return { command: CommandType.LAUNCH_PROBE, reason: 'Probe colonization is disabled in this game', timestamp: Date.now() };
+    }
+
     const fromTerritory = this.gameState.territories[payload.fromTerritoryId];
     const toTerritory = this.gameState.territories[payload.toTerritoryId];
 
@@ -559,7 +751,7 @@ export class GameEngine {
     );
     
     // Apply game speed multiplier to probe travel time (faster speed = shorter duration)
-    const duration = (distance / GAME_CONSTANTS.PROBE_SPEED) * 1000 / this.gameSpeed;
+    const duration = (distance / this.probeSpeed) * 1000 / this.gameSpeed * this.getNebulaTravelMultiplier(fromTerritory, toTerritory);
     const player = this.gameState.players[playerId];
 
     const probe: ProbeState = {
@@ -583,7 +775,27 @@ export class GameEngine {
     return null;
   }
 
+  // Factor on a probe's flight time: a third of the speed for the part of the trip inside nebulas
+  private getNebulaTravelMultiplier(from: TerritoryState, to: TerritoryState): number {
+    const nebulas = this.gameState.nebulas;
+    if (!this.rules.nebulaSlowdown || nebulas.length === 0) return 1;
+
+    const samples = GAME_CONSTANTS.NEBULA_PATH_SAMPLES;
+    let inside = 0;
+    for (let i = 0; i < samples; i++) {
+      const t = (i + 0.5) / samples;
+      const x = from.x + (to.x - from.x) * t;
+      const y = from.y + (to.y - from.y) * t;
+      if (nebulas.some((nebula: NebulaState) => Math.hypot(x - nebula.x, y - nebula.y) <= nebula.radius)) inside++;
+    }
+    return 1 + (inside / samples) * (GAME_CONSTANTS.NEBULA_TRAVEL_TIME_MULTIPLIER - 1);
+  }
+
   private handleSupplyRouteCommand(playerId: string, payload: CreateSupplyRouteCommand): CommandError | null {
+    if (!this.rules.supplyRoutes) {
+      return { command: CommandType.CREATE_SUPPLY_ROUTE, reason: 'Supply routes are disabled in this game', timestamp: Date.now() };
+    }
+
     // Implementation for supply route creation
     return null;
   }
@@ -592,8 +804,142 @@ export class GameEngine {
     return { ...this.gameState };
   }
 
-  // Get delta state containing only changed elements since last tick
-  public getDeltaSince(lastTick: number): Partial<GameState> {
+  // Territories within sensor range of the player's stars or in-flight probes
+  public getVisibleTerritoryIds(playerId: string): Set<number> {
+    const player = this.gameState.players[playerId];
+    const territories = this.gameState.territories;
+    const visible = new Set<number>();
+
+    // Eliminated players and finished games spectate with full vision, as does everyone with fog off
+    if (!this.rules.fogOfWar || !player || player.isEliminated || this.gameState.gamePhase === 'ended') {
+      Object.keys(territories).forEach(id => visible.add(Number(id)));
+      return visible;
+    }
+
+    // Breadth-first search along star lanes (revealed and unrevealed) from every owned star
+    let frontier = player.territories.filter(id => territories[id]);
+    frontier.forEach(id => visible.add(id));
+    for (let hop = 0; hop < GAME_CONSTANTS.FOG_SENSOR_RANGE_HOPS && frontier.length > 0; hop++) {
+      const next: number[] = [];
+      frontier.forEach(id => {
+        const territory = territories[id];
+        [...territory.neighbors, ...territory.hiddenNeighbors].forEach(neighborId => {
+          if (territories[neighborId] && !visible.has(neighborId)) {
+            visible.add(neighborId);
+            next.push(neighborId);
+          }
+        });
+      });
+      frontier = next;
+    }
+
+    // Probes see everything around their current position
+    const radiusSquared = GAME_CONSTANTS.FOG_PROBE_SENSOR_RADIUS * GAME_CONSTANTS.FOG_PROBE_SENSOR_RADIUS;
+    this.gameState.probes.forEach(probe => {
+      if (probe.playerId !== playerId) return;
+      const from = territories[probe.fromTerritoryId];
+      const to = territories[probe.toTerritoryId];
+      if (!from || !to) return;
+
+      const probeX = from.x + (to.x - from.x) * probe.progress;
+      const probeY = from.y + (to.y - from.y) * probe.progress;
+      Object.values(territories).forEach(territory => {
+        const dx = territory.x - probeX;
+        const dy = territory.y - probeY;
+        if (dx * dx + dy * dy <= radiusSquared) {
+          visible.add(territory.id);
+        }
+      });
+    });
+
+    return visible;
+  }
+
+  public canPlayerSee(playerId: string, territoryId: number): boolean {
+    return this.getVisibleTerritoryIds(playerId).has(territoryId);
+  }
+
+  // Territory as a player may see it: live state in sensor range, otherwise the last
+  // state it was sent. Stars never seen only reveal their position and lanes.
+  private getTerritoryForPlayer(territory: TerritoryState, view: PlayerView, visible: Set<number>): TerritoryState {
+    if (visible.has(territory.id)) {
+      return territory;
+    }
+    const lastSeen = view.sent.get(territory.id);
+    if (lastSeen) {
+      return lastSeen;
+    }
+    return {
+      ...territory,
+      ownerId: null,
+      armySize: 0,
+      neighbors: [],
+      hiddenNeighbors: [...territory.neighbors, ...territory.hiddenNeighbors],
+      isColonizable: true,
+      hiddenArmySize: 0,
+      lastCombatFlash: 0
+    };
+  }
+
+  private isSameTerritoryState(a: TerritoryState, b: TerritoryState): boolean {
+    return a.ownerId === b.ownerId &&
+      a.armySize === b.armySize &&
+      a.isColonizable === b.isColonizable &&
+      a.neighbors.length === b.neighbors.length &&
+      a.lastCombatFlash === b.lastCombatFlash;
+  }
+
+  private copyTerritory(territory: TerritoryState): TerritoryState {
+    return { ...territory, neighbors: [...territory.neighbors], hiddenNeighbors: [...territory.hiddenNeighbors] };
+  }
+
+  // Other players' territory lists and totals are cut down to the stars this player can see
+  private getPlayerForViewer(player: PlayerState, viewerId: string, visible: Set<number>): PlayerState {
+    if (player.id === viewerId) {
+      return player;
+    }
+    const territories = player.territories.filter(id => visible.has(id));
+    return {
+      ...player,
+      territories,
+      territoriesOwned: territories.length,
+      totalArmies: territories.reduce((sum, id) => sum + (this.gameState.territories[id]?.armySize || 0), 0)
+    };
+  }
+
+  private isSamePlayerState(a: PlayerState, b: PlayerState): boolean {
+    return a.territoriesOwned === b.territoriesOwned &&
+      a.totalArmies === b.totalArmies &&
+      a.isEliminated === b.isEliminated &&
+      a.territories.length === b.territories.length &&
+      a.territories.every((id, index) => b.territories[index] === id);
+  }
+
+  // A player's own supply routes, and other routes only where every star on them is in view
+  private getSupplyRoutesForPlayer(playerId: string, visible: Set<number>): SupplyRoute[] {
+    return this.gameState.supplyRoutes.filter(route =>
+      this.gameState.territories[route.from]?.ownerId === playerId || route.path.every(id => visible.has(id))
+    );
+  }
+
+  private getProbesForPlayer(playerId: string, visible: Set<number>): ProbeState[] {
+    return this.gameState.probes.filter(probe =>
+      probe.playerId === playerId || visible.has(probe.fromTerritoryId) || visible.has(probe.toTerritoryId)
+    );
+  }
+
+  private getPlayerView(playerId: string): PlayerView {
+    let view = this.playerViews.get(playerId);
+    if (!view) {
+      view = { visible: new Set(), sent: new Map(), sentPlayers: new Map() };
+      this.playerViews.set(playerId, view);
+    }
+    return view;
+  }
+
+  // Get delta state for one player containing only changed elements it can see.
+  // Call clearChangeTracking() once every player has been sent its delta for the tick.
+  public getDeltaSince(playerId: string, lastTick: number): Partial<GameState> {
     const delta: Partial<GameState> = {
       tick: this.gameState.tick,
       lastUpdate: this.gameState.lastUpdate,
@@ -601,47 +947,93 @@ export class GameEngine {
       winner: this.gameState.winner
     };
 
-    // Include changed territories
-    if (this.changedTerritories.size > 0) {
-      delta.territories = {};
-      this.changedTerritories.forEach(territoryId => {
-        const territory = this.gameState.territories[territoryId];
-        if (territory) {
-          delta.territories![territoryId] = territory;
-        }
-      });
-    }
+    const view = this.getPlayerView(playerId);
+    const visible = this.getVisibleTerritoryIds(playerId);
 
-    // Include changed players
-    if (this.changedPlayers.size > 0) {
-      delta.players = {};
-      this.changedPlayers.forEach(playerId => {
-        const player = this.gameState.players[playerId];
-        if (player) {
-          delta.players![playerId] = player;
-        }
-      });
-    }
+    // Changed territories in view, plus territories that just came into view and
+    // changed while this player could not see them
+    const candidates = new Set<number>();
+    this.changedTerritories.forEach(territoryId => {
+      if (visible.has(territoryId)) candidates.add(territoryId);
+    });
+    visible.forEach(territoryId => {
+      if (!view.visible.has(territoryId)) candidates.add(territoryId);
+    });
+
+    candidates.forEach(territoryId => {
+      const territory = this.gameState.territories[territoryId];
+      if (!territory) return;
+
+      const lastSent = view.sent.get(territoryId);
+      if (lastSent && this.isSameTerritoryState(lastSent, territory)) return;
+
+      if (!delta.territories) delta.territories = {};
+      delta.territories[territoryId] = territory;
+      view.sent.set(territoryId, this.copyTerritory(territory));
+    });
+
+    // Changed players, and every rival when this player's view changed - their visible
+    // share of stars and fleets moves with it even if the rival itself did not change
+    const visionChanged = visible.size !== view.visible.size || Array.from(visible).some(id => !view.visible.has(id));
+    const playerIds = visionChanged ? Object.keys(this.gameState.players) : Array.from(this.changedPlayers);
+    view.visible = visible;
+    playerIds.forEach(changedId => {
+      const player = this.gameState.players[changedId];
+      if (!player) return;
+
+      const entry = this.getPlayerForViewer(player, playerId, visible);
+      const lastSent = view.sentPlayers.get(changedId);
+      if (lastSent && changedId !== playerId && this.isSamePlayerState(lastSent, entry)) return;
+
+      if (!delta.players) delta.players = {};
+      delta.players[changedId] = entry;
+      view.sentPlayers.set(changedId, { ...entry, territories: [...entry.territories] });
+    });
 
-    // Include all probes if any changed (probes are small array so send all)
+    // Include visible probes if any changed (probes are small array so send all)
     if (this.changedProbes) {
-      delta.probes = [...this.gameState.probes];
+      delta.probes = this.getProbesForPlayer(playerId, visible);
     }
 
     // Always include supply routes for now (small data size)
-    delta.supplyRoutes = [...this.gameState.supplyRoutes];
+    delta.supplyRoutes = this.getSupplyRoutesForPlayer(playerId, visible);
 
-    // Clear change tracking for next delta
+    return delta;
+  }
+
+  // Clear change tracking for the next round of deltas
+  public clearChangeTracking(): void {
     this.changedTerritories.clear();
     this.changedPlayers.clear();
     this.changedProbes = false;
-
-    return delta;
   }
 
+  // Full state filtered to what this player can see (used for initial sync and resyncs)
   public getPlayerGameState(playerId: string): Partial<GameState> {
-    // Return only information visible to this player
-    // For now, return full state (could be restricted later for fog of war)
-    return this.getGameState();
+    const view = this.getPlayerView(playerId);
+    const visible = this.getVisibleTerritoryIds(playerId);
+
+    const territories: Record<number, TerritoryState> = {};
+    Object.values(this.gameState.territories).forEach(territory => {
+      territories[territory.id] = this.getTerritoryForPlayer(territory, view, visible);
+      if (visible.has(territory.id)) {
+        view.sent.set(territory.id, this.copyTerritory(territory));
+      }
+    });
+    view.visible = visible;
+
+    const players: Record<string, PlayerState> = {};
+    Object.values(this.gameState.players).forEach(player => {
+      players[player.id] = this.getPlayerForViewer(player, playerId, visible);
+      view.sentPlayers.set(player.id, { ...players[player.id], territories: [...players[player.id].territories] });
+    });
+
+    return {
+      ...this.gameState,
+      territories,
+      players,
+      probes: this.getProbesForPlayer(playerId, visible),
+      supplyRoutes: this.getSupplyRoutesForPlayer(playerId, visible)
+    };
   }
-}
\ No newline at end of file
+}
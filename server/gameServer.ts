@@ -1,8 +1,10 @@
 import { Server as SocketServer } from 'socket.io';
 import { Server } from 'http';
+import { randomUUID } from 'crypto';
 import { GameEngine } from './GameEngine.js';
-import { PlayerState, GameConfig, ClientCommand, CommandType, GameStateUpdate, CombatResult, CommandError, GameState } from '../common/types/index.js';
+import { PlayerState, GameConfig, ClientCommand, CommandType, GameStateUpdate, CombatResult, CommandError, GameState, LobbySettings } from '../common/types/index.js';
 import { GAME_CONSTANTS } from '../common/gameConstants';
+import { createDefaultLobbySettings, applyLobbySettingsUpdate, clampAiSeats } from '../common/lobbySettings';
 import { generateAIName, generatePlayerColor, log } from '../common/utils.js';
 
 interface Player {
@@ -17,6 +19,9 @@ interface Player {
   territoriesOwned: number;
   isEliminated: boolean;
   ready: boolean;
+  reconnectToken: string; // Lets a new socket take over this player after a dropped connection
+  disconnectedAt: number | null;
+  graceTimer: NodeJS.Timeout | null;
 }
 
 interface GameRoom {
@@ -32,12 +37,19 @@ interface GameRoom {
   lastUpdate: number;
   tickRate: number;
   lastSentTick: number;
+  hostId: string | null; // Player who created the room; passes to the next human if they leave
+  settings: LobbySettings;
 }
 
+// Socket.IO room for clients looking at the lobby browser
+const LOBBY_CHANNEL = 'lobby';
+
 export class GameServer {
   private io: SocketServer;
   private rooms: Map<string, GameRoom> = new Map();
-  private playerToRoom: Map<string, string> = new Map();
+  private playerToRoom: Map<string, string> = new Map(); // socketId -> roomId
+  private socketToPlayer: Map<string, string> = new Map(); // socketId -> playerId (player IDs survive reconnects)
+  private reconnectTokens: Map<string, { roomId: string; playerId: string }> = new Map();
 
   constructor(server: Server) {
     this.io = new SocketServer(server, {
@@ -69,13 +81,17 @@ export class GameServer {
           gameMode: 'multiplayer',
           lastUpdate: Date.now(),
           tickRate: 20,
-          lastSentTick: 0
+          lastSentTick: 0,
+          hostId: null,
+          settings: createDefaultLobbySettings()
         };
 
         this.rooms.set(roomId, room);
-        this.joinRoom(socket, roomId, data.playerName);
+        const player = this.joinRoom(socket, roomId, data.playerName);
+        room.hostId = player.id;
         
-        socket.emit('room-created', { roomId, room: this.getRoomInfo(room) });
+        socket.emit('room-created', { roomId, room: this.getRoomInfo(room), ...this.getSessionInfo(player) });
+        this.broadcastRoomsUpdated();
       });
 
       // Handle joining existing room
@@ -96,8 +112,28 @@ export class GameServer {
           return;
         }
 
-        this.joinRoom(socket, data.roomId, data.playerName);
-        socket.emit('room-joined', { room: this.getRoomInfo(room) });
+        const player = this.joinRoom(socket, data.roomId, data.playerName);
+        socket.emit('room-joined', { room: this.getRoomInfo(room), ...this.getSessionInfo(player) });
+        this.broadcastLobbyUpdate(room);
+      });
+
+      // Leave a room before the game starts
+      socket.on('leave-room', () => {
+        const session = this.getSocketSession(socket.id);
+        if (!session || session.room.isStarted) return;
+
+        this.detachSocket(socket.id, session.room.id);
+        this.removePlayer(session.room, session.player);
+      });
+
+      // Lobby browsers subscribe to live room list updates
+      socket.on('watch-rooms', () => {
+        socket.join(LOBBY_CHANNEL);
+        socket.emit('rooms-updated', { rooms: this.getRoomsList() });
+      });
+
+      socket.on('unwatch-rooms', () => {
+        socket.leave(LOBBY_CHANNEL);
       });
 
       // Handle starting single-player game
@@ -115,61 +151,105 @@ export class GameServer {
           gameMode: 'single',
           lastUpdate: Date.now(),
           tickRate: 20,
-          lastSentTick: 0
+          lastSentTick: 0,
+          hostId: null,
+          settings: createDefaultLobbySettings()
         };
 
         this.rooms.set(roomId, room);
-        this.joinRoom(socket, roomId, data.playerName);
+        const player = this.joinRoom(socket, roomId, data.playerName);
         this.startGame(roomId);
         
-        socket.emit('single-player-started', { roomId, room: this.getRoomInfo(room) });
+        socket.emit('single-player-started', { roomId, room: this.getRoomInfo(room), ...this.getSessionInfo(player) });
+      });
+
+      // Handle a returning player re-binding a new socket to their empire
+      socket.on('resume-session', (data: { reconnectToken: string }) => {
+        this.resumeSession(socket, data?.reconnectToken);
       });
 
       // Handle secure player commands (server-authoritative)
       socket.on('player-command', (command: ClientCommand) => {
-        const roomId = this.playerToRoom.get(socket.id);
-        if (!roomId) return;
+        const session = this.getSocketSession(socket.id);
+        if (!session) return;
 
-        const room = this.rooms.get(roomId);
-        if (!room || !room.isStarted || !room.gameEngine) return;
+        const { room, player } = session;
+        if (!room.isStarted || !room.gameEngine) return;
 
         // Execute command through authoritative game engine
-        const result = room.gameEngine.executeCommand(socket.id, command);
+        const result = room.gameEngine.executeCommand(player.id, command);
         
         if (result) {
           if ('command' in result) {
             // Command error
             socket.emit('command-error', result as CommandError);
           } else {
-            // Combat result - broadcast to all players
-            this.io.to(roomId).emit('combat-result', result as CombatResult);
+            // Combat result - only to players with the contested star in sensor range
+            const combat = result as CombatResult;
+            Array.from(room.players.values()).forEach(player => {
+              if (player.socketId && room.gameEngine!.canPlayerSee(player.id, combat.toTerritoryId)) {
+                this.io.to(player.socketId).emit('combat-result', combat);
+              }
+            });
           }
         }
       });
 
-      // Handle player ready
-      socket.on('player-ready', () => {
-        const roomId = this.playerToRoom.get(socket.id);
-        if (!roomId) return;
+      // Pre-game lobby: ready toggles for everyone, settings and seats for the host
+      socket.on('player-ready', (data?: { ready?: boolean }) => {
+        const session = this.getSocketSession(socket.id);
+        if (!session || session.room.isStarted) return;
+
+        session.player.ready = data?.ready !== false;
+        this.broadcastLobbyUpdate(session.room);
+      });
 
-        const room = this.rooms.get(roomId);
+      socket.on('update-room-settings', (update: Partial<LobbySettings>) => {
+        const room = this.getHostedLobby(socket);
         if (!room) return;
 
-        const player = room.players.get(socket.id);
-        if (!player) return;
+        room.settings = applyLobbySettingsUpdate(room.settings, update);
 
-        player.ready = true;
+        // Players readied up for the old settings; make them confirm the new ones
+        room.players.forEach(player => {
+          if (player.id !== room.hostId) player.ready = false;
+        });
+        this.broadcastLobbyUpdate(room);
+      });
+
+      socket.on('set-ai-count', (data: { aiCount: number }) => {
+        const room = this.getHostedLobby(socket);
+        if (!room) return;
 
-        // In multiplayer, check if all players are ready
-        if (room.gameMode === 'multiplayer') {
-          const allReady = Array.from(room.players.values())
-            .filter(p => p.type === 'human')
-            .every(p => p.ready);
+        room.aiPlayerCount = clampAiSeats(data?.aiCount);
+        this.broadcastLobbyUpdate(room);
+      });
 
-          if (allReady && room.players.size > 0) {
-            this.startGame(roomId);
-          }
+      socket.on('kick-player', (data: { playerId: string }) => {
+        const room = this.getHostedLobby(socket);
+        if (!room) return;
+
+        const target = room.players.get(data?.playerId);
+        if (!target || target.id === room.hostId) return;
+
+        if (target.socketId) {
+          this.io.to(target.socketId).emit('kicked', { roomId: room.id });
+          this.detachSocket(target.socketId, room.id);
         }
+        log(`Player ${target.name} was kicked from room ${room.id}`);
+        this.removePlayer(room, target);
+      });
+
+      socket.on('start-game', () => {
+        const room = this.getHostedLobby(socket);
+        if (!room) return;
+
+        const notReady = Array.from(room.players.values()).filter(p => p.type === 'human' && !p.ready);
+        if (notReady.length > 0) {
+          socket.emit('error', { message: `Waiting for ${notReady.map(p => p.name).join(', ')} to ready up` });
+          return;
+        }
+        this.startGame(room.id);
       });
 
       // Handle disconnection
@@ -180,9 +260,8 @@ export class GameServer {
     });
   }
 
-  private joinRoom(socket: any, roomId: string, playerName: string) {
-    const room = this.rooms.get(roomId);
-    if (!room) return;
+  private joinRoom(socket: any, roomId: string, playerName: string): Player {
+    const room = this.rooms.get(roomId)!;
 
     const player: Player = {
       id: socket.id,
@@ -195,26 +274,123 @@ export class GameServer {
       totalArmies: 0,
       territoriesOwned: 0,
       isEliminated: false,
-      ready: false
+      ready: false,
+      reconnectToken: randomUUID(),
+      disconnectedAt: null,
+      graceTimer: null
     };
 
-    room.players.set(socket.id, player);
+    room.players.set(player.id, player);
     this.playerToRoom.set(socket.id, roomId);
+    this.socketToPlayer.set(socket.id, player.id);
+    this.reconnectTokens.set(player.reconnectToken, { roomId, playerId: player.id });
     
     socket.join(roomId);
     
     // Notify other players in the room
     socket.to(roomId).emit('player-joined', { player: this.getPlayerInfo(player) });
+    return player;
+  }
+
+  // Room the socket's player hosts, if it is still in the lobby; reports an error otherwise
+  private getHostedLobby(socket: any): GameRoom | null {
+    const session = this.getSocketSession(socket.id);
+    if (!session || session.room.isStarted) return null;
+
+    if (session.player.id !== session.room.hostId) {
+      socket.emit('error', { message: 'Only the host can change the lobby' });
+      return null;
+    }
+    return session.room;
+  }
+
+  // Unbind a socket from its room without touching the player
+  private detachSocket(socketId: string, roomId: string) {
+    this.playerToRoom.delete(socketId);
+    this.socketToPlayer.delete(socketId);
+    this.io.sockets.sockets.get(socketId)?.leave(roomId);
   }
 
-  private startGame(roomId: string, mapSize: number = 200, gameSpeed: number = 1.0) {
+  // Room and player bound to a socket
+  private getSocketSession(socketId: string): { room: GameRoom; player: Player } | null {
+    const roomId = this.playerToRoom.get(socketId);
+    const playerId = this.socketToPlayer.get(socketId);
+    if (!roomId || !playerId) return null;
+
+    const room = this.rooms.get(roomId);
+    const player = room?.players.get(playerId);
+    if (!room || !player) return null;
+
+    return { room, player };
+  }
+
+  private getSessionInfo(player: Player) {
+    return { playerId: player.id, reconnectToken: player.reconnectToken };
+  }
+
+  private resumeSession(socket: any, reconnectToken: string) {
+    const session = reconnectToken ? this.reconnectTokens.get(reconnectToken) : undefined;
+    const room = session ? this.rooms.get(session.roomId) : undefined;
+    const player = session ? room?.players.get(session.playerId) : undefined;
+    if (!room || !player) {
+      socket.emit('resume-failed', { message: 'Session expired or not found' });
+      return;
+    }
+
+    // A second tab or a socket the server has not noticed dropping loses the player
+    if (player.socketId && player.socketId !== socket.id) {
+      this.detachSocket(player.socketId, room.id);
+    }
+
+    if (player.graceTimer) {
+      clearTimeout(player.graceTimer);
+      player.graceTimer = null;
+    }
+    const wasAway = player.disconnectedAt !== null;
+    player.disconnectedAt = null;
+    player.socketId = socket.id;
+
+    this.playerToRoom.set(socket.id, room.id);
+    this.socketToPlayer.set(socket.id, player.id);
+    socket.join(room.id);
+    room.gameEngine?.setCaretaker(player.id, false);
+
+    socket.emit('session-resumed', {
+      roomId: room.id,
+      room: this.getRoomInfo(room),
+      ...this.getSessionInfo(player),
+      gameState: room.gameEngine ? room.gameEngine.getPlayerGameState(player.id) : null
+    });
+    if (wasAway) {
+      socket.to(room.id).emit('player-reconnected', { playerId: player.id });
+      this.broadcastRoomsUpdated();
+    }
+
+    log(`Player ${player.name} resumed session in room ${room.id}`);
+  }
+
+  private startGame(roomId: string) {
     const room = this.rooms.get(roomId);
     if (!room) return;
 
     room.isStarted = true;
     
-    // Initialize server-authoritative game engine with game speed
-    room.gameEngine = new GameEngine({ mapSize, tickRate: room.tickRate, gameSpeed });
+    // Initialize server-authoritative game engine with the lobby settings
+    const { settings } = room;
+    room.gameEngine = new GameEngine({
+      mapSize: settings.mapSize,
+      tickRate: room.tickRate,
+      gameSpeed: settings.gameSpeed,
+      layout: settings.layout,
+      warpLaneDensity: settings.warpLaneDensity,
+      connectionRange: settings.connectionRange,
+      nebulaCount: settings.nebulaCount,
+      probeSpeed: settings.probeSpeed,
+      nebulaSlowdown: settings.nebulaSlowdown,
+      probeColonization: settings.probeColonization,
+      supplyRoutes: settings.supplyRoutes,
+      fogOfWar: settings.fogOfWar
+    });
     
     // Add all players to the game engine
     Array.from(room.players.values()).forEach(player => {
@@ -235,13 +411,19 @@ export class GameServer {
     // Start the server game loop
     this.startGameLoop(roomId);
 
-    // Send initial game state to all players
-    const gameState = room.gameEngine.getGameState();
-    this.io.to(roomId).emit('game-started', { 
-      gameState,
-      players: Object.values(gameState.players)
+    // Send each player the initial game state as far as its sensors reach
+    Array.from(room.players.values()).forEach(player => {
+      if (!player.socketId) return;
+      const gameState = room.gameEngine!.getPlayerGameState(player.id);
+      this.io.to(player.socketId).emit('game-started', { 
+        gameState,
+        players: Object.values(gameState.players!),
+        room: this.getRoomInfo(room),
+        settings
+      });
     });
 
+    this.broadcastRoomsUpdated();
     log(`Server-authoritative game started in room ${roomId} with ${room.players.size} human players and ${room.aiPlayerCount} AI players`);
   }
 
@@ -260,11 +442,8 @@ export class GameServer {
       // Update game engine
       room.gameEngine!.update(deltaTime);
 
-      // Broadcast delta state updates to all players (only changed data)
-      this.broadcastGameStateUpdate(
-        roomId,
-        room.gameEngine!.getDeltaSince(room.lastSentTick)
-      );
+      // Send each player a delta of the changes it can see
+      this.broadcastGameStateUpdate(room);
       room.lastSentTick = room.gameEngine!.tick;
 
       // Check if game ended
@@ -275,14 +454,20 @@ export class GameServer {
     }, tickInterval);
   }
 
-  private broadcastGameStateUpdate(roomId: string, delta: Partial<GameState>) {
-    const update: GameStateUpdate = {
-      type: 'DELTA_STATE',
-      gameState: delta,
-      timestamp: Date.now()
-    };
-    
-    this.io.to(roomId).emit('game-state-update', update);
+  private broadcastGameStateUpdate(room: GameRoom) {
+    const engine = room.gameEngine!;
+
+    // Deltas are filtered per player (fog of war), so each socket gets its own update
+    Array.from(room.players.values()).forEach(player => {
+      if (!player.socketId) return;
+      const update: GameStateUpdate = {
+        type: 'DELTA_STATE',
+        gameState: engine.getDeltaSince(player.id, room.lastSentTick),
+        timestamp: Date.now()
+      };
+      this.io.to(player.socketId).emit('game-state-update', update);
+    });
+    engine.clearChangeTracking();
   }
 
   private endGame(roomId: string) {
@@ -298,74 +483,132 @@ export class GameServer {
 
 
   private handleGameAction(socket: any, room: GameRoom, action: string, payload: any) {
-    const player = room.players.get(socket.id);
+    const player = room.players.get(this.socketToPlayer.get(socket.id) ?? '');
     if (!player) return;
 
     // Validate and process game actions
     switch (action) {
       case 'select-territory':
         // Handle territory selection
-        this.broadcastGameUpdate(room.id, {
+        this.broadcastGameUpdate(room, {
           type: 'territory-selected',
           playerId: player.id,
           territoryId: payload.territoryId
-        });
+        }, [payload.territoryId]);
         break;
 
       case 'launch-probe':
         // Handle probe launch
-        this.broadcastGameUpdate(room.id, {
+        this.broadcastGameUpdate(room, {
           type: 'probe-launched',
           playerId: player.id,
           fromTerritory: payload.fromTerritory,
           toTerritory: payload.toTerritory
-        });
+        }, [payload.fromTerritory, payload.toTerritory]);
         break;
 
       case 'attack-territory':
         // Handle territory attack
-        this.broadcastGameUpdate(room.id, {
+        this.broadcastGameUpdate(room, {
           type: 'territory-attacked',
           playerId: player.id,
           attackingTerritory: payload.attackingTerritory,
           defendingTerritory: payload.defendingTerritory
-        });
+        }, [payload.attackingTerritory, payload.defendingTerritory]);
         break;
 
       case 'transfer-fleet':
         // Handle fleet transfer
-        this.broadcastGameUpdate(room.id, {
+        this.broadcastGameUpdate(room, {
           type: 'fleet-transferred',
           playerId: player.id,
           fromTerritory: payload.fromTerritory,
           toTerritory: payload.toTerritory
-        });
+        }, [payload.fromTerritory, payload.toTerritory]);
         break;
     }
   }
 
-  private broadcastGameUpdate(roomId: string, update: any) {
-    this.io.to(roomId).emit('game-update', update);
+  // Actions reach the acting player and anyone with one of the stars involved in sensor range
+  private broadcastGameUpdate(room: GameRoom, update: any, territoryIds: number[]) {
+    Array.from(room.players.values()).forEach(player => {
+      if (!player.socketId) return;
+      const inView = player.id === update.playerId ||
+        territoryIds.some(territoryId => room.gameEngine?.canPlayerSee(player.id, Number(territoryId)));
+      if (inView) {
+        this.io.to(player.socketId).emit('game-update', update);
+      }
+    });
   }
 
   private handleDisconnect(socket: any) {
-    const roomId = this.playerToRoom.get(socket.id);
-    if (!roomId) return;
+    const session = this.getSocketSession(socket.id);
+    this.playerToRoom.delete(socket.id);
+    this.socketToPlayer.delete(socket.id);
+    if (!session) return;
 
-    const room = this.rooms.get(roomId);
-    if (!room) return;
+    const { room, player } = session;
 
-    room.players.delete(socket.id);
-    this.playerToRoom.delete(socket.id);
+    // Superseded by a newer socket for the same player
+    if (player.socketId !== socket.id) return;
+
+    // Lobby players have nothing to come back to
+    if (!room.isStarted) {
+      this.removePlayer(room, player);
+      return;
+    }
+
+    // Hold the empire for the grace window; the AI minds it meanwhile if the room allows
+    player.socketId = undefined;
+    player.disconnectedAt = Date.now();
+    if (room.settings.aiCaretaker) {
+      room.gameEngine?.setCaretaker(player.id, true);
+    }
+
+    socket.to(room.id).emit('player-disconnected', {
+      playerId: player.id,
+      gracePeriodMs: GAME_CONSTANTS.RECONNECT_GRACE_PERIOD_MS,
+      aiCaretaker: room.settings.aiCaretaker
+    });
+    this.broadcastRoomsUpdated();
+
+    player.graceTimer = setTimeout(() => {
+      player.graceTimer = null;
+      log(`Player ${player.name} did not reconnect to room ${room.id}`);
+      this.removePlayer(room, player);
+    }, GAME_CONSTANTS.RECONNECT_GRACE_PERIOD_MS);
+  }
+
+  private removePlayer(room: GameRoom, player: Player) {
+    if (player.graceTimer) {
+      clearTimeout(player.graceTimer);
+      player.graceTimer = null;
+    }
+    room.players.delete(player.id);
+    this.reconnectTokens.delete(player.reconnectToken);
+
+    // Hand the room to the next human so the lobby is never left without a host
+    if (room.hostId === player.id) {
+      const nextHost = Array.from(room.players.values()).find(p => p.type === 'human');
+      room.hostId = nextHost ? nextHost.id : null;
+    }
 
     // Notify other players
-    socket.to(roomId).emit('player-left', { playerId: socket.id });
+    this.io.to(room.id).emit('player-left', { playerId: player.id });
+    if (!room.isStarted && room.players.size > 0) {
+      this.io.to(room.id).emit('lobby-updated', { room: this.getRoomInfo(room) });
+    }
 
     // Clean up empty rooms
     if (room.players.size === 0) {
-      this.rooms.delete(roomId);
-      log(`Room ${roomId} deleted - no players remaining`);
+      if (room.gameLoop) {
+        clearInterval(room.gameLoop);
+        room.gameLoop = null;
+      }
+      this.rooms.delete(room.id);
+      log(`Room ${room.id} deleted - no players remaining`);
     }
+    this.broadcastRoomsUpdated();
   }
 
   private generateRoomId(): string {
@@ -386,6 +629,8 @@ export class GameServer {
       aiPlayerCount: room.aiPlayerCount,
       isStarted: room.isStarted,
       gameMode: room.gameMode,
+      hostId: room.hostId,
+      settings: room.settings,
       players: Array.from(room.players.values()).map(p => this.getPlayerInfo(p))
     };
   }
@@ -398,14 +643,26 @@ export class GameServer {
       type: player.type,
       territoriesOwned: player.territoriesOwned,
       totalArmies: player.totalArmies,
-      isEliminated: player.isEliminated
+      isEliminated: player.isEliminated,
+      isConnected: player.disconnectedAt === null,
+      ready: player.ready
     };
   }
 
-  // Get room list for lobby
+  // Get room list for lobby (games in progress are listed but cannot be joined)
   public getRoomsList() {
     return Array.from(this.rooms.values())
-      .filter(room => !room.isStarted && room.gameMode === 'multiplayer')
+      .filter(room => room.gameMode === 'multiplayer')
       .map(room => this.getRoomInfo(room));
   }
+
+  // Push the room's players, seats and settings to everyone in its lobby
+  private broadcastLobbyUpdate(room: GameRoom) {
+    this.io.to(room.id).emit('lobby-updated', { room: this.getRoomInfo(room) });
+    this.broadcastRoomsUpdated();
+  }
+
+  private broadcastRoomsUpdated() {
+    this.io.to(LOBBY_CHANNEL).emit('rooms-updated', { rooms: this.getRoomsList() });
+  }
 }
\ No newline at end of file
@@ -40,10 +40,10 @@ app.use((req, res, next) => {
 
 (async () => {
   const httpServer = createServer(app);
-  const server = await registerRoutes(app);
   
   // Initialize game server with WebSocket support
   const gameServer = new GameServer(httpServer);
+  const server = await registerRoutes(app, gameServer);
 
   app.use((err: any, _req: Request, res: Response, next: NextFunction) => {
     const status = err.status || err.statusCode || 500;
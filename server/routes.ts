@@ -1,14 +1,20 @@
 import type { Express } from "express";
 import { createServer, type Server } from "http";
 import { storage } from "./storage";
+import type { GameServer } from "./gameServer";
 
-export async function registerRoutes(app: Express): Promise<Server> {
+export async function registerRoutes(app: Express, gameServer: GameServer): Promise<Server> {
   // put application routes here
   // prefix all routes with /api
 
   // use storage to perform CRUD operations on the storage interface
   // e.g. storage.insertUser(user) or storage.getUserByUsername(username)
 
+  // Multiplayer rooms for the lobby browser; live changes arrive over the socket as rooms-updated
+  app.get("/api/rooms", (_req, res) => {
+    res.json({ rooms: gameServer.getRoomsList() });
+  });
+
   const httpServer = createServer(app);
 
   return httpServer;